@@ -0,0 +1,252 @@
+// Local stand-in for the Paystack and Safaricom Daraja APIs, so both payment
+// providers can run end to end without network access or real money.
+//
+//   node scripts/mock-payment-providers.js [options]
+//     --port PORT      listen port (default 4010)
+//     --app URL        base URL of the running API (default http://localhost:3000);
+//                      Paystack webhooks go to URL/payments/webhook
+//     --delay MS       wait before sending webhooks / callbacks (default 1000)
+//
+// Point the API at it with PAYSTACK_BASE_URL=http://localhost:4010 and
+// MPESA_BASE_URL=http://localhost:4010. Webhooks are signed with the same
+// PAYSTACK_SECRET_KEY; Daraja callbacks go to the CallBackURL / ResultURL the
+// API sent (MPESA_CALLBACK_URL with its token).
+//
+// Outcomes:
+//   Paystack  open the authorization_url; ?result=failed fails the charge
+//   M-Pesa    phone numbers ending in 000 cancel the prompt (ResultCode 1032)
+//   Transfers MOCK_TRANSFER_OTP=1 makes transfers wait for OTP 123456
+import 'dotenv/config';
+import http from 'http';
+import crypto from 'crypto';
+import { signWebhookBody } from '../src/services/paystack.js';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const i = args.indexOf(name);
+  return i === -1 ? fallback : args[i + 1];
+};
+
+const PORT = Number(option('--port', 4010));
+const APP_URL = option('--app', 'http://localhost:3000').replace(/\/$/, '');
+const DELAY_MS = Number(option('--delay', 1000));
+const SELF = `http://localhost:${PORT}`;
+
+const transactions = new Map(); // Paystack reference -> transaction
+const checkouts = new Map(); // CheckoutRequestID -> STK push
+const transfers = new Map(); // transfer_code -> transfer
+let seq = 1000;
+
+const log = (...parts) => console.log(new Date().toISOString(), ...parts);
+
+const later = (fn) => setTimeout(() => fn().catch((err) => log('callback failed:', err.message)), DELAY_MS);
+
+const post = async (url, body, headers = {}) => {
+  const res = await fetch(url, { method: 'POST', headers: { 'content-type': 'application/json', ...headers }, body });
+  log(`  -> POST ${url.replace(/token=[^&]+/, 'token=…')} ${res.status}`);
+};
+
+const paystackEvent = async (event, data) => {
+  const body = JSON.stringify({ event, data });
+  await post(`${APP_URL}/payments/webhook`, body, { 'x-paystack-signature': await signWebhookBody(body) });
+};
+
+const send = (res, status, body, type = 'application/json') => {
+  res.writeHead(status, { 'content-type': type });
+  res.end(type === 'application/json' ? JSON.stringify(body) : body);
+};
+
+const readJson = (req) => new Promise((resolve) => {
+  let raw = '';
+  req.on('data', (chunk) => { raw += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(raw ? JSON.parse(raw) : {});
+    } catch {
+      resolve({});
+    }
+  });
+});
+
+// Daraja timestamps are Nairobi time
+const darajaNow = () => new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString().replace(/[-:T]/g, '').slice(0, 14);
+
+const routes = [
+  // --- Paystack ---
+  ['POST', /^\/transaction\/initialize$/, async (req, res, body) => {
+    const reference = body.reference || `mock_${seq++}`;
+    transactions.set(reference, {
+      id: seq++,
+      reference,
+      amount: body.amount,
+      currency: body.currency || 'KES',
+      metadata: body.metadata || {},
+      subaccount: body.subaccount ? { subaccount_code: body.subaccount } : {},
+      fees_split: body.subaccount ? { integration: body.transaction_charge, subaccount: body.amount - body.transaction_charge } : null,
+      customer: { email: body.email },
+      status: 'abandoned',
+      createdAt: new Date().toISOString(),
+    });
+    send(res, 200, {
+      status: true,
+      message: 'Authorization URL created',
+      data: { authorization_url: `${SELF}/checkout/${encodeURIComponent(reference)}`, access_code: `ac_${reference}`, reference },
+    });
+  }],
+  ['GET', /^\/checkout\/([^/]+)$/, async (req, res, body, [ref], url) => {
+    const tx = transactions.get(decodeURIComponent(ref));
+    if (!tx) return send(res, 404, 'Unknown checkout', 'text/plain');
+    const ok = url.searchParams.get('result') !== 'failed';
+    Object.assign(tx, {
+      status: ok ? 'success' : 'failed',
+      gateway_response: ok ? 'Approved' : 'Declined',
+      paid_at: ok ? new Date().toISOString() : null,
+      channel: 'card',
+    });
+    later(() => paystackEvent(ok ? 'charge.success' : 'charge.failed', tx));
+    return send(res, 200, `Mock Paystack: ${tx.reference} ${tx.status}`, 'text/plain');
+  }],
+  ['GET', /^\/transaction$/, async (req, res, body, match, url) => {
+    const from = url.searchParams.get('from') || '';
+    const to = url.searchParams.get('to') || '\uffff';
+    const page = Number(url.searchParams.get('page') || 1);
+    const perPage = Number(url.searchParams.get('perPage') || 50);
+    const rows = [...transactions.values()].filter((tx) => tx.createdAt >= from && tx.createdAt <= to).reverse();
+    return send(res, 200, {
+      status: true,
+      data: rows.slice((page - 1) * perPage, page * perPage),
+      meta: { total: rows.length, perPage, page, pageCount: Math.max(1, Math.ceil(rows.length / perPage)) },
+    });
+  }],
+  ['GET', /^\/transaction\/verify\/([^/]+)$/, async (req, res, body, [ref]) => {
+    const tx = transactions.get(decodeURIComponent(ref));
+    if (!tx) return send(res, 400, { status: false, message: 'Transaction reference not found' });
+    return send(res, 200, { status: true, message: 'Verification successful', data: tx });
+  }],
+  ['POST', /^\/refund$/, async (req, res, body) => {
+    const tx = transactions.get(body.transaction);
+    if (!tx || tx.status !== 'success') return send(res, 400, { status: false, message: 'Transaction cannot be refunded' });
+    const refund = { id: seq++, status: 'pending', amount: body.amount || tx.amount, currency: tx.currency, transaction: tx.id };
+    later(() => paystackEvent('refund.processed', {
+      id: refund.id,
+      status: 'processed',
+      transaction_reference: tx.reference,
+      refund_reference: `RF_${refund.id}`,
+      amount: refund.amount,
+      currency: refund.currency,
+    }));
+    return send(res, 200, { status: true, message: 'Refund has been queued for processing', data: refund });
+  }],
+  ['POST', /^\/subaccount$/, async (req, res, body) => send(res, 201, {
+    status: true,
+    data: { ...body, subaccount_code: `ACCT_mock${seq++}`, settlement_bank: `Mock Bank ${body.settlement_bank}`, active: true, is_verified: false },
+  })],
+  ['PUT', /^\/subaccount\/([^/]+)$/, async (req, res, body, [code]) => send(res, 200, {
+    status: true,
+    data: { ...body, subaccount_code: code, ...(body.settlement_bank ? { settlement_bank: `Mock Bank ${body.settlement_bank}` } : {}) },
+  })],
+  ['POST', /^\/transferrecipient$/, async (req, res, body) => send(res, 201, {
+    status: true,
+    data: { ...body, recipient_code: `RCP_mock${seq++}`, active: true, details: { account_number: body.account_number, bank_code: body.bank_code } },
+  })],
+  ['GET', /^\/transferrecipient$/, async (req, res) => send(res, 200, { status: true, data: [], meta: { total: 0 } })],
+  ['DELETE', /^\/transferrecipient\/([^/]+)$/, async (req, res) => send(res, 200, { status: true, message: 'Transfer recipient set as inactive' })],
+  ['POST', /^\/transfer$/, async (req, res, body) => {
+    const otp = process.env.MOCK_TRANSFER_OTP === '1';
+    const transfer = { id: seq++, transfer_code: `TRF_mock${seq++}`, reference: body.reference, amount: body.amount, currency: body.currency, status: otp ? 'otp' : 'pending' };
+    transfers.set(transfer.transfer_code, transfer);
+    if (!otp) later(() => paystackEvent('transfer.success', { ...transfer, status: 'success' }));
+    return send(res, 200, { status: true, data: transfer });
+  }],
+  ['POST', /^\/transfer\/finalize_transfer$/, async (req, res, body) => {
+    const transfer = transfers.get(body.transfer_code);
+    if (!transfer || body.otp !== '123456') return send(res, 400, { status: false, message: 'Invalid OTP' });
+    transfer.status = 'pending';
+    later(() => paystackEvent('transfer.success', { ...transfer, status: 'success' }));
+    return send(res, 200, { status: true, data: transfer });
+  }],
+
+  // --- Daraja ---
+  ['GET', /^\/oauth\/v1\/generate$/, async (req, res) => send(res, 200, { access_token: `mock-${crypto.randomUUID()}`, expires_in: '3599' })],
+  ['POST', /^\/mpesa\/stkpush\/v1\/processrequest$/, async (req, res, body) => {
+    const checkoutRequestId = `ws_CO_${darajaNow()}${seq++}`;
+    const merchantRequestId = `mock-${seq++}`;
+    const cancelled = String(body.PhoneNumber).endsWith('000');
+    const push = { ...body, checkoutRequestId, merchantRequestId, resultCode: null };
+    checkouts.set(checkoutRequestId, push);
+    later(async () => {
+      push.resultCode = cancelled ? 1032 : 0;
+      const stkCallback = {
+        MerchantRequestID: merchantRequestId,
+        CheckoutRequestID: checkoutRequestId,
+        ResultCode: push.resultCode,
+        ResultDesc: cancelled ? 'Request cancelled by user' : 'The service request is processed successfully.',
+        ...(cancelled ? {} : {
+          CallbackMetadata: {
+            Item: [
+              { Name: 'Amount', Value: body.Amount },
+              { Name: 'MpesaReceiptNumber', Value: `MOCK${seq++}` },
+              { Name: 'TransactionDate', Value: Number(darajaNow()) },
+              { Name: 'PhoneNumber', Value: Number(body.PhoneNumber) },
+            ],
+          },
+        }),
+      };
+      await post(body.CallBackURL, JSON.stringify({ Body: { stkCallback } }));
+    });
+    return send(res, 200, {
+      MerchantRequestID: merchantRequestId,
+      CheckoutRequestID: checkoutRequestId,
+      ResponseCode: '0',
+      ResponseDescription: 'Success. Request accepted for processing',
+      CustomerMessage: 'Success. Request accepted for processing',
+    });
+  }],
+  ['POST', /^\/mpesa\/stkpushquery\/v1\/query$/, async (req, res, body) => {
+    const push = checkouts.get(body.CheckoutRequestID);
+    if (!push || push.resultCode === null) {
+      return send(res, 500, { requestId: `mock-${seq++}`, errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' });
+    }
+    return send(res, 200, {
+      ResponseCode: '0',
+      ResponseDescription: 'The service request has been accepted successsfully',
+      MerchantRequestID: push.merchantRequestId,
+      CheckoutRequestID: push.checkoutRequestId,
+      ResultCode: String(push.resultCode),
+      ResultDesc: push.resultCode === 0 ? 'The service request is processed successfully.' : 'Request cancelled by user',
+    });
+  }],
+  ['POST', /^\/mpesa\/reversal\/v1\/request$/, async (req, res, body) => {
+    const conversationId = `AG_${darajaNow()}_${seq++}`;
+    later(() => post(body.ResultURL, JSON.stringify({
+      Result: {
+        ResultType: 0,
+        ResultCode: 0,
+        ResultDesc: 'The service request is processed successfully.',
+        OriginatorConversationID: `mock-${seq++}`,
+        ConversationID: conversationId,
+        TransactionID: `MOCKR${seq++}`,
+        ResultParameters: { ResultParameter: [{ Key: 'Amount', Value: body.Amount }] },
+      },
+    })));
+    return send(res, 200, {
+      OriginatorConversationID: `mock-${seq++}`,
+      ConversationID: conversationId,
+      ResponseCode: '0',
+      ResponseDescription: 'Accept the service request successfully.',
+    });
+  }],
+];
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, SELF);
+  const body = ['POST', 'PUT'].includes(req.method) ? await readJson(req) : {};
+  log(req.method, url.pathname);
+  for (const [method, pattern, handler] of routes) {
+    const match = req.method === method && url.pathname.match(pattern);
+    if (match) return handler(req, res, body, match.slice(1), url);
+  }
+  return send(res, 404, { status: false, message: `Mock has no ${req.method} ${url.pathname}` });
+});
+
+server.listen(PORT, () => log(`Mock Paystack + Daraja on ${SELF} (webhooks -> ${APP_URL})`));
@@ -0,0 +1,99 @@
+import { getCookie } from 'hono/cookie';
+import { checkToken } from '../utils/auth.js';
+import { can, normalizeRole } from '../utils/policy.js';
+import { bindRequestContext, getRequestId } from '../utils/logger.js';
+
+/**
+ * Authentication middleware.
+ *
+ * authenticate()       resolves the bearer token (if any) and sets
+ *                      c.get('user') to { userId, email, role, name } or null.
+ * requireAuth()        401 unless a valid session is present.
+ * requireRole(...r)    401 without a session, 403 when the role is not listed.
+ * requirePermission(a) 401 without a session, 403 unless can(user, a) holds.
+ * currentUser(c)       the same lookup for code running outside a guard
+ *                      (e.g. the global rate limiter); cached per request.
+ *
+ * Roles are normalized to their canonical names (see utils/policy.js), so
+ * legacy spellings in tokens and guards compare equal.
+ *
+ * The raw token is kept on c.get('token') for handlers that revoke sessions.
+ * Each guard carries a `meta` description that the OpenAPI builder reads.
+ */
+
+// Authorization header first, then the session cookies set by login/register.
+const bearerToken = (c) => {
+  const header = c.req.header('Authorization') || '';
+  return header.replace(/^Bearer\s+/i, '').trim() || getCookie(c, 'token') || getCookie(c, 'auth') || null;
+};
+
+const resolveUser = async (c) => {
+  if (c.get('user') !== undefined) return c.get('user');
+
+  const token = bearerToken(c);
+  const payload = token ? await checkToken(token) : null;
+  const user = payload?.userId
+    ? {
+      userId: payload.userId,
+      email: payload.email || null,
+      role: normalizeRole(payload.role) || payload.role || null,
+      name: payload.name || null,
+    }
+    : null;
+
+  c.set('user', user);
+  c.set('token', user ? token : null);
+  if (user) bindRequestContext({ userId: user.userId });
+  return user;
+};
+
+export const currentUser = (c) => resolveUser(c);
+
+const deny = (c, status, error, message) => c.json({
+  success: false,
+  error,
+  message,
+  timestamp: new Date().toISOString(),
+  traceId: getRequestId(),
+}, status);
+
+const unauthenticated = (c) => deny(
+  c,
+  401,
+  'UNAUTHORIZED',
+  bearerToken(c) ? 'Invalid or expired token.' : 'Missing authentication token.',
+);
+
+const describe = (middleware, meta) => Object.assign(middleware, { meta });
+
+export const authenticate = () => describe(async (c, next) => {
+  await resolveUser(c);
+  await next();
+}, { auth: 'optional' });
+
+export const requireAuth = () => describe(async (c, next) => {
+  const user = await resolveUser(c);
+  if (!user) return unauthenticated(c);
+  await next();
+}, { auth: 'required' });
+
+export const requireRole = (...roles) => {
+  const allowed = new Set(roles.flat().map((role) => normalizeRole(role) || role));
+  return describe(async (c, next) => {
+    const user = await resolveUser(c);
+    if (!user) return unauthenticated(c);
+    if (!allowed.has(user.role)) {
+      return deny(c, 403, 'FORBIDDEN', `Requires one of the roles: ${[...allowed].join(', ')}.`);
+    }
+    await next();
+  }, { auth: 'required', roles: [...allowed] });
+};
+
+export const requirePermission = (action) => describe(async (c, next) => {
+  const user = await resolveUser(c);
+  if (!user) return unauthenticated(c);
+  if (!can(user, action)) {
+    return deny(c, 403, 'FORBIDDEN', `Missing permission: ${action}.`);
+  }
+  await next();
+}, { auth: 'required', permission: action });
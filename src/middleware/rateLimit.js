@@ -0,0 +1,154 @@
+import crypto from 'crypto';
+import { currentUser } from './auth.js';
+import { can } from '../utils/policy.js';
+import { createRateLimiter } from '../services/rateLimiter.js';
+import { getRequestId, logger } from '../utils/logger.js';
+
+/**
+ * Rate limiting middleware.
+ *
+ * Each request is matched against RATE_LIMIT_POLICIES (first match wins) and
+ * counted once per key the policy lists:
+ *   ip     client address (first X-Forwarded-For hop)
+ *   user   authenticated userId, the ip for anonymous requests
+ *   email  `email` (or the login `identifier`) in the JSON body, skipped
+ *          when the body has none
+ * A request over the limit on any key gets 429 RATE_LIMITED.
+ *
+ * Responses carry RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining and
+ * RateLimit-Reset for the tightest key; 429s add Retry-After. Users with
+ * `ratelimit:bypass` (see utils/policy.js) skip policies unless `bypass` is
+ * false. Limits can be tuned per policy name with RATE_LIMIT_POLICIES_JSON,
+ * e.g. {"login":{"limit":20}}. Store errors let the request through.
+ */
+
+const RATE_LIMIT_WINDOW_SEC = Number(process.env.RATE_LIMIT_WINDOW_SEC || 60);
+const RATE_LIMIT_MAX = Number(process.env.RATE_LIMIT_MAX || 120);
+
+// path: exact path, `*` matches the rest; methods omitted means any
+export const RATE_LIMIT_POLICIES = Object.freeze([
+  { name: 'login', methods: ['POST'], path: '/auth/login', limit: 10, windowSec: 60, by: ['ip', 'email'] },
+  { name: 'register', methods: ['POST'], path: '/auth/register', limit: 5, windowSec: 600, by: ['ip'] },
+  { name: 'password-reset', methods: ['POST'], path: '/auth/forgot-password', limit: 5, windowSec: 900, by: ['ip', 'email'] },
+  { name: 'password-reset', methods: ['POST'], path: '/auth/reset-password', limit: 10, windowSec: 900, by: ['ip', 'email'] },
+  { name: 'contact', methods: ['POST'], path: '/contactMessages', limit: 5, windowSec: 600, by: ['ip', 'email'] },
+  { name: 'payments', methods: ['POST'], path: '/payments/initiate', limit: 10, windowSec: 60, by: ['user'] },
+  { name: 'webhooks', methods: ['POST'], path: '/payments/webhook', limit: 600, windowSec: 60, by: ['ip'] },
+  { name: 'webhooks', methods: ['POST'], path: '/payments/mpesa/callback', limit: 600, windowSec: 60, by: ['ip'] },
+  { name: 'default', path: '*', limit: RATE_LIMIT_MAX, windowSec: RATE_LIMIT_WINDOW_SEC, by: ['user'] },
+]);
+
+const readOverrides = () => {
+  try {
+    return JSON.parse(process.env.RATE_LIMIT_POLICIES_JSON || '{}');
+  } catch {
+    logger.warn('RATE_LIMIT_POLICIES_JSON is not valid JSON, using default limits');
+    return {};
+  }
+};
+
+const matcher = (path) => {
+  if (path === '*') return () => true;
+  if (path.endsWith('*')) {
+    const prefix = path.slice(0, -1);
+    return (p) => p.startsWith(prefix);
+  }
+  return (p) => p === path || p === `${path}/`;
+};
+
+const compile = (policies, overrides) => policies.map((policy) => ({
+  ...policy,
+  ...(overrides[policy.name] || {}),
+  matches: matcher(policy.path),
+}));
+
+const clientIp = (c) => c.req.header('x-forwarded-for')?.split(',')[0].trim()
+  || c.env?.incoming?.socket?.remoteAddress
+  || 'unknown';
+
+// Mounted route groups read the raw request again, so it is swapped for an
+// unread copy. (Request.clone() would do, but its tee can leave the original
+// marked as read once the clone is collected.)
+const bodyEmail = async (c) => {
+  if (!(c.req.header('content-type') || '').includes('application/json')) return null;
+  const text = await c.req.raw.text();
+  c.req.raw = new Request(c.req.raw, { body: text });
+  let body = null;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    // handlers report malformed bodies themselves
+  }
+  const value = body?.email ?? body?.identifier;
+  return typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : null;
+};
+
+const KEYS = {
+  ip: async (c) => `ip:${clientIp(c)}`,
+  user: async (c) => {
+    const user = await currentUser(c);
+    return user ? `user:${user.userId}` : `ip:${clientIp(c)}`;
+  },
+  email: async (c) => {
+    const email = await bodyEmail(c);
+    return email ? `email:${crypto.createHash('sha256').update(email).digest('hex').slice(0, 32)}` : null;
+  },
+};
+
+const setHeaders = (headers, policy, result) => {
+  headers.set('RateLimit-Policy', `${policy.limit};w=${policy.windowSec}`);
+  headers.set('RateLimit-Limit', String(result.limit));
+  headers.set('RateLimit-Remaining', String(result.remaining));
+  headers.set('RateLimit-Reset', String(result.reset));
+  if (!result.allowed) headers.set('Retry-After', String(result.retryAfter));
+};
+
+/**
+ * rateLimit({ policies, store }) -> middleware
+ * store: 'redis' | 'memory' | client, see services/rateLimiter.js
+ */
+export const rateLimit = ({ policies = RATE_LIMIT_POLICIES, store } = {}) => {
+  const compiled = compile(policies, readOverrides());
+  const limiter = createRateLimiter({ store });
+
+  return async (c, next) => {
+    if (c.req.method === 'OPTIONS') return next();
+    const policy = compiled.find((p) => (!p.methods || p.methods.includes(c.req.method)) && p.matches(c.req.path));
+    if (!policy) return next();
+
+    let tightest = null;
+    try {
+      if (policy.bypass !== false) {
+        const user = await currentUser(c);
+        if (user && can(user, 'ratelimit:bypass')) return next();
+      }
+
+      const keys = (await Promise.all(policy.by.map((by) => KEYS[by](c)))).filter(Boolean);
+      for (const key of keys) {
+        const result = await limiter.hit(`${policy.name}:${key}`, policy);
+        if (!tightest || !result.allowed || result.remaining < tightest.remaining) tightest = result;
+        if (!result.allowed) break;
+      }
+    } catch (err) {
+      logger.warn('rate limiter store error, request allowed', { err, policy: policy.name });
+      return next();
+    }
+
+    if (tightest && !tightest.allowed) {
+      const res = c.json({
+        success: false,
+        error: 'RATE_LIMITED',
+        message: `Too many requests. Try again in ${tightest.retryAfter}s.`,
+        policy: policy.name,
+        retryAfter: tightest.retryAfter,
+        timestamp: new Date().toISOString(),
+        traceId: getRequestId(),
+      }, 429);
+      setHeaders(res.headers, policy, tightest);
+      return res;
+    }
+
+    await next();
+    if (tightest) setHeaders(c.res.headers, policy, tightest);
+  };
+};
@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+import {
+  logger,
+  runWithRequestContext,
+  getRequestContext,
+  REQUEST_ID_HEADER,
+  TRACE_HEADER,
+} from '../utils/logger.js';
+
+/**
+ * Request context middleware (register first).
+ *
+ * Takes the caller's X-Request-Id / X-Trace-Id or mints one, runs the rest of
+ * the request inside the logger's async context, echoes the id back as
+ * X-Request-Id and X-Trace-Id, and writes one access line per request:
+ *   { level, msg: 'request', requestId, method, route, userId, status, latencyMs }
+ * The route pattern and userId are bound by routes/routes.js and the auth
+ * middleware once they are known.
+ */
+
+const ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const incomingId = (c) => [c.req.header(REQUEST_ID_HEADER), c.req.header(TRACE_HEADER)]
+  .find((id) => id && ID_PATTERN.test(id));
+
+export const requestContext = () => async (c, next) => {
+  const requestId = incomingId(c) || crypto.randomUUID();
+  const start = performance.now();
+  c.set('requestId', requestId);
+
+  await runWithRequestContext({ requestId, method: c.req.method, path: c.req.path }, async () => {
+    await next();
+
+    c.res.headers.set('X-Request-Id', requestId);
+    c.res.headers.set('X-Trace-Id', requestId);
+
+    const status = c.res.status;
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+    logger[level]('request', {
+      status,
+      latencyMs: Math.round((performance.now() - start) * 10) / 10,
+      ...(getRequestContext().route ? { path: c.req.path } : {}),
+    });
+  });
+};
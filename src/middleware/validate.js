@@ -0,0 +1,66 @@
+import { validateSchema } from '../utils/schema.js';
+import { getRequestId } from '../utils/logger.js';
+
+/**
+ * Request validation middleware.
+ *
+ * validate({ json, param, query }) checks each present target against its
+ * schema (see utils/schema.js) before the handler runs. Unknown body fields
+ * are stripped and the cleaned values are read back in the handler with
+ * c.req.valid('json' | 'param' | 'query').
+ *
+ * The schemas are kept on the middleware's `meta` for the OpenAPI builder.
+ *
+ * Failures use the usual error envelope with field-level `details`:
+ *   400 INVALID_BODY       body is not a JSON object
+ *   400 VALIDATION_FAILED  { details: [{ field, message }] }
+ */
+
+const LABELS = { json: 'Request body', param: 'Path parameters', query: 'Query string' };
+
+const fail = (c, error, message, details) => c.json({
+  success: false,
+  error,
+  message,
+  ...(details ? { details } : {}),
+  timestamp: new Date().toISOString(),
+  traceId: getRequestId(),
+}, 400);
+
+const readTarget = async (c, target) => {
+  if (target === 'param') return c.req.param();
+  if (target === 'query') return c.req.query();
+  const body = await c.req.json();
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('Invalid JSON');
+  return body;
+};
+
+export const validate = (schemas) => Object.assign(async (c, next) => {
+  const details = [];
+  const failed = [];
+
+  for (const target of ['param', 'query', 'json']) {
+    const schema = schemas[target];
+    if (!schema) continue;
+
+    let input;
+    try {
+      input = await readTarget(c, target);
+    } catch {
+      return fail(c, 'INVALID_BODY', 'Request body must be a valid JSON object.');
+    }
+
+    const { value, errors } = validateSchema(schema, input);
+    if (errors.length) {
+      failed.push(LABELS[target]);
+      details.push(...errors.map((e) => ({ in: target, ...e })));
+      continue;
+    }
+    c.req.addValidatedData(target, value);
+  }
+
+  if (details.length) {
+    return fail(c, 'VALIDATION_FAILED', `${failed.join(', ')} failed validation.`, details);
+  }
+  await next();
+}, { meta: { schemas } });
@@ -0,0 +1,131 @@
+// OpenAPI descriptions for /auth (see utils/openapi.js)
+
+const favorite = {
+  type: 'object',
+  properties: { item_id: { type: 'string' }, item_type: { type: 'string' } },
+  required: ['item_id', 'item_type'],
+};
+
+export default {
+  tag: 'Auth',
+  description: 'Sessions, registration, password reset and the signed-in user.',
+  operations: {
+    'POST /login': {
+      summary: 'Sign in',
+      body: {
+        type: 'object',
+        properties: {
+          identifier: { type: 'string', description: 'Email or phone number' },
+          password: { type: 'string' },
+        },
+        required: ['identifier', 'password'],
+      },
+      response: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          message: { type: 'string' },
+          token: { type: 'string' },
+          user: { type: 'object' },
+          timestamp: { type: 'string', format: 'date-time' },
+        },
+      },
+      errors: {
+        MISSING_CREDENTIALS: 400,
+        INVALID_PASSWORD: 401,
+        USER_NOT_FOUND: 404,
+        DB_CONNECTION_FAILED: 503,
+        DB_QUERY_FAILED: 500,
+        PASSWORD_CHECK_FAILED: 500,
+        TOKEN_GENERATION_FAILED: 500,
+        UNEXPECTED_ERROR: 500,
+      },
+    },
+    'POST /register': {
+      summary: 'Create an account',
+      status: 201,
+      body: {
+        type: 'object',
+        properties: {
+          email: { type: 'string', format: 'email' },
+          password: { type: 'string' },
+          phoneNumber: { type: 'string' },
+          role: { type: 'string', enum: ['landlord', 'dual', 'tenant'] },
+        },
+        required: ['email', 'password', 'role'],
+      },
+      errors: { EMAIL_FORMAT_ERROR: 400, WEAK_PASSWORD: 400, INVALID_ROLE: 403, EMAIL_EXISTS: 409, PHONE_EXISTS: 409, UNEXPECTED_ERROR: 500 },
+    },
+    'GET /current-user': {
+      summary: 'The signed-in user',
+    },
+    'POST /logout': {
+      summary: 'Revoke the current session',
+    },
+    'POST /logout-all': {
+      summary: 'Revoke every session of the signed-in user',
+    },
+    'POST /forgot-password': {
+      summary: 'Email a password reset code',
+      body: { type: 'object', properties: { email: { type: 'string', format: 'email' } }, required: ['email'] },
+      errors: {
+        INVALID_EMAIL: 400,
+        USER_NOT_FOUND: 404,
+        DB_CONNECTION_FAILED: 503,
+        DB_QUERY_FAILED: 500,
+        REDIS_ERROR: 500,
+        EMAIL_FAILED: 500,
+        UNEXPECTED_ERROR: 500,
+      },
+    },
+    'POST /reset-password': {
+      summary: 'Set a new password with a reset token or code',
+      body: {
+        type: 'object',
+        properties: {
+          token: { type: 'string' },
+          otp: { type: 'string' },
+          email: { type: 'string', format: 'email' },
+          newPassword: { type: 'string' },
+        },
+        required: ['newPassword'],
+      },
+      errors: {
+        MISSING_CREDENTIALS: 400,
+        WEAK_PASSWORD: 400,
+        INVALID_TOKEN: 400,
+        INVALID_OTP: 400,
+        USER_NOT_FOUND: 404,
+        DB_CONNECTION_FAILED: 503,
+        DB_QUERY_FAILED: 500,
+        REDIS_ERROR: 500,
+        UPDATE_FAILED: 500,
+        UNEXPECTED_ERROR: 500,
+      },
+    },
+    'PUT /upgrade': {
+      summary: 'Upgrade the signed-in user to a lister role',
+      description: 'Returns a new token carrying the new role; the old session is revoked.',
+      body: { type: 'object', properties: { newRole: { type: 'string' } }, required: ['newRole'] },
+      errors: { ROLE_NOT_ELIGIBLE: 403, DB_CONNECTION_FAILED: 503, ROLE_UPDATE_FAILED: 500, TOKEN_GENERATION_FAILED: 500 },
+    },
+    'GET /profile': {
+      summary: 'Profile of the signed-in user',
+      errors: { USER_NOT_FOUND: 404, DB_QUERY_FAILED: 500 },
+    },
+    'POST /favorites': {
+      summary: 'Add a favorite',
+      body: favorite,
+      errors: { INVALID_BODY: 400, INVALID_INPUT: 400, DB_CONNECTION_FAILED: 503, INSERT_FAILED: 500 },
+    },
+    'DELETE /favorites': {
+      summary: 'Remove a favorite',
+      body: favorite,
+      errors: { INVALID_BODY: 400, INVALID_INPUT: 400, NOT_FOUND: 404, DB_CONNECTION_FAILED: 503, DB_QUERY_FAILED: 500, DELETE_FAILED: 500 },
+    },
+    'GET /favorites': {
+      summary: 'List favorites',
+      errors: { DB_CONNECTION_FAILED: 503, DB_QUERY_FAILED: 500 },
+    },
+  },
+};
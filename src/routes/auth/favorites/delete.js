@@ -1,5 +1,7 @@
 import { getCollection } from '../../../services/astra.js';
-import { checkToken } from '../../../utils/auth.js';
+import { logger } from '../../../utils/logger.js';
+
+const log = logger.child({ module: 'auth' });
 
 /**
  * DELETE /auth/favorites
@@ -7,12 +9,7 @@ import { checkToken } from '../../../utils/auth.js';
  */
 export default async function deleteFavorite(c) {
   const timestamp = new Date().toISOString();
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
-  const user = token ? await checkToken(token) : null;
-
-  if (!user) {
-    return c.json({ success: false, error: 'UNAUTHORIZED', message: 'Invalid token.', timestamp }, 401);
-  }
+  const user = c.get('user'); // requireAuth
 
   let body;
   try {
@@ -34,7 +31,7 @@ export default async function deleteFavorite(c) {
       throw new Error('Collection object missing required methods.');
     }
   } catch (err) {
-    console.error('❌ DB connection error:', err.message || err);
+    log.error('DB connection error', { err });
     return c.json({ success: false, error: 'DB_CONNECTION_FAILED', message: 'Database connection failed.', timestamp }, 503);
   }
 
@@ -48,9 +45,9 @@ export default async function deleteFavorite(c) {
     const matches = result?.data && typeof result.data === 'object' ? Object.values(result.data) : [];
     favorite = matches[0] || null;
   } catch (queryErr) {
-    console.error('❌ Favorite lookup failed:', queryErr.message || queryErr);
+    log.error('favorite lookup failed', { err: queryErr });
     if (queryErr.response?.data) {
-      console.error('📄 Astra error response:', JSON.stringify(queryErr.response.data, null, 2));
+      log.error('astra error response', { response: queryErr.response.data });
     }
     return c.json({ success: false, error: 'DB_QUERY_FAILED', message: 'Failed to locate favorite.', timestamp }, 500);
   }
@@ -62,9 +59,9 @@ export default async function deleteFavorite(c) {
   try {
     await favoritesCol.delete(favorite._id);
   } catch (deleteErr) {
-    console.error('❌ Favorite deletion failed:', deleteErr.message || deleteErr);
+    log.error('favorite deletion failed', { err: deleteErr });
     if (deleteErr.response?.data) {
-      console.error('📄 Astra error response:', JSON.stringify(deleteErr.response.data, null, 2));
+      log.error('astra error response', { response: deleteErr.response.data });
     }
     return c.json({ success: false, error: 'DELETE_FAILED', message: 'Failed to remove favorite.', timestamp }, 500);
   }
@@ -1,5 +1,7 @@
 import { getCollection } from '../../../services/astra.js';
-import { checkToken } from '../../../utils/auth.js';
+import { logger } from '../../../utils/logger.js';
+
+const log = logger.child({ module: 'auth' });
 
 /**
  * GET /auth/favorites
@@ -7,12 +9,7 @@ import { checkToken } from '../../../utils/auth.js';
  */
 export default async function getFavorites(c) {
   const timestamp = new Date().toISOString();
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
-  const user = token ? await checkToken(token) : null;
-
-  if (!user) {
-    return c.json({ success: false, error: 'UNAUTHORIZED', message: 'Invalid token.', timestamp }, 401);
-  }
+  const user = c.get('user'); // requireAuth
 
   let favoritesCol;
   try {
@@ -21,7 +18,7 @@ export default async function getFavorites(c) {
       throw new Error('Collection object missing .find() method.');
     }
   } catch (err) {
-    console.error('❌ DB connection error:', err.message || err);
+    log.error('DB connection error', { err });
     return c.json({ success: false, error: 'DB_CONNECTION_FAILED', message: 'Database connection failed.', timestamp }, 503);
   }
 
@@ -30,9 +27,9 @@ export default async function getFavorites(c) {
     const result = await favoritesCol.find({ user_id: { $eq: user.userId } });
     favorites = result?.data && typeof result.data === 'object' ? Object.values(result.data) : [];
   } catch (queryErr) {
-    console.error('❌ Favorites query failed:', queryErr.message || queryErr);
+    log.error('favorites query failed', { err: queryErr });
     if (queryErr.response?.data) {
-      console.error('📄 Astra error response:', JSON.stringify(queryErr.response.data, null, 2));
+      log.error('astra error response', { response: queryErr.response.data });
     }
     return c.json({ success: false, error: 'DB_QUERY_FAILED', message: 'Failed to fetch favorites.', timestamp }, 500);
   }
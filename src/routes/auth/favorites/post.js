@@ -1,5 +1,7 @@
 import { getCollection } from '../../../services/astra.js';
-import { checkToken } from '../../../utils/auth.js';
+import { logger } from '../../../utils/logger.js';
+
+const log = logger.child({ module: 'auth' });
 
 /**
  * POST /auth/favorites
@@ -7,12 +9,7 @@ import { checkToken } from '../../../utils/auth.js';
  */
 export default async function postFavorite(c) {
   const timestamp = new Date().toISOString();
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
-  const user = token ? await checkToken(token) : null;
-
-  if (!user) {
-    return c.json({ success: false, error: 'UNAUTHORIZED', message: 'Invalid token.', timestamp }, 401);
-  }
+  const user = c.get('user'); // requireAuth
 
   let body;
   try {
@@ -34,7 +31,7 @@ export default async function postFavorite(c) {
       throw new Error('Collection object missing .post() method.');
     }
   } catch (err) {
-    console.error('❌ DB connection error:', err.message || err);
+    log.error('DB connection error', { err });
     return c.json({ success: false, error: 'DB_CONNECTION_FAILED', message: 'Database connection failed.', timestamp }, 503);
   }
 
@@ -48,9 +45,9 @@ export default async function postFavorite(c) {
   try {
     await favoritesCol.post(favorite);
   } catch (insertErr) {
-    console.error('❌ Favorite insertion failed:', insertErr.message || insertErr);
+    log.error('favorite insertion failed', { err: insertErr });
     if (insertErr.response?.data) {
-      console.error('📄 Astra error response:', JSON.stringify(insertErr.response.data, null, 2));
+      log.error('astra error response', { response: insertErr.response.data });
     }
     return c.json({ success: false, error: 'INSERT_FAILED', message: 'Failed to add favorite.', timestamp }, 500);
   }
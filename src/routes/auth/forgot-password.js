@@ -1,7 +1,10 @@
 import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { redis } from '../../utils/auth.js';
+import { redis } from '../../services/redis.js';
 import { initZeptoMail } from '../../services/zeptoEmail.js';
+import { logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'auth' });
 
 const USERS_COLLECTION = 'users';
 
@@ -24,9 +27,9 @@ const forgotPassword = async (c) => {
     let usersCollection;
     try {
       usersCollection = await getCollection(USERS_COLLECTION);
-      console.log('📦 Connected to collection:', USERS_COLLECTION);
+      log.debug('connected to collection', { collection: USERS_COLLECTION });
     } catch (err) {
-      console.error('❌ DB connection error:', err.message || err);
+      log.error('DB connection error', { err });
       return c.json({
         success: false,
         error: 'DB_CONNECTION_FAILED',
@@ -40,7 +43,7 @@ const forgotPassword = async (c) => {
       const result = await usersCollection.find({ email: { $eq: normalizedEmail } });
       user = Object.values(result?.data || {})[0] || null;
     } catch (err) {
-      console.error('❌ Failed to query user:', err.message || err);
+      log.error('failed to query user', { err });
       return c.json({
         success: false,
         error: 'DB_QUERY_FAILED',
@@ -66,7 +69,7 @@ const forgotPassword = async (c) => {
       await redis.set(`reset:${resetToken}`, user.id, { ex: ttl });
       await redis.set(`otp:${normalizedEmail}`, otp, { ex: ttl });
     } catch (err) {
-      console.error('❌ Redis error:', err.message || err);
+      log.error('redis error', { err });
       return c.json({
         success: false,
         error: 'REDIS_ERROR',
@@ -172,7 +175,7 @@ const forgotPassword = async (c) => {
         recipientName,
       });
     } catch (err) {
-      console.error('❌ Email dispatch failed:', err.message || err);
+      log.error('email dispatch failed', { err });
       return c.json({
         success: false,
         error: 'EMAIL_FAILED',
@@ -187,7 +190,7 @@ const forgotPassword = async (c) => {
       timestamp,
     });
   } catch (err) {
-    console.error('🔥 Forgot-password error:', err.message || err);
+    log.error('forgot-password error', { err });
     return c.json({
       success: false,
       error: 'UNEXPECTED_ERROR',
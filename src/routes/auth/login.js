@@ -1,6 +1,9 @@
 import bcrypt from 'bcryptjs';
 import { assignToken, deleteAllTokens } from '../../utils/auth.js';
 import { getCollection } from '../../services/astra.js';
+import { logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'auth' });
 
 const USERS_COLLECTION = 'users';
 const isEmail = (identifier) => /\S+@\S+\.\S+/.test(identifier);
@@ -83,12 +86,13 @@ const login = async (c) => {
       userId: user._id || user.id || user.email,
       email: user.email,
       role: user.role || 'user',
+      name: user.fullname || user.name || null,
     };
 
     try {
       await deleteAllTokens(userPayload.userId); // 🔒 Invalidate previous sessions
     } catch (cleanupError) {
-      console.warn('⚠️ Failed to delete previous tokens:', cleanupError.message || cleanupError);
+      log.warn('failed to delete previous tokens', { err: cleanupError });
     }
 
     let token;
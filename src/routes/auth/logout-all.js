@@ -1,32 +1,12 @@
-import { checkToken, deleteAllTokens } from '../../utils/auth.js';
+import { deleteAllTokens } from '../../utils/auth.js';
+import { logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'auth' });
 
 const logoutAll = async (c) => {
   try {
-    const authHeader = c.req.header('Authorization');
-    const cookieHeader = c.req.header('Cookie');
-
-    let token = null;
-    if (authHeader?.startsWith('Bearer ')) {
-      token = authHeader.slice(7);
-    } else if (cookieHeader) {
-      const match = cookieHeader.match(/token=([^;]+)/);
-      if (match) token = match[1];
-    }
-
-    if (!token) {
-      return c.json({
-        status: 'unauthorized',
-        message: 'No token provided.',
-      }, 401);
-    }
-
-    const payload = await checkToken(token);
-    if (!payload) {
-      return c.json({
-        status: 'unauthorized',
-        message: 'Invalid or expired token.',
-      }, 401);
-    }
+    // requireAuth has already verified the session
+    const payload = c.get('user');
 
     await deleteAllTokens(payload.userId);
 
@@ -37,7 +17,7 @@ const logoutAll = async (c) => {
       message: 'Logged out from all sessions.',
     });
   } catch (err) {
-    console.error('🔥 Logout-all error:', err);
+    log.error('logout-all error', { err });
     return c.json({
       status: 'error',
       message: 'Unexpected server error.',
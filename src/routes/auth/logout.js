@@ -1,32 +1,13 @@
-import { checkToken, deleteToken } from '../../utils/auth.js';
+import { deleteToken } from '../../utils/auth.js';
+import { logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'auth' });
 
 const logout = async (c) => {
   try {
-    const authHeader = c.req.header('Authorization');
-    const cookieHeader = c.req.header('Cookie');
-
-    let token = null;
-    if (authHeader?.startsWith('Bearer ')) {
-      token = authHeader.slice(7);
-    } else if (cookieHeader) {
-      const match = cookieHeader.match(/token=([^;]+)/);
-      if (match) token = match[1];
-    }
-
-    if (!token) {
-      return c.json({
-        status: 'unauthorized',
-        message: 'No token provided.',
-      }, 401);
-    }
-
-    const payload = await checkToken(token);
-    if (!payload) {
-      return c.json({
-        status: 'unauthorized',
-        message: 'Invalid or expired token.',
-      }, 401);
-    }
+    // requireAuth has already verified the session
+    const payload = c.get('user');
+    const token = c.get('token');
 
     await deleteToken(payload.userId, token);
 
@@ -37,7 +18,7 @@ const logout = async (c) => {
       message: 'Logged out successfully.',
     });
   } catch (err) {
-    console.error('🔥 Logout error:', err);
+    log.error('logout error', { err });
     return c.json({
       status: 'error',
       message: 'Unexpected server error.',
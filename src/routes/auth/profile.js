@@ -1,37 +1,15 @@
 import { getCollection } from '../../services/astra.js';
-import { checkToken } from '../../utils/auth.js';
-import { parse } from 'cookie';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'auth' });
 
 const USERS_COLLECTION = 'users';
 
 const profile = async (c) => {
   const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID();
-
-  const cookieToken = parse(c.req.header('Cookie') || '').token;
-  const authToken = c.req.header('Authorization')?.replace('Bearer ', '');
-  const token = authToken || cookieToken;
+  const traceId = getRequestId();
 
-  if (!token) {
-    return c.json({
-      success: false,
-      error: 'MISSING_TOKEN',
-      message: 'Missing authentication token.',
-      timestamp,
-      traceId,
-    }, 401);
-  }
-
-  const decoded = await checkToken(token);
-  if (!decoded?.userId) {
-    return c.json({
-      success: false,
-      error: 'INVALID_TOKEN',
-      message: 'Invalid or expired token.',
-      timestamp,
-      traceId,
-    }, 401);
-  }
+  const decoded = c.get('user'); // requireAuth
 
   try {
     const users = await getCollection(USERS_COLLECTION);
@@ -57,7 +35,7 @@ const profile = async (c) => {
       traceId,
     });
   } catch (err) {
-    console.error(`❌ PROFILE_FETCH_FAILED [${traceId}]:`, err.message || err);
+    log.error('profile fetch failed', { err });
     return c.json({
       success: false,
       error: 'DB_QUERY_FAILED',
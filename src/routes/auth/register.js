@@ -1,8 +1,12 @@
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
+import { invalidate } from '../../services/cache.js';
 import { assignToken } from '../../utils/auth.js';
 import { initZeptoMail } from '../../services/zeptoEmail.js';
+import { logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'auth' });
 
 const USERS_COLLECTION = 'users';
 const ALLOWED_ROLES = ['landlord', 'dual', 'tenant']; // CEO permanently excluded
@@ -72,6 +76,7 @@ const register = async (c) => {
     };
 
     await usersCollection.post(newUser);
+    await invalidate('users');
 
     const token = await assignToken({ userId, email: normalizedEmail, role });
 
@@ -157,11 +162,11 @@ const register = async (c) => {
         recipientName: normalizedEmail,
       });
     } catch (err) {
-      console.error('❌ Welcome email failed:', err.message || err);
+      log.error('welcome email failed', { err });
     }
 
     const duration = Date.now() - startTime;
-    console.log(`✅ Registration completed in ${duration}ms for ${normalizedEmail}`);
+    log.info('registration completed', { duration });
 
     return c.json({
       success: true,
@@ -172,7 +177,7 @@ const register = async (c) => {
       timestamp,
     }, 201);
   } catch (error) {
-    console.error('🔥 Unexpected registration error:', error.message || error);
+    log.error('unexpected registration error', { err: error });
     return c.json({
       success: false,
       error: 'UNEXPECTED_ERROR',
@@ -1,6 +1,9 @@
 import bcrypt from 'bcryptjs';
 import { getCollection } from '../../services/astra.js';
-import { redis } from '../../utils/auth.js';
+import { redis } from '../../services/redis.js';
+import { logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'auth' });
 
 const USERS_COLLECTION = 'users';
 
@@ -43,7 +46,7 @@ const resetPassword = async (c) => {
         }
         await redis.del(`reset:${token}`);
       } catch (redisErr) {
-        console.error('❌ Redis token error:', redisErr.message || redisErr);
+        log.error('redis token error', { err: redisErr });
         return c.json({
           success: false,
           error: 'REDIS_ERROR',
@@ -55,7 +58,7 @@ const resetPassword = async (c) => {
       const normalizedEmail = email.trim().toLowerCase();
       try {
         const storedOtp = await redis.get(`otp:${normalizedEmail}`);
-        if (!storedOtp || storedOtp !== otp) {
+        if (!storedOtp || String(storedOtp) !== String(otp)) {
           return c.json({
             success: false,
             error: 'INVALID_OTP',
@@ -65,7 +68,7 @@ const resetPassword = async (c) => {
         }
         await redis.del(`otp:${normalizedEmail}`);
       } catch (redisErr) {
-        console.error('❌ Redis OTP error:', redisErr.message || redisErr);
+        log.error('redis OTP error', { err: redisErr });
         return c.json({
           success: false,
           error: 'REDIS_ERROR',
@@ -81,7 +84,7 @@ const resetPassword = async (c) => {
           throw new Error('Collection object missing .find() method.');
         }
       } catch (err) {
-        console.error('❌ DB connection error:', err.message || err);
+        log.error('DB connection error', { err });
         return c.json({
           success: false,
           error: 'DB_CONNECTION_FAILED',
@@ -107,9 +110,9 @@ const resetPassword = async (c) => {
 
         userId = user.id || user._id;
       } catch (queryErr) {
-        console.error('❌ User lookup failed:', queryErr.message || queryErr);
+        log.error('user lookup failed', { err: queryErr });
         if (queryErr.response?.data) {
-          console.error('📄 Astra error response:', JSON.stringify(queryErr.response.data, null, 2));
+          log.error('astra error response', { response: queryErr.response.data });
         }
         return c.json({
           success: false,
@@ -129,7 +132,7 @@ const resetPassword = async (c) => {
         throw new Error('Collection object missing .patch() method.');
       }
     } catch (err) {
-      console.error('❌ DB connection error:', err.message || err);
+      log.error('DB connection error', { err });
       return c.json({
         success: false,
         error: 'DB_CONNECTION_FAILED',
@@ -144,9 +147,9 @@ const resetPassword = async (c) => {
         updatedat: new Date(),
       });
     } catch (updateErr) {
-      console.error('❌ Password update failed:', updateErr.message || updateErr);
+      log.error('password update failed', { err: updateErr });
       if (updateErr.response?.data) {
-        console.error('📄 Astra error response:', JSON.stringify(updateErr.response.data, null, 2));
+        log.error('astra error response', { response: updateErr.response.data });
       }
       return c.json({
         success: false,
@@ -162,7 +165,7 @@ const resetPassword = async (c) => {
       timestamp,
     });
   } catch (err) {
-    console.error('🔥 Reset-password error:', err.message || err);
+    log.error('reset-password error', { err });
     return c.json({
       success: false,
       error: 'UNEXPECTED_ERROR',
@@ -1,37 +1,39 @@
 import { Hono } from 'hono';
+import { requireAuth } from '../../middleware/auth.js';
+import { lazyHandler } from '../../utils/lazyHandler.js';
 
 // Core auth routes
-import login from './login.js';
-import register from './register.js';
-import currentUser from './current-user.js';
-import logout from './logout.js';
-import logoutAll from './logout-all.js';
-import forgotPassword from './forgot-password.js';
-import resetPassword from './reset-password.js';
-import upgrade from './upgrade.js';
-import profile from './profile.js';
+const login = lazyHandler(() => import('./login.js'));
+const register = lazyHandler(() => import('./register.js'));
+const currentUser = lazyHandler(() => import('./current-user.js'));
+const logout = lazyHandler(() => import('./logout.js'));
+const logoutAll = lazyHandler(() => import('./logout-all.js'));
+const forgotPassword = lazyHandler(() => import('./forgot-password.js'));
+const resetPassword = lazyHandler(() => import('./reset-password.js'));
+const upgrade = lazyHandler(() => import('./upgrade.js'));
+const profile = lazyHandler(() => import('./profile.js'));
 
 // Favorites feature
-import postFavorite from './favorites/post.js';
-import deleteFavorite from './favorites/delete.js';
-import getFavorites from './favorites/get.js';
+const postFavorite = lazyHandler(() => import('./favorites/post.js'));
+const deleteFavorite = lazyHandler(() => import('./favorites/delete.js'));
+const getFavorites = lazyHandler(() => import('./favorites/get.js'));
 
 const authRouter = new Hono();
 
 // Authentication and user management
 authRouter.post('/login', login);
 authRouter.post('/register', register);
-authRouter.get('/current-user', currentUser);
-authRouter.post('/logout', logout);
-authRouter.post('/logout-all', logoutAll);
+authRouter.get('/current-user', requireAuth(), currentUser);
+authRouter.post('/logout', requireAuth(), logout);
+authRouter.post('/logout-all', requireAuth(), logoutAll);
 authRouter.post('/forgot-password', forgotPassword);
 authRouter.post('/reset-password', resetPassword);
-authRouter.put('/upgrade', upgrade);
-authRouter.get('/profile', profile);
+authRouter.put('/upgrade', requireAuth(), upgrade);
+authRouter.get('/profile', requireAuth(), profile);
 
 // Favorites endpoints
-authRouter.post('/favorites', postFavorite);       // Add favorite
-authRouter.delete('/favorites', deleteFavorite);   // Remove favorite
-authRouter.get('/favorites', getFavorites);        // List favorites
+authRouter.post('/favorites', requireAuth(), postFavorite);     // Add favorite
+authRouter.delete('/favorites', requireAuth(), deleteFavorite); // Remove favorite
+authRouter.get('/favorites', requireAuth(), getFavorites);      // List favorites
 
 export default authRouter;
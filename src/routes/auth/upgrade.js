@@ -1,7 +1,11 @@
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { checkToken, deleteToken, assignToken } from '../../utils/auth.js';
+import { invalidate } from '../../services/cache.js';
+import { deleteToken, assignToken } from '../../utils/auth.js';
 import { initZeptoMail } from '../../services/zeptoEmail.js';
+import { normalizeRole } from '../../utils/policy.js';
+import { logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'auth' });
 
 const USERS_COLLECTION = 'users';
 
@@ -14,31 +18,13 @@ const ROLE_TRANSITIONS = {
 
 const upgrade = async (c) => {
   const timestamp = new Date().toISOString();
-  const authHeader = c.req.header('Authorization');
-
-  if (!authHeader?.startsWith('Bearer ')) {
-    return c.json({
-      success: false,
-      error: 'UNAUTHORIZED',
-      message: 'Missing or invalid token.',
-      timestamp,
-    }, 401);
-  }
-
-  const oldToken = authHeader.split(' ')[1];
-  const decoded = await checkToken(oldToken);
-
-  if (!decoded) {
-    return c.json({
-      success: false,
-      error: 'TOKEN_INVALID',
-      message: 'Invalid or expired token.',
-      timestamp,
-    }, 401);
-  }
+  // requireAuth has verified the session being upgraded
+  const oldToken = c.get('token');
+  const decoded = c.get('user');
 
   const { userId, role: currentRole, email, name } = decoded;
-  const { newRole } = await c.req.json();
+  const body = await c.req.json();
+  const newRole = normalizeRole(body?.newRole) || body?.newRole;
 
   const allowed = ROLE_TRANSITIONS[currentRole];
   if (!allowed || !allowed.includes(newRole)) {
@@ -54,7 +40,7 @@ const upgrade = async (c) => {
   try {
     usersCollection = await getCollection(USERS_COLLECTION);
   } catch (err) {
-    console.error('❌ DB connection error:', err.message || err);
+    log.error('DB connection error', { err });
     return c.json({
       success: false,
       error: 'DB_CONNECTION_FAILED',
@@ -68,8 +54,9 @@ const upgrade = async (c) => {
       role: newRole,
       updatedat: new Date(),
     });
+    await invalidate('users');
   } catch (err) {
-    console.error('❌ Role update failed:', err.message || err);
+    log.error('role update failed', { err });
     return c.json({
       success: false,
       error: 'ROLE_UPDATE_FAILED',
@@ -81,14 +68,14 @@ const upgrade = async (c) => {
   try {
     await deleteToken(userId, oldToken);
   } catch (err) {
-    console.warn('⚠️ Token deletion warning:', err.message || err);
+    log.warn('token deletion failed', { err });
   }
 
   let newToken;
   try {
-    newToken = await assignToken({ userId, email, role: newRole });
+    newToken = await assignToken({ userId, email, role: newRole, name });
   } catch (err) {
-    console.error('❌ Token generation failed:', err.message || err);
+    log.error('token generation failed', { err });
     return c.json({
       success: false,
       error: 'TOKEN_GENERATION_FAILED',
@@ -175,7 +162,7 @@ const upgrade = async (c) => {
       recipientName: name || 'User',
     });
   } catch (err) {
-    console.error('❌ Email dispatch failed:', err.message || err);
+    log.error('email dispatch failed', { err });
   }
 
   c.header(
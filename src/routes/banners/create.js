@@ -1,6 +1,9 @@
 import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { checkToken } from '../../utils/auth.js';
+import { invalidate } from '../../services/cache.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'banners' });
 
 /**
  * POST /banners
@@ -8,33 +11,9 @@ import { checkToken } from '../../utils/auth.js';
  */
 export const createBanner = async (c) => {
   const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID();
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
-
-  const user = token ? await checkToken(token) : null;
-  if (!user || !['admin', 'ceo'].includes(user.role)) {
-    return c.json({
-      success: false,
-      error: 'UNAUTHORIZED',
-      message: 'Only admin or ceo can create banners.',
-      timestamp,
-      traceId,
-    }, 403);
-  }
-
-  let body;
-  try {
-    body = await c.req.json();
-    if (!body || typeof body !== 'object') throw new Error('Invalid JSON');
-  } catch (err) {
-    return c.json({
-      success: false,
-      error: 'INVALID_BODY',
-      message: 'Request body must be valid JSON.',
-      timestamp,
-      traceId,
-    }, 400);
-  }
+  const traceId = getRequestId();
+  const user = c.get('user'); // requireRole
+  const body = c.req.valid('json'); // validate()
 
   const banner_id = `BNR-${crypto.randomUUID()}`;
   const banner = {
@@ -48,6 +27,7 @@ export const createBanner = async (c) => {
   try {
     const bannersCol = await getCollection('banners');
     await bannersCol.post(banner);
+    await invalidate('banners');
 
     return c.json({
       success: true,
@@ -57,9 +37,9 @@ export const createBanner = async (c) => {
       traceId,
     }, 200);
   } catch (err) {
-    console.error('❌ Banner insert failed:', err.message || err);
+    log.error('banner insert failed', { err });
     if (err.response?.data) {
-      console.error('📄 Astra error response:', JSON.stringify(err.response.data, null, 2));
+      log.error('astra error response', { response: err.response.data });
     }
     return c.json({
       success: false,
@@ -1,7 +1,9 @@
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { checkToken } from '../../utils/auth.js';
+import { invalidate } from '../../services/cache.js';
 import { initR2 } from '../../services/r2.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'banners' });
 
 /**
  * DELETE /banners/:id
@@ -9,27 +11,14 @@ import { initR2 } from '../../services/r2.js';
  */
 export const deleteBanner = async (c) => {
   const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID();
+  const traceId = getRequestId();
   const bannerId = c.req.param('id');
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
-  const user = token ? await checkToken(token) : null;
-
-  if (!user || !['admin', 'ceo'].includes(user.role)) {
-    return c.json({
-      success: false,
-      error: 'UNAUTHORIZED',
-      message: 'Only admin or ceo can delete banners.',
-      timestamp,
-      traceId,
-    }, 403);
-  }
-
   let bannersCol;
   try {
     bannersCol = await getCollection('banners');
   } catch (err) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ DB connection error:', err.message || err);
+      log.error('DB connection error', { err });
     }
     return c.json({
       success: false,
@@ -46,7 +35,7 @@ export const deleteBanner = async (c) => {
     banner = Object.values(result?.data || {})[0];
   } catch (err) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ Banner query failed:', err.message || err);
+      log.error('banner query failed', { err });
     }
     return c.json({
       success: false,
@@ -72,9 +61,10 @@ export const deleteBanner = async (c) => {
 
   try {
     await bannersCol.delete(bannerId);
+    await invalidate('banners');
   } catch (err) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ Banner delete failed:', err.message || err);
+      log.error('banner delete failed', { err });
     }
     return c.json({
       success: false,
@@ -91,7 +81,7 @@ export const deleteBanner = async (c) => {
       await r2.deleteFile(key);
     } catch (err) {
       if (process.env.NODE_ENV !== 'production') {
-        console.warn('⚠️ R2 image delete failed:', err.message || err);
+        log.warn('R2 image delete failed', { err });
       }
     }
   }
@@ -0,0 +1,29 @@
+// OpenAPI descriptions for /banners (see utils/openapi.js)
+
+export default {
+  tag: 'Banners',
+  description: 'Promotional banners shown on the home page.',
+  operations: {
+    'GET /': {
+      summary: 'List banners',
+      errors: { FETCH_ERROR: 500 },
+    },
+    'GET /:id': {
+      summary: 'Get a banner',
+      errors: { INVALID_ID: 400, BANNER_NOT_FOUND: 404, DB_CONNECTION_FAILED: 503, QUERY_FAILED: 500 },
+    },
+    'POST /': {
+      summary: 'Create a banner',
+      errors: { INSERT_FAILED: 500 },
+    },
+    'PUT /:id': {
+      summary: 'Update a banner',
+      description: 'Replacing `image` deletes the previous file from storage.',
+      errors: { BANNER_NOT_FOUND: 404, DB_CONNECTION_FAILED: 503, DB_QUERY_FAILED: 500, UPDATE_FAILED: 500 },
+    },
+    'DELETE /:id': {
+      summary: 'Delete a banner',
+      errors: { BANNER_NOT_FOUND: 404, DB_CONNECTION_FAILED: 503, DB_QUERY_FAILED: 500, DELETE_FAILED: 500 },
+    },
+  },
+};
@@ -1,4 +1,7 @@
 import { getCollection } from '../../services/astra.js';
+import { logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'banners' });
 
 /**
  * GET /banners/:id
@@ -22,7 +25,7 @@ export const getBannerById = async (c) => {
   try {
     bannersCol = await getCollection('banners');
   } catch (err) {
-    console.error('❌ DB connection error:', err?.message || err);
+    log.error('DB connection error', { err });
     return c.json({
       success: false,
       error: 'DB_CONNECTION_FAILED',
@@ -61,7 +64,7 @@ export const getBannerById = async (c) => {
       timestamp,
     }, 200);
   } catch (err) {
-    console.error(`❌ Banner query failed for id ${id}:`, err?.message || err);
+    log.error('banner query failed', { id, err });
     return c.json({
       success: false,
       error: 'QUERY_FAILED',
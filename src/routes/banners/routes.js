@@ -1,40 +1,31 @@
 import { Hono } from 'hono';
-import { createBanner } from './create.js';
-import { deleteBanner } from './delete.js';
-import { updateBanner } from './update.js';
-import { getBanners } from './get.js';
-import { getBannerById } from './id.js';
+import { requirePermission } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import { bannerIdParams, createBannerSchema, updateBannerSchema } from './schemas.js';
+import { lazyHandler } from '../../utils/lazyHandler.js';
 
+const createBanner = lazyHandler(() => import('./create.js'), 'createBanner');
+const deleteBanner = lazyHandler(() => import('./delete.js'), 'deleteBanner');
+const updateBanner = lazyHandler(() => import('./update.js'), 'updateBanner');
+const getBanners = lazyHandler(() => import('./get.js'), 'getBanners');
+const getBannerById = lazyHandler(() => import('./id.js'), 'getBannerById');
+
+// Requests are logged by middleware/requestContext.js
 const bannersRoutes = new Hono({ strict: false });
 
 // GET all banners
-bannersRoutes.get('/', async (c) => {
-  console.log('📥 GET /banners request received');
-  return await getBanners(c);
-});
+bannersRoutes.get('/', getBanners);
 
 // GET single banner by id
-bannersRoutes.get('/:id', async (c) => {
-  console.log(`📥 GET /banners/${c.req.param('id')} request received`);
-  return await getBannerById(c);
-});
+bannersRoutes.get('/:id', getBannerById);
 
 // Create new banner
-bannersRoutes.post('/', async (c) => {
-  console.log('📤 POST /banners request received');
-  return await createBanner(c);
-});
+bannersRoutes.post('/', requirePermission('banner:create'), validate({ json: createBannerSchema }), createBanner);
 
 // Update banner by ID
-bannersRoutes.put('/:id', async (c) => {
-  console.log(`✏️ PUT /banners/${c.req.param('id')} request received`);
-  return await updateBanner(c);
-});
+bannersRoutes.put('/:id', requirePermission('banner:update'), validate({ param: bannerIdParams, json: updateBannerSchema }), updateBanner);
 
 // Delete banner by ID
-bannersRoutes.delete('/:id', async (c) => {
-  console.log(`🗑 DELETE /banners/${c.req.param('id')} request received`);
-  return await deleteBanner(c);
-});
+bannersRoutes.delete('/:id', requirePermission('banner:delete'), validate({ param: bannerIdParams }), deleteBanner);
 
 export default bannersRoutes;
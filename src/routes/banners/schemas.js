@@ -0,0 +1,31 @@
+// Request schemas for /banners (see middleware/validate.js)
+
+const bannerFields = {
+  title: { type: 'string', minLength: 1, maxLength: 150 },
+  subtitle: { type: 'string', maxLength: 300 },
+  description: { type: 'string', maxLength: 2000 },
+  image: { type: 'string', format: 'uri' },
+  link: { type: 'string', format: 'uri' },
+  cta_text: { type: 'string', maxLength: 50 },
+  position: { type: 'integer', minimum: 0 },
+  active: { type: 'boolean' },
+  starts_at: { type: 'string', format: 'date-time' },
+  ends_at: { type: 'string', format: 'date-time' },
+};
+
+export const bannerIdParams = {
+  type: 'object',
+  properties: { id: { type: 'string', minLength: 1, maxLength: 100 } },
+  required: ['id'],
+};
+
+export const createBannerSchema = {
+  type: 'object',
+  properties: bannerFields,
+  required: ['title', 'image'],
+};
+
+export const updateBannerSchema = {
+  type: 'object',
+  properties: bannerFields,
+};
@@ -1,7 +1,9 @@
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { checkToken } from '../../utils/auth.js';
+import { invalidate } from '../../services/cache.js';
 import { initR2 } from '../../services/r2.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'banners' });
 
 /**
  * PUT /banners/:id
@@ -10,32 +12,17 @@ import { initR2 } from '../../services/r2.js';
  */
 export const updateBanner = async (c) => {
   const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID();
+  const traceId = getRequestId();
   const bannerId = c.req.param('id');
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
-
-  // --- 🔄 Parallel warmup ---
-  const [userResult, collectionResult] = await Promise.allSettled([
-    token ? checkToken(token) : null,
+  const [collectionResult] = await Promise.allSettled([
     getCollection('banners'),
   ]);
 
-  const user = userResult.status === 'fulfilled' ? userResult.value : null;
   const bannersCol = collectionResult.status === 'fulfilled' ? collectionResult.value : null;
 
-  if (!user || !['admin', 'ceo'].includes(user.role)) {
-    return c.json({
-      success: false,
-      error: 'UNAUTHORIZED',
-      message: 'Only admin or ceo can update banners.',
-      timestamp,
-      traceId,
-    }, 403);
-  }
-
   if (!bannersCol) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ DB connection failed:', collectionResult.reason?.message || collectionResult.reason);
+      log.error('DB connection failed', { err: collectionResult.reason });
     }
     return c.json({
       success: false,
@@ -52,7 +39,7 @@ export const updateBanner = async (c) => {
     banner = Object.values(result?.data || {})[0];
   } catch (err) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ Banner query failed:', err.message || err);
+      log.error('banner query failed', { err });
     }
     return c.json({
       success: false,
@@ -73,19 +60,7 @@ export const updateBanner = async (c) => {
     }, 404);
   }
 
-  let body;
-  try {
-    body = await c.req.json();
-    if (!body || typeof body !== 'object') throw new Error('Invalid JSON');
-  } catch (err) {
-    return c.json({
-      success: false,
-      error: 'INVALID_BODY',
-      message: 'Request body must be valid JSON.',
-      timestamp,
-      traceId,
-    }, 400);
-  }
+  const body = c.req.valid('json'); // validate()
 
   const oldImageUrl = banner.image;
   const newImageUrl = body.image;
@@ -99,11 +74,11 @@ export const updateBanner = async (c) => {
       const r2 = await initR2();
       await r2.deleteFile(key);
       if (process.env.NODE_ENV !== 'production') {
-        console.log(`🧹 Deleted old image from R2: ${key}`);
+        log.info('deleted old image from R2', { key });
       }
     } catch (err) {
       if (process.env.NODE_ENV !== 'production') {
-        console.warn('⚠️ Failed to delete old image from R2:', err.message || err);
+        log.warn('failed to delete old image from R2', { err });
       }
     }
   }
@@ -111,8 +86,9 @@ export const updateBanner = async (c) => {
   // --- ✏️ Patch banner ---
   try {
     await bannersCol.patch(bannerId, body);
+    await invalidate('banners');
     if (process.env.NODE_ENV !== 'production') {
-      console.log(`✏️ Updated banner document: ${bannerId}`);
+      log.info('banner updated', { bannerId });
     }
     return c.json({
       success: true,
@@ -123,7 +99,7 @@ export const updateBanner = async (c) => {
     }, 200);
   } catch (err) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ Banner update failed:', err.message || err);
+      log.error('banner update failed', { err });
     }
     return c.json({
       success: false,
@@ -0,0 +1,238 @@
+// cancel.js
+import { getCollection } from '../../services/astra.js';
+import { AvailabilityError, lockRoom } from '../../services/availability.js';
+import { BookingTransitionError, bookingStatus, transitionBooking } from '../../services/bookingLifecycle.js';
+import { claimRecord } from '../../services/paymentClaims.js';
+import { RefundError, createRefund } from '../../services/refunds.js';
+import { initZeptoMail } from '../../services/zeptoEmail.js';
+import { checkBookingLinkToken } from '../../utils/auth.js';
+import { cancellationQuote } from '../../utils/cancellationPolicy.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'bookings.cancel' });
+
+const CANCEL_SCOPE = 'booking:cancel';
+
+const findBooking = async (bookingId) => {
+  const col = await getCollection('bookings');
+  const result = await col.find({ booking_id: { $eq: bookingId } });
+  return Object.values(result?.data || {})[0] || null;
+};
+
+// Bookings from before policies were kept on the booking use their property's
+const bookingPolicy = async (booking) => {
+  if (booking.cancellation_policy) return booking.cancellation_policy;
+  const col = await getCollection('properties');
+  const result = await col.find({ property_id: { $eq: booking.property_id } });
+  return Object.values(result?.data || {})[0]?.cancellation_policy;
+};
+
+// Only a payment claimed for this booking is refunded: the stored reference
+// alone could name any payment (CEO bookings skip payment)
+const paidReference = async (booking) => {
+  if (!booking.payment_reference) return null;
+  const claim = await claimRecord(booking.payment_reference);
+  return claim?.linked_booking_id === booking.booking_id ? booking.payment_reference : null;
+};
+
+const quoteFor = (booking, policy, reference, now) => {
+  const quote = cancellationQuote(booking, policy, now);
+  return reference ? quote : { ...quote, refundable_amount: 0 };
+};
+
+// The tenant cancels signed in, a guest with the signed link from their confirmation email
+const canceller = (c, booking, token) => {
+  const user = c.get('user'); // authenticate (optional)
+  if (checkBookingLinkToken(token, booking.booking_id, CANCEL_SCOPE)) {
+    return { by: user?.userId || booking.guest?.email || booking.tenant_email || 'guest' };
+  }
+  if (token) return { error: 'INVALID_CANCEL_LINK', message: 'This cancellation link is invalid or has expired.', status: 401 };
+  if (!user) return { error: 'UNAUTHORIZED', message: 'Sign in or use the cancellation link from your confirmation email.', status: 401 };
+  if (booking.tenant_id !== user.userId) {
+    return { error: 'FORBIDDEN', message: 'Only the tenant can cancel this booking here.', status: 403 };
+  }
+  return { user, by: user.userId };
+};
+
+const loadFailed = (c, err, timestamp, traceId) => {
+  if (process.env.NODE_ENV !== 'production') {
+    log.error('booking query failed', { err });
+  }
+  return c.json({
+    success: false,
+    error: 'DB_QUERY_FAILED',
+    message: 'Failed to retrieve booking.',
+    timestamp,
+    traceId,
+  }, 500);
+};
+
+const notFound = (c, bookingId, timestamp, traceId) => c.json({
+  success: false,
+  error: 'BOOKING_NOT_FOUND',
+  message: `No booking found with ID "${bookingId}".`,
+  timestamp,
+  traceId,
+}, 404);
+
+const notifyLandlord = async (c, booking, { quote, refund, reason }) => {
+  if (!booking.landlord_email) return;
+  try {
+    const zepto = await initZeptoMail(c.env);
+    const tenant = booking.guest?.full_name || booking.tenant_email || 'The tenant';
+    const dates = booking.start_date ? `${booking.start_date} to ${booking.end_date}` : 'open-ended';
+    await zepto.sendCustomerCareReply({
+      to: booking.landlord_email,
+      subject: `Booking Cancelled – ${booking.property_title || booking.room_title || booking.booking_id}`,
+      htmlbody: `
+        <html>
+          <body>
+            <p>${tenant} has cancelled booking ${booking.booking_id} for ${booking.room_title || 'a room'} (${dates}).</p>
+            ${reason ? `<p>Reason: ${reason}</p>` : ''}
+            <p>Refund under the ${quote.policy} policy: ${quote.currency || ''} ${refund?.amount ?? 0} (${quote.refund_percent}%).</p>
+            <p>The room is open for these dates again.</p>
+          </body>
+        </html>
+      `,
+      recipientName: 'Landlord',
+    });
+  } catch (err) {
+    log.warn('cancellation email failed', { bookingId: booking.booking_id, err });
+  }
+};
+
+/**
+ * GET /bookings/:id/cancel?token=
+ * What cancelling now would refund under the booking's cancellation policy
+ * (see utils/cancellationPolicy.js). For the tenant, or a guest with the
+ * signed link from their confirmation email.
+ */
+export const getCancellation = async (c) => {
+  const timestamp = new Date().toISOString();
+  const traceId = getRequestId();
+  const { id: bookingId } = c.req.valid('param');
+  const { token } = c.req.valid('query');
+
+  let booking, policy, reference;
+  try {
+    booking = await findBooking(bookingId);
+    if (booking) [policy, reference] = await Promise.all([bookingPolicy(booking), paidReference(booking)]);
+  } catch (err) {
+    return loadFailed(c, err, timestamp, traceId);
+  }
+  if (!booking) return notFound(c, bookingId, timestamp, traceId);
+
+  const who = canceller(c, booking, token);
+  if (who.error) return c.json({ success: false, error: who.error, message: who.message, timestamp, traceId }, who.status);
+
+  const status = bookingStatus(booking);
+  return c.json({
+    success: true,
+    data: {
+      booking_id: bookingId,
+      status,
+      cancellable: ['pending_payment', 'confirmed'].includes(status),
+      ...quoteFor(booking, policy, reference),
+    },
+    timestamp,
+    traceId,
+  }, 200);
+};
+
+/**
+ * POST /bookings/:id/cancel
+ * Cancels the booking as its tenant (signed in, or a guest with `token` from
+ * the confirmation email), frees the room's dates, refunds what the
+ * cancellation policy allows and emails the landlord. A refund that fails
+ * leaves the booking cancelled; the response carries the refund's error.
+ */
+export const cancelBooking = async (c) => {
+  const timestamp = new Date().toISOString();
+  const traceId = getRequestId();
+  const { id: bookingId } = c.req.valid('param');
+  const { token = c.req.valid('query').token, reason } = c.req.valid('json');
+
+  let booking;
+  try {
+    booking = await findBooking(bookingId);
+  } catch (err) {
+    return loadFailed(c, err, timestamp, traceId);
+  }
+  if (!booking) return notFound(c, bookingId, timestamp, traceId);
+
+  const who = canceller(c, booking, token);
+  if (who.error) return c.json({ success: false, error: who.error, message: who.message, timestamp, traceId }, who.status);
+
+  let releaseRoom = null;
+  let cancelled, quote, reference;
+  try {
+    // one cancellation (and refund) per booking: re-read under the room lock
+    releaseRoom = await lockRoom(booking.room_id);
+    booking = await findBooking(bookingId);
+    reference = await paidReference(booking);
+    quote = quoteFor(booking, await bookingPolicy(booking), reference, new Date(timestamp));
+
+    cancelled = await transitionBooking(booking, 'cancelled', { user: who.user, party: 'tenant', by: who.by, note: reason, traceId });
+    const bookingsCol = await getCollection('bookings');
+    await bookingsCol.patch(booking._id, {
+      cancellation: {
+        policy: quote.policy,
+        hours_before_check_in: quote.hours_before_check_in,
+        refund_percent: quote.refund_percent,
+        refundable_amount: quote.refundable_amount,
+        reason: reason || null,
+        at: timestamp,
+      },
+    });
+  } catch (err) {
+    if (err instanceof BookingTransitionError || err instanceof AvailabilityError) {
+      return c.json({ success: false, error: err.code, message: err.message, timestamp, traceId }, err.status);
+    }
+    log.error('booking cancellation failed', { bookingId, err });
+    return c.json({
+      success: false,
+      error: 'CANCELLATION_FAILED',
+      message: 'Failed to cancel the booking.',
+      timestamp,
+      traceId,
+    }, 500);
+  } finally {
+    await releaseRoom?.();
+  }
+
+  // The booking is cancelled either way; the refund (services/refunds.js) emails the payer
+  let refund = null;
+  if (quote.refundable_amount > 0) {
+    try {
+      ({ refund } = await createRefund({
+        reference,
+        amount: quote.refundable_amount,
+        reason: `Booking ${bookingId} cancelled (${quote.policy} policy, ${quote.refund_percent}% refund)`,
+        by: who.by,
+        traceId,
+      }));
+    } catch (err) {
+      if (!(err instanceof RefundError)) throw err;
+      log.error('cancellation refund failed', { bookingId, reference, err });
+      refund = { status: 'FAILED', amount: quote.refundable_amount, error: err.code, message: err.message };
+    }
+  }
+
+  // Email (fire-and-forget)
+  notifyLandlord(c, cancelled, { quote, refund, reason });
+
+  return c.json({
+    success: true,
+    message: 'Booking cancelled.',
+    data: {
+      booking_id: bookingId,
+      status: cancelled.status,
+      status_history: cancelled.status_history,
+      room_id: cancelled.room_id,
+      ...quote,
+      refund,
+    },
+    timestamp,
+    traceId,
+  }, 200);
+};
@@ -0,0 +1,93 @@
+// OpenAPI descriptions for /bookings (see utils/openapi.js)
+
+export default {
+  tag: 'Bookings',
+  description: 'Room bookings by signed-in tenants and guests.',
+  operations: {
+    'GET /:id': {
+      summary: 'Get a booking',
+      description: '`next_statuses` lists the statuses the caller may move it to.',
+      errors: { INVALID_BOOKING_ID: 400, BOOKING_NOT_FOUND: 404, FORBIDDEN: 403, DB_CONNECTION_FAILED: 503, DB_QUERY_FAILED: 500 },
+    },
+    'POST /': {
+      summary: 'Book a room',
+      description: 'Guests must send `full_name`, `phone_number`, `national_id` and `from`. '
+        + 'The stay is `start_date` to `end_date` (check-out) or `periods` nights or months by the room\'s `period`, '
+        + 'defaulting to the dates the payment was initiated for. '
+        + 'The payment reference is verified, must have been initiated for this room and these dates at their price, and can only be used once. '
+        + 'Dates another booking holds are rejected with `BOOKING_CONFLICT`, and dates held during checkout (`POST /rooms/:id/hold`) '
+        + 'with `ROOM_HELD` unless this is the hold\'s payment. '
+        + 'A booking that fails before its payment is spent is undone (`BOOKING_CREATION_FAILED`) and the payment can be used again.',
+      errors: {
+        MISSING_EMAIL: 400,
+        MISSING_GUEST_FIELDS: 400,
+        INVALID_DATES: 400,
+        BOOKING_CONFLICT: 409,
+        ROOM_BOOKING_IN_PROGRESS: 409,
+        ROOM_HELD: 409,
+        AVAILABILITY_UNAVAILABLE: 503,
+        HOLD_UNAVAILABLE: 503,
+        PAYMENT_USED: 409,
+        PAYMENT_CLAIM_IN_PROGRESS: 409,
+        PAYMENT_CLAIM_UNAVAILABLE: 503,
+        PAYMENT_FAILED: 402,
+        PAYMENT_REFERENCE_NOT_FOUND: 402,
+        PAYMENT_PURPOSE_MISMATCH: 402,
+        PAYMENT_CURRENCY_MISMATCH: 402,
+        PAYMENT_AMOUNT_MISMATCH: 402,
+        ROOM_OR_PROPERTY_NOT_FOUND: 404,
+        LANDLORD_NOT_FOUND: 404,
+        BOOKING_CREATION_FAILED: 500,
+      },
+    },
+    'GET /:id/cancel': {
+      summary: 'Preview a cancellation',
+      description: 'What cancelling now would refund under the booking\'s cancellation policy (flexible, moderate or strict): '
+        + '`refund_percent` of the amount paid, less earlier refunds. For the tenant, or a guest with the `token` '
+        + 'from the cancellation link in their confirmation email.',
+      errors: { BOOKING_NOT_FOUND: 404, UNAUTHORIZED: 401, INVALID_CANCEL_LINK: 401, FORBIDDEN: 403, DB_QUERY_FAILED: 500 },
+    },
+    'POST /:id/cancel': {
+      summary: 'Cancel a booking',
+      description: 'Cancels the booking as its tenant (signed in, or a guest sending the link\'s `token`), frees its dates, '
+        + 'refunds `refundable_amount` to the payment and emails the landlord. The body may be `{}`; `reason` is kept in `status_history`. '
+        + 'A refund that fails leaves the booking cancelled, with `refund.status` FAILED and the refund\'s error.',
+      errors: {
+        BOOKING_NOT_FOUND: 404,
+        UNAUTHORIZED: 401,
+        INVALID_CANCEL_LINK: 401,
+        FORBIDDEN: 403,
+        INVALID_TRANSITION: 409,
+        ROOM_BOOKING_IN_PROGRESS: 409,
+        AVAILABILITY_UNAVAILABLE: 503,
+        DB_QUERY_FAILED: 500,
+        CANCELLATION_FAILED: 500,
+      },
+    },
+    'GET /': {
+      summary: 'List bookings',
+      description: 'Staff see every booking; everyone else sees their own.',
+      errors: { DB_CONNECTION_FAILED: 503, DB_QUERY_FAILED: 500 },
+    },
+    'PUT /:id': {
+      summary: 'Update a booking',
+      description: '`status` moves the booking through its lifecycle (pending_payment, confirmed, checked_in, checked_out, cancelled, disputed) '
+        + 'as its tenant, landlord or an admin, when the transition allows it; `note` is kept in `status_history`. '
+        + 'Dates and notes can be changed by the landlord or an admin.',
+      errors: {
+        INVALID_BOOKING_ID: 400,
+        INVALID_TRANSITION: 409,
+        NO_VALID_FIELDS: 400,
+        INVALID_DATES: 400,
+        BOOKING_NOT_FOUND: 404,
+        BOOKING_CONFLICT: 409,
+        ROOM_BOOKING_IN_PROGRESS: 409,
+        AVAILABILITY_UNAVAILABLE: 503,
+        FORBIDDEN: 403,
+        DB_CONNECTION_FAILED: 503,
+        DB_QUERY_FAILED: 500,
+        UPDATE_FAILED: 500,
+      },
+    },
+  },
+};
@@ -1,7 +1,9 @@
 // get.js
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { checkToken } from '../../utils/auth.js';
+import { can } from '../../utils/policy.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'bookings' });
 
 const parsePositiveInt = (v, fallback) => {
   const n = Number(v);
@@ -11,41 +13,18 @@ const parsePositiveInt = (v, fallback) => {
 
 const bookings = async (c) => {
   const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID();
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
-
-  if (!token) {
-    return c.json({
-      success: false,
-      error: 'UNAUTHORIZED',
-      message: 'Missing token.',
-      timestamp,
-      traceId,
-    }, 401);
-  }
+  const traceId = getRequestId();
 
-  // resolve token and collection in parallel
-  const [userResult, collectionResult] = await Promise.allSettled([
-    checkToken(token),
+  const [collectionResult] = await Promise.allSettled([
     getCollection('bookings'),
   ]);
 
-  const user = userResult.status === 'fulfilled' ? userResult.value : null;
+  const user = c.get('user'); // requireAuth
   const bookingsCol = collectionResult.status === 'fulfilled' ? collectionResult.value : null;
 
-  if (!user?.userId) {
-    return c.json({
-      success: false,
-      error: 'INVALID_TOKEN',
-      message: 'Invalid or expired token.',
-      timestamp,
-      traceId,
-    }, 401);
-  }
-
   if (!bookingsCol) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ DB connection failed:', collectionResult.reason?.message || collectionResult.reason);
+      log.error('DB connection failed', { err: collectionResult.reason });
     }
     return c.json({
       success: false,
@@ -62,8 +41,7 @@ const bookings = async (c) => {
   const perPage = parsePositiveInt(url.searchParams.get('per_page'), 20);
 
   // Determine whether actor can access all bookings
-  const privilegedRoles = ['admin', 'ceo', 'customercare'];
-  const isPrivileged = privilegedRoles.includes(String(user.role || user?.role || '').toLowerCase());
+  const isPrivileged = can(user, 'booking:read:any');
 
   try {
     // Fetch all relevant records from DB
@@ -112,7 +90,7 @@ const bookings = async (c) => {
     }, 200);
   } catch (err) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ Booking query failed:', err.message || err);
+      log.error('booking query failed', { err });
     }
     return c.json({
       success: false,
@@ -1,7 +1,10 @@
 // id.js
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { checkToken } from '../../utils/auth.js';
+import { can } from '../../utils/policy.js';
+import { bookingStatus, nextStatuses } from '../../services/bookingLifecycle.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'bookings' });
 
 /**
  * GET /bookings/:id
@@ -10,45 +13,33 @@ import { checkToken } from '../../utils/auth.js';
  *   - admin, ceo, customercare can fetch any booking
  *   - landlord can fetch bookings where booking.landlord_id === actor.userId
  *   - tenant can fetch bookings where booking.tenant_id === actor.userId
+ * - next_statuses: where the actor may move it (PUT /bookings/:id)
  */
 const getBookingById = async (c) => {
   const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID();
+  const traceId = getRequestId();
   const bookingId = c.req.param('id');
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
 
-  if (!token || typeof bookingId !== 'string' || bookingId.trim() === '') {
+  if (typeof bookingId !== 'string' || bookingId.trim() === '') {
     return c.json({
       success: false,
-      error: 'UNAUTHORIZED_OR_INVALID_ID',
-      message: 'Missing token or invalid booking ID.',
+      error: 'INVALID_BOOKING_ID',
+      message: 'Invalid booking ID.',
       timestamp,
       traceId,
-    }, 401);
+    }, 400);
   }
 
-  // Resolve token and bookings collection in parallel
-  const [actorResult, collectionResult] = await Promise.allSettled([
-    checkToken(token),
+  const [collectionResult] = await Promise.allSettled([
     getCollection('bookings'),
   ]);
 
-  const actor = actorResult.status === 'fulfilled' ? actorResult.value : null;
+  const actor = c.get('user'); // requireAuth
   const bookingsCol = collectionResult.status === 'fulfilled' ? collectionResult.value : null;
 
-  if (!actor?.userId) {
-    return c.json({
-      success: false,
-      error: 'INVALID_TOKEN',
-      message: 'Invalid or expired token.',
-      timestamp,
-      traceId,
-    }, 401);
-  }
-
   if (!bookingsCol) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ DB connection failed:', collectionResult.reason?.message || collectionResult.reason);
+      log.error('DB connection failed', { err: collectionResult.reason });
     }
     return c.json({
       success: false,
@@ -73,15 +64,8 @@ const getBookingById = async (c) => {
       }, 404);
     }
 
-    // Authorization: admin / ceo / customercare can access any booking
-    const privilegedRoles = ['admin', 'ceo', 'customercare'];
-    const actorRole = String(actor.role || actor?.role || '').toLowerCase();
-    const isPrivileged = privilegedRoles.includes(actorRole);
-
-    const isLandlord = booking.landlord_id && booking.landlord_id === actor.userId;
-    const isTenant = booking.tenant_id && booking.tenant_id === actor.userId;
-
-    if (!isPrivileged && !isLandlord && !isTenant) {
+    // Authorization: staff read any booking, tenant/landlord their own
+    if (!can(actor, 'booking:read', booking)) {
       return c.json({
         success: false,
         error: 'FORBIDDEN',
@@ -93,15 +77,16 @@ const getBookingById = async (c) => {
 
     return c.json({
       success: true,
-      booking,
+      booking: { ...booking, status: bookingStatus(booking) },
       booking_id: bookingId,
+      next_statuses: nextStatuses(booking, actor),
       role: actor.role || actor?.role || '',
       timestamp,
       traceId,
     }, 200);
   } catch (err) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ Booking query failed:', err.message || err);
+      log.error('booking query failed', { err });
     }
     return c.json({
       success: false,
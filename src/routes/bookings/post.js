@@ -1,47 +1,35 @@
 // src/functions/bookings/post.js
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
 import { uuid } from 'uuidv4';
-import { checkToken } from '../../utils/auth.js';
 import { initZeptoMail } from '../../services/zeptoEmail.js';
-import { initR2 } from '../../services/r2.js';
-import { htmlToPdfBuffer } from '../../utils/pdf.js';
-import { verifyPayment } from '../../services/paystack.js';
-import QRCode from 'qrcode';
+import { verifyPayment } from '../../services/payments.js';
+import { claimPayment, PaymentClaimError } from '../../services/paymentClaims.js';
+import { BookingSagaError, finishBookingSaga, runBookingSaga } from '../../services/bookingSaga.js';
+import { AvailabilityError, assertAvailable, lockRoom, roomPropertyId, stayRange, today } from '../../services/availability.js';
+import { RoomHoldError, assertHoldAllows, holderOf, releaseHold } from '../../services/roomHolds.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+import { bookingLinkToken } from '../../utils/auth.js';
+import { policyName } from '../../utils/cancellationPolicy.js';
+import {
+  bookingAmount,
+  bookingPurpose,
+  checkPayment,
+  paymentMetadata,
+  roomCurrency,
+} from '../../utils/paymentPurpose.js';
+
+const log = logger.child({ module: 'bookings' });
 
 const bookings = async (c) => {
   const startTime = Date.now();
   const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID();
-
-  let body;
-  try {
-    body = await c.req.json();
-    if (!body || typeof body !== 'object') throw new Error('Invalid JSON');
-  } catch {
-    return c.json({
-      success: false,
-      error: 'INVALID_BODY',
-      message: 'Request body must be valid JSON.',
-      traceId,
-      timestamp,
-    }, 400);
-  }
+  const traceId = getRequestId();
 
-  const { room_id: roomId, payment_reference, email: bodyEmail } = body || {};
-  if (!roomId || !payment_reference) {
-    return c.json({
-      success: false,
-      error: 'MISSING_FIELDS',
-      message: 'Both room_id and payment_reference are required.',
-      traceId,
-      timestamp,
-    }, 400);
-  }
+  const body = c.req.valid('json'); // validate()
+  const { room_id: roomId, payment_reference, email: bodyEmail } = body;
 
-  // Auth
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
-  const userPayload = token ? await checkToken(token) : null;
+  // Auth is optional here: guests book with their own contact details
+  const userPayload = c.get('user');
   const isUser = !!userPayload;
   const isCEO = userPayload?.role === 'ceo';
 
@@ -57,42 +45,42 @@ const bookings = async (c) => {
     }, 400);
   }
 
+  // Guests book with their own details; checked before the payment is claimed
+  if (!isUser && !(body.full_name && body.phone_number && body.national_id && body.from)) {
+    return c.json({
+      success: false,
+      error: 'MISSING_GUEST_FIELDS',
+      message: 'Guest details are incomplete.',
+      traceId,
+      timestamp,
+    }, 400);
+  }
+
+  // Claim on the payment reference; released in finally unless finalized
+  let claim = null;
+  // Lock on the room while its dates are checked and the booking stored
+  let releaseRoom = null;
+
   try {
     // Collections
     const [
       roomsCol,
       propertiesCol,
       usersCol,
-      bookingsCol,
-      paymentsCol,
     ] = await Promise.all([
       getCollection('rooms'),
       getCollection('properties'),
       getCollection('users'),
-      getCollection('bookings'),
-      getCollection('payments'),
     ]);
 
     // Payment verification (CEO bypass). Allow valid payments that don't exist in DB.
     let paymentData = null;
     if (!isCEO) {
-      // Check local DB for "used" status only; absence in DB should NOT block.
-      try {
-        const existing = await paymentsCol.find({ reference: { $eq: payment_reference } });
-        const existingRow = Object.values(existing?.data || {})[0];
-        if (existingRow?.status === 'used') {
-          return c.json({
-            success: false,
-            error: 'PAYMENT_USED',
-            message: 'This payment reference has already been used.',
-            traceId,
-            timestamp,
-          }, 409);
-        }
-      } catch (dbCheckErr) {
-        // Non-fatal: proceed with provider verification even if DB check fails
-        console.warn('⚠️ Payment DB check failed (non-fatal):', dbCheckErr?.message || dbCheckErr);
-      }
+      // Reserve the reference before anything else (PAYMENT_USED when spent)
+      claim = await claimPayment(payment_reference, {
+        purpose: { type: 'booking', room_id: roomId }, // the dates are checked once the room is known
+        claimedBy: userPayload?.userId || resolvedEmail,
+      });
 
       // Verify with provider (authoritative)
       try {
@@ -121,12 +109,10 @@ const bookings = async (c) => {
       }
     }
 
-    // Fetch room and property
-    const [roomDoc, propertyDoc] = await Promise.all([
-      roomsCol.find({ room_id: { $eq: roomId } }),
-      propertiesCol.find({ property_id: { $eq: roomId.split('-')[0] } }),
-    ]);
+    // Fetch room, then its property
+    const roomDoc = await roomsCol.find({ room_id: { $eq: roomId } });
     const room = Object.values(roomDoc?.data || {})[0];
+    const propertyDoc = room && await propertiesCol.find({ property_id: { $eq: roomPropertyId(room) } });
     const property = Object.values(propertyDoc?.data || {})[0];
     if (!room || !property) {
       return c.json({
@@ -138,6 +124,34 @@ const bookings = async (c) => {
       }, 404);
     }
 
+    // Dates from the body, else those the payment was made for (one period from today for CEO bookings)
+    const paid = paymentData ? paymentMetadata(paymentData).purpose || {} : {};
+    let dates = { start_date: today(), periods: body.periods };
+    if (body.start_date) dates = { start_date: body.start_date, end_date: body.end_date, periods: body.periods };
+    else if (paid.start_date) dates = { start_date: paid.start_date, end_date: paid.end_date };
+    // paid dates were checked at initiation and may have started since
+    const stay = stayRange(room, dates, { allowPast: !!paymentData });
+
+    // The payment must have been initiated for this room and these dates, at their price
+    if (paymentData) {
+      const mismatch = checkPayment(paymentData, {
+        amount: bookingAmount(room, stay),
+        currency: roomCurrency(room),
+        purpose: bookingPurpose(roomId, stay),
+      });
+      if (mismatch) {
+        return c.json({ success: false, ...mismatch, traceId, timestamp }, 402);
+      }
+    }
+
+    // No other booking may hold these dates, and a checkout hold only lets its own payment through
+    releaseRoom = await lockRoom(roomId);
+    await assertAvailable(roomId, stay);
+    const hold = await assertHoldAllows(roomId, stay, {
+      reference: payment_reference,
+      holder: holderOf(userPayload, resolvedEmail),
+    });
+
     // Landlord
     const landlordDoc = await usersCol.find({ user_id: { $eq: property.landlord_id } });
     const landlord = Object.values(landlordDoc?.data || {})[0];
@@ -156,11 +170,20 @@ const bookings = async (c) => {
     const booking = {
       booking_id: uuid(),
       active: true, // primary status flag
+      // paid: the lifecycle starts at confirmed (services/bookingLifecycle.js)
+      status: 'confirmed',
+      confirmed_at: timestamp,
+      status_history: [{ status: 'confirmed', from: null, at: timestamp, by: userPayload?.userId || resolvedEmail, traceId }],
       receipt_id: receiptId,
       room_id: roomId,
       room_title: room.title,
       room_price: room.price,
       room_type: room.type,
+      start_date: stay.start_date,
+      end_date: stay.end_date, // check-out, exclusive
+      period: stay.period,
+      periods: stay.periods,
+      amount: bookingAmount(room, stay),
       property_id: property.property_id,
       property_title: property.title,
       property_location: property.location,
@@ -168,12 +191,15 @@ const bookings = async (c) => {
       landlord_email: landlord.email,
       created_at: timestamp,
       category: 'standard',
-      currency: 'KES',
+      currency: roomCurrency(room),
+      // refunds on cancellation follow the property's policy at booking time
+      cancellation_policy: policyName(property.cancellation_policy),
       receipt_sent: false,
       audit_ip: c.req.header('x-forwarded-for') || '',
       audit_useragent: c.req.header('user-agent') || '',
       audit_traceid: traceId,
-      payment_reference, // tie booking to payment
+      // tie booking to payment; CEO bookings that skipped payment keep none
+      payment_reference: claim ? payment_reference : null,
     };
 
     // Tenant info
@@ -188,18 +214,9 @@ const bookings = async (c) => {
       tenantEmail = bodyEmail || userPayload.email || resolvedEmail;
       tenantName = userPayload.name || body?.full_name || 'Tenant';
     } else {
-      // Guest flow
+      // Guest flow (details checked above)
       const { full_name, phone_number, national_id, from } = body;
-      if (!full_name || !phone_number || !national_id || !from) {
-        return c.json({
-          success: false,
-          error: 'MISSING_GUEST_FIELDS',
-          message: 'Guest details are incomplete.',
-          traceId,
-          timestamp,
-        }, 400);
-      }
-      booking.guest = { full_name, phone_number, national_id, from };
+      booking.guest = { full_name, phone_number, national_id, from, email: resolvedEmail };
       tenantEmail = resolvedEmail;
       tenantName = full_name || 'Guest';
     }
@@ -209,39 +226,37 @@ const bookings = async (c) => {
       booking.tenant_id = body.tenant_id;
     }
 
-    // Generate receipt: QR + PDF
-    const verifyUrl = `https://housika.co.ke/verify-receipt/${receiptId}`;
-    const [qrDataUrl, pdfBuffer] = await Promise.all([
-      QRCode.toDataURL(verifyUrl),
-      htmlToPdfBuffer(`<!doctype html><html><body><h1>Receipt</h1><p>Booking receipt for ${tenantName}</p><img src="${qrDataUrl}" /></body></html>`),
-    ]);
-
-    // Upload receipt to R2
-    const r2 = initR2();
-    const receiptKey = `receipts/${receiptId}.pdf`;
-    await r2.uploadFile(receiptKey, pdfBuffer, 'application/pdf');
-    booking.receipt_url = r2.generatePublicUrl(receiptKey);
-    booking.receipt_sent = true;
-
-    // Persist booking and update state
-    const nextUnits = Math.max(0, (property.unit_available || 1) - 1);
-    await Promise.all([
-      roomsCol.patch(room._id, { status: 'inactive', active: false }),
-      propertiesCol.patch(property._id, { unit_available: nextUnits, active: nextUnits > 0 }),
-      bookingsCol.post(booking),
-      // Only mark payment as used when we verified with provider; allow absence in DB.
-      (!isCEO && paymentData) && paymentsCol.post({
-        reference: payment_reference,
-        status: 'used',
-        active: false, // used payments are not active
+    // Booking and spent payment as a saga (services/bookingSaga.js): undone if it
+    // fails before the payment is spent. The room stays listed, its dates are taken
+    const { saga } = await runBookingSaga({
+      booking,
+      room,
+      claim,
+      claimDetails: {
         verified_at: timestamp,
-        amount: paymentData.amount,
-        currency: paymentData.currency,
-        email: paymentData.customer?.email || resolvedEmail,
-        metadata: paymentData.metadata || {},
+        amount: paymentData?.amount,
+        currency: paymentData?.currency,
+        email: paymentData?.customer?.email || resolvedEmail,
         traceId,
-      }),
-    ].filter(Boolean));
+      },
+      paymentData,
+      split: paymentData ? paymentMetadata(paymentData).split : null,
+      tenantName,
+      traceId,
+    });
+
+    // The booking exists: the hold is done and the dates are no longer checked
+    if (hold) await releaseHold(roomId, hold.hold_id);
+    await releaseRoom();
+    releaseRoom = null;
+
+    // Split shares (payment_splits/<reference>) and the receipt PDF, outside the lock;
+    // the saga's recovery job retries whatever fails here
+    const { receipt_url: receiptUrl } = await finishBookingSaga(saga, { room });
+    const created = { ...booking, receipt_url: receiptUrl, receipt_sent: !!receiptUrl };
+
+    // Guests have no session: their email carries a signed cancellation link
+    const cancelUrl = `https://housika.co.ke/bookings/${booking.booking_id}/cancel?token=${bookingLinkToken(booking.booking_id, 'booking:cancel')}`;
 
     // Emails (fire-and-forget)
     (async () => {
@@ -255,7 +270,8 @@ const bookings = async (c) => {
               <html>
                 <body>
                   <p>Dear ${tenantName}, your booking has been confirmed.</p>
-                  <p><a href="${booking.receipt_url}">Download Receipt</a></p>
+                  ${receiptUrl ? `<p><a href="${receiptUrl}">Download Receipt</a></p>` : ''}
+                  <p>Plans changed? <a href="${cancelUrl}">Cancel this booking</a> (${booking.cancellation_policy} cancellation policy).</p>
                 </body>
               </html>
             `,
@@ -276,14 +292,21 @@ const bookings = async (c) => {
           }),
         ]);
       } catch (err) {
-        console.warn('⚠️ Email dispatch failed:', err.message || err);
+        log.warn('booking email failed', { bookingId: booking.booking_id, err });
       }
     })();
 
-    console.log(`✅ Booking completed in ${Date.now() - startTime}ms`);
-    return c.json({ success: true, booking, traceId, timestamp });
+    log.info('booking created', { bookingId: created.booking_id, ms: Date.now() - startTime });
+    return c.json({ success: true, booking: created, traceId, timestamp });
   } catch (err) {
-    console.error('❌ Booking creation failed:', err);
+    if (err instanceof BookingSagaError) {
+      log.error('booking saga failed', { code: err.code, err });
+      return c.json({ success: false, error: err.code, message: err.message, traceId, timestamp }, err.status);
+    }
+    if (err instanceof PaymentClaimError || err instanceof AvailabilityError || err instanceof RoomHoldError) {
+      return c.json({ success: false, error: err.code, message: err.message, traceId, timestamp }, err.status);
+    }
+    log.error('booking creation failed', { err });
     return c.json({
       success: false,
       error: 'BOOKING_CREATION_FAILED',
@@ -291,6 +314,9 @@ const bookings = async (c) => {
       traceId,
       timestamp,
     }, 500);
+  } finally {
+    await releaseRoom?.();
+    await claim?.release();
   }
 };
 
@@ -1,18 +1,42 @@
 // routes.js
 import { Hono } from 'hono';
-import postBooking from './post.js';
-import getBookings from './get.js';
-import getBookingById from './id.js';
-import { updateBooking } from './update.js';
+import { requireAuth } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import {
+  bookingIdParams,
+  cancelBookingQuery,
+  cancelBookingSchema,
+  createBookingSchema,
+  listBookingsQuery,
+  updateBookingSchema,
+} from './schemas.js';
+import { lazyHandler } from '../../utils/lazyHandler.js';
+
+const postBooking = lazyHandler(() => import('./post.js'));
+const getBookings = lazyHandler(() => import('./get.js'));
+const getBookingById = lazyHandler(() => import('./id.js'));
+const updateBooking = lazyHandler(() => import('./update.js'), 'updateBooking');
+const cancelBooking = lazyHandler(() => import('./cancel.js'), 'cancelBooking');
+const getCancellation = lazyHandler(() => import('./cancel.js'), 'getCancellation');
 
 const bookingsRoutes = new Hono();
+const validId = validate({ param: bookingIdParams });
+const validCreate = validate({ json: createBookingSchema });
+const validList = validate({ query: listBookingsQuery });
+const validUpdate = validate({ param: bookingIdParams, json: updateBookingSchema });
+const validCancelQuote = validate({ param: bookingIdParams, query: cancelBookingQuery });
+const validCancel = validate({ param: bookingIdParams, query: cancelBookingQuery, json: cancelBookingSchema });
 
 // Single booking (must come before the collection route to avoid collisions)
-bookingsRoutes.get('/:id', getBookingById); // Get a single booking by ID
+bookingsRoutes.get('/:id', requireAuth(), validId, getBookingById); // Get a single booking by ID
+
+// Tenant cancellation (signed in, or a guest with the signed link from their email)
+bookingsRoutes.get('/:id/cancel', validCancelQuote, getCancellation); // Refund if cancelled now
+bookingsRoutes.post('/:id/cancel', validCancel, cancelBooking);       // Cancel and refund by policy
 
 // Collection routes
-bookingsRoutes.post('/', postBooking);       // Create a new booking
-bookingsRoutes.get('/', getBookings);        // Get bookings (paginated / role-aware)
-bookingsRoutes.put('/:id', updateBooking);   // Update booking by ID (landlord/admin/ceo)
+bookingsRoutes.post('/', validCreate, postBooking);                    // Create a new booking (guests allowed)
+bookingsRoutes.get('/', requireAuth(), validList, getBookings);        // Get bookings (paginated / role-aware)
+bookingsRoutes.put('/:id', requireAuth(), validUpdate, updateBooking); // Update booking by ID (landlord/admin/ceo)
 
 export default bookingsRoutes;
@@ -0,0 +1,64 @@
+// Request schemas for /bookings (see middleware/validate.js)
+import { BOOKING_STATUSES } from '../../services/bookingLifecycle.js';
+
+export const bookingIdParams = {
+  type: 'object',
+  properties: { id: { type: 'string', minLength: 1, maxLength: 100 } },
+  required: ['id'],
+};
+
+export const createBookingSchema = {
+  type: 'object',
+  properties: {
+    room_id: { type: 'string', minLength: 1, maxLength: 100 },
+    payment_reference: { type: 'string', minLength: 1, maxLength: 100 },
+    email: { type: 'string', format: 'email' },
+    tenant_id: { type: 'string', maxLength: 100 },
+    // stay (see services/availability.js); default: the dates the payment was made for
+    start_date: { type: 'string', format: 'date' },
+    end_date: { type: 'string', format: 'date' },
+    periods: { type: 'integer', minimum: 1 },
+    // guest details (required without a session; checked before the payment is claimed)
+    full_name: { type: 'string', minLength: 1, maxLength: 150 },
+    phone_number: { type: 'string', pattern: '^\\+?\\d{7,15}$' },
+    national_id: { type: 'string', maxLength: 50 },
+    from: { type: 'string', maxLength: 150 },
+  },
+  required: ['room_id', 'payment_reference'],
+};
+
+export const updateBookingSchema = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: BOOKING_STATUSES },
+    note: { type: 'string', maxLength: 500, description: 'Recorded with the status change' },
+    start_date: { type: 'string', format: 'date' },
+    end_date: { type: 'string', format: 'date' },
+    new_checkout_date: { type: 'string', format: 'date' },
+    notes: { type: 'string', maxLength: 2000 },
+  },
+};
+
+// token: the signed link from a guest's confirmation email
+const cancelToken = { type: 'string', minLength: 1, maxLength: 1000 };
+
+export const cancelBookingQuery = {
+  type: 'object',
+  properties: { token: cancelToken },
+};
+
+export const cancelBookingSchema = {
+  type: 'object',
+  properties: {
+    token: cancelToken,
+    reason: { type: 'string', maxLength: 500 },
+  },
+};
+
+export const listBookingsQuery = {
+  type: 'object',
+  properties: {
+    page: { type: 'integer', minimum: 1 },
+    per_page: { type: 'integer', minimum: 1, maximum: 100 },
+  },
+};
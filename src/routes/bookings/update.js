@@ -1,50 +1,43 @@
 // update.js
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { checkToken } from '../../utils/auth.js';
+import { can } from '../../utils/policy.js';
+import { AvailabilityError, assertAvailable, lockRoom } from '../../services/availability.js';
+import { BookingTransitionError, assertTransition, transitionBooking } from '../../services/bookingLifecycle.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'bookings' });
 
 /**
  * PUT /bookings/:id
- * Allows landlord or admin/ceo to update booking status or extend stay.
+ * Moves the booking to another status (see services/bookingLifecycle.js: the
+ * tenant, landlord or an admin, as the transition allows). Dates and notes
+ * can be changed by the landlord or admin/ceo.
  */
 export const updateBooking = async (c) => {
   const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID();
+  const traceId = getRequestId();
   const bookingId = c.req.param('id');
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
 
-  if (!token || typeof bookingId !== 'string') {
+  if (typeof bookingId !== 'string') {
     return c.json({
       success: false,
-      error: 'UNAUTHORIZED_OR_INVALID_ID',
-      message: 'Missing token or invalid booking ID.',
+      error: 'INVALID_BOOKING_ID',
+      message: 'Invalid booking ID.',
       timestamp,
       traceId,
-    }, 401);
+    }, 400);
   }
 
-  // Resolve token and bookings collection in parallel
-  const [actorResult, collectionResult] = await Promise.allSettled([
-    checkToken(token),
+  const [collectionResult] = await Promise.allSettled([
     getCollection('bookings'),
   ]);
 
-  const actor = actorResult.status === 'fulfilled' ? actorResult.value : null;
+  const actor = c.get('user'); // requireAuth
   const bookingsCol = collectionResult.status === 'fulfilled' ? collectionResult.value : null;
 
-  if (!actor?.userId) {
-    return c.json({
-      success: false,
-      error: 'INVALID_TOKEN',
-      message: 'Invalid or expired token.',
-      timestamp,
-      traceId,
-    }, 401);
-  }
-
   if (!bookingsCol) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ DB connection failed:', collectionResult.reason?.message || collectionResult.reason);
+      log.error('DB connection failed', { err: collectionResult.reason });
     }
     return c.json({
       success: false,
@@ -55,19 +48,7 @@ export const updateBooking = async (c) => {
     }, 503);
   }
 
-  let updateData;
-  try {
-    updateData = await c.req.json();
-    if (!updateData || typeof updateData !== 'object') throw new Error('Invalid JSON');
-  } catch (err) {
-    return c.json({
-      success: false,
-      error: 'INVALID_BODY',
-      message: 'Request body must be valid JSON.',
-      timestamp,
-      traceId,
-    }, 400);
-  }
+  const updateData = c.req.valid('json'); // validate()
 
   let booking;
   try {
@@ -84,7 +65,7 @@ export const updateBooking = async (c) => {
     }
   } catch (err) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ Booking query failed:', err.message || err);
+      log.error('booking query failed', { err });
     }
     return c.json({
       success: false,
@@ -95,21 +76,8 @@ export const updateBooking = async (c) => {
     }, 500);
   }
 
-  // Authorization: landlord of the booking OR admin/ceo allowed
-  const isActorLandlord = booking.landlord_id === actor.userId;
-  const isActorAdmin = ['admin', 'ceo'].includes(actor.role || actor?.role || '');
-  if (!isActorLandlord && !isActorAdmin) {
-    return c.json({
-      success: false,
-      error: 'FORBIDDEN',
-      message: 'Only the landlord or an admin can update this booking.',
-      timestamp,
-      traceId,
-    }, 403);
-  }
-
   // Allowed incoming fields (accept both new_checkout_date and end_date/start_date)
-  const allowedInputKeys = ['status', 'new_checkout_date', 'start_date', 'end_date', 'notes'];
+  const allowedInputKeys = ['new_checkout_date', 'start_date', 'end_date', 'notes'];
   const sanitized = {};
 
   for (const key of allowedInputKeys) {
@@ -117,8 +85,10 @@ export const updateBooking = async (c) => {
       sanitized[key] = updateData[key];
     }
   }
+  const { status, note } = updateData;
+  const editsFields = Object.keys(sanitized).length > 0;
 
-  if (Object.keys(sanitized).length === 0) {
+  if (!editsFields && !status) {
     return c.json({
       success: false,
       error: 'NO_VALID_FIELDS',
@@ -128,15 +98,49 @@ export const updateBooking = async (c) => {
     }, 400);
   }
 
+  // Authorization: landlord of the booking OR admin/ceo edit it; status changes follow the lifecycle
+  if (editsFields && !can(actor, 'booking:update', booking)) {
+    return c.json({
+      success: false,
+      error: 'FORBIDDEN',
+      message: 'Only the landlord or an admin can update this booking.',
+      timestamp,
+      traceId,
+    }, 403);
+  }
+  if (status) {
+    try {
+      assertTransition(booking, status, actor);
+    } catch (err) {
+      if (!(err instanceof BookingTransitionError)) throw err;
+      return c.json({ success: false, error: err.code, message: err.message, timestamp, traceId }, err.status);
+    }
+  }
+
   // Map/normalize fields to stored keys
   const updatePayload = {};
-  if (sanitized.status) updatePayload.status = String(sanitized.status);
-  // Prefer explicit start_date/end_date; if not present, leave unchanged
-  if (sanitized.start_date) updatePayload.start_date = String(sanitized.start_date);
-  if (sanitized.end_date) updatePayload.end_date = String(sanitized.end_date);
+  // Prefer explicit start_date/end_date; if not present, leave unchanged (dates only, see services/availability.js)
+  if (sanitized.start_date) updatePayload.start_date = String(sanitized.start_date).slice(0, 10);
+  if (sanitized.end_date) updatePayload.end_date = String(sanitized.end_date).slice(0, 10);
   // Accept legacy/alternate name new_checkout_date and store as end_date
   if (sanitized.new_checkout_date && !updatePayload.end_date) {
-    updatePayload.end_date = String(sanitized.new_checkout_date);
+    updatePayload.end_date = String(sanitized.new_checkout_date).slice(0, 10);
+  }
+
+  // New dates must be in order and free of the room's other bookings
+  const datesChanged = updatePayload.start_date || updatePayload.end_date;
+  const range = {
+    start_date: updatePayload.start_date || booking.start_date || String(booking.created_at || '').slice(0, 10),
+    end_date: updatePayload.end_date || booking.end_date || null,
+  };
+  if (datesChanged && range.end_date && range.end_date <= range.start_date) {
+    return c.json({
+      success: false,
+      error: 'INVALID_DATES',
+      message: 'end_date must be after start_date.',
+      timestamp,
+      traceId,
+    }, 400);
   }
   if (sanitized.notes) updatePayload.notes = sanitized.notes;
 
@@ -147,20 +151,33 @@ export const updateBooking = async (c) => {
   updatePayload.audit_useragent = c.req.header('user-agent') || '';
   updatePayload.audit_traceid = traceId;
 
+  let releaseRoom = null;
   try {
-    await bookingsCol.patch(booking._id, updatePayload);
+    if (datesChanged) {
+      releaseRoom = await lockRoom(booking.room_id);
+      await assertAvailable(booking.room_id, range, { excludeBookingId: bookingId });
+    }
+    if (editsFields) await bookingsCol.patch(booking._id, updatePayload);
+    const updated = status
+      ? await transitionBooking({ ...booking, ...updatePayload }, status, { user: actor, note, traceId })
+      : { ...booking, ...updatePayload };
 
     return c.json({
       success: true,
       message: 'Booking updated successfully.',
-      updatedFields: Object.keys(updatePayload),
+      updatedFields: [...(editsFields ? Object.keys(updatePayload) : []), ...(status ? ['status'] : [])],
       booking_id: bookingId,
+      status: updated.status,
+      status_history: updated.status_history || [],
       timestamp,
       traceId,
     }, 200);
   } catch (err) {
+    if (err instanceof AvailabilityError) {
+      return c.json({ success: false, error: err.code, message: err.message, timestamp, traceId }, err.status);
+    }
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ Booking update failed:', err.message || err);
+      log.error('booking update failed', { err });
     }
     return c.json({
       success: false,
@@ -169,5 +186,7 @@ export const updateBooking = async (c) => {
       timestamp,
       traceId,
     }, 500);
+  } finally {
+    await releaseRoom?.();
   }
 };
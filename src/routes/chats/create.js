@@ -1,5 +1,8 @@
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
+import { invalidate } from '../../services/cache.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'chats' });
 
 const DEFAULT_ATOMIC_CREATE = true; // hardcoded for production atomic behaviour
 const CHAT_COLLECTION = 'chats';
@@ -10,14 +13,6 @@ function nowIso() {
   return new Date().toISOString();
 }
 
-function makeLogger(traceId) {
-  return {
-    info: (...args) => console.info({ traceId, ts: nowIso(), pid: process.pid }, ...args),
-    warn: (...args) => console.warn({ traceId, ts: nowIso(), pid: process.pid }, ...args),
-    error: (...args) => console.error({ traceId, ts: nowIso(), pid: process.pid }, ...args),
-  };
-}
-
 function validateChatPayload(payload) {
   if (!payload || typeof payload !== 'object') return 'PAYLOAD_INVALID';
   if (Buffer.byteLength(JSON.stringify(payload), 'utf8') > MAX_PAYLOAD_BYTES) return 'PAYLOAD_TOO_LARGE';
@@ -46,11 +41,10 @@ function sanitizeInitialMessage(msg) {
 export const createChat = async (c) => {
   const startTime = Date.now();
   const timestamp = nowIso();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID();
-  const log = makeLogger(traceId);
+  const traceId = getRequestId();
 
-  const authUser = c.state?.user || null;
-  const authUserId = authUser?.id || c.req.header('x-user-id') || null;
+  const authUser = c.get('user'); // requireAuth on /chats
+  const authUserId = authUser.userId;
 
   let body;
   try {
@@ -83,8 +77,13 @@ export const createChat = async (c) => {
   delete body.initialMessage;
   const chatData = { ...body };
 
+  // The creator is always a participant
+  if (!chatData.participants.some((p) => p.userId === authUserId)) {
+    chatData.participants = [...chatData.participants, { userId: authUserId }];
+  }
+
   chatData.createdAt = timestamp;
-  chatData.createdBy = authUserId || 'anonymous';
+  chatData.createdBy = authUserId;
   chatData.audit = {
     ip: c.req.header('x-forwarded-for') || c.req.ip || '',
     userAgent: c.req.header('user-agent') || '',
@@ -133,6 +132,7 @@ export const createChat = async (c) => {
     const result = await chatsCol.insertOne(chatData);
     chatId = result?.insertedId;
     if (!chatId) throw new Error('No insertedId returned');
+    await invalidate('chats');
   } catch (err) {
     log.error('Chat insert failed', { err: err?.message || err });
     return c.json({
@@ -163,7 +163,7 @@ export const createChat = async (c) => {
     chatId,
     tenantId: chatData.tenantId,
     createdAt: timestamp,
-    createdBy: authUserId || 'anonymous',
+    createdBy: authUserId,
     audit: {
       traceId,
       ip: chatData.audit.ip,
@@ -0,0 +1,80 @@
+// OpenAPI descriptions for /chats (see utils/openapi.js)
+
+export default {
+  tag: 'Chats',
+  description: 'Conversations between tenants, landlords and staff. The signed-in user is always a participant.',
+  operations: {
+    'POST /': {
+      summary: 'Start a chat',
+      status: 201,
+      body: {
+        type: 'object',
+        properties: {
+          tenantId: { type: 'string' },
+          type: { type: 'string' },
+          participants: {
+            type: 'array',
+            minItems: 1,
+            items: { type: 'object', properties: { userId: { type: 'string' }, role: { type: 'string' } }, required: ['userId'] },
+          },
+          initialMessage: {
+            type: 'object',
+            properties: { body: { type: 'string' }, type: { type: 'string' }, metadata: { type: 'object' } },
+          },
+        },
+        required: ['tenantId', 'participants'],
+      },
+      errors: {
+        BODY_PARSE_FAILED: 400,
+        PAYLOAD_INVALID: 400,
+        PAYLOAD_TOO_LARGE: 400,
+        MISSING_TENANT: 400,
+        MISSING_PARTICIPANTS: 400,
+        INVALID_PARTICIPANTS: 400,
+        INVALID_TYPE: 400,
+        DB_CONNECTION_FAILED: 503,
+        CHAT_INSERT_FAILED: 500,
+        MESSAGE_INSERT_FAILED: 500,
+        PARTIAL_FAILURE: 500,
+      },
+    },
+    'GET /': {
+      summary: 'List chats of the signed-in user',
+      query: {
+        type: 'object',
+        properties: {
+          participantId: { type: 'string' },
+          since: { type: 'string', format: 'date-time' },
+          page: { type: 'integer', minimum: 1 },
+          limit: { type: 'integer', minimum: 1 },
+        },
+      },
+      errors: { DB_CONNECTION_FAILED: 503, DB_QUERY_FAILED: 500, MESSAGE_LOOKUP_FAILED: 500 },
+    },
+    'GET /:id': {
+      summary: 'Messages of a chat',
+      errors: { INVALID_CHAT_ID: 400, DB_CONNECTION_FAILED: 503, DB_QUERY_FAILED: 500 },
+    },
+    'POST /:id/messages': {
+      summary: 'Post a message to a chat',
+      status: 201,
+      body: {
+        type: 'object',
+        properties: { body: { type: 'string' }, type: { type: 'string' }, metadata: { type: 'object' } },
+      },
+      errors: {
+        INVALID_CHAT_ID: 400,
+        BODY_PARSE_FAILED: 400,
+        INVALID_MESSAGE: 400,
+        MESSAGE_TOO_LARGE: 413,
+        FORBIDDEN: 403,
+        CHAT_NOT_FOUND: 404,
+        DB_CONNECTION_FAILED: 503,
+        DB_QUERY_FAILED: 500,
+        MESSAGE_INSERT_FAILED: 500,
+        CHAT_UPDATE_FAILED: 500,
+        PARTIAL_FAILURE: 500,
+      },
+    },
+  },
+};
@@ -1,6 +1,9 @@
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { redis as upstashRedis } from '../../utils/auth.js';
+import { cacheGet, cacheKey, cacheSet, xCache } from '../../services/cache.js';
+import { can } from '../../utils/policy.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'chats' });
 
 const CHAT_COLLECTION = 'chats';
 const MESSAGE_COLLECTION = 'messages';
@@ -8,57 +11,8 @@ const DEFAULT_LIMIT = 50;
 const MAX_LIMIT = 200;
 
 function nowIso() { return new Date().toISOString(); }
-function makeLogger(traceId) {
-  return {
-    info: (...args) => console.info({ traceId, ts: nowIso(), pid: process.pid }, ...args),
-    warn: (...args) => console.warn({ traceId, ts: nowIso(), pid: process.pid }, ...args),
-    error: (...args) => console.error({ traceId, ts: nowIso(), pid: process.pid }, ...args),
-  };
-}
 
-// Cache config
-const CACHE_KEY_PREFIX = process.env.CACHE_KEY_PREFIX || 'cache';
 const CACHE_TTL_SEC = Number(process.env.CACHE_TTL_SEC || 15); // short TTL for chat list pages
-const INMEM_TTL_MS = Number(process.env.INMEM_CHATS_TTL_MS || 5000);
-const INMEM_MAX = Number(process.env.INMEM_CHATS_MAX || 200);
-
-// in-process fallback cache (per-worker)
-const inMemCache = new Map(); // key -> { ts, value }
-const cleanupInMem = () => {
-  if (inMemCache.size <= INMEM_MAX) return;
-  const keys = Array.from(inMemCache.keys()).sort((a, b) => inMemCache.get(a).ts - inMemCache.get(b).ts);
-  for (let i = 0; i < Math.floor(keys.length / 4); i += 1) {
-    inMemCache.delete(keys[i]);
-    if (inMemCache.size <= INMEM_MAX) break;
-  }
-};
-const inMemGet = (k) => {
-  const e = inMemCache.get(k);
-  if (!e) return null;
-  if (Date.now() - e.ts > INMEM_TTL_MS) { inMemCache.delete(k); return null; }
-  return e.value;
-};
-const inMemSet = (k, v) => { inMemCache.set(k, { ts: Date.now(), value: v }); cleanupInMem(); };
-
-// Redis helpers (best-effort)
-const redisGet = async (key) => {
-  try {
-    const raw = await upstashRedis.get(key);
-    if (!raw) return null;
-    return JSON.parse(raw);
-  } catch (e) {
-    console.warn('Redis get error (chats):', e?.message || e);
-    return null;
-  }
-};
-const redisSet = async (key, payload, ttlSec = CACHE_TTL_SEC) => {
-  try {
-    await upstashRedis.set(key, JSON.stringify(payload));
-    if (typeof upstashRedis.expire === 'function') await upstashRedis.expire(key, ttlSec);
-  } catch (e) {
-    console.warn('Redis set error (chats):', e?.message || e);
-  }
-};
 
 // compact projection for chat and message
 const projectChat = (ch) => ({
@@ -79,29 +33,25 @@ const projectMessage = (m) => m ? ({
 
 const makeCacheKey = ({ tenantId, participantId, page, limit, since }) => {
   const parts = [
-    `${CACHE_KEY_PREFIX}:chats`,
     `t=${tenantId || 'any'}`,
     `p=${participantId || 'any'}`,
     `pg=${page}`,
     `l=${limit}`,
     `s=${since || ''}`,
   ];
-  return parts.join('|');
+  return cacheKey('chats', parts.join('|'));
 };
 
 export const getChats = async (c) => {
   const timestamp = nowIso();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID?.() || `trace-${Date.now()}`;
-  const log = makeLogger(traceId);
+  const traceId = getRequestId();
 
-  // Basic auth/tenant inference (replace with real auth integration if present)
-  const authUser = c.state?.user || null;
-  const authUserId = authUser?.id || c.req.header('x-user-id') || null;
+  const authUser = c.get('user'); // requireAuth on /chats
 
-  // Query params (use c.req.query() if Hono exposes method; older code uses object)
-  const q = Object.fromEntries(typeof c.req.query === 'function' ? c.req.query() : (c.req.query || {}));
-  const tenantId = q.tenantId || authUser?.tenantId || null;
-  const participantId = q.participantId || null;
+  // Query params; the tenant comes from the token, and only staff (chat:read:any) list other users' chats
+  const q = c.req.query();
+  const tenantId = authUser.tenantId || null;
+  const participantId = can(authUser, 'chat:read:any') ? q.participantId || null : authUser.userId;
   let limit = parseInt(q.limit, 10) || DEFAULT_LIMIT;
   let page = Math.max(1, parseInt(q.page, 10) || 1);
   const since = q.since || null;
@@ -118,20 +68,13 @@ export const getChats = async (c) => {
     if (!isNaN(d)) chatFilter.updatedAt = { $gte: d.toISOString() };
   }
 
-  const cacheKey = makeCacheKey({ tenantId, participantId, page, limit, since });
+  const key = makeCacheKey({ tenantId, participantId, page, limit, since });
 
-  // Try caches (Redis -> in-memory)
-  const rCached = await redisGet(cacheKey);
-  if (rCached != null) {
-    c.header('X-Cache', 'HIT-REDIS');
-    c.set('cachePayload', rCached.data);
-    return c.json({ success: true, meta: rCached.meta, data: rCached.data, timestamp, traceId }, 200);
-  }
-  const mem = inMemGet(cacheKey);
-  if (mem != null) {
-    c.header('X-Cache', 'HIT-MEM');
-    c.set('cachePayload', mem.data);
-    return c.json({ success: true, meta: mem.meta, data: mem.data, timestamp, traceId }, 200);
+  const hit = await cacheGet(key);
+  if (hit) {
+    c.header('X-Cache', xCache(hit.source));
+    c.set('cachePayload', hit.value.data);
+    return c.json({ success: true, meta: hit.value.meta, data: hit.value.data, timestamp, traceId }, 200);
   }
 
   // Resolve collections
@@ -204,9 +147,7 @@ export const getChats = async (c) => {
   const meta = { page, limit, totalCount, totalPages, returned: chatsWithLatest.length };
 
   // Best-effort caching
-  const payloadToCache = { meta, data: chatsWithLatest };
-  inMemSet(cacheKey, payloadToCache);
-  await redisSet(cacheKey, payloadToCache, CACHE_TTL_SEC);
+  await cacheSet(key, { meta, data: chatsWithLatest }, { ttl: CACHE_TTL_SEC, tags: ['chats'] });
 
   c.set('cachePayload', chatsWithLatest);
   c.header('X-Cache', 'MISS');
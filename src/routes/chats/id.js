@@ -1,63 +1,17 @@
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { redis as upstashRedis } from '../../utils/auth.js';
+import { cacheGet, cacheKey, cacheSet, xCache } from '../../services/cache.js';
+import { can } from '../../utils/policy.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'chats' });
 
 const MESSAGE_COLLECTION = 'messages';
 const DEFAULT_LIMIT = 50;
 const MAX_LIMIT = 200;
 
 function nowIso() { return new Date().toISOString(); }
-function makeLogger(traceId) {
-  return {
-    info: (...args) => console.info({ traceId, ts: nowIso(), pid: process.pid }, ...args),
-    warn: (...args) => console.warn({ traceId, ts: nowIso(), pid: process.pid }, ...args),
-    error: (...args) => console.error({ traceId, ts: nowIso(), pid: process.pid }, ...args),
-  };
-}
 
-// Cache config
-const CACHE_KEY_PREFIX = process.env.CACHE_KEY_PREFIX || 'cache';
 const CACHE_TTL_SEC = Number(process.env.CACHE_TTL_SEC || 15); // short TTL for message pages
-const INMEM_TTL_MS = Number(process.env.INMEM_MESSAGES_TTL_MS || 5000);
-const INMEM_MAX = Number(process.env.INMEM_MESSAGES_MAX || 500);
-
-// in-process fallback cache
-const inMemCache = new Map(); // key -> { ts, value }
-const cleanupInMem = () => {
-  if (inMemCache.size <= INMEM_MAX) return;
-  const keys = Array.from(inMemCache.keys()).sort((a, b) => inMemCache.get(a).ts - inMemCache.get(b).ts);
-  for (let i = 0; i < Math.floor(keys.length / 4); i += 1) {
-    inMemCache.delete(keys[i]);
-    if (inMemCache.size <= INMEM_MAX) break;
-  }
-};
-const inMemGet = (k) => {
-  const e = inMemCache.get(k);
-  if (!e) return null;
-  if (Date.now() - e.ts > INMEM_TTL_MS) { inMemCache.delete(k); return null; }
-  return e.value;
-};
-const inMemSet = (k, v) => { inMemCache.set(k, { ts: Date.now(), value: v }); cleanupInMem(); };
-
-// Redis helpers (best-effort)
-const redisGet = async (key) => {
-  try {
-    const raw = await upstashRedis.get(key);
-    if (!raw) return null;
-    return JSON.parse(raw);
-  } catch (e) {
-    console.warn('Redis get error (messages):', e?.message || e);
-    return null;
-  }
-};
-const redisSet = async (key, payload, ttlSec = CACHE_TTL_SEC) => {
-  try {
-    await upstashRedis.set(key, JSON.stringify(payload));
-    if (typeof upstashRedis.expire === 'function') await upstashRedis.expire(key, ttlSec);
-  } catch (e) {
-    console.warn('Redis set error (messages):', e?.message || e);
-  }
-};
 
 // compact projection for messages
 const projection = { chatId: 1, body: 1, type: 1, createdAt: 1, createdBy: 1, metadata: 1 };
@@ -65,7 +19,6 @@ const projection = { chatId: 1, body: 1, type: 1, createdAt: 1, createdBy: 1, me
 // deterministic cache key for chat paging
 const makeCacheKey = ({ chatId, tenantId, participantId, limit, page, cursor, order }) => {
   const parts = [
-    `${CACHE_KEY_PREFIX}:messages`,
     `chat=${chatId}`,
     `t=${tenantId || 'any'}`,
     `p=${participantId || 'any'}`,
@@ -74,13 +27,12 @@ const makeCacheKey = ({ chatId, tenantId, participantId, limit, page, cursor, or
     `c=${cursor || ''}`,
     `o=${order === -1 ? 'desc' : 'asc'}`,
   ];
-  return parts.join('|');
+  return cacheKey('messages', parts.join('|'));
 };
 
 export const getMessagesForChat = async (c) => {
   const timestamp = nowIso();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID?.() || `trace-${Date.now()}`;
-  const log = makeLogger(traceId);
+  const traceId = getRequestId();
 
   // Validate route param
   const chatId = c.req.param('id');
@@ -89,13 +41,12 @@ export const getMessagesForChat = async (c) => {
     return c.json({ success: false, error: 'INVALID_CHAT_ID', message: 'Chat ID must be a valid string.', timestamp, traceId }, 400);
   }
 
-  // Auth / tenant inference (integrate real auth if present)
-  const authUser = c.state?.user || null;
-  const authUserId = authUser?.id || c.req.header('x-user-id') || null;
-  const tenantId = authUser?.tenantId || c.req.header('x-tenant-id') || null;
+  const authUser = c.get('user'); // requireAuth on /chats
+  const authUserId = authUser.userId;
+  const tenantId = authUser.tenantId || null;
 
   // Parse query params (Hono provides c.req.query())
-  const qObj = typeof c.req.query === 'function' ? Object.fromEntries(c.req.query()) : (c.req.query || {});
+  const qObj = c.req.query();
   const rawLimit = Number(qObj.limit || qObj.pageSize || DEFAULT_LIMIT);
   let limit = Number.isFinite(rawLimit) ? Math.min(Math.max(Math.floor(rawLimit), 1), MAX_LIMIT) : DEFAULT_LIMIT;
   const page = Math.max(1, Number(qObj.page) ? Math.floor(Number(qObj.page)) : 1);
@@ -103,28 +54,20 @@ export const getMessagesForChat = async (c) => {
   const order = qObj.order === 'desc' ? -1 : 1; // 1 => asc, -1 => desc
   const sortOption = { createdAt: order };
 
-  // Build filter with chatId and scoping
+  // Build filter with chatId and scoping: only participants read a chat (staff with chat:read:any excepted)
+  const participantId = can(authUser, 'chat:read:any') ? null : authUserId;
   const filter = { chatId: { $eq: chatId } };
   if (tenantId) filter.tenantId = { $eq: tenantId };
-  if (qObj.participantId) filter['participants.userId'] = { $eq: qObj.participantId };
-  // Enforce participant check if authUserId present and no explicit participantId
-  if (authUserId && !qObj.participantId) filter['participants.userId'] = { $eq: authUserId };
-
-  // Build cache key
-  const cacheKey = makeCacheKey({ chatId, tenantId, participantId: qObj.participantId, limit, page, cursor, order });
-
-  // Try caches
-  const rCached = await redisGet(cacheKey);
-  if (rCached != null) {
-    c.header('X-Cache', 'HIT-REDIS');
-    c.set('cachePayload', rCached.data);
-    return c.json({ success: true, chatId, meta: rCached.meta, data: rCached.data, timestamp, traceId }, 200);
-  }
-  const mem = inMemGet(cacheKey);
-  if (mem != null) {
-    c.header('X-Cache', 'HIT-MEM');
-    c.set('cachePayload', mem.data);
-    return c.json({ success: true, chatId, meta: mem.meta, data: mem.data, timestamp, traceId }, 200);
+  if (participantId) filter['participants.userId'] = { $eq: participantId };
+
+  // Build cache key (per reader, so one user's pages are never served to another)
+  const key = makeCacheKey({ chatId, tenantId, participantId, limit, page, cursor, order });
+
+  const hit = await cacheGet(key);
+  if (hit) {
+    c.header('X-Cache', xCache(hit.source));
+    c.set('cachePayload', hit.value.data);
+    return c.json({ success: true, chatId, meta: hit.value.meta, data: hit.value.data, timestamp, traceId }, 200);
   }
 
   // Resolve collection
@@ -201,9 +144,7 @@ export const getMessagesForChat = async (c) => {
   };
 
   // Best-effort caching of this page
-  const payloadToCache = { meta, data: normalized };
-  inMemSet(cacheKey, payloadToCache);
-  await redisSet(cacheKey, payloadToCache, CACHE_TTL_SEC);
+  await cacheSet(key, { meta, data: normalized }, { ttl: CACHE_TTL_SEC, tags: [`chat:${chatId}`] });
 
   c.set('cachePayload', normalized);
   c.header('X-Cache', 'MISS');
@@ -1,5 +1,8 @@
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
+import { invalidate } from '../../services/cache.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'chats' });
 
 const CHAT_COLLECTION = 'chats';
 const MESSAGE_COLLECTION = 'messages';
@@ -10,14 +13,6 @@ function nowIso() {
   return new Date().toISOString();
 }
 
-function makeLogger(traceId) {
-  return {
-    info: (...args) => console.info({ traceId, ts: nowIso(), pid: process.pid }, ...args),
-    warn: (...args) => console.warn({ traceId, ts: nowIso(), pid: process.pid }, ...args),
-    error: (...args) => console.error({ traceId, ts: nowIso(), pid: process.pid }, ...args),
-  };
-}
-
 function sanitizeMessage(raw) {
   if (!raw || typeof raw !== 'object') return null;
   const msg = {};
@@ -33,7 +28,7 @@ function validateMessageSize(payload) {
 
 /**
  * POST /chats/:id/messages
- * - Expects authenticated request (c.state.user) or x-user-id header
+ * - Runs behind requireAuth; the sender is the authenticated user
  * - Body: { body: string, type?: string, metadata?: object }
  * - Writes message to messages collection, updates parent chat (updatedAt, lastMessage)
  * - Returns created message id and updated chat id
@@ -41,23 +36,11 @@ function validateMessageSize(payload) {
 export const postMessageToChat = async (c) => {
   const start = Date.now();
   const timestamp = nowIso();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID();
-  const log = makeLogger(traceId);
+  const traceId = getRequestId();
 
-  // Auth / tenant inference (integrate with your auth middleware)
-  const authUser = c.state?.user || null;
-  const userId = authUser?.id || c.req.header('x-user-id') || null;
-  const tenantId = authUser?.tenantId || c.req.header('x-tenant-id') || null;
-  if (!userId) {
-    log.warn('Unauthenticated request attempted to post message');
-    return c.json({
-      success: false,
-      error: 'UNAUTHENTICATED',
-      message: 'Authentication required to post messages.',
-      timestamp,
-      traceId,
-    }, 401);
-  }
+  const authUser = c.get('user'); // requireAuth on /chats
+  const userId = authUser.userId;
+  const tenantId = authUser.tenantId || null;
 
   const chatId = c.req.param('id');
   if (!chatId || typeof chatId !== 'string') {
@@ -211,6 +194,8 @@ export const postMessageToChat = async (c) => {
     const res = await messagesCol.insertOne(messagePayload);
     insertedMessageId = res?.insertedId || null;
     if (!insertedMessageId) throw new Error('Message insert returned no id');
+    // message pages of this chat, and chat lists showing the latest message
+    await invalidate('chats', `chat:${chatId}`);
   } catch (err) {
     log.error('Message insert failed', { err: err?.message || err, chatId, userId });
     return c.json({
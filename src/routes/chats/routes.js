@@ -1,8 +1,10 @@
 import { Hono } from 'hono';
-import { createChat } from './create.js';
-import { getChats } from './get.js';
-import { getMessagesForChat } from './id.js';
-import { postMessageToChat } from './messages.post.js';
+import { lazyHandler } from '../../utils/lazyHandler.js';
+
+const createChat = lazyHandler(() => import('./create.js'), 'createChat');
+const getChats = lazyHandler(() => import('./get.js'), 'getChats');
+const getMessagesForChat = lazyHandler(() => import('./id.js'), 'getMessagesForChat');
+const postMessageToChat = lazyHandler(() => import('./messages.post.js'), 'postMessageToChat');
 
 const chats = new Hono();
 
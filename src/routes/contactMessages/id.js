@@ -1,6 +1,7 @@
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { checkToken } from '../../utils/auth.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'contactMessages' });
 
 /**
  * GET /contactMessages/:id
@@ -9,8 +10,7 @@ import { checkToken } from '../../utils/auth.js';
  */
 export const getContactMessageById = async (c) => {
   const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID();
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
+  const traceId = getRequestId();
   const id = c.req.param('id');
 
   if (!id) {
@@ -23,27 +23,16 @@ export const getContactMessageById = async (c) => {
     }, 400);
   }
 
-  const [actorResult, collectionResult] = await Promise.allSettled([
-    token ? checkToken(token) : null,
+  const [collectionResult] = await Promise.allSettled([
     getCollection('contact_messages'),
   ]);
 
-  const actor = actorResult.status === 'fulfilled' ? actorResult.value : null;
+  const actor = c.get('user'); // requireRole
   const contactMessages = collectionResult.status === 'fulfilled' ? collectionResult.value : null;
 
-  if (!actor || !['customer care', 'admin', 'ceo'].includes(actor.role)) {
-    return c.json({
-      success: false,
-      error: 'UNAUTHORIZED',
-      message: 'Only customer care, admin, or ceo can view contact messages.',
-      timestamp,
-      traceId,
-    }, 403);
-  }
-
   if (!contactMessages) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ DB connection failed:', collectionResult.reason?.message || collectionResult.reason);
+      log.error('DB connection failed', { err: collectionResult.reason });
     }
     return c.json({
       success: false,
@@ -60,7 +49,7 @@ export const getContactMessageById = async (c) => {
     message = result?.data || null;
   } catch (err) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ Query failed:', err.message || err);
+      log.error('query failed', { err });
     }
     return c.json({
       success: false,
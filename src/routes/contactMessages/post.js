@@ -1,38 +1,20 @@
 import { v4 as uuidv4 } from 'uuid';
 import { getCollection } from '../../services/astra.js';
+import { invalidate } from '../../services/cache.js';
 import { initZeptoMail } from '../../services/zeptoEmail.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'contactMessages' });
 
 export const postContactMessage = async (c) => {
   const start = Date.now();
-  const incomingTrace = c.req.header('x-trace-id') || c.req.query?.()?.traceId;
-  const traceId = (incomingTrace && String(incomingTrace)) || uuidv4();
+  const traceId = getRequestId();
   const timestamp = new Date().toISOString();
 
   // parse body
-  let body;
-  try {
-    body = await c.req.json();
-    if (!body || typeof body !== 'object') throw new Error('Invalid JSON');
-  } catch {
-    return c.json({
-      success: false,
-      error: 'INVALID_BODY',
-      message: 'Request body must be valid JSON.',
-      timestamp,
-      traceId,
-    }, 400);
-  }
+  const body = c.req.valid('json'); // validate()
 
   const { name, email, message } = body;
-  if (!name || !email || !message) {
-    return c.json({
-      success: false,
-      error: 'VALIDATION_ERROR',
-      message: 'Name, email, and message are required.',
-      timestamp,
-      traceId,
-    }, 400);
-  }
 
   // audit metadata
   const audit = {
@@ -63,7 +45,7 @@ export const postContactMessage = async (c) => {
 
   if (!contactMessages) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ DB connection failed:', collectionResult.reason?.message || collectionResult.reason);
+      log.error('DB connection failed', { err: collectionResult.reason });
     }
     return c.json({
       success: false,
@@ -93,7 +75,7 @@ export const postContactMessage = async (c) => {
     }
   } catch (err) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ Insert failed:', err.message || err);
+      log.error('insert failed', { err });
     }
     return c.json({
       success: false,
@@ -104,6 +86,8 @@ export const postContactMessage = async (c) => {
     }, 500);
   }
 
+  await invalidate('contact_messages');
+
   // normalize id returned by SDK
   const returnedId = result?.documentId || result?.insertedId || result?.id || result?._id || messageRecord._id || generatedId;
 
@@ -135,7 +119,7 @@ export const postContactMessage = async (c) => {
       });
     } catch (err) {
       if (process.env.NODE_ENV !== 'production') {
-        console.warn('⚠️ Email dispatch failed:', err.message || err);
+        log.warn('email dispatch failed', { err });
       }
     }
   }
@@ -1,7 +1,8 @@
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { checkToken } from '../../utils/auth.js';
 import { initZeptoMail } from '../../services/zeptoEmail.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'contactMessages' });
 
 /**
  * POST /contactMessages/reply
@@ -10,29 +11,16 @@ import { initZeptoMail } from '../../services/zeptoEmail.js';
  */
 export const replyToContactMessage = async (c) => {
   const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID();
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
-
-  const [actorResult, messagesResult, repliesResult] = await Promise.allSettled([
-    token ? checkToken(token) : null,
+  const traceId = getRequestId();
+  const [messagesResult, repliesResult] = await Promise.allSettled([
     getCollection('contact_messages'),
     getCollection('contact_replies'),
   ]);
 
-  const actor = actorResult.status === 'fulfilled' ? actorResult.value : null;
+  const actor = c.get('user'); // requireRole
   const messagesCol = messagesResult.status === 'fulfilled' ? messagesResult.value : null;
   const repliesCol = repliesResult.status === 'fulfilled' ? repliesResult.value : null;
 
-  if (!actor || !['customer care', 'admin', 'ceo'].includes(actor.role)) {
-    return c.json({
-      success: false,
-      error: 'UNAUTHORIZED',
-      message: 'Only customer care, admin, or ceo can reply to messages.',
-      timestamp,
-      traceId,
-    }, 403);
-  }
-
   if (!messagesCol || !repliesCol) {
     return c.json({
       success: false,
@@ -43,30 +31,9 @@ export const replyToContactMessage = async (c) => {
     }, 503);
   }
 
-  let body;
-  try {
-    body = await c.req.json();
-    if (!body || typeof body !== 'object') throw new Error('Invalid JSON');
-  } catch {
-    return c.json({
-      success: false,
-      error: 'INVALID_BODY',
-      message: 'Request body must be valid JSON.',
-      timestamp,
-      traceId,
-    }, 400);
-  }
+  const body = c.req.valid('json'); // validate()
 
   const { message_id, reply_body } = body;
-  if (!message_id || !reply_body) {
-    return c.json({
-      success: false,
-      error: 'VALIDATION_ERROR',
-      message: 'message_id and reply_body are required.',
-      timestamp,
-      traceId,
-    }, 400);
-  }
 
   let originalMessage;
   try {
@@ -130,7 +97,7 @@ export const replyToContactMessage = async (c) => {
     });
   } catch (err) {
     if (process.env.NODE_ENV !== 'production') {
-      console.warn('⚠️ Email dispatch failed:', err.message || err);
+      log.warn('email dispatch failed', { err });
     }
   }
 
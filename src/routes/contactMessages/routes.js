@@ -1,28 +1,32 @@
 import { Hono } from 'hono';
+import { requirePermission } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import { createContactMessageSchema, replyContactMessageSchema } from './schemas.js';
+import { lazyHandler } from '../../utils/lazyHandler.js';
 
-import { postContactMessage } from './post.js';
-import { getContactMessages } from './get.js';
-import { getContactMessageById } from './id.js';
-import { replyToContactMessage } from './reply.js';
-import { deleteOldReplies } from './delete.js';
+const postContactMessage = lazyHandler(() => import('./post.js'), 'postContactMessage');
+const getContactMessages = lazyHandler(() => import('./get.js'), 'getContactMessages');
+const getContactMessageById = lazyHandler(() => import('./id.js'), 'getContactMessageById');
+const replyToContactMessage = lazyHandler(() => import('./reply.js'), 'replyToContactMessage');
+const deleteOldReplies = lazyHandler(() => import('./delete.js'), 'deleteOldReplies');
 
 const contactMessages = new Hono();
 
 // --- Public Routes ---
 // Submit a new contact message
-contactMessages.post('/', postContactMessage);
+contactMessages.post('/', validate({ json: createContactMessageSchema }), postContactMessage);
 
 // --- Admin / Customer Care Routes ---
 // Inbox with filters + pagination
-contactMessages.get('/', getContactMessages);
+contactMessages.get('/', requirePermission('contact:read'), getContactMessages);
 
 // View a single message by ID
-contactMessages.get('/:id', getContactMessageById);
+contactMessages.get('/:id', requirePermission('contact:read'), getContactMessageById);
 
 // Reply to a message
-contactMessages.post('/reply', replyToContactMessage);
+contactMessages.post('/reply', requirePermission('contact:reply'), validate({ json: replyContactMessageSchema }), replyToContactMessage);
 
 // Cleanup old replies (admin/ceo only)
-contactMessages.delete('/', deleteOldReplies);
+contactMessages.delete('/', requirePermission('contact:delete'), deleteOldReplies);
 
 export default contactMessages;
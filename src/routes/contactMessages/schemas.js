@@ -0,0 +1,20 @@
+// Request schemas for /contactMessages (see middleware/validate.js)
+
+export const createContactMessageSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 150 },
+    email: { type: 'string', format: 'email' },
+    message: { type: 'string', minLength: 1, maxLength: 5000 },
+  },
+  required: ['name', 'email', 'message'],
+};
+
+export const replyContactMessageSchema = {
+  type: 'object',
+  properties: {
+    message_id: { type: 'string', minLength: 1, maxLength: 100 },
+    reply_body: { type: 'string', minLength: 1, maxLength: 10000 },
+  },
+  required: ['message_id', 'reply_body'],
+};
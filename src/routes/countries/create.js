@@ -1,5 +1,9 @@
 import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
+import { invalidate } from '../../services/cache.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'countries' });
 
 /**
  * POST /countries
@@ -8,21 +12,9 @@ import { getCollection } from '../../services/astra.js';
  */
 export const createCountry = async (c) => {
   const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID();
+  const traceId = getRequestId();
 
-  let body;
-  try {
-    body = await c.req.json();
-    if (!body || typeof body !== 'object') throw new Error('Invalid JSON');
-  } catch (err) {
-    return c.json({
-      success: false,
-      error: 'INVALID_BODY',
-      message: 'Request body must be valid JSON.',
-      timestamp,
-      traceId,
-    }, 400);
-  }
+  const body = c.req.valid('json'); // validate()
 
   const country_id = `CTR-${crypto.randomUUID()}`;
   const payload = {
@@ -37,7 +29,7 @@ export const createCountry = async (c) => {
     countriesCol = await getCollection('countries');
   } catch (err) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ DB connection failed:', err.message || err);
+      log.error('DB connection failed', { err });
     }
     return c.json({
       success: false,
@@ -50,6 +42,7 @@ export const createCountry = async (c) => {
 
   try {
     const result = await countriesCol.post(payload);
+    await invalidate('countries');
     return c.json({
       success: true,
       message: 'Country created successfully.',
@@ -60,7 +53,7 @@ export const createCountry = async (c) => {
     }, 201);
   } catch (err) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ Country insert failed:', err.message || err);
+      log.error('country insert failed', { err });
     }
     return c.json({
       success: false,
@@ -1,6 +1,8 @@
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { checkToken } from '../../utils/auth.js';
+import { invalidate } from '../../services/cache.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'countries' });
 
 /**
  * DELETE /countries/:id
@@ -8,31 +10,18 @@ import { checkToken } from '../../utils/auth.js';
  */
 export const deleteCountry = async (c) => {
   const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID();
+  const traceId = getRequestId();
   const countryId = c.req.param('id');
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
-
-  const [userResult, collectionResult] = await Promise.allSettled([
-    token ? checkToken(token) : null,
+  const [collectionResult] = await Promise.allSettled([
     getCollection('countries'),
   ]);
 
-  const user = userResult.status === 'fulfilled' ? userResult.value : null;
+  const user = c.get('user'); // requireRole
   const countriesCol = collectionResult.status === 'fulfilled' ? collectionResult.value : null;
 
-  if (!user || user.role !== 'ceo') {
-    return c.json({
-      success: false,
-      error: 'UNAUTHORIZED',
-      message: 'Only CEO can delete countries.',
-      timestamp,
-      traceId,
-    }, 403);
-  }
-
   if (!countriesCol) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ DB connection failed:', collectionResult.reason?.message || collectionResult.reason);
+      log.error('DB connection failed', { err: collectionResult.reason });
     }
     return c.json({
       success: false,
@@ -45,6 +34,7 @@ export const deleteCountry = async (c) => {
 
   try {
     await countriesCol.deleteOne({ _id: countryId });
+    await invalidate('countries', `country:${countryId}`);
     return c.json({
       success: true,
       message: 'Country deleted successfully.',
@@ -57,7 +47,7 @@ export const deleteCountry = async (c) => {
     }, 200);
   } catch (err) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ Country deletion failed:', err.message || err);
+      log.error('country deletion failed', { err });
     }
     return c.json({
       success: false,
@@ -0,0 +1,29 @@
+// OpenAPI descriptions for /countries (see utils/openapi.js)
+
+export default {
+  tag: 'Countries',
+  description: 'Countries the marketplace operates in.',
+  operations: {
+    'GET /': {
+      summary: 'List countries',
+      errors: { DB_CONNECTION_FAILED: 503, FETCH_ERROR: 500 },
+    },
+    'GET /:id': {
+      summary: 'Get a country',
+      errors: { INVALID_COUNTRY_ID: 400, COUNTRY_NOT_FOUND: 404, DB_CONNECTION_FAILED: 503, DB_QUERY_FAILED: 500 },
+    },
+    'POST /': {
+      summary: 'Create a country',
+      status: 201,
+      errors: { DB_CONNECTION_FAILED: 503, INSERT_FAILED: 500 },
+    },
+    'PUT /:id': {
+      summary: 'Update a country',
+      errors: { DB_CONNECTION_FAILED: 503, UPDATE_FAILED: 500 },
+    },
+    'DELETE /:id': {
+      summary: 'Delete a country',
+      errors: { DB_CONNECTION_FAILED: 503, DELETE_FAILED: 500 },
+    },
+  },
+};
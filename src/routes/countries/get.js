@@ -1,90 +1,28 @@
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { redis as upstashRedis } from '../../utils/auth.js';
+import { cacheGet, cacheKey, cacheSet, xCache } from '../../services/cache.js';
+import { getRequestId, logger } from '../../utils/logger.js';
 
-const CACHE_KEY_PREFIX = process.env.CACHE_KEY_PREFIX || 'cache';
-const CACHE_TTL_SEC = Number(process.env.CACHE_TTL_SEC || 60); // countries change rarely
-const INMEM_TTL_MS = Number(process.env.INMEM_COUNTRIES_TTL_MS || 60_000);
-const INMEM_MAX = Number(process.env.INMEM_COUNTRIES_MAX || 200);
-
-const inMemCountries = new Map(); // key -> { ts, value }
-const cleanupInMem = () => {
-  if (inMemCountries.size <= INMEM_MAX) return;
-  const keys = Array.from(inMemCountries.keys()).sort((a, b) => inMemCountries.get(a).ts - inMemCountries.get(b).ts);
-  for (let i = 0; i < Math.floor(keys.length / 4); i += 1) {
-    inMemCountries.delete(keys[i]);
-    if (inMemCountries.size <= INMEM_MAX) break;
-  }
-};
-const inMemGet = (k) => {
-  const e = inMemCountries.get(k);
-  if (!e) return null;
-  if (Date.now() - e.ts > INMEM_TTL_MS) {
-    inMemCountries.delete(k);
-    return null;
-  }
-  return e.value;
-};
-const inMemSet = (k, v) => {
-  inMemCountries.set(k, { ts: Date.now(), value: v });
-  cleanupInMem();
-};
+const log = logger.child({ module: 'countries' });
 
-const redisGet = async (key) => {
-  try {
-    const raw = await upstashRedis.get(key);
-    if (!raw) return null;
-    return JSON.parse(raw);
-  } catch (e) {
-    console.warn('Redis get error (countries):', e?.message || e);
-    return null;
-  }
-};
-const redisSet = async (key, payload, ttlSec = CACHE_TTL_SEC) => {
-  try {
-    await upstashRedis.set(key, JSON.stringify(payload));
-    if (typeof upstashRedis.expire === 'function') {
-      await upstashRedis.expire(key, ttlSec);
-    }
-  } catch (e) {
-    console.warn('Redis set error (countries):', e?.message || e);
-  }
-};
+const CACHE_TTL_SEC = Number(process.env.CACHE_TTL_SEC || 60); // countries change rarely
 
 export const getCountries = async (c) => {
   const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID?.() || `trace-${Date.now()}`;
+  const traceId = getRequestId();
   const start = Date.now();
 
-  const cacheKey = `${CACHE_KEY_PREFIX}:countries:all`;
-
-  // 1) Try Redis cache
-  const rCached = await redisGet(cacheKey);
-  if (rCached != null) {
-    c.header('X-Cache', 'HIT-REDIS');
-    c.header('Cache-Control', `public, max-age=${CACHE_TTL_SEC}`);
-    c.set('cachePayload', rCached);
-    return c.json({
-      success: true,
-      count: Array.isArray(rCached) ? rCached.length : (rCached?.length || 0),
-      data: rCached,
-      cached: true,
-      durationMs: Date.now() - start,
-      timestamp,
-      traceId,
-    }, 200);
-  }
+  const key = cacheKey('countries', 'all');
 
-  // 2) Try in-memory fallback
-  const mem = inMemGet(cacheKey);
-  if (mem != null) {
-    c.header('X-Cache', 'HIT-MEM');
+  // 1) Try cache
+  const hit = await cacheGet(key);
+  if (hit) {
+    c.header('X-Cache', xCache(hit.source));
     c.header('Cache-Control', `public, max-age=${CACHE_TTL_SEC}`);
-    c.set('cachePayload', mem);
+    c.set('cachePayload', hit.value);
     return c.json({
       success: true,
-      count: Array.isArray(mem) ? mem.length : (mem?.length || 0),
-      data: mem,
+      count: Array.isArray(hit.value) ? hit.value.length : 0,
+      data: hit.value,
       cached: true,
       durationMs: Date.now() - start,
       timestamp,
@@ -92,7 +30,7 @@ export const getCountries = async (c) => {
     }, 200);
   }
 
-  // 3) Cache miss -> fetch DB
+  // 2) Cache miss -> fetch DB
   let countriesCol;
   try {
     countriesCol = await getCollection('countries');
@@ -101,7 +39,7 @@ export const getCountries = async (c) => {
     }
   } catch (err) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ DB connection failed (countries):', err?.message || err);
+      log.error('DB connection failed', { err });
     }
     return c.json({
       success: false,
@@ -128,8 +66,7 @@ export const getCountries = async (c) => {
     }));
 
     // cache best-effort
-    inMemSet(cacheKey, countries);
-    await redisSet(cacheKey, countries, CACHE_TTL_SEC);
+    await cacheSet(key, countries, { ttl: CACHE_TTL_SEC, tags: ['countries'] });
 
     c.set('cachePayload', countries);
     c.header('X-Cache', 'MISS');
@@ -145,7 +82,7 @@ export const getCountries = async (c) => {
     }, 200);
   } catch (err) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ Country fetch failed:', err?.message || err);
+      log.error('country fetch failed', { err });
     }
     return c.json({
       success: false,
@@ -1,55 +1,10 @@
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { redis as upstashRedis } from '../../utils/auth.js';
+import { cacheGet, cacheKey, cacheSet, xCache } from '../../services/cache.js';
+import { getRequestId, logger } from '../../utils/logger.js';
 
-const CACHE_KEY_PREFIX = process.env.CACHE_KEY_PREFIX || 'cache';
-const CACHE_TTL_SEC = Number(process.env.CACHE_TTL_SEC || 60);
-const INMEM_TTL_MS = Number(process.env.INMEM_COUNTRY_TTL_MS || 60_000);
-const INMEM_MAX = Number(process.env.INMEM_COUNTRY_MAX || 200);
-
-const inMemCountries = new Map(); // key -> { ts, value }
-const cleanupInMem = () => {
-  if (inMemCountries.size <= INMEM_MAX) return;
-  const keys = Array.from(inMemCountries.keys()).sort((a, b) => inMemCountries.get(a).ts - inMemCountries.get(b).ts);
-  for (let i = 0; i < Math.floor(keys.length / 4); i += 1) {
-    inMemCountries.delete(keys[i]);
-    if (inMemCountries.size <= INMEM_MAX) break;
-  }
-};
-const inMemGet = (k) => {
-  const e = inMemCountries.get(k);
-  if (!e) return null;
-  if (Date.now() - e.ts > INMEM_TTL_MS) {
-    inMemCountries.delete(k);
-    return null;
-  }
-  return e.value;
-};
-const inMemSet = (k, v) => {
-  inMemCountries.set(k, { ts: Date.now(), value: v });
-  cleanupInMem();
-};
+const log = logger.child({ module: 'countries' });
 
-const redisGet = async (key) => {
-  try {
-    const raw = await upstashRedis.get(key);
-    if (!raw) return null;
-    return JSON.parse(raw);
-  } catch (e) {
-    console.warn('Redis get error (country):', e?.message || e);
-    return null;
-  }
-};
-const redisSet = async (key, payload, ttlSec = CACHE_TTL_SEC) => {
-  try {
-    await upstashRedis.set(key, JSON.stringify(payload));
-    if (typeof upstashRedis.expire === 'function') {
-      await upstashRedis.expire(key, ttlSec);
-    }
-  } catch (e) {
-    console.warn('Redis set error (country):', e?.message || e);
-  }
-};
+const CACHE_TTL_SEC = Number(process.env.CACHE_TTL_SEC || 60);
 
 const projectCountry = (p) => ({
   id: p.id || p._id || p.country_id || null,
@@ -63,7 +18,7 @@ const projectCountry = (p) => ({
 
 export const getCountryById = async (c) => {
   const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID?.() || `trace-${Date.now()}`;
+  const traceId = getRequestId();
   const countryId = c.req.param('id');
 
   if (!countryId || typeof countryId !== 'string') {
@@ -76,39 +31,24 @@ export const getCountryById = async (c) => {
     }, 400);
   }
 
-  const cacheKey = `${CACHE_KEY_PREFIX}:country:${countryId}`;
-
-  // 1) Try Redis cache
-  const rCached = await redisGet(cacheKey);
-  if (rCached != null) {
-    c.header('X-Cache', 'HIT-REDIS');
-    c.set('cachePayload', rCached);
-    return c.json({
-      success: true,
-      country_id: countryId,
-      data: rCached,
-      cached: true,
-      timestamp,
-      traceId,
-    }, 200);
-  }
+  const key = cacheKey('country', countryId);
 
-  // 2) Try in-memory fallback
-  const mem = inMemGet(cacheKey);
-  if (mem != null) {
-    c.header('X-Cache', 'HIT-MEM');
-    c.set('cachePayload', mem);
+  // 1) Try cache
+  const hit = await cacheGet(key);
+  if (hit) {
+    c.header('X-Cache', xCache(hit.source));
+    c.set('cachePayload', hit.value);
     return c.json({
       success: true,
       country_id: countryId,
-      data: mem,
+      data: hit.value,
       cached: true,
       timestamp,
       traceId,
     }, 200);
   }
 
-  // 3) Cache miss -> fetch DB
+  // 2) Cache miss -> fetch DB
   let countriesCol;
   try {
     countriesCol = await getCollection('countries');
@@ -117,7 +57,7 @@ export const getCountryById = async (c) => {
     }
   } catch (err) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ DB connection failed (country):', err?.message || err);
+      log.error('DB connection failed', { err });
     }
     return c.json({
       success: false,
@@ -164,8 +104,7 @@ export const getCountryById = async (c) => {
     const projected = projectCountry(countryRaw);
 
     // best-effort cache writes
-    inMemSet(cacheKey, projected);
-    await redisSet(cacheKey, projected, CACHE_TTL_SEC);
+    await cacheSet(key, projected, { ttl: CACHE_TTL_SEC, tags: [`country:${countryId}`] });
 
     c.set('cachePayload', projected);
     c.header('X-Cache', 'MISS');
@@ -179,7 +118,7 @@ export const getCountryById = async (c) => {
     }, 200);
   } catch (err) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ Country lookup failed:', err?.message || err);
+      log.error('country lookup failed', { err });
     }
     return c.json({
       success: false,
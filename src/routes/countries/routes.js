@@ -1,19 +1,27 @@
 import { Hono } from 'hono';
-import { getCountries } from './get.js';
-import { createCountry } from './create.js';
-import { getCountryById } from './id.js';
-import { updateCountry } from './update.js';
-import { deleteCountry } from './delete.js';
+import { requirePermission } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import { countryIdParams, createCountrySchema, updateCountrySchema } from './schemas.js';
+import { lazyHandler } from '../../utils/lazyHandler.js';
+
+const getCountries = lazyHandler(() => import('./get.js'), 'getCountries');
+const createCountry = lazyHandler(() => import('./create.js'), 'createCountry');
+const getCountryById = lazyHandler(() => import('./id.js'), 'getCountryById');
+const updateCountry = lazyHandler(() => import('./update.js'), 'updateCountry');
+const deleteCountry = lazyHandler(() => import('./delete.js'), 'deleteCountry');
 
 const countries = new Hono();
+const validCreate = validate({ json: createCountrySchema });
+const validUpdate = validate({ param: countryIdParams, json: updateCountrySchema });
+const validId = validate({ param: countryIdParams });
 
 // Public endpoints
-countries.get('/', getCountries);           // List all countries
-countries.get('/:id', getCountryById);      // Get a specific country
+countries.get('/', getCountries);      // List all countries
+countries.get('/:id', getCountryById); // Get a specific country
 
 // CEO-only endpoints
-countries.post('/', createCountry);         // Create a new country
-countries.put('/:id', updateCountry);       // Update a country (CEO only)
-countries.delete('/:id', deleteCountry);    // Delete a country (CEO only)
+countries.post('/', requirePermission('country:create'), validCreate, createCountry);   // Create a new country
+countries.put('/:id', requirePermission('country:update'), validUpdate, updateCountry); // Update a country
+countries.delete('/:id', requirePermission('country:delete'), validId, deleteCountry);  // Delete a country
 
 export default countries;
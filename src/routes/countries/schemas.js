@@ -0,0 +1,29 @@
+// Request schemas for /countries (see middleware/validate.js)
+
+const countryFields = {
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  iso2: { type: 'string', pattern: '^[A-Za-z]{2}$' },
+  iso3: { type: 'string', pattern: '^[A-Za-z]{3}$' },
+  phone_code: { type: 'string', pattern: '^\\+?\\d{1,4}$' },
+  currency: { type: 'string', pattern: '^[A-Za-z]{3}$' },
+  flag: { type: 'string', format: 'uri' },
+  region: { type: 'string', maxLength: 100 },
+  active: { type: 'boolean' },
+};
+
+export const countryIdParams = {
+  type: 'object',
+  properties: { id: { type: 'string', minLength: 1, maxLength: 100 } },
+  required: ['id'],
+};
+
+export const createCountrySchema = {
+  type: 'object',
+  properties: countryFields,
+  required: ['name', 'iso2'],
+};
+
+export const updateCountrySchema = {
+  type: 'object',
+  properties: countryFields,
+};
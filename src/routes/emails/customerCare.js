@@ -1,4 +1,7 @@
 import { initZeptoMail, ZeptoMailError } from '../../services/zeptoEmail.js';
+import { logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'emails' });
 
 /**
  * POST /emails/customercare
@@ -13,7 +16,7 @@ export const postCustomerCareEmail = async (c) => {
     body = await c.req.json();
     if (!body || typeof body !== 'object') throw new Error('Invalid JSON');
   } catch (err) {
-    console.error('❌ JSON parsing failed:', err.message || err);
+    log.error('JSON parsing failed', { err });
     return c.json({
       success: false,
       error: 'INVALID_JSON',
@@ -129,7 +132,7 @@ export const postCustomerCareEmail = async (c) => {
       timestamp,
     });
   } catch (err) {
-    console.error('❌ Email dispatch failed:', err.message || err);
+    log.error('email dispatch failed', { err });
     const errorType = err instanceof ZeptoMailError ? 'EMAIL_SERVICE_ERROR' : 'REQUEST_ERROR';
     return c.json({
       success: false,
@@ -0,0 +1,49 @@
+// OpenAPI descriptions for /emails (see utils/openapi.js)
+
+const message = {
+  type: 'object',
+  properties: {
+    to: { type: 'string', format: 'email' },
+    message: { type: 'string' },
+    time: { type: 'string' },
+  },
+  required: ['to', 'message', 'time'],
+};
+
+const dispatchErrors = { INVALID_JSON: 400, MISSING_FIELDS: 400, EMAIL_SERVICE_ERROR: 500, REQUEST_ERROR: 500 };
+
+export default {
+  tag: 'Emails',
+  description: 'Transactional emails sent from the desk mailboxes.',
+  operations: {
+    'POST /customercare': {
+      summary: 'Send a customer care email',
+      body: message,
+      errors: dispatchErrors,
+    },
+    'POST /payments': {
+      summary: 'Send a payment confirmation email',
+      body: {
+        type: 'object',
+        properties: {
+          to: { type: 'string', format: 'email' },
+          reference: { type: 'string' },
+          purpose: { type: 'string' },
+          time: { type: 'string' },
+        },
+        required: ['to', 'reference', 'time', 'purpose'],
+      },
+      errors: dispatchErrors,
+    },
+    'POST /ceo': {
+      summary: 'Send an email from the CEO desk',
+      body: message,
+      errors: dispatchErrors,
+    },
+    'POST /admin': {
+      summary: 'Send an email from the admin desk',
+      body: message,
+      errors: dispatchErrors,
+    },
+  },
+};
@@ -1,9 +1,11 @@
 import { Hono } from 'hono';
+import { requireRole } from '../../middleware/auth.js';
+import { lazyHandler } from '../../utils/lazyHandler.js';
 
-import { postCustomerCareEmail } from './customerCare.js';
-import { postCeoEmail } from './ceo.js';
-import { postAdminEmail } from './admin.js';
-import { postPaymentEmail } from './payments.js'; // ✅ Import Payment email handler
+const postCustomerCareEmail = lazyHandler(() => import('./customerCare.js'), 'postCustomerCareEmail');
+const postCeoEmail = lazyHandler(() => import('./ceo.js'), 'postCeoEmail');
+const postAdminEmail = lazyHandler(() => import('./admin.js'), 'postAdminEmail');
+const postPaymentEmail = lazyHandler(() => import('./payments.js'), 'postPaymentEmail');
 
 const emailRoutes = new Hono();
 
@@ -20,11 +22,11 @@ emailRoutes.post('/payments', postPaymentEmail);
 /**
  * Protected route for CEO executive emails
  */
-emailRoutes.post('/ceo', postCeoEmail);
+emailRoutes.post('/ceo', requireRole('ceo'), postCeoEmail);
 
 /**
  * Protected route for Admin desk emails
  */
-emailRoutes.post('/admin', postAdminEmail);
+emailRoutes.post('/admin', requireRole('admin'), postAdminEmail);
 
 export default emailRoutes;
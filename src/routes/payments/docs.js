@@ -0,0 +1,204 @@
+// OpenAPI descriptions for /payments (see utils/openapi.js)
+
+export default {
+  tag: 'Payments',
+  description: 'Payment initiation (Paystack or M-Pesa STK Push), lookup, verification, webhooks, refunds, landlord splits, reconciliation, transfer recipients and withdrawals.',
+  operations: {
+    'POST /initiate': {
+      summary: 'Initiate a payment',
+      description: 'The amount is set by the purpose: the room price per period of the stay for a booking '
+        + '(`start_date` and `end_date` or `periods`, default one period from today; the dates must be free and not held by another payer, and the payer\'s own hold is tied to the reference, see `held_until`), the listing fee schedule for a listing '
+        + '(signed in; send the `purpose` of `GET /properties/pricing/quote`). '
+        + '`amount` is optional and, when sent, must equal it. The purpose is stored with the transaction and checked when the reference is used. '
+        + '`provider` picks Paystack (an `authorization_url`, also emailed) or M-Pesa (an STK Push prompt on `phonenumber`, tracked by `checkout_request_id`).',
+      body: {
+        type: 'object',
+        properties: {
+          purpose: {
+            type: 'object',
+            properties: {
+              type: { type: 'string', enum: ['booking', 'listing'] },
+              room_id: { type: 'string' },
+              start_date: { type: 'string', format: 'date', description: 'Booking' },
+              end_date: { type: 'string', format: 'date', description: 'Booking: check-out day' },
+              periods: { type: 'integer', minimum: 1, description: 'Booking: nights or months, by the room\'s period' },
+              country: { type: 'string', description: 'Listing: ISO2 code' },
+              currency: { type: 'string', description: 'Listing' },
+              rooms: { type: 'integer', minimum: 0, description: 'Listing: number of rooms' },
+              duration_days: { type: 'integer', description: 'Listing' },
+            },
+            required: ['type'],
+          },
+          amount: { type: 'number', minimum: 0, description: 'Whole currency units' },
+          phonenumber: { type: 'string' },
+          email: { type: 'string', format: 'email' },
+          name: { type: 'string' },
+          reference: { type: 'string' },
+          provider: { type: 'string', enum: ['paystack', 'mpesa'], default: 'paystack' },
+        },
+        required: ['purpose', 'phonenumber', 'email'],
+      },
+      errors: {
+        INVALID_BODY: 400,
+        INVALID_AMOUNT: 400,
+        INVALID_PHONE: 400,
+        INVALID_EMAIL: 400,
+        INVALID_PURPOSE: 400,
+        INVALID_PROVIDER: 400,
+        UNSUPPORTED_CURRENCY: 400,
+        PAYMENT_AMOUNT_MISMATCH: 400,
+        UNSUPPORTED_COUNTRY: 400,
+        INVALID_ROOMS: 400,
+        INVALID_DURATION: 400,
+        INVALID_DATES: 400,
+        UNAUTHORIZED: 401,
+        BOOKING_CONFLICT: 409,
+        ROOM_HELD: 409,
+        ROOM_NOT_FOUND: 404,
+        PAYMENT_INIT_FAILED: 500,
+        DB_CONNECTION_FAILED: 503,
+        HOLD_UNAVAILABLE: 503,
+        PROVIDER_NOT_CONFIGURED: 503,
+      },
+    },
+    'GET /': {
+      summary: 'List payments',
+      description: 'Newest first, filtered by status, created date range (`from`, `to`), payer `email` and `purpose`. '
+        + 'Staff see every payment; landlords and tenants only those they paid, their listing fees and payments for their rooms.',
+      errors: { PAYMENTS_FETCH_FAILED: 500 },
+    },
+    'GET /:reference': {
+      summary: 'Get a payment',
+      description: 'The local record with its `status_history`, the provider\'s current status (`provider_status`), '
+        + 'the booking or property it paid for and its refunds. Staff see any payment; landlords and tenants their own.',
+      errors: { FORBIDDEN: 403, PAYMENT_NOT_FOUND: 404, DB_CONNECTION_FAILED: 503 },
+    },
+    'GET /subaccount': {
+      summary: 'Get my payout account',
+      errors: { PAYOUT_ACCOUNT_NOT_FOUND: 404, DB_CONNECTION_FAILED: 503 },
+    },
+    'PUT /subaccount': {
+      summary: 'Register or update my payout account',
+      description: 'Creates (201) or updates (200) the landlord\'s Paystack subaccount. Booking payments for their rooms '
+        + 'initialized afterwards are split: the platform keeps PLATFORM_COMMISSION_PERCENT and Paystack settles the rest to this account.',
+      errors: { SUBACCOUNT_REJECTED: 422, SUBACCOUNT_FAILED: 502, DB_CONNECTION_FAILED: 503 },
+    },
+    'DELETE /subaccount': {
+      summary: 'Deactivate my payout account',
+      description: 'New booking payments go to the platform in full; the landlord\'s share is recorded as owed.',
+      errors: { PAYOUT_ACCOUNT_NOT_FOUND: 404, SUBACCOUNT_REJECTED: 422, SUBACCOUNT_FAILED: 502, DB_CONNECTION_FAILED: 503 },
+    },
+    'GET /splits': {
+      summary: 'List booking payment splits',
+      description: 'Platform and landlord shares of each booking payment, newest first, with `totals` over every match '
+        + '(`landlord_owed`: landlord shares that were paid into the platform account). Landlords see their own.',
+      errors: { SPLITS_FETCH_FAILED: 500 },
+    },
+    'POST /verify': {
+      summary: 'Verify a payment by reference',
+      body: { type: 'object', properties: { reference: { type: 'string' } }, required: ['reference'] },
+      errors: { INVALID_BODY: 400, VERIFICATION_FAILED: 500 },
+    },
+    'POST /webhook': {
+      summary: 'Receive a Paystack event',
+      description: 'Called by Paystack. The raw body must be signed in `x-paystack-signature` (HMAC-SHA512 with the secret key). '
+        + 'charge.success, charge.failed and refund.processed move the payment to SUCCESS, FAILED or REVERSED; '
+        + 'transfer.success, transfer.failed and transfer.reversed do the same for the withdrawal. Repeated deliveries are acknowledged without effect.',
+      body: {
+        type: 'object',
+        properties: { event: { type: 'string' }, data: { type: 'object' } },
+        required: ['event', 'data'],
+      },
+      errors: { INVALID_SIGNATURE: 401, INVALID_BODY: 400, WEBHOOK_PROCESSING_FAILED: 500, WEBHOOK_NOT_CONFIGURED: 503 },
+    },
+    'POST /mpesa/callback': {
+      summary: 'Receive an M-Pesa result',
+      description: 'Called by Safaricom Daraja with STK Push and reversal results. The URL must carry `?token=` matching MPESA_CALLBACK_TOKEN. '
+        + 'Results move payments and refunds like the Paystack webhook; Daraja is answered with `{ ResultCode: 0 }`.',
+      body: { type: 'object', properties: { Body: { type: 'object' }, Result: { type: 'object' } } },
+      errors: { INVALID_SIGNATURE: 401, INVALID_BODY: 400, PROVIDER_NOT_CONFIGURED: 503 },
+    },
+    'POST /:reference/refund': {
+      summary: 'Refund a payment',
+      description: 'Refunds `amount` (whole units, default: everything not yet refunded) of a successful charge. '
+        + 'The refund is linked to the booking or property the payment bought, and the payer gets an email with an updated receipt. '
+        + 'Settled by the refund.processed / refund.failed webhooks.',
+      status: 201,
+      errors: {
+        PAYMENT_NOT_FOUND: 404,
+        PAYMENT_NOT_REFUNDABLE: 409,
+        PAYMENT_FULLY_REFUNDED: 409,
+        REFUND_IN_PROGRESS: 409,
+        REFUND_EXCEEDS_PAYMENT: 422,
+        REFUND_REJECTED: 422,
+        REFUND_NOT_SUPPORTED: 422,
+        REFUND_FAILED: 502,
+        PAYMENT_VERIFICATION_ERROR: 502,
+      },
+    },
+    'GET /reconciliation': {
+      summary: 'List reconciliation runs',
+      description: 'Newest first, with summary counts per issue type. Runs are scheduled every RECONCILIATION_INTERVAL_HOURS or started with POST.',
+      errors: { RECONCILIATION_FETCH_FAILED: 500 },
+    },
+    'POST /reconciliation': {
+      summary: 'Start a reconciliation run',
+      description: 'Matches the Paystack transactions created between `from` and `to` (default: the last RECONCILIATION_WINDOW_HOURS) '
+        + 'with our payment records and claims by reference. Answers 202 with the RUNNING run; the report follows on GET /reconciliation/:id.',
+      status: 202,
+      errors: { INVALID_RANGE: 400, RECONCILIATION_IN_PROGRESS: 409, RECONCILIATION_START_FAILED: 503 },
+    },
+    'GET /reconciliation/:id': {
+      summary: 'Get a reconciliation report',
+      description: 'Issues are unused_success (paid, never used), used_not_successful (used, not paid), amount_mismatch '
+        + 'and status_mismatch (our record disagrees with the provider). `type` filters them.',
+      errors: { RECONCILIATION_RUN_NOT_FOUND: 404, RECONCILIATION_FETCH_FAILED: 500 },
+    },
+    'GET /recipients': {
+      summary: 'List transfer recipients',
+      errors: { RECIPIENTS_FETCH_FAILED: 502 },
+    },
+    'POST /recipients': {
+      summary: 'Create a transfer recipient',
+      description: 'An M-Pesa wallet (`mobile_money`, bank_code `MPESA`) or bank account registered on Paystack. Withdrawals are paid to its `recipient_code`.',
+      status: 201,
+      errors: { RECIPIENT_REJECTED: 422, RECIPIENT_CREATE_FAILED: 502 },
+    },
+    'DELETE /recipients/:code': {
+      summary: 'Delete a transfer recipient',
+      errors: { RECIPIENT_NOT_FOUND: 404, RECIPIENT_REJECTED: 422, RECIPIENT_DELETE_FAILED: 502 },
+    },
+    'POST /withdraw': {
+      summary: 'Withdraw to a transfer recipient',
+      description: 'Requires an `Idempotency-Key` header. Repeating it returns the stored withdrawal (`Idempotent-Replayed: true`); '
+        + 'reusing it for a different request is refused. Accounts with transfer OTPs answer `OTP_REQUIRED`: finish with `/withdrawals/:id/finalize`.',
+      status: 201,
+      errors: {
+        MISSING_IDEMPOTENCY_KEY: 400,
+        WITHDRAWAL_IN_PROGRESS: 409,
+        IDEMPOTENCY_KEY_REUSED: 422,
+        WITHDRAWAL_REJECTED: 422,
+        WITHDRAWAL_FAILED: 502,
+      },
+    },
+    'GET /withdrawals': {
+      summary: 'List withdrawals',
+      description: 'Newest first, each with its initiator, `status_history` and Paystack `transfer_code`.',
+      errors: { WITHDRAWALS_FETCH_FAILED: 500 },
+    },
+    'GET /withdrawals/:id': {
+      summary: 'Get a withdrawal',
+      errors: { WITHDRAWAL_NOT_FOUND: 404, WITHDRAWALS_FETCH_FAILED: 500 },
+    },
+    'POST /withdrawals/:id/finalize': {
+      summary: 'Confirm a withdrawal with the transfer OTP',
+      errors: {
+        WITHDRAWAL_NOT_FOUND: 404,
+        INVALID_WITHDRAWAL_STATE: 409,
+        OTP_REJECTED: 422,
+        WITHDRAWAL_FAILED: 502,
+        DB_CONNECTION_FAILED: 503,
+      },
+    },
+  },
+};
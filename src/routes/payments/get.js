@@ -0,0 +1,53 @@
+import { getCollection } from '../../services/astra.js';
+import { PAYMENT_TRANSITIONS } from '../../services/paymentEvents.js';
+import { ownPaymentsQuery, paymentView } from '../../services/payments.js';
+import { can } from '../../utils/policy.js';
+import { rangeFilter } from '../../utils/dateRange.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'payments.list' });
+
+/**
+ * GET /payments?status=&from=&to=&email=&purpose=&page=&per_page=
+ * Payments newest first. Staff see every payment; landlords and tenants only
+ * their own (see ownPaymentsQuery in services/payments.js).
+ */
+const listPayments = async (c) => {
+  const timestamp = new Date().toISOString();
+  const traceId = getRequestId();
+  const user = c.get('user'); // requirePermission
+  const { status, from, to, email, purpose, page = 1, per_page: perPage = 20 } = c.req.valid('query');
+
+  try {
+    // `used` rows written by older bookings are not payments of their own
+    const filter = { status: status ? { $eq: status } : { $in: Object.keys(PAYMENT_TRANSITIONS) } };
+    const created = rangeFilter({ from, to });
+    if (created) filter.created_at = created;
+    if (email) filter.email = { $in: [...new Set([email, email.toLowerCase()])] };
+    if (purpose) filter['purpose.type'] = { $eq: purpose };
+    if (!can(user, 'payments:read:any')) Object.assign(filter, await ownPaymentsQuery(user));
+
+    const col = await getCollection('payments');
+    const result = await col.find(filter, { limit: perPage, offset: (page - 1) * perPage, sort: { created_at: -1 } });
+    return c.json({
+      success: true,
+      data: Object.values(result?.data || {}).map(paymentView),
+      page,
+      per_page: perPage,
+      ...(result?.total != null ? { total: result.total } : {}),
+      timestamp,
+      traceId,
+    });
+  } catch (err) {
+    log.error('list payments failed', { err });
+    return c.json({
+      success: false,
+      error: 'PAYMENTS_FETCH_FAILED',
+      message: 'Failed to load payments.',
+      timestamp,
+      traceId,
+    }, 500);
+  }
+};
+
+export default listPayments;
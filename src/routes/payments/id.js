@@ -0,0 +1,125 @@
+import { getCollection } from '../../services/astra.js';
+import { ownsPayment, paymentRecord, paymentView, verifyPayment } from '../../services/payments.js';
+import { listRefunds, refundedTotal, refundTarget } from '../../services/refunds.js';
+import { can } from '../../utils/policy.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'payments.get' });
+
+const projectBooking = (b) => ({
+  booking_id: b.booking_id,
+  status: b.status || null,
+  room_id: b.room_id || null,
+  property_id: b.property_id || null,
+  tenant_id: b.tenant_id || null,
+  landlord_id: b.landlord_id || null,
+  created_at: b.created_at || null,
+});
+
+const projectProperty = (p) => ({
+  property_id: p.property_id,
+  title: p.title || null,
+  landlord_id: p.landlord_id || p.landlordId || null,
+  created_at: p.created_at || null,
+});
+
+// What the provider says right now; a provider outage doesn't hide the record
+const providerStatus = async (reference) => {
+  try {
+    const { data } = await verifyPayment(reference);
+    return {
+      status: data?.status || null,
+      amount: data?.amount == null ? null : Number(data.amount) / 100,
+      currency: data?.currency || null,
+      channel: data?.channel || null,
+      gateway_response: data?.gateway_response || null,
+      paid_at: data?.paid_at || data?.paidAt || null,
+      checked_at: new Date().toISOString(),
+    };
+  } catch (err) {
+    log.warn('provider status lookup failed', { reference, err });
+    return { status: null, error: 'PROVIDER_UNAVAILABLE', message: err.message };
+  }
+};
+
+/**
+ * GET /payments/:reference
+ * The local payment record with its status history, the provider's current
+ * status, what the payment was used for (booking or property) and its refunds.
+ * Staff see any payment; landlords and tenants only their own.
+ */
+const getPayment = async (c) => {
+  const timestamp = new Date().toISOString();
+  const traceId = getRequestId();
+  const user = c.get('user'); // requirePermission
+  const { reference } = c.req.valid('param');
+
+  let record, target, claim, refunds;
+  try {
+    record = await paymentRecord(reference);
+    if (record) {
+      const claimsCol = await getCollection('payment_claims');
+      [target, claim, refunds] = await Promise.all([
+        refundTarget(reference, { metadata: { purpose: record.purpose }, customer: { email: record.email } }),
+        claimsCol.get(reference).then((res) => (res?.code === 404 ? null : res?.data || null)),
+        listRefunds(reference),
+      ]);
+    }
+  } catch (err) {
+    log.error('payment lookup failed', { reference, err });
+    return c.json({
+      success: false,
+      error: 'DB_CONNECTION_FAILED',
+      message: 'Database connection failed.',
+      timestamp,
+      traceId,
+    }, 503);
+  }
+
+  if (!record) {
+    return c.json({
+      success: false,
+      error: 'PAYMENT_NOT_FOUND',
+      message: `No payment with reference ${reference}.`,
+      timestamp,
+      traceId,
+    }, 404);
+  }
+
+  // Authorization: staff read any payment, landlords and tenants their own
+  if (!can(user, 'payments:read:any') && !(await ownsPayment(user, record, target))) {
+    return c.json({
+      success: false,
+      error: 'FORBIDDEN',
+      message: 'You are not authorized to view this payment.',
+      timestamp,
+      traceId,
+    }, 403);
+  }
+
+  return c.json({
+    success: true,
+    data: {
+      ...paymentView(record),
+      provider_status: await providerStatus(reference),
+      used: claim ? { used_at: claim.used_at || null, purpose: claim.purpose || null } : null,
+      link: target.link,
+      booking: target.booking ? projectBooking(target.booking) : null,
+      property: target.property ? projectProperty(target.property) : null,
+      refunded_amount: refundedTotal(refunds),
+      refunds: refunds.map((r) => ({
+        refund_id: r.refund_id,
+        amount: r.amount,
+        currency: r.currency,
+        status: r.status,
+        reason: r.reason || null,
+        created_at: r.created_at,
+        updated_at: r.updated_at || null,
+      })),
+    },
+    timestamp,
+    traceId,
+  });
+};
+
+export default getPayment;
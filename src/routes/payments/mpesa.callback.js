@@ -0,0 +1,42 @@
+import { applyPaymentEvent } from '../../services/paymentEvents.js';
+import { PaymentProviderError, getPaymentProvider } from '../../services/payments.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'payments.mpesa' });
+
+/**
+ * POST /payments/mpesa/callback?token=…
+ * Daraja result receiver for STK Push payments and reversals (refunds).
+ * Daraja does not sign callbacks, so the URL carries MPESA_CALLBACK_TOKEN.
+ * Results are applied like Paystack webhooks (services/paymentEvents.js);
+ * Daraja gets its own { ResultCode, ResultDesc } acknowledgement.
+ */
+const mpesaCallback = async (c) => {
+  const timestamp = new Date().toISOString();
+  const traceId = getRequestId();
+
+  const rawBody = await c.req.text();
+
+  let events;
+  try {
+    events = await getPaymentProvider('mpesa').parseWebhook({ rawBody, headers: c.req.header(), query: c.req.query() });
+  } catch (err) {
+    if (!(err instanceof PaymentProviderError)) throw err;
+    log.warn('rejected M-Pesa callback', { error: err.code });
+    return c.json({ success: false, error: err.code, message: err.message, timestamp, traceId }, err.status);
+  }
+
+  try {
+    const results = [];
+    for (const { event, data } of events) {
+      results.push(await applyPaymentEvent(event, data, { provider: 'mpesa', traceId }));
+    }
+    log.info('M-Pesa callback applied', { events: results.map((r) => `${r.event}: ${r.message}`) });
+    return c.json({ ResultCode: 0, ResultDesc: 'Accepted', traceId });
+  } catch (err) {
+    log.error('M-Pesa callback processing failed', { err });
+    return c.json({ ResultCode: 1, ResultDesc: 'Processing failed', traceId }, 500);
+  }
+};
+
+export default mpesaCallback;
@@ -0,0 +1,189 @@
+import { getCollection } from '../../services/astra.js';
+import { createSubaccount, updateSubaccount } from '../../services/paystack.js';
+import {
+  PAYMENT_SPLITS_COLLECTION,
+  PAYOUT_ACCOUNTS_COLLECTION,
+  getPayoutAccount,
+} from '../../services/payouts.js';
+import { can } from '../../utils/policy.js';
+import { rangeFilter } from '../../utils/dateRange.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+// Landlord payout accounts (Paystack subaccounts) and the booking splits paid
+// into them (see services/payouts.js).
+
+const log = logger.child({ module: 'payments.payouts' });
+
+const fail = (c, status, error, message) => c.json({
+  success: false,
+  error,
+  message,
+  timestamp: new Date().toISOString(),
+  traceId: getRequestId(),
+}, status);
+
+const providerError = (c, err) => {
+  if (err.status >= 400 && err.status < 500) return fail(c, 422, 'SUBACCOUNT_REJECTED', err.message);
+  log.error('subaccount request failed', { err });
+  return fail(c, 502, 'SUBACCOUNT_FAILED', 'Failed to save the payout account with Paystack.');
+};
+
+/**
+ * GET /payments/subaccount
+ * The signed-in landlord's payout account. Landlords (payments:payout).
+ */
+export const getSubaccount = async (c) => {
+  const user = c.get('user'); // requirePermission
+  try {
+    const account = await getPayoutAccount(user.userId);
+    if (!account) return fail(c, 404, 'PAYOUT_ACCOUNT_NOT_FOUND', 'No payout account registered yet.');
+    return c.json({ success: true, data: account, timestamp: new Date().toISOString(), traceId: getRequestId() });
+  } catch (err) {
+    log.error('get payout account failed', { err });
+    return fail(c, 503, 'DB_CONNECTION_FAILED', 'Database connection failed.');
+  }
+};
+
+/**
+ * PUT /payments/subaccount
+ * Registers the landlord's settlement account as a Paystack subaccount, or
+ * updates (and reactivates) the one they have. Bookings initialized from now
+ * on pay the landlord's share into it.
+ */
+export const saveSubaccount = async (c) => {
+  const user = c.get('user'); // requirePermission
+  const body = c.req.valid('json');
+  const timestamp = new Date().toISOString();
+
+  let existing;
+  try {
+    existing = await getPayoutAccount(user.userId);
+  } catch (err) {
+    log.error('get payout account failed', { err });
+    return fail(c, 503, 'DB_CONNECTION_FAILED', 'Database connection failed.');
+  }
+
+  const details = {
+    business_name: body.business_name.trim(),
+    settlement_bank: body.settlement_bank.trim(),
+    account_number: body.account_number.trim(),
+    description: body.description?.trim() || undefined,
+  };
+
+  let data;
+  try {
+    ({ data } = existing
+      ? await updateSubaccount(existing.subaccount_code, { ...details, active: true })
+      : await createSubaccount({
+        ...details,
+        primary_contact_email: user.email || undefined,
+        metadata: { landlord_id: user.userId },
+      }));
+  } catch (err) {
+    return providerError(c, err);
+  }
+
+  // Paystack answers with the bank's name in settlement_bank
+  const account = {
+    landlord_id: user.userId,
+    subaccount_code: data?.subaccount_code || existing?.subaccount_code,
+    business_name: details.business_name,
+    settlement_bank: details.settlement_bank,
+    bank_name: data?.settlement_bank || null,
+    account_last4: details.account_number.slice(-4),
+    active: true,
+    verified: !!data?.is_verified,
+    created_at: existing?.created_at || timestamp,
+    updated_at: timestamp,
+  };
+  try {
+    const col = await getCollection(PAYOUT_ACCOUNTS_COLLECTION);
+    await col.put(user.userId, account);
+  } catch (err) {
+    // the subaccount exists at Paystack; saving again updates it
+    log.error('payout account write failed', { subaccount: account.subaccount_code, err });
+    return fail(c, 503, 'DB_CONNECTION_FAILED', 'Database connection failed.');
+  }
+
+  log.info(existing ? 'payout account updated' : 'payout account created', { subaccount: account.subaccount_code });
+  return c.json({ success: true, data: account, timestamp, traceId: getRequestId() }, existing ? 200 : 201);
+};
+
+/**
+ * DELETE /payments/subaccount
+ * Deactivates the payout account: new bookings pay the platform in full and
+ * the landlord's share is recorded as owed.
+ */
+export const deactivateSubaccount = async (c) => {
+  const user = c.get('user'); // requirePermission
+  const timestamp = new Date().toISOString();
+
+  let account;
+  try {
+    account = await getPayoutAccount(user.userId);
+  } catch (err) {
+    log.error('get payout account failed', { err });
+    return fail(c, 503, 'DB_CONNECTION_FAILED', 'Database connection failed.');
+  }
+  if (!account) return fail(c, 404, 'PAYOUT_ACCOUNT_NOT_FOUND', 'No payout account registered yet.');
+
+  try {
+    await updateSubaccount(account.subaccount_code, { active: false });
+  } catch (err) {
+    return providerError(c, err);
+  }
+
+  try {
+    const col = await getCollection(PAYOUT_ACCOUNTS_COLLECTION);
+    await col.patch(user.userId, { active: false, updated_at: timestamp });
+  } catch (err) {
+    log.error('payout account write failed', { subaccount: account.subaccount_code, err });
+    return fail(c, 503, 'DB_CONNECTION_FAILED', 'Database connection failed.');
+  }
+  return c.json({ success: true, data: { ...account, active: false, updated_at: timestamp }, timestamp, traceId: getRequestId() });
+};
+
+const sum = (rows, field) => Math.round(rows.reduce((total, row) => total + Number(row[field] || 0), 0) * 100) / 100;
+
+/**
+ * GET /payments/splits?landlord_id=&settlement=&from=&to=&page=&per_page=
+ * Booking splits newest first, with totals over every match: the statement
+ * for a landlord. Staff see any landlord; landlords and tenants only their own.
+ */
+export const listSplits = async (c) => {
+  const user = c.get('user'); // requirePermission
+  const { landlord_id: landlordId, settlement, from, to, page = 1, per_page: perPage = 20 } = c.req.valid('query');
+
+  const filter = {};
+  const owner = can(user, 'payments:read:any') ? landlordId : user.userId;
+  if (owner) filter.landlord_id = { $eq: owner };
+  if (settlement) filter.settlement = { $eq: settlement };
+  const created = rangeFilter({ from, to });
+  if (created) filter.created_at = created;
+
+  try {
+    const col = await getCollection(PAYMENT_SPLITS_COLLECTION);
+    const all = [];
+    for await (const row of col.findAll(filter, { sort: { created_at: -1 } })) all.push(row);
+    const owed = all.filter((row) => row.settlement === 'platform');
+    return c.json({
+      success: true,
+      data: all.slice((page - 1) * perPage, page * perPage),
+      totals: {
+        amount: sum(all, 'amount'),
+        platform_amount: sum(all, 'platform_amount'),
+        landlord_amount: sum(all, 'landlord_amount'),
+        // landlord shares that landed in the platform account
+        landlord_owed: sum(owed, 'landlord_amount'),
+      },
+      page,
+      per_page: perPage,
+      total: all.length,
+      timestamp: new Date().toISOString(),
+      traceId: getRequestId(),
+    });
+  } catch (err) {
+    log.error('list splits failed', { err });
+    return fail(c, 500, 'SPLITS_FETCH_FAILED', 'Failed to load payment splits.');
+  }
+};
@@ -1,8 +1,23 @@
 // src/functions/payments/post.js
 import { getCollection } from '../../services/astra.js';
-import { initializePayment } from '../../services/paystack.js';
+import { PaymentProviderError, getPaymentProvider } from '../../services/payments.js';
 import { sendEmail } from '../../services/email.js'; // dedicated payment email service
+import { bookingSplit } from '../../services/payouts.js';
+import { AvailabilityError, assertAvailable, stayRange, today } from '../../services/availability.js';
+import { RoomHoldError, assertNotHeld, holderOf, tieHoldPayment } from '../../services/roomHolds.js';
 import crypto from 'crypto';
+import { getRequestId, logger } from '../../utils/logger.js';
+import { ListingFeeError, listingQuote } from '../../utils/listingFees.js';
+import {
+  PURPOSE_TYPES,
+  bookingAmount,
+  bookingPurpose,
+  listingPurpose,
+  roomCurrency,
+  toSubunits,
+} from '../../utils/paymentPurpose.js';
+
+const log = logger.child({ module: 'payments' });
 
 /**
  * Helper: ensure we have a stable reference
@@ -16,22 +31,34 @@ function makeReference(prefix = 'PAY') {
 
 /**
  * POST /payments/initiate
- * - Accepts JSON body with { amount, phonenumber, email, reference? , ... }
+ * - Accepts JSON body with { purpose, phonenumber, email, amount?, reference?, ... }
+ * - purpose is { type: 'booking', room_id, start_date?, end_date?, periods? }
+ *   (default: one period from today) or { type: 'listing', country, currency,
+ *   rooms, duration_days } (signed in, as quoted by GET /properties/pricing/quote);
+ *   the amount comes from the room price per period or the listing fee
+ *   schedule, and a client amount (whole units) must match it
+ * - booking dates must be free (see services/availability.js) and not held
+ *   by another payer; the payer's own hold is tied to the reference
+ *   (see services/roomHolds.js)
+ * - provider is 'paystack' (default) or 'mpesa' (STK Push to phonenumber),
+ *   see services/payments.js
+ * - purpose, expected amount and currency go into the provider metadata so
+ *   consumers can check them (see utils/paymentPurpose.js)
+ * - booking payments carry the landlord split (see services/payouts.js)
  * - If reference absent, server generates it and passes to provider as reference
- * - After initializing with provider, sends the payment URL to the supplied email
+ * - After initializing with Paystack, sends the payment URL to the supplied
+ *   email; M-Pesa prompts the phone instead
  */
 const post = async (c) => {
   const timestamp = new Date().toISOString();
-  const traceId =
-    c.req.header('x-trace-id') ||
-    (crypto.randomUUID ? crypto.randomUUID() : makeReference('TRACE'));
+  const traceId = getRequestId();
 
   let body;
   try {
     body = await c.req.json();
     if (!body || typeof body !== 'object') throw new Error('Invalid JSON');
   } catch (parseErr) {
-    console.error('❌ Failed to parse payment request body:', parseErr.message || parseErr);
+    log.error('failed to parse payment request body', { err: parseErr });
     return c.json(
       {
         success: false,
@@ -45,10 +72,10 @@ const post = async (c) => {
   }
 
   // Basic server-side validation
-  const amount = Number(body.amount);
+  const requestedAmount = body.amount == null ? null : Number(body.amount);
   const phonenumber = String(body.phonenumber || '').trim();
   const email = String(body.email || '').trim();
-  if (!amount || Number.isNaN(amount) || amount <= 0) {
+  if (requestedAmount !== null && (Number.isNaN(requestedAmount) || requestedAmount <= 0)) {
     return c.json(
       {
         success: false,
@@ -85,34 +112,232 @@ const post = async (c) => {
     );
   }
 
+  let provider;
+  try {
+    provider = getPaymentProvider(body.provider || undefined);
+  } catch (err) {
+    return c.json(
+      {
+        success: false,
+        error: err.code,
+        message: err.message,
+        timestamp,
+        traceId,
+      },
+      err.status
+    );
+  }
+
+  // The purpose decides the amount and currency
+  const purposeType = body.purpose?.type;
+  if (!PURPOSE_TYPES.includes(purposeType)) {
+    return c.json(
+      {
+        success: false,
+        error: 'INVALID_PURPOSE',
+        message: `purpose.type must be one of: ${PURPOSE_TYPES.join(', ')}.`,
+        timestamp,
+        traceId,
+      },
+      400
+    );
+  }
+
+  let purpose, amount, currency;
+  let split = null;
+  let hold = null;
+  if (purposeType === 'booking') {
+    const roomId = String(body.purpose.room_id || '').trim();
+    if (!roomId) {
+      return c.json(
+        {
+          success: false,
+          error: 'INVALID_PURPOSE',
+          message: 'purpose.room_id is required for a booking payment.',
+          timestamp,
+          traceId,
+        },
+        400
+      );
+    }
+
+    let room;
+    try {
+      const roomsCol = await getCollection('rooms');
+      const found = await roomsCol.find({ room_id: { $eq: roomId } });
+      room = Object.values(found?.data || {})[0];
+    } catch (err) {
+      log.error('room lookup failed', { roomId, err });
+      return c.json(
+        {
+          success: false,
+          error: 'DB_CONNECTION_FAILED',
+          message: 'Database connection failed.',
+          timestamp,
+          traceId,
+        },
+        503
+      );
+    }
+    if (!room || !(Number(room.price) > 0)) {
+      return c.json(
+        {
+          success: false,
+          error: 'ROOM_NOT_FOUND',
+          message: 'Room not found or has no price.',
+          timestamp,
+          traceId,
+        },
+        404
+      );
+    }
+
+    // The dates must be free, and not held by someone else, before anyone pays for them
+    let stay;
+    try {
+      const { start_date: startDate, end_date: endDate, periods } = body.purpose;
+      stay = stayRange(room, { start_date: startDate || today(), end_date: endDate, periods });
+      await assertAvailable(roomId, stay);
+      hold = await assertNotHeld(roomId, stay, holderOf(c.get('user'), email));
+    } catch (err) {
+      if (!(err instanceof AvailabilityError || err instanceof RoomHoldError)) {
+        log.error('availability check failed', { roomId, err });
+        return c.json(
+          {
+            success: false,
+            error: 'DB_CONNECTION_FAILED',
+            message: 'Database connection failed.',
+            timestamp,
+            traceId,
+          },
+          503
+        );
+      }
+      return c.json(
+        {
+          success: false,
+          error: err.code,
+          message: err.message,
+          timestamp,
+          traceId,
+        },
+        err.status
+      );
+    }
+
+    purpose = bookingPurpose(roomId, stay);
+    amount = bookingAmount(room, stay);
+    currency = roomCurrency(room);
+
+    // The landlord's share goes to their subaccount (see services/payouts.js)
+    try {
+      split = await bookingSplit(room, toSubunits(amount));
+      if (!provider.splits) split.subaccount_code = null;
+    } catch (err) {
+      log.error('payout account lookup failed', { err });
+      return c.json(
+        {
+          success: false,
+          error: 'DB_CONNECTION_FAILED',
+          message: 'Database connection failed.',
+          timestamp,
+          traceId,
+        },
+        503
+      );
+    }
+  } else {
+    const user = c.get('user');
+    if (!user) {
+      return c.json(
+        {
+          success: false,
+          error: 'UNAUTHORIZED',
+          message: 'Sign in to pay a listing fee.',
+          timestamp,
+          traceId,
+        },
+        401
+      );
+    }
+    let quote;
+    try {
+      quote = listingQuote(body.purpose);
+    } catch (err) {
+      if (!(err instanceof ListingFeeError)) throw err;
+      return c.json(
+        {
+          success: false,
+          error: err.code,
+          message: err.message,
+          timestamp,
+          traceId,
+        },
+        err.status
+      );
+    }
+    purpose = listingPurpose(user.userId, quote);
+    amount = quote.amount;
+    currency = quote.currency;
+  }
+
+  if (requestedAmount !== null && requestedAmount !== amount) {
+    return c.json(
+      {
+        success: false,
+        error: 'PAYMENT_AMOUNT_MISMATCH',
+        message: `This ${purposeType} costs ${amount} ${currency}, not ${requestedAmount}.`,
+        timestamp,
+        traceId,
+      },
+      400
+    );
+  }
+
   // Ensure a server-authoritative reference exists
   const reference =
     body.reference && String(body.reference).trim()
       ? String(body.reference).trim()
       : makeReference('PAY');
 
-  // Build payload for payment provider
+  // Build payload for payment provider (amount in subunits; metadata and split are server-owned)
+  const {
+    purpose: _purpose,
+    metadata: _metadata,
+    provider: _provider,
+    split: _split,
+    split_code: _splitCode,
+    subaccount: _subaccount,
+    transaction_charge: _transactionCharge,
+    bearer: _bearer,
+    ...passthrough
+  } = body;
   const providerPayload = {
-    ...body,
-    amount,
+    passthrough,
+    amount: toSubunits(amount),
+    currency,
     phonenumber,
     email,
     reference,
+    split,
+    metadata: {
+      purpose,
+      expected_amount: toSubunits(amount),
+      currency,
+      ...(split ? { split } : {}),
+      phonenumber,
+      traceId,
+    },
   };
 
   try {
     // Initialize payment with provider
-    const providerResult = await initializePayment(providerPayload);
+    const initialized = await provider.initialize(providerPayload);
+    const providerResult = initialized.raw;
+    const paymentUrl = initialized.authorization_url || null;
 
-    // Extract payment URL from provider response
-    const paymentUrl =
-      providerResult?.data?.authorization_url ||
-      providerResult?.data?.payment_url ||
-      providerResult?.authorization_url ||
-      null;
-
-    if (!paymentUrl) {
-      console.warn('⚠️ Provider did not return payment URL', providerResult);
+    if (!paymentUrl && provider.name === 'paystack') {
+      log.warn('provider did not return payment URL', { providerResult });
     }
 
     // Persist audit record
@@ -120,22 +345,33 @@ const post = async (c) => {
       const paymentsCol = await getCollection('payments');
       const record = {
         reference,
+        user_id: c.get('user')?.userId || null,
+        provider: provider.name,
+        ...initialized.record,
         amount,
+        currency,
+        purpose,
+        expected_amount: toSubunits(amount),
+        split,
         phonenumber,
         email,
         provider_response: providerResult,
         status: 'INITIATED',
+        status_history: [{ status: 'INITIATED', at: timestamp, traceId }],
         traceId,
         created_at: timestamp,
       };
-      await paymentsCol.create(record).catch((e) => {
-        console.warn('⚠️ Failed to persist payment record (non-fatal):', e.message || e);
+      await paymentsCol.post(record).catch((e) => {
+        log.warn('failed to persist payment record (non-fatal)', { err: e });
       });
     } catch (persistErr) {
-      console.warn('⚠️ Persist attempt failed:', persistErr.message || persistErr);
+      log.warn('persist attempt failed', { err: persistErr });
     }
 
-    // Send payment URL email
+    // Only this payment can now book the held dates
+    const heldFor = hold && await tieHoldPayment(hold, reference) ? hold : null;
+
+    // Send payment URL email (M-Pesa prompts the phone instead)
     let emailSendResult = null;
     try {
       if (paymentUrl) {
@@ -147,11 +383,11 @@ const post = async (c) => {
           recipientName: body.name || 'User',
         });
         emailSendResult = { success: true };
-      } else {
+      } else if (provider.name === 'paystack') {
         emailSendResult = { success: false, error: 'NO_PAYMENT_URL' };
       }
     } catch (emailErr) {
-      console.error('❌ Failed to send payment URL email:', emailErr.message || emailErr);
+      log.error('failed to send payment URL email', { err: emailErr });
       emailSendResult = {
         success: false,
         error: emailErr.message || 'EMAIL_FAILED',
@@ -164,11 +400,31 @@ const post = async (c) => {
       timestamp,
       traceId,
       reference,
+      provider: provider.name,
+      amount,
+      currency,
+      purpose,
+      ...(heldFor ? { held_until: heldFor.expires_at } : {}),
+      ...(paymentUrl ? { authorization_url: paymentUrl } : {}),
+      ...(initialized.checkout_request_id ? { checkout_request_id: initialized.checkout_request_id } : {}),
+      ...(initialized.message ? { message: initialized.message } : {}),
       data: providerResult,
       email: emailSendResult,
     });
   } catch (err) {
-    console.error('❌ Payment init error:', err.message || err);
+    if (err instanceof PaymentProviderError) {
+      return c.json(
+        {
+          success: false,
+          error: err.code,
+          message: err.message,
+          timestamp,
+          traceId,
+        },
+        err.status
+      );
+    }
+    log.error('payment init error', { err });
     return c.json(
       {
         success: false,
@@ -0,0 +1,115 @@
+import {
+  createTransferRecipient,
+  deleteTransferRecipient,
+  listTransferRecipients,
+} from '../../services/paystack.js';
+import { PAYMENT_CURRENCY } from '../../utils/paymentPurpose.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+// Transfer recipients live on Paystack; these handlers manage them there.
+// CEO only (payments:withdraw).
+
+const log = logger.child({ module: 'payments.recipients' });
+
+const projectRecipient = (r) => ({
+  recipient_code: r.recipient_code,
+  type: r.type,
+  name: r.name,
+  currency: r.currency,
+  description: r.description || null,
+  bank_code: r.details?.bank_code || null,
+  bank_name: r.details?.bank_name || null,
+  account_number: r.details?.account_number || null,
+  active: r.active !== false,
+  created_by: r.metadata?.created_by || null,
+  created_at: r.createdAt || r.created_at || null,
+});
+
+const providerError = (c, err, error, message) => {
+  const timestamp = new Date().toISOString();
+  const traceId = getRequestId();
+  if (err.status >= 400 && err.status < 500) {
+    return c.json({ success: false, error: 'RECIPIENT_REJECTED', message: err.message, timestamp, traceId }, 422);
+  }
+  log.error(message, { err });
+  return c.json({ success: false, error, message, timestamp, traceId }, 502);
+};
+
+/**
+ * GET /payments/recipients?page=&per_page=
+ */
+export const listRecipients = async (c) => {
+  const { page = 1, per_page: perPage = 50 } = c.req.valid('query');
+  try {
+    const { data, meta } = await listTransferRecipients({ page, perPage });
+    return c.json({
+      success: true,
+      data: (data || []).map(projectRecipient),
+      page,
+      per_page: perPage,
+      ...(meta?.total != null ? { total: meta.total } : {}),
+      timestamp: new Date().toISOString(),
+      traceId: getRequestId(),
+    });
+  } catch (err) {
+    return providerError(c, err, 'RECIPIENTS_FETCH_FAILED', 'Failed to load transfer recipients.');
+  }
+};
+
+/**
+ * POST /payments/recipients
+ * Creates a Paystack transfer recipient (M-Pesa wallet or bank account).
+ */
+export const createRecipient = async (c) => {
+  const user = c.get('user'); // requirePermission
+  const body = c.req.valid('json');
+  try {
+    const { data } = await createTransferRecipient({
+      type: body.type,
+      name: body.name.trim(),
+      account_number: body.account_number.trim(),
+      bank_code: body.bank_code.trim(),
+      currency: (body.currency || PAYMENT_CURRENCY).toUpperCase(),
+      description: body.description?.trim() || undefined,
+      metadata: { created_by: user.userId },
+    });
+    log.info('transfer recipient created', { recipient: data?.recipient_code });
+    return c.json({
+      success: true,
+      data: projectRecipient(data || {}),
+      timestamp: new Date().toISOString(),
+      traceId: getRequestId(),
+    }, 201);
+  } catch (err) {
+    return providerError(c, err, 'RECIPIENT_CREATE_FAILED', 'Failed to create the transfer recipient.');
+  }
+};
+
+/**
+ * DELETE /payments/recipients/:code
+ * Deactivates the recipient on Paystack; past withdrawals keep its code.
+ */
+export const deleteRecipient = async (c) => {
+  const { code } = c.req.valid('param');
+  try {
+    await deleteTransferRecipient(code);
+    log.info('transfer recipient deleted', { recipient: code });
+    return c.json({
+      success: true,
+      message: `Recipient ${code} deleted.`,
+      timestamp: new Date().toISOString(),
+      traceId: getRequestId(),
+    });
+  } catch (err) {
+    if (err.status === 404) {
+      return c.json({
+        success: false,
+        error: 'RECIPIENT_NOT_FOUND',
+        message: `No transfer recipient "${code}".`,
+        timestamp: new Date().toISOString(),
+        traceId: getRequestId(),
+      }, 404);
+    }
+    return providerError(c, err, 'RECIPIENT_DELETE_FAILED', 'Failed to delete the transfer recipient.');
+  }
+};
@@ -0,0 +1,104 @@
+import { getCollection } from '../../services/astra.js';
+import {
+  RECONCILIATION_RUNS_COLLECTION,
+  ReconciliationError,
+  getReconciliationRun,
+  startReconciliation,
+} from '../../services/reconciliation.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+// Reconciliation runs (see services/reconciliation.js).
+// Admin, CEO (payments:reconcile).
+
+const log = logger.child({ module: 'payments.reconciliation' });
+
+// the list leaves out the issues themselves
+const projectRun = ({ issues: _issues, lookup_failures: _failures, ...run }) => run;
+
+const fetchFailed = (c, message) => c.json({
+  success: false,
+  error: 'RECONCILIATION_FETCH_FAILED',
+  message,
+  timestamp: new Date().toISOString(),
+  traceId: getRequestId(),
+}, 500);
+
+/**
+ * GET /payments/reconciliation?status=&page=&per_page=
+ * Runs newest first, with their summary counts.
+ */
+export const listRuns = async (c) => {
+  const { status, page = 1, per_page: perPage = 20 } = c.req.valid('query');
+  try {
+    const col = await getCollection(RECONCILIATION_RUNS_COLLECTION);
+    const filter = status ? { status: { $eq: status } } : {};
+    const result = await col.find(filter, { limit: perPage, offset: (page - 1) * perPage, sort: { started_at: -1 } });
+    return c.json({
+      success: true,
+      data: Object.values(result?.data || {}).map(projectRun),
+      page,
+      per_page: perPage,
+      ...(result?.total != null ? { total: result.total } : {}),
+      timestamp: new Date().toISOString(),
+      traceId: getRequestId(),
+    });
+  } catch (err) {
+    log.error('list reconciliation runs failed', { err });
+    return fetchFailed(c, 'Failed to load reconciliation runs.');
+  }
+};
+
+/**
+ * GET /payments/reconciliation/:id?type=
+ * One run with its issues, optionally of one type.
+ */
+export const getRun = async (c) => {
+  const { id } = c.req.valid('param');
+  const { type } = c.req.valid('query');
+  try {
+    const run = await getReconciliationRun(id);
+    if (!run) {
+      return c.json({
+        success: false,
+        error: 'RECONCILIATION_RUN_NOT_FOUND',
+        message: `No reconciliation run found with ID "${id}".`,
+        timestamp: new Date().toISOString(),
+        traceId: getRequestId(),
+      }, 404);
+    }
+    const issues = (run.issues || []).filter((issue) => !type || issue.type === type);
+    return c.json({ success: true, data: { ...run, issues }, timestamp: new Date().toISOString(), traceId: getRequestId() });
+  } catch (err) {
+    log.error('get reconciliation run failed', { id, err });
+    return fetchFailed(c, 'Failed to load the reconciliation run.');
+  }
+};
+
+/**
+ * POST /payments/reconciliation
+ * Starts a run for { from, to } (default: the scheduled window) and answers
+ * 202 right away; poll GET /payments/reconciliation/:id for the report.
+ */
+export const startRun = async (c) => {
+  const user = c.get('user'); // requirePermission
+  const { from, to } = c.req.valid('json');
+  const traceId = getRequestId();
+  try {
+    const { run, done } = await startReconciliation({ from, to, trigger: 'manual', requestedBy: user.userId, traceId });
+    done.catch(() => {}); // logged by the service
+    log.info('reconciliation started', { runId: run.run_id, from: run.from, to: run.to, by: user.userId });
+    return c.json({ success: true, data: run, timestamp: new Date().toISOString(), traceId }, 202);
+  } catch (err) {
+    if (err instanceof ReconciliationError) {
+      return c.json({ success: false, error: err.code, message: err.message, timestamp: new Date().toISOString(), traceId }, err.status);
+    }
+    log.error('start reconciliation failed', { err });
+    return c.json({
+      success: false,
+      error: 'RECONCILIATION_START_FAILED',
+      message: 'Failed to start a reconciliation run.',
+      timestamp: new Date().toISOString(),
+      traceId,
+    }, 503);
+  }
+};
@@ -0,0 +1,27 @@
+import { RefundError, createRefund } from '../../services/refunds.js';
+import { getRequestId } from '../../utils/logger.js';
+
+/**
+ * POST /payments/:reference/refund
+ * Refunds all or part (`amount`, whole units) of a successful charge, with a
+ * `reason`. The refund is linked to the booking or property the payment
+ * bought, which gets a refund summary (bookings also an updated receipt), and
+ * the payer is emailed. Admin, CEO, customer care (payments:refund).
+ */
+const refund = async (c) => {
+  const timestamp = new Date().toISOString();
+  const traceId = getRequestId();
+  const user = c.get('user'); // requirePermission
+  const { reference } = c.req.valid('param');
+  const { amount, reason, notify = true } = c.req.valid('json');
+
+  try {
+    const { refund: data, paid, refunded, remaining } = await createRefund({ reference, amount, reason, by: user.userId, notify, traceId });
+    return c.json({ success: true, data: { ...data, paid, refunded, remaining }, timestamp, traceId }, 201);
+  } catch (err) {
+    if (!(err instanceof RefundError)) throw err;
+    return c.json({ success: false, error: err.code, message: err.message, timestamp, traceId }, err.status);
+  }
+};
+
+export default refund;
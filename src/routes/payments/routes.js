@@ -1,9 +1,53 @@
 import { Hono } from 'hono';
-import post from './post.js';
-import verify from './verify.js';
-import withdraw from './withdraw.js';
+import { requirePermission } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import {
+  createRecipientSchema,
+  finalizeWithdrawalSchema,
+  listPaymentsQuery,
+  listReconciliationRunsQuery,
+  listRecipientsQuery,
+  listSplitsQuery,
+  listWithdrawalsQuery,
+  paymentReferenceParams,
+  reconciliationRunParams,
+  reconciliationRunQuery,
+  recipientCodeParams,
+  refundSchema,
+  startReconciliationSchema,
+  subaccountSchema,
+  withdrawalIdParams,
+  withdrawSchema,
+} from './schemas.js';
+import { lazyHandler } from '../../utils/lazyHandler.js';
+
+const post = lazyHandler(() => import('./post.js'));
+const verify = lazyHandler(() => import('./verify.js'));
+const withdraw = lazyHandler(() => import('./withdraw.js'));
+const webhook = lazyHandler(() => import('./webhook.js'));
+const mpesaCallback = lazyHandler(() => import('./mpesa.callback.js'));
+const refund = lazyHandler(() => import('./refund.js'));
+const listWithdrawals = lazyHandler(() => import('./withdrawals.get.js'));
+const getWithdrawalById = lazyHandler(() => import('./withdrawals.id.js'));
+const finalizeWithdrawal = lazyHandler(() => import('./withdrawals.finalize.js'));
+const createRecipient = lazyHandler(() => import('./recipients.js'), 'createRecipient');
+const deleteRecipient = lazyHandler(() => import('./recipients.js'), 'deleteRecipient');
+const listRecipients = lazyHandler(() => import('./recipients.js'), 'listRecipients');
+const getRun = lazyHandler(() => import('./reconciliation.js'), 'getRun');
+const listRuns = lazyHandler(() => import('./reconciliation.js'), 'listRuns');
+const startRun = lazyHandler(() => import('./reconciliation.js'), 'startRun');
+const deactivateSubaccount = lazyHandler(() => import('./payouts.js'), 'deactivateSubaccount');
+const getSubaccount = lazyHandler(() => import('./payouts.js'), 'getSubaccount');
+const listSplits = lazyHandler(() => import('./payouts.js'), 'listSplits');
+const saveSubaccount = lazyHandler(() => import('./payouts.js'), 'saveSubaccount');
+const listPayments = lazyHandler(() => import('./get.js'));
+const getPayment = lazyHandler(() => import('./id.js'));
 
 const paymentsRoutes = new Hono();
+const canWithdraw = requirePermission('payments:withdraw');
+const canReconcile = requirePermission('payments:reconcile');
+const canRead = requirePermission('payments:read:own'); // staff hold :any, which covers it
+const canPayout = requirePermission('payments:payout');
 
 // Public access
 paymentsRoutes.post('/initiate', post);
@@ -11,7 +55,39 @@ paymentsRoutes.post('/initiate', post);
 // Admin, CEO, customer care
 paymentsRoutes.post('/verify', verify);
 
-// CEO only
-paymentsRoutes.post('/withdraw', withdraw);
+// Paystack events (signature checked in the handler)
+paymentsRoutes.post('/webhook', webhook);
+
+// Daraja results (token checked in the handler)
+paymentsRoutes.post('/mpesa/callback', mpesaCallback);
+
+// Admin, CEO, customer care
+paymentsRoutes.post('/:reference/refund', requirePermission('payments:refund'), validate({ param: paymentReferenceParams, json: refundSchema }), refund);
+
+// Admin, CEO: reconciliation against the Paystack transaction list
+paymentsRoutes.get('/reconciliation', canReconcile, validate({ query: listReconciliationRunsQuery }), listRuns);
+paymentsRoutes.post('/reconciliation', canReconcile, validate({ json: startReconciliationSchema }), startRun);
+paymentsRoutes.get('/reconciliation/:id', canReconcile, validate({ param: reconciliationRunParams, query: reconciliationRunQuery }), getRun);
+
+// CEO only: payouts and the accounts they go to
+paymentsRoutes.get('/recipients', canWithdraw, validate({ query: listRecipientsQuery }), listRecipients);
+paymentsRoutes.post('/recipients', canWithdraw, validate({ json: createRecipientSchema }), createRecipient);
+paymentsRoutes.delete('/recipients/:code', canWithdraw, validate({ param: recipientCodeParams }), deleteRecipient);
+
+paymentsRoutes.post('/withdraw', canWithdraw, validate({ json: withdrawSchema }), withdraw);
+paymentsRoutes.get('/withdrawals', canWithdraw, validate({ query: listWithdrawalsQuery }), listWithdrawals);
+paymentsRoutes.get('/withdrawals/:id', canWithdraw, validate({ param: withdrawalIdParams }), getWithdrawalById);
+paymentsRoutes.post('/withdrawals/:id/finalize', canWithdraw, validate({ param: withdrawalIdParams, json: finalizeWithdrawalSchema }), finalizeWithdrawal);
+
+// Landlords: payout account for booking splits
+paymentsRoutes.get('/subaccount', canPayout, getSubaccount);
+paymentsRoutes.put('/subaccount', canPayout, validate({ json: subaccountSchema }), saveSubaccount);
+paymentsRoutes.delete('/subaccount', canPayout, deactivateSubaccount);
+
+// Staff: any payment; landlords and tenants: their own
+paymentsRoutes.get('/splits', canRead, validate({ query: listSplitsQuery }), listSplits);
+// (registered last so /:reference doesn't shadow the routes above)
+paymentsRoutes.get('/', canRead, validate({ query: listPaymentsQuery }), listPayments);
+paymentsRoutes.get('/:reference', canRead, validate({ param: paymentReferenceParams }), getPayment);
 
 export default paymentsRoutes;
@@ -0,0 +1,144 @@
+// Request schemas for /payments (see middleware/validate.js)
+
+export const RECIPIENT_TYPES = ['mobile_money', 'kepss', 'nuban', 'ghipss', 'basa'];
+
+export const createRecipientSchema = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: RECIPIENT_TYPES },
+    name: { type: 'string', minLength: 1, maxLength: 150 },
+    account_number: { type: 'string', minLength: 1, maxLength: 50 },
+    bank_code: { type: 'string', minLength: 1, maxLength: 20 },
+    currency: { type: 'string', pattern: '^[A-Za-z]{3}$' },
+    description: { type: 'string', maxLength: 500 },
+  },
+  required: ['type', 'name', 'account_number', 'bank_code'],
+};
+
+export const recipientCodeParams = {
+  type: 'object',
+  properties: { code: { type: 'string', pattern: '^RCP_\\w+$' } },
+  required: ['code'],
+};
+
+export const listRecipientsQuery = {
+  type: 'object',
+  properties: {
+    page: { type: 'integer', minimum: 1 },
+    per_page: { type: 'integer', minimum: 1, maximum: 100 },
+  },
+};
+
+export const subaccountSchema = {
+  type: 'object',
+  properties: {
+    business_name: { type: 'string', minLength: 1, maxLength: 100 },
+    settlement_bank: { type: 'string', minLength: 1, maxLength: 20, description: 'Paystack bank code' },
+    account_number: { type: 'string', minLength: 1, maxLength: 50 },
+    description: { type: 'string', maxLength: 500 },
+  },
+  required: ['business_name', 'settlement_bank', 'account_number'],
+};
+
+export const listSplitsQuery = {
+  type: 'object',
+  properties: {
+    landlord_id: { type: 'string', minLength: 1, description: 'Staff only; landlords always see their own' },
+    settlement: { type: 'string', enum: ['subaccount', 'platform'] },
+    from: { type: 'string', format: 'date' },
+    to: { type: 'string', format: 'date' },
+    page: { type: 'integer', minimum: 1 },
+    per_page: { type: 'integer', minimum: 1, maximum: 100 },
+  },
+};
+
+export const paymentReferenceParams = {
+  type: 'object',
+  properties: { reference: { type: 'string', minLength: 1, maxLength: 100 } },
+  required: ['reference'],
+};
+
+export const listPaymentsQuery = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['INITIATED', 'SUCCESS', 'FAILED', 'REVERSED'] },
+    from: { type: 'string', format: 'date', description: 'Created on or after; YYYY-MM-DD or an ISO timestamp' },
+    to: { type: 'string', format: 'date', description: 'Created on or before; YYYY-MM-DD or an ISO timestamp' },
+    email: { type: 'string', format: 'email' },
+    purpose: { type: 'string', enum: ['booking', 'listing'] },
+    page: { type: 'integer', minimum: 1 },
+    per_page: { type: 'integer', minimum: 1, maximum: 100 },
+  },
+};
+
+export const refundSchema = {
+  type: 'object',
+  properties: {
+    amount: { type: 'number', minimum: 1, description: 'Whole currency units; defaults to what is left of the payment' },
+    reason: { type: 'string', minLength: 3, maxLength: 500 },
+    notify: { type: 'boolean', default: true },
+  },
+  required: ['reason'],
+};
+
+export const withdrawSchema = {
+  type: 'object',
+  properties: {
+    amount: { type: 'number', minimum: 1 },
+    recipient_code: { type: 'string', pattern: '^RCP_\\w+$' },
+    reason: { type: 'string', maxLength: 200 },
+    currency: { type: 'string', pattern: '^[A-Za-z]{3}$' },
+  },
+  required: ['amount', 'recipient_code'],
+};
+
+export const withdrawalIdParams = {
+  type: 'object',
+  properties: { id: { type: 'string', pattern: '^wd_[0-9a-f]{32}$' } },
+  required: ['id'],
+};
+
+export const finalizeWithdrawalSchema = {
+  type: 'object',
+  properties: { otp: { type: 'string', pattern: '^\\d{4,8}$' } },
+  required: ['otp'],
+};
+
+export const startReconciliationSchema = {
+  type: 'object',
+  properties: {
+    from: { type: 'string', format: 'date', description: 'YYYY-MM-DD or an ISO timestamp' },
+    to: { type: 'string', format: 'date', description: 'YYYY-MM-DD or an ISO timestamp' },
+  },
+};
+
+export const reconciliationRunParams = {
+  type: 'object',
+  properties: { id: { type: 'string', pattern: '^rec_[0-9a-f-]{36}$' } },
+  required: ['id'],
+};
+
+export const reconciliationRunQuery = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['unused_success', 'used_not_successful', 'amount_mismatch', 'status_mismatch'] },
+  },
+};
+
+export const listReconciliationRunsQuery = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['RUNNING', 'COMPLETED', 'FAILED'] },
+    page: { type: 'integer', minimum: 1 },
+    per_page: { type: 'integer', minimum: 1, maximum: 100 },
+  },
+};
+
+export const listWithdrawalsQuery = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['REQUESTED', 'OTP_REQUIRED', 'PENDING', 'SUCCESS', 'FAILED', 'REVERSED'] },
+    page: { type: 'integer', minimum: 1 },
+    per_page: { type: 'integer', minimum: 1, maximum: 100 },
+  },
+};
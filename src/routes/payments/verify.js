@@ -1,4 +1,7 @@
-import { verifyPayment } from '../../services/paystack.js';
+import { verifyPayment } from '../../services/payments.js';
+import { logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'payments' });
 
 /**
  * POST /payments/verify
@@ -16,7 +19,7 @@ const verify = async (c) => {
       throw new Error('Missing or invalid payment reference.');
     }
   } catch (parseErr) {
-    console.error('❌ Failed to parse verification request body:', parseErr.message || parseErr);
+    log.error('failed to parse verification request body', { err: parseErr });
     return c.json({
       success: false,
       error: 'INVALID_BODY',
@@ -33,7 +36,7 @@ const verify = async (c) => {
       timestamp,
     });
   } catch (err) {
-    console.error('❌ Payment verify error:', err.message || err);
+    log.error('payment verify error', { err });
     return c.json({
       success: false,
       error: 'VERIFICATION_FAILED',
@@ -0,0 +1,47 @@
+import { applyPaymentEvent } from '../../services/paymentEvents.js';
+import { PaymentProviderError, getPaymentProvider } from '../../services/payments.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'payments.webhook' });
+
+/**
+ * POST /payments/webhook
+ * Paystack event receiver. The raw body must carry a valid
+ * `x-paystack-signature`; each event is applied once (see
+ * services/paymentEvents.js) to the matching `payments` record, refund or
+ * withdrawal.
+ */
+const webhook = async (c) => {
+  const timestamp = new Date().toISOString();
+  const traceId = getRequestId();
+
+  const rawBody = await c.req.text();
+
+  let events;
+  try {
+    events = await getPaymentProvider('paystack').parseWebhook({ rawBody, headers: c.req.header() });
+  } catch (err) {
+    if (!(err instanceof PaymentProviderError)) throw err;
+    if (err.status === 401) log.warn('rejected webhook with bad signature');
+    if (err.status === 503) log.error('signature check failed', { err });
+    return c.json({ success: false, error: err.code, message: err.message, timestamp, traceId }, err.status);
+  }
+
+  const [{ event, data }] = events;
+  try {
+    const result = await applyPaymentEvent(event, data, { provider: 'paystack', traceId });
+    return c.json({ success: true, ...result, timestamp, traceId });
+  } catch (err) {
+    // the dedupe key was released: let Paystack retry
+    log.error('webhook processing failed', { event, err });
+    return c.json({
+      success: false,
+      error: 'WEBHOOK_PROCESSING_FAILED',
+      message: 'Failed to apply the event; it will be retried.',
+      timestamp,
+      traceId,
+    }, 500);
+  }
+};
+
+export default webhook;
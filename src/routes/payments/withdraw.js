@@ -1,67 +1,182 @@
+import { getCollection } from '../../services/astra.js';
 import { withdrawFunds } from '../../services/paystack.js';
-import { checkToken } from '../../utils/auth.js';
-import crypto from 'crypto';
+import { redis } from '../../services/redis.js';
+import {
+  IDEMPOTENCY_KEY_PATTERN,
+  WITHDRAWALS_COLLECTION,
+  getWithdrawal,
+  requestFingerprint,
+  statusFromProvider,
+  transitionWithdrawal,
+  withdrawalId,
+} from '../../services/withdrawals.js';
+import { PAYMENT_CURRENCY, toSubunits } from '../../utils/paymentPurpose.js';
+import { getRequestId, logger } from '../../utils/logger.js';
 
-const withdraw = async (c) => {
-  const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID();
-  const idempotencyKey = c.req.header('Idempotency-Key') || null;
+const log = logger.child({ module: 'payments.withdraw' });
 
-  // Auth
-  const rawToken = c.req.header('Authorization')?.replace('Bearer ', '');
-  const user = rawToken ? await checkToken(rawToken) : null;
-  if (!user || user.role !== 'ceo') {
-    return c.json({ success: false, error: 'FORBIDDEN', message: 'Only CEO can withdraw funds.', traceId, timestamp }, 403);
-  }
+const LOCK_TTL_SEC = 60;
 
-  // Parse body
-  let body;
+// Sends the stored withdrawal to Paystack and records the outcome.
+// Provider 4xx -> FAILED; network/5xx leaves it REQUESTED so the same
+// Idempotency-Key can resend it (Paystack dedupes on the reference).
+const submit = async (withdrawal, { by, traceId }) => {
   try {
-    body = await c.req.json();
-  } catch {
-    return c.json({ success: false, error: 'INVALID_BODY', message: 'Request body must be valid JSON.', traceId, timestamp }, 400);
+    const { data } = await withdrawFunds({
+      amount: toSubunits(withdrawal.amount),
+      currency: withdrawal.currency,
+      recipient: withdrawal.recipient_code,
+      reason: withdrawal.reason || undefined,
+      reference: withdrawal.id,
+    });
+    const status = statusFromProvider(data?.status) || 'PENDING';
+    const { withdrawal: updated } = await transitionWithdrawal(withdrawal, status, {
+      by,
+      note: `paystack: ${data?.status || 'unknown'}`,
+      traceId,
+      fields: {
+        transfer_code: data?.transfer_code || null,
+        transfer_id: data?.id ?? null,
+        provider_status: data?.status || null,
+      },
+    });
+    return { withdrawal: updated };
+  } catch (err) {
+    if (err.status >= 400 && err.status < 500) {
+      const { withdrawal: updated } = await transitionWithdrawal(withdrawal, 'FAILED', {
+        by,
+        note: err.message,
+        traceId,
+        fields: { failure_reason: err.message },
+      });
+      return { withdrawal: updated, rejected: err.message };
+    }
+    log.error('transfer request failed', { id: withdrawal.id, err });
+    return { withdrawal, error: err };
   }
+};
 
-  // Validate
-  const amount = Number(body.amount);
-  const bank_code = String(body.bank_code || '').trim();
-  const account_number = String(body.account_number || '').trim();
-  const narration = body.narration?.trim() || undefined;
-  const currency = (body.currency || 'KES').toUpperCase();
+/**
+ * POST /payments/withdraw
+ * Pays `amount` (whole units) from the Paystack balance to a transfer
+ * recipient. Requires an `Idempotency-Key` header: repeating a request with
+ * the same key returns the stored withdrawal instead of paying again.
+ * CEO only (payments:withdraw).
+ */
+const withdraw = async (c) => {
+  const timestamp = new Date().toISOString();
+  const traceId = getRequestId();
+  const user = c.get('user'); // requirePermission
+  const body = c.req.valid('json');
 
-  if (!amount || Number.isNaN(amount) || amount <= 0) {
-    return c.json({ success: false, error: 'INVALID_AMOUNT', message: 'Amount must be a positive number.', traceId, timestamp }, 400);
-  }
-  if (!bank_code || !account_number) {
-    return c.json({ success: false, error: 'MISSING_FIELDS', message: 'Bank code and account number are required.', traceId, timestamp }, 400);
+  const idempotencyKey = c.req.header('Idempotency-Key') || '';
+  if (!IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+    return c.json({
+      success: false,
+      error: 'MISSING_IDEMPOTENCY_KEY',
+      message: 'An Idempotency-Key header (8-128 letters, digits, ".", ":", "_" or "-") is required.',
+      timestamp,
+      traceId,
+    }, 400);
   }
 
-  // Build provider payload
-  const payload = {
-    amount,
-    bank_code,
-    account_number,
-    narration,
-    currency, // default KES
-    initiated_by: user.userId,
-    traceId,
+  const request = {
+    amount: body.amount,
+    currency: (body.currency || PAYMENT_CURRENCY).toUpperCase(),
+    recipient_code: body.recipient_code,
+    reason: body.reason?.trim() || null,
   };
+  const fingerprint = requestFingerprint(request);
+  const id = withdrawalId(user.userId, idempotencyKey);
+  const lockKey = `withdrawal:lock:${id}`;
 
+  let locked = false;
   try {
-    const result = await withdrawFunds(payload, { idempotencyKey });
-    return c.json({ success: true, data: result, traceId, timestamp });
-  } catch (err) {
-    console.error('❌ Withdrawal error:', err.message || err, { traceId });
-    return c.json(
-      {
+    locked = await redis.set(lockKey, traceId || timestamp, { nx: true, ex: LOCK_TTL_SEC });
+    if (!locked) {
+      return c.json({
+        success: false,
+        error: 'WITHDRAWAL_IN_PROGRESS',
+        message: 'A request with this Idempotency-Key is still being processed.',
+        timestamp,
+        traceId,
+      }, 409);
+    }
+
+    let withdrawal = await getWithdrawal(id);
+
+    if (withdrawal && withdrawal.fingerprint !== fingerprint) {
+      return c.json({
+        success: false,
+        error: 'IDEMPOTENCY_KEY_REUSED',
+        message: 'This Idempotency-Key was already used for a different withdrawal.',
+        timestamp,
+        traceId,
+      }, 422);
+    }
+
+    // settled (or at least accepted by Paystack): replay the stored result
+    if (withdrawal && withdrawal.status !== 'REQUESTED') {
+      c.header('Idempotent-Replayed', 'true');
+      return c.json({ success: true, data: withdrawal, replayed: true, timestamp, traceId });
+    }
+
+    if (!withdrawal) {
+      withdrawal = {
+        _id: id,
+        id,
+        reference: id,
+        ...request,
+        fingerprint,
+        idempotency_key: idempotencyKey,
+        initiated_by: user.userId,
+        initiator_email: user.email || null,
+        status: 'REQUESTED',
+        status_history: [{ status: 'REQUESTED', at: timestamp, by: user.userId, traceId }],
+        transfer_code: null,
+        created_at: timestamp,
+        updated_at: timestamp,
+      };
+      const col = await getCollection(WITHDRAWALS_COLLECTION);
+      await col.put(id, withdrawal);
+      log.info('withdrawal requested', { id, amount: request.amount, currency: request.currency, recipient: request.recipient_code });
+    }
+
+    const result = await submit(withdrawal, { by: user.userId, traceId });
+
+    if (result.error) {
+      return c.json({
         success: false,
         error: 'WITHDRAWAL_FAILED',
-        message: err.message || 'Failed to withdraw funds.',
+        message: 'Paystack could not be reached; retry with the same Idempotency-Key.',
+        data: result.withdrawal,
+        timestamp,
         traceId,
+      }, 502);
+    }
+    if (result.rejected) {
+      return c.json({
+        success: false,
+        error: 'WITHDRAWAL_REJECTED',
+        message: result.rejected,
+        data: result.withdrawal,
         timestamp,
-      },
-      500
-    );
+        traceId,
+      }, 422);
+    }
+
+    return c.json({ success: true, data: result.withdrawal, timestamp, traceId }, 201);
+  } catch (err) {
+    log.error('withdrawal error', { id, err });
+    return c.json({
+      success: false,
+      error: 'WITHDRAWAL_FAILED',
+      message: 'Failed to process the withdrawal.',
+      timestamp,
+      traceId,
+    }, 500);
+  } finally {
+    if (locked) await redis.del(lockKey).catch(() => {});
   }
 };
 
@@ -0,0 +1,85 @@
+import { finalizeTransfer } from '../../services/paystack.js';
+import { getWithdrawal, statusFromProvider, transitionWithdrawal } from '../../services/withdrawals.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'payments.withdrawals' });
+
+/**
+ * POST /payments/withdrawals/:id/finalize
+ * Completes a withdrawal Paystack is holding for an OTP (status OTP_REQUIRED).
+ * The user who entered the OTP is recorded in the status history.
+ * CEO only (payments:withdraw).
+ */
+const finalizeWithdrawal = async (c) => {
+  const timestamp = new Date().toISOString();
+  const traceId = getRequestId();
+  const user = c.get('user'); // requirePermission
+  const { id } = c.req.valid('param');
+  const { otp } = c.req.valid('json');
+
+  let withdrawal;
+  try {
+    withdrawal = await getWithdrawal(id);
+  } catch (err) {
+    log.error('get withdrawal failed', { id, err });
+    return c.json({
+      success: false,
+      error: 'DB_CONNECTION_FAILED',
+      message: 'Database connection failed.',
+      timestamp,
+      traceId,
+    }, 503);
+  }
+
+  if (!withdrawal) {
+    return c.json({
+      success: false,
+      error: 'WITHDRAWAL_NOT_FOUND',
+      message: `No withdrawal found with ID "${id}".`,
+      timestamp,
+      traceId,
+    }, 404);
+  }
+  if (withdrawal.status !== 'OTP_REQUIRED' || !withdrawal.transfer_code) {
+    return c.json({
+      success: false,
+      error: 'INVALID_WITHDRAWAL_STATE',
+      message: `Withdrawal is ${withdrawal.status}; only OTP_REQUIRED withdrawals can be finalized.`,
+      timestamp,
+      traceId,
+    }, 409);
+  }
+
+  try {
+    const { data } = await finalizeTransfer({ transfer_code: withdrawal.transfer_code, otp });
+    const status = statusFromProvider(data?.status) || 'PENDING';
+    const { withdrawal: updated } = await transitionWithdrawal(withdrawal, status, {
+      by: user.userId,
+      note: 'otp confirmed',
+      traceId,
+      fields: { provider_status: data?.status || null, finalized_by: user.userId },
+    });
+    return c.json({ success: true, data: updated, timestamp, traceId });
+  } catch (err) {
+    // a wrong or expired OTP leaves the withdrawal waiting for another try
+    if (err.status >= 400 && err.status < 500) {
+      return c.json({
+        success: false,
+        error: 'OTP_REJECTED',
+        message: err.message,
+        timestamp,
+        traceId,
+      }, 422);
+    }
+    log.error('finalize transfer failed', { id, err });
+    return c.json({
+      success: false,
+      error: 'WITHDRAWAL_FAILED',
+      message: 'Paystack could not be reached; try again.',
+      timestamp,
+      traceId,
+    }, 502);
+  }
+};
+
+export default finalizeWithdrawal;
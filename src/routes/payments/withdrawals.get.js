@@ -0,0 +1,42 @@
+import { getCollection } from '../../services/astra.js';
+import { WITHDRAWALS_COLLECTION } from '../../services/withdrawals.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'payments.withdrawals' });
+
+/**
+ * GET /payments/withdrawals?status=&page=&per_page=
+ * Withdrawals, newest first, with their status history.
+ * CEO only (payments:withdraw).
+ */
+const listWithdrawals = async (c) => {
+  const timestamp = new Date().toISOString();
+  const traceId = getRequestId();
+  const { status, page = 1, per_page: perPage = 20 } = c.req.valid('query');
+
+  try {
+    const col = await getCollection(WITHDRAWALS_COLLECTION);
+    const filter = status ? { status: { $eq: status } } : {};
+    const result = await col.find(filter, { limit: perPage, offset: (page - 1) * perPage, sort: { created_at: -1 } });
+    return c.json({
+      success: true,
+      data: Object.values(result?.data || {}),
+      page,
+      per_page: perPage,
+      ...(result?.total != null ? { total: result.total } : {}),
+      timestamp,
+      traceId,
+    });
+  } catch (err) {
+    log.error('list withdrawals failed', { err });
+    return c.json({
+      success: false,
+      error: 'WITHDRAWALS_FETCH_FAILED',
+      message: 'Failed to load withdrawals.',
+      timestamp,
+      traceId,
+    }, 500);
+  }
+};
+
+export default listWithdrawals;
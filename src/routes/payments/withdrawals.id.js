@@ -0,0 +1,40 @@
+import { getWithdrawal } from '../../services/withdrawals.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'payments.withdrawals' });
+
+/**
+ * GET /payments/withdrawals/:id
+ * One withdrawal with its status history and transfer code.
+ * CEO only (payments:withdraw).
+ */
+const getWithdrawalById = async (c) => {
+  const timestamp = new Date().toISOString();
+  const traceId = getRequestId();
+  const { id } = c.req.valid('param');
+
+  try {
+    const withdrawal = await getWithdrawal(id);
+    if (!withdrawal) {
+      return c.json({
+        success: false,
+        error: 'WITHDRAWAL_NOT_FOUND',
+        message: `No withdrawal found with ID "${id}".`,
+        timestamp,
+        traceId,
+      }, 404);
+    }
+    return c.json({ success: true, data: withdrawal, timestamp, traceId });
+  } catch (err) {
+    log.error('get withdrawal failed', { id, err });
+    return c.json({
+      success: false,
+      error: 'WITHDRAWALS_FETCH_FAILED',
+      message: 'Failed to load the withdrawal.',
+      timestamp,
+      traceId,
+    }, 500);
+  }
+};
+
+export default getWithdrawalById;
@@ -1,7 +1,10 @@
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { checkToken, roleCheck } from '../../utils/auth.js';
+import { invalidate } from '../../services/cache.js';
+import { can } from '../../utils/policy.js';
 import { initR2 } from '../../services/r2.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'properties' });
 
 /**
  * DELETE /properties/:id
@@ -10,32 +13,18 @@ import { initR2 } from '../../services/r2.js';
  */
 export const deleteProperty = async (c) => {
   const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID();
+  const traceId = getRequestId();
   const propertyId = c.req.param('id');
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
-
-  const elevatedRoles = ['ceo', 'admin', 'customercare'];
 
-  const [authResult, propResult, roomResult] = await Promise.allSettled([
-    token ? checkToken(token) : null,
+  const [propResult, roomResult] = await Promise.allSettled([
     getCollection('properties'),
     getCollection('rooms'),
   ]);
 
-  const user = authResult.status === 'fulfilled' ? authResult.value : null;
+  const user = c.get('user'); // requireAuth
   const propertiesCol = propResult.status === 'fulfilled' ? propResult.value : null;
   const roomsCol = roomResult.status === 'fulfilled' ? roomResult.value : null;
 
-  if (!user) {
-    return c.json({
-      success: false,
-      error: 'UNAUTHORIZED',
-      message: 'Missing or invalid token.',
-      timestamp,
-      traceId,
-    }, 401);
-  }
-
   if (!propertiesCol || !roomsCol) {
     return c.json({
       success: false,
@@ -70,10 +59,7 @@ export const deleteProperty = async (c) => {
     }, 500);
   }
 
-  const isOwner = property.landlordId === user.userId;
-  const isElevated = roleCheck(user, elevatedRoles);
-
-  if (!isOwner && !isElevated) {
+  if (!can(user, 'property:delete', property)) {
     return c.json({
       success: false,
       error: 'FORBIDDEN',
@@ -99,14 +85,14 @@ export const deleteProperty = async (c) => {
           await r2.deleteFile(imageKey);
         } catch (err) {
           if (process.env.NODE_ENV !== 'production') {
-            console.warn(`⚠️ Failed to delete room image: ${imageKey}`, err.message || err);
+            log.warn('failed to delete room image', { key: imageKey, err });
           }
         }
       }
     }
   } catch (err) {
     if (process.env.NODE_ENV !== 'production') {
-      console.warn('⚠️ Failed to delete associated rooms:', err.message || err);
+      log.warn('failed to delete associated rooms', { err });
     }
   }
 
@@ -118,7 +104,7 @@ export const deleteProperty = async (c) => {
       await r2.deleteFile(propertyImageKey);
     } catch (err) {
       if (process.env.NODE_ENV !== 'production') {
-        console.warn(`⚠️ Failed to delete property image: ${propertyImageKey}`, err.message || err);
+        log.warn('failed to delete property image', { key: propertyImageKey, err });
       }
     }
   }
@@ -127,6 +113,7 @@ export const deleteProperty = async (c) => {
   try {
     await propertiesCol.delete(docId);
   } catch (err) {
+    if (deletedRoomCount) await invalidate('rooms', `property:${propertyId}`);
     return c.json({
       success: false,
       error: 'DELETE_FAILED',
@@ -136,6 +123,8 @@ export const deleteProperty = async (c) => {
     }, 500);
   }
 
+  await invalidate('properties', 'rooms', `property:${propertyId}`);
+
   return c.json({
     success: true,
     message: 'Property and associated rooms deleted successfully.',
@@ -0,0 +1,105 @@
+// OpenAPI descriptions for /properties (see utils/openapi.js)
+
+const page = { type: 'integer', minimum: 1 };
+
+export default {
+  tag: 'Properties',
+  description: 'Property listings, their rooms and reviews.',
+  operations: {
+    'GET /': {
+      summary: 'List properties',
+      query: {
+        type: 'object',
+        properties: {
+          page,
+          limit: { type: 'integer', minimum: 1, maximum: 100 },
+          q: { type: 'string' },
+          sort: { type: 'string', description: 'e.g. `-created_at`' },
+        },
+      },
+      errors: { DB_CONNECTION_FAILED: 503, QUERY_FAILED: 500 },
+    },
+    'GET /pricing': {
+      summary: 'Get the listing fee schedule',
+      description: 'Fee tiers by room count and duration multipliers, per country and currency (`*`: every other country).',
+      query: { type: 'object', properties: { country: { type: 'string', description: 'ISO2 code' } } },
+    },
+    'GET /pricing/quote': {
+      summary: 'Quote the listing fee',
+      description: 'The fee for a listing of `rooms` rooms. Pass `purpose` to `POST /payments/initiate`, '
+        + 'then create the property with the same country, room count, `listing_currency` and `listing_duration_days`.',
+      query: {
+        type: 'object',
+        properties: {
+          country: { type: 'string' },
+          currency: { type: 'string' },
+          rooms: { type: 'integer', minimum: 0 },
+          duration_days: { type: 'integer', description: 'Defaults to the first duration of the schedule' },
+        },
+        required: ['rooms'],
+      },
+      errors: { UNSUPPORTED_COUNTRY: 400, UNSUPPORTED_CURRENCY: 400, INVALID_ROOMS: 400, INVALID_DURATION: 400 },
+    },
+    'GET /:id': {
+      summary: 'Get a property with its rooms and reviews',
+      errors: { INVALID_PROPERTY_ID: 400, PROPERTY_NOT_FOUND: 404, DB_CONNECTION_FAILED: 503, PROPERTY_QUERY_FAILED: 500 },
+    },
+    'POST /': {
+      summary: 'Create a property and its rooms',
+      description: 'The listing fee for the country, room count, `listing_currency` and `listing_duration_days` '
+        + '(see `GET /pricing/quote`) is verified against `payment_reference` (CEO listings skip payment). '
+        + 'Payment mismatches return the `quote` to pay.',
+      status: 201,
+      errors: {
+        UNSUPPORTED_COUNTRY: 400,
+        UNSUPPORTED_CURRENCY: 400,
+        INVALID_ROOMS: 400,
+        INVALID_DURATION: 400,
+        PAYMENT_ALREADY_USED: 409,
+        PAYMENT_CLAIM_IN_PROGRESS: 409,
+        PAYMENT_CLAIM_UNAVAILABLE: 503,
+        PAYMENT_VERIFICATION_FAILED: 402,
+        PAYMENT_PURPOSE_MISMATCH: 402,
+        PAYMENT_CURRENCY_MISMATCH: 402,
+        PAYMENT_AMOUNT_MISMATCH: 402,
+        PAYMENT_VERIFICATION_ERROR: 500,
+        DB_CONNECTION_FAILED: 503,
+        PROPERTY_INSERT_FAILED: 500,
+        ROOM_INSERT_FAILED: 500,
+        UNEXPECTED_ERROR: 500,
+      },
+    },
+    'PUT /:id': {
+      summary: 'Update a property and optionally add rooms',
+      description: 'Added rooms must fit the room tier of the listing fee paid for the property.',
+      errors: {
+        PROPERTY_NOT_FOUND: 404,
+        DB_CONNECTION_FAILED: 503,
+        DB_QUERY_FAILED: 500,
+        FORBIDDEN: 403,
+        LISTING_ROOM_LIMIT: 402,
+        UPDATE_FAILED: 500,
+        ROOM_INSERT_FAILED: 500,
+      },
+    },
+    'DELETE /:id': {
+      summary: 'Delete a property',
+      errors: { PROPERTY_NOT_FOUND: 404, DB_CONNECTION_FAILED: 503, DB_QUERY_FAILED: 500, FORBIDDEN: 403, DELETE_FAILED: 500 },
+    },
+    'GET /:id/reviews': {
+      summary: 'List reviews for a property',
+      description: 'The property is read from the `property_id` query parameter.',
+      query: {
+        type: 'object',
+        properties: { property_id: { type: 'string' }, page, limit: { type: 'integer', minimum: 1 } },
+        required: ['property_id'],
+      },
+      errors: { MISSING_PROPERTY_ID: 400, REVIEW_FETCH_FAILED: 500 },
+    },
+    'POST /:id/reviews': {
+      summary: 'Review a property',
+      status: 201,
+      errors: { REVIEW_CREATION_FAILED: 500 },
+    },
+  },
+};
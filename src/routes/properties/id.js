@@ -1,55 +1,10 @@
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { redis as upstashRedis } from '../../utils/auth.js';
+import { cacheGet, cacheKey, cacheSet, xCache } from '../../services/cache.js';
+import { getRequestId, logger } from '../../utils/logger.js';
 
-const CACHE_KEY_PREFIX = process.env.CACHE_KEY_PREFIX || 'cache';
-const CACHE_TTL_SEC = Number(process.env.CACHE_TTL_SEC || 30);
-const INMEM_TTL_MS = Number(process.env.INMEM_PROPERTY_TTL_MS || 15_000);
-const INMEM_MAX = Number(process.env.INMEM_PROPERTY_MAX || 200);
-
-const inMemProps = new Map(); // key -> { ts, value }
-const cleanupInMem = () => {
-  if (inMemProps.size <= INMEM_MAX) return;
-  const keys = Array.from(inMemProps.keys()).sort((a, b) => inMemProps.get(a).ts - inMemProps.get(b).ts);
-  for (let i = 0; i < Math.floor(keys.length / 4); i += 1) {
-    inMemProps.delete(keys[i]);
-    if (inMemProps.size <= INMEM_MAX) break;
-  }
-};
-const inMemGet = (k) => {
-  const e = inMemProps.get(k);
-  if (!e) return null;
-  if (Date.now() - e.ts > INMEM_TTL_MS) {
-    inMemProps.delete(k);
-    return null;
-  }
-  return e.value;
-};
-const inMemSet = (k, v) => {
-  inMemProps.set(k, { ts: Date.now(), value: v });
-  cleanupInMem();
-};
+const log = logger.child({ module: 'properties' });
 
-const redisGet = async (key) => {
-  try {
-    const raw = await upstashRedis.get(key);
-    if (!raw) return null;
-    return JSON.parse(raw);
-  } catch (e) {
-    console.warn('Redis get error (property):', e?.message || e);
-    return null;
-  }
-};
-const redisSet = async (key, payload, ttlSec = CACHE_TTL_SEC) => {
-  try {
-    await upstashRedis.set(key, JSON.stringify(payload));
-    if (typeof upstashRedis.expire === 'function') {
-      await upstashRedis.expire(key, ttlSec);
-    }
-  } catch (e) {
-    console.warn('Redis set error (property):', e?.message || e);
-  }
-};
+const CACHE_TTL_SEC = Number(process.env.CACHE_TTL_SEC || 30);
 
 // UUID v4 validator
 const isUUID = (id) =>
@@ -88,7 +43,7 @@ const projectReview = (rv) => ({
 
 export const getPropertyById = async (c) => {
   const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID?.() || `trace-${Date.now()}`;
+  const traceId = getRequestId();
   const propertyId = c.req.param('id');
 
   if (!propertyId || !isUUID(propertyId)) {
@@ -101,37 +56,23 @@ export const getPropertyById = async (c) => {
     }, 400);
   }
 
-  const cacheKey = `${CACHE_KEY_PREFIX}:property:${propertyId}:full`;
-
-  // 1) Try Redis cache
-  const rCached = await redisGet(cacheKey);
-  if (rCached != null) {
-    c.header('X-Cache', 'HIT-REDIS');
-    c.set('cachePayload', rCached);
-    return c.json({
-      success: true,
-      data: rCached,
-      cached: true,
-      timestamp,
-      traceId,
-    }, 200);
-  }
+  const key = cacheKey('property', propertyId, 'full');
 
-  // 2) Try in-memory fallback
-  const mem = inMemGet(cacheKey);
-  if (mem != null) {
-    c.header('X-Cache', 'HIT-MEM');
-    c.set('cachePayload', mem);
+  // 1) Try cache
+  const hit = await cacheGet(key);
+  if (hit) {
+    c.header('X-Cache', xCache(hit.source));
+    c.set('cachePayload', hit.value);
     return c.json({
       success: true,
-      data: mem,
+      data: hit.value,
       cached: true,
       timestamp,
       traceId,
     }, 200);
   }
 
-  // 3) Cache miss -> fetch from DB
+  // 2) Cache miss -> fetch from DB
   let propertiesCollection, roomsCollection, reviewsCollection;
   try {
     [propertiesCollection, roomsCollection, reviewsCollection] = await Promise.all([
@@ -140,7 +81,7 @@ export const getPropertyById = async (c) => {
       getCollection('reviews'),
     ]);
   } catch (err) {
-    console.error('❌ DB connection error:', err?.message || err);
+    log.error('DB connection error', { err });
     return c.json({
       success: false,
       error: 'DB_CONNECTION_FAILED',
@@ -165,7 +106,7 @@ export const getPropertyById = async (c) => {
       }, 404);
     }
   } catch (err) {
-    console.error(`❌ Property query failed for ID ${propertyId}:`, err?.message || err);
+    log.error('property query failed', { propertyId, err });
     return c.json({
       success: false,
       error: 'PROPERTY_QUERY_FAILED',
@@ -186,7 +127,7 @@ export const getPropertyById = async (c) => {
       const rawRooms = Array.isArray(roomRes.value?.data) ? roomRes.value.data : Object.values(roomRes.value?.data || {});
       rooms = rawRooms.map(projectRoom);
     } else {
-      console.warn('Rooms query failed (non-fatal):', roomRes.reason?.message || roomRes.reason);
+      log.warn('rooms query failed (non-fatal)', { err: roomRes.reason });
     }
 
     if (reviewRes.status === 'fulfilled') {
@@ -195,10 +136,10 @@ export const getPropertyById = async (c) => {
         .map(projectReview)
         .sort((a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0));
     } else {
-      console.warn('Reviews query failed (non-fatal):', reviewRes.reason?.message || reviewRes.reason);
+      log.warn('reviews query failed (non-fatal)', { err: reviewRes.reason });
     }
   } catch (err) {
-    console.warn(`⚠️ Room/review parallel fetch had an error (non-fatal):`, err?.message || err);
+    log.warn('room/review parallel fetch failed (non-fatal)', { propertyId, err });
   }
 
   // compose final payload with compact projection
@@ -208,9 +149,8 @@ export const getPropertyById = async (c) => {
     reviews,
   };
 
-  // best-effort cache writes
-  inMemSet(cacheKey, payload);
-  await redisSet(cacheKey, payload, CACHE_TTL_SEC);
+  // best-effort cache write; rooms and reviews are invalidated through the property tag
+  await cacheSet(key, payload, { ttl: CACHE_TTL_SEC, tags: [`property:${propertyId}`] });
 
   c.set('cachePayload', payload);
   c.header('X-Cache', 'MISS');
@@ -1,99 +1,71 @@
 // src/functions/properties/post.js
 import { getCollection } from '../../services/astra.js';
-import { checkToken, roleCheck } from '../../utils/auth.js';
-import { verifyPayment } from '../../services/paystack.js';
+import { invalidate } from '../../services/cache.js';
+import { verifyPayment } from '../../services/payments.js';
 import { initZeptoMail } from '../../services/zeptoEmail.js';
 import { generatePropertySuccessEmail } from '../../utils/success.js';
 import { generatePropertyFailureEmail } from '../../utils/failed.js';
 import { uuid } from 'uuidv4';
+import { checkPayment, listingPurpose } from '../../utils/paymentPurpose.js';
+import { ListingFeeError, listingQuote } from '../../utils/listingFees.js';
+import { DEFAULT_CANCELLATION_POLICY } from '../../utils/cancellationPolicy.js';
+import { claimPayment, PaymentClaimError } from '../../services/paymentClaims.js';
+import { logger } from '../../utils/logger.js';
 
-function isValidUrl(v) {
-  if (!v || typeof v !== 'string') return false;
-  try {
-    const u = new URL(v);
-    return ['http:', 'https:'].includes(u.protocol);
-  } catch {
-    return false;
-  }
-}
+const log = logger.child({ module: 'properties' });
 
 export async function postProperty(c) {
   const startTime = Date.now();
   const timestamp = new Date().toISOString();
 
   let payload, email;
+  // Claim on the payment reference; released in finally unless finalized
+  let claim = null;
 
   try {
-    // Auth + role
-    const token = c.req.header('Authorization')?.replace('Bearer ', '');
-    payload = await checkToken(token);
-    if (!payload) {
-      return c.json(
-        { success: false, error: 'UNAUTHORIZED', message: 'Invalid or missing token.', timestamp },
-        401
-      );
-    }
-
+    // requireRole('landlord', 'admin', 'ceo', 'dual') runs first
+    payload = c.get('user');
     email = payload.email;
-    const allowedRoles = ['landlord', 'admin', 'ceo', 'dual'];
-    if (!roleCheck(payload, allowedRoles)) {
-      return c.json(
-        { success: false, error: 'FORBIDDEN', message: 'Insufficient role to create property.', timestamp },
-        403
-      );
-    }
 
-    const body = await c.req.json();
+    const body = c.req.valid('json'); // validate()
     const {
       title,
       description,
       price,
       location,
+      country,
       rooms,
       payment_reference,
+      listing_currency,
+      listing_duration_days,
+      cancellation_policy,
       video,
       video_thumbnail,
     } = body;
 
-    // Required fields
-    if (!title || !description || !price || !location || !payment_reference) {
-      return c.json(
-        { success: false, error: 'MISSING_FIELDS', message: 'All required fields must be provided.', timestamp },
-        400
-      );
-    }
-
-    // Optional video fields validation
-    if (video && !isValidUrl(video)) {
-      return c.json(
-        { success: false, error: 'INVALID_VIDEO_URL', message: 'Video must be a valid public URL.', timestamp },
-        400
-      );
-    }
-    if (video_thumbnail && !isValidUrl(video_thumbnail)) {
-      return c.json(
-        { success: false, error: 'INVALID_VIDEO_THUMBNAIL', message: 'Video thumbnail must be a valid public URL.', timestamp },
-        400
-      );
-    }
+    const isCEO = payload.role === 'ceo';
 
-    // Rooms array validation (optional)
-    if (rooms && !Array.isArray(rooms)) {
-      return c.json(
-        { success: false, error: 'INVALID_ROOMS', message: 'Rooms must be an array.', timestamp },
-        400
-      );
+    // The listing fee for this country, room count and duration (utils/listingFees.js)
+    let quote;
+    try {
+      quote = listingQuote({
+        country,
+        currency: listing_currency,
+        rooms: Array.isArray(rooms) ? rooms.length : 0,
+        duration_days: listing_duration_days,
+      });
+    } catch (err) {
+      if (!(err instanceof ListingFeeError)) throw err;
+      await sendFailureEmail(email, payload.name, err.code, err.message);
+      return c.json({ success: false, error: err.code, message: err.message, timestamp }, err.status);
     }
 
-    const isCEO = payload.role === 'ceo';
-
     // Collections
-    let propertiesCol, roomsCol, paymentsCol;
+    let propertiesCol, roomsCol;
     try {
-      [propertiesCol, roomsCol, paymentsCol] = await Promise.all([
+      [propertiesCol, roomsCol] = await Promise.all([
         getCollection('properties'),
         getCollection('rooms'),
-        getCollection('payments'),
       ]);
     } catch (err) {
       await sendFailureEmail(email, payload.name, 'DB_CONNECTION_FAILED', 'Database connection failed.');
@@ -106,20 +78,18 @@ export async function postProperty(c) {
     // Payment verification: allow valid payments even if not present in DB.
     let paymentData = null;
     if (!isCEO) {
-      // Block only if a local record explicitly marks the reference as used.
+      // Reserve the reference before anything else
       try {
-        const existing = await paymentsCol.find({ reference: { $eq: payment_reference } });
-        const existingRow = Object.values(existing?.data || {})[0];
-        if (existingRow?.status === 'used') {
-          await sendFailureEmail(email, payload.name, 'PAYMENT_ALREADY_USED', 'Payment reference already used.');
-          return c.json(
-            { success: false, error: 'PAYMENT_ALREADY_USED', message: 'Payment reference already used.', timestamp },
-            409
-          );
-        }
-      } catch (dbErr) {
-        // Non-fatal; proceed to provider verification
-        console.warn('⚠️ Payment DB check failed (non-fatal):', dbErr?.message || dbErr);
+        claim = await claimPayment(payment_reference, {
+          purpose: listingPurpose(payload.userId, quote),
+          claimedBy: payload.userId,
+        });
+      } catch (err) {
+        if (!(err instanceof PaymentClaimError)) throw err;
+        // this endpoint has always called a spent reference PAYMENT_ALREADY_USED
+        const error = err.code === 'PAYMENT_USED' ? 'PAYMENT_ALREADY_USED' : err.code;
+        await sendFailureEmail(email, payload.name, error, err.message);
+        return c.json({ success: false, error, message: err.message, timestamp }, err.status);
       }
 
       // Provider verification (authoritative)
@@ -140,11 +110,24 @@ export async function postProperty(c) {
           500
         );
       }
+
+      // The payment must be this landlord's listing fee for this listing;
+      // the quote lets the client pay the right fee
+      const mismatch = checkPayment(paymentData, {
+        amount: quote.amount,
+        currency: quote.currency,
+        purpose: listingPurpose(payload.userId, quote),
+      });
+      if (mismatch) {
+        await sendFailureEmail(email, payload.name, mismatch.error, mismatch.message);
+        return c.json({ success: false, ...mismatch, quote, timestamp }, 402);
+      }
     }
 
     // Create property using "active" as primary distinguishing characteristic
     const propertyId = uuid();
     const unitAvailable = Array.isArray(rooms) ? rooms.length : 0;
+    const listedUntil = new Date(Date.parse(timestamp) + quote.duration_days * 86400000).toISOString();
     const newProperty = {
       property_id: propertyId,
       active: true, // primary status flag
@@ -152,8 +135,15 @@ export async function postProperty(c) {
       description,
       price,
       location,
+      country: country || null,
       landlord_id: payload.userId,
       created_at: timestamp,
+      // CEO listings are free
+      listing_fee: isCEO ? null : quote.amount,
+      listing_currency: quote.currency,
+      listing_max_rooms: isCEO ? null : quote.tier.max_rooms, // rooms the fee covers (null: no limit)
+      listed_until: listedUntil,
+      cancellation_policy: cancellation_policy || DEFAULT_CANCELLATION_POLICY,
       status: 'available',
       unit_available: unitAvailable,
       // optional media
@@ -176,18 +166,22 @@ export async function postProperty(c) {
     if (Array.isArray(rooms) && rooms.length) {
       try {
         const ops = rooms.map((room, index) => {
-          const { name, size, ensuite, amenities } = room;
+          const { name, size, ensuite, amenities, price: roomPrice, currency, period } = room;
           if (!name || !size) {
             throw new Error(`Room ${index + 1} missing required fields (name, size).`);
           }
           return roomsCol.post({
             room_id: uuid(),
             property_id: propertyId,
+            landlord_id: payload.userId,
             active: true,
             name,
             size,
             ensuite: Boolean(encuiteOrBoolean(ensuite)),
             amenities: Array.isArray(amenities) ? amenities : [],
+            price: roomPrice ?? null,
+            currency: currency ? currency.toUpperCase() : null,
+            period: period || 'month',
             created_at: timestamp,
             status: 'available',
           });
@@ -196,6 +190,7 @@ export async function postProperty(c) {
         const results = await Promise.all(ops);
         roomsCreated = results.length;
       } catch (err) {
+        await invalidate('properties', 'rooms'); // the property and any earlier rooms were stored
         await sendFailureEmail(email, payload.name, 'ROOM_INSERT_FAILED', err.message || 'Failed to create rooms.');
         return c.json(
           { success: false, error: 'ROOM_INSERT_FAILED', message: err.message || 'Failed to create rooms.', timestamp },
@@ -204,30 +199,22 @@ export async function postProperty(c) {
       }
     }
 
-    // Record payment usage (optional) — only when verified with provider
-    if (!isCEO && paymentData) {
-      try {
-        await paymentsCol.post({
-          reference: payment_reference,
-          status: 'used',
-          active: false, // used payments are not active
-          verified_at: timestamp,
-          amount: paymentData.amount,
-          currency: paymentData.currency,
-          email: paymentData.customer?.email || email,
-          metadata: paymentData.metadata || {},
-          linked_property_id: propertyId,
-        });
-      } catch (err) {
-        console.warn('⚠️ Failed to record payment usage:', err.message || err);
-      }
-    }
+    await invalidate('properties', 'rooms');
+
+    // The property exists: the payment is spent
+    await claim?.finalize({
+      verified_at: timestamp,
+      amount: paymentData.amount,
+      currency: paymentData.currency,
+      email: paymentData.customer?.email || email,
+      linked_property_id: propertyId,
+    });
 
     // Success email
     await sendSuccessEmail(email, payload.name, title, roomsCreated, !!video);
 
     const duration = Date.now() - startTime;
-    console.log(`✅ Property created in ${duration}ms`);
+    log.info('property created', { duration });
     return c.json(
       {
         success: true,
@@ -235,6 +222,7 @@ export async function postProperty(c) {
         propertyId,
         roomsCreated,
         active: true,
+        listedUntil,
         timestamp,
         durationMs: duration,
       },
@@ -251,6 +239,8 @@ export async function postProperty(c) {
       },
       500
     );
+  } finally {
+    await claim?.release();
   }
 }
 
@@ -279,7 +269,7 @@ async function sendSuccessEmail(to, name, propertyTitle, roomsCreated, hasVideo
       recipientName: name || 'User',
     });
   } catch (err) {
-    console.warn('⚠️ Success email failed:', err.message || err);
+    log.warn('success email failed', { err });
   }
 }
 
@@ -294,6 +284,6 @@ async function sendFailureEmail(to, name, errorCode, errorMessage) {
       recipientName: name || 'User',
     });
   } catch (err) {
-    console.warn('⚠️ Failure email failed:', err.message || err);
+    log.warn('failure email failed', { err });
   }
 }
@@ -0,0 +1,38 @@
+import { LISTING_FEE_SCHEDULE, ListingFeeError, listingQuote } from '../../utils/listingFees.js';
+import { getRequestId } from '../../utils/logger.js';
+
+/**
+ * GET /properties/pricing?country=
+ * The listing fee schedule (see utils/listingFees.js), optionally for one
+ * country: its own entries, or the '*' entries that price it.
+ */
+export const getPricing = async (c) => {
+  const { country } = c.req.valid('query');
+  const code = country?.toUpperCase();
+  let schedule = LISTING_FEE_SCHEDULE;
+  if (code) {
+    const own = schedule.filter((entry) => entry.country === code);
+    schedule = own.length ? own : schedule.filter((entry) => entry.country === '*');
+  }
+  return c.json({ success: true, data: schedule, timestamp: new Date().toISOString(), traceId: getRequestId() });
+};
+
+/**
+ * GET /properties/pricing/quote?country=&currency=&rooms=&duration_days=
+ * The fee for one listing. `purpose` goes to POST /payments/initiate as is;
+ * POST /properties then needs the same country, currency, room tier and
+ * listing_duration_days.
+ */
+export const getQuote = async (c) => {
+  const query = c.req.valid('query');
+  const timestamp = new Date().toISOString();
+  try {
+    const quote = listingQuote(query);
+    const { country, currency, rooms, duration_days: durationDays } = quote;
+    const purpose = { type: 'listing', country, currency, rooms, duration_days: durationDays };
+    return c.json({ success: true, data: { ...quote, purpose }, timestamp, traceId: getRequestId() });
+  } catch (err) {
+    if (!(err instanceof ListingFeeError)) throw err;
+    return c.json({ success: false, error: err.code, message: err.message, timestamp, traceId: getRequestId() }, err.status);
+  }
+};
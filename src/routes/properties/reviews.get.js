@@ -1,58 +1,14 @@
 import { getCollection } from '../../services/astra.js';
-import { redis as upstashRedis } from '../../utils/auth.js';
+import { cacheGet, cacheKey, cacheSet, xCache } from '../../services/cache.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'properties' });
 
 const CACHE_TTL_SEC = Number(process.env.CACHE_TTL_SEC || 30); // TTL for reviews cache
-const CACHE_KEY_PREFIX = process.env.CACHE_KEY_PREFIX || 'cache';
-const INMEM_TTL_MS = Number(process.env.INMEM_REVIEWS_TTL_MS || 5000); // per-worker fallback
-const INMEM_MAX = Number(process.env.INMEM_REVIEWS_MAX || 500);
-
-const inMemReviews = new Map(); // key -> { ts, value }
-const cleanupInMem = () => {
-  if (inMemReviews.size <= INMEM_MAX) return;
-  const keys = Array.from(inMemReviews.keys()).sort((a, b) => inMemReviews.get(a).ts - inMemReviews.get(b).ts);
-  for (let i = 0; i < Math.floor(keys.length / 4); i += 1) {
-    inMemReviews.delete(keys[i]);
-    if (inMemReviews.size <= INMEM_MAX) break;
-  }
-};
-const inMemGet = (k) => {
-  const e = inMemReviews.get(k);
-  if (!e) return null;
-  if (Date.now() - e.ts > INMEM_TTL_MS) {
-    inMemReviews.delete(k);
-    return null;
-  }
-  return e.value;
-};
-const inMemSet = (k, v) => {
-  inMemReviews.set(k, { ts: Date.now(), value: v });
-  cleanupInMem();
-};
-
-const redisGet = async (key) => {
-  try {
-    const raw = await upstashRedis.get(key);
-    if (!raw) return null;
-    return JSON.parse(raw);
-  } catch (e) {
-    console.warn('Redis get error (reviews):', e?.message || e);
-    return null;
-  }
-};
-const redisSet = async (key, payload, ttlSec = CACHE_TTL_SEC) => {
-  try {
-    await upstashRedis.set(key, JSON.stringify(payload));
-    if (typeof upstashRedis.expire === 'function') {
-      await upstashRedis.expire(key, ttlSec);
-    }
-  } catch (e) {
-    console.warn('Redis set error (reviews):', e?.message || e);
-  }
-};
 
 export async function getReviews(c) {
   const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || `trace-${Date.now()}`;
+  const traceId = getRequestId();
 
   const propertyId = c.req.query('property_id');
   if (!propertyId) {
@@ -72,34 +28,17 @@ export async function getReviews(c) {
   const limit = Number.isFinite(rawLimit) && rawLimit > 0 ? Math.min(Math.floor(rawLimit), 100) : 20;
   const offset = (page - 1) * limit;
 
-  const cacheKey = `${CACHE_KEY_PREFIX}:reviews:${propertyId}:p${page}:l${limit}`;
-
-  // 1) Try Redis
-  const rCached = await redisGet(cacheKey);
-  if (rCached != null) {
-    c.header('X-Cache', 'HIT-REDIS');
-    c.set('cachePayload', rCached.reviews);
-    return c.json({
-      success: true,
-      reviews: rCached.reviews,
-      count: rCached.count,
-      page,
-      limit,
-      cached: true,
-      traceId,
-      timestamp,
-    }, 200);
-  }
+  const key = cacheKey('reviews', propertyId, `p${page}`, `l${limit}`);
 
-  // 2) Try in-memory fallback
-  const mem = inMemGet(cacheKey);
-  if (mem != null) {
-    c.header('X-Cache', 'HIT-MEM');
-    c.set('cachePayload', mem.reviews);
+  // 1) Try cache
+  const hit = await cacheGet(key);
+  if (hit) {
+    c.header('X-Cache', xCache(hit.source));
+    c.set('cachePayload', hit.value.reviews);
     return c.json({
       success: true,
-      reviews: mem.reviews,
-      count: mem.count,
+      reviews: hit.value.reviews,
+      count: hit.value.count,
       page,
       limit,
       cached: true,
@@ -108,7 +47,7 @@ export async function getReviews(c) {
     }, 200);
   }
 
-  // 3) Cache miss -> fetch from DB
+  // 2) Cache miss -> fetch from DB
   try {
     const reviewsCol = await getCollection('reviews');
     if (!reviewsCol || typeof reviewsCol.find !== 'function') {
@@ -152,9 +91,8 @@ export async function getReviews(c) {
 
     const payload = { reviews, count };
 
-    // Best-effort caches
-    inMemSet(cacheKey, payload);
-    await redisSet(cacheKey, payload, CACHE_TTL_SEC);
+    // Best-effort cache
+    await cacheSet(key, payload, { ttl: CACHE_TTL_SEC, tags: [`property:${propertyId}`] });
 
     c.set('cachePayload', reviews);
     c.header('X-Cache', 'MISS');
@@ -169,7 +107,7 @@ export async function getReviews(c) {
       timestamp,
     }, 200);
   } catch (err) {
-    console.error('❌ Review fetch failed:', err?.message || err);
+    log.error('review fetch failed', { err });
     return c.json({
       success: false,
       error: 'REVIEW_FETCH_FAILED',
@@ -1,25 +1,18 @@
 import { getCollection } from '../../services/astra.js';
-import { checkToken } from '../../utils/auth.js';
+import { invalidate } from '../../services/cache.js';
 import { uuid } from 'uuidv4';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'properties' });
 
 export async function postReview(c) {
   const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || uuid();
+  const traceId = getRequestId();
 
   try {
-    const token = c.req.header('Authorization')?.replace('Bearer ', '');
-    const user = await checkToken(token);
-
-    if (!user) {
-      return c.json({ success: false, error: 'UNAUTHORIZED', message: 'Missing or invalid token.', traceId, timestamp }, 401);
-    }
-
-    const body = await c.req.json();
-    const { property_id, rating, title, comment, is_anonymous } = body;
+    const user = c.get('user'); // requireAuth
 
-    if (!property_id || !rating || !title || !comment) {
-      return c.json({ success: false, error: 'MISSING_FIELDS', message: 'All fields are required.', traceId, timestamp }, 400);
-    }
+    const { property_id, rating, title, comment, is_anonymous } = c.req.valid('json'); // validate()
 
     const reviewsCol = await getCollection('reviews');
 
@@ -29,8 +22,8 @@ export async function postReview(c) {
       tenant_id: user.userId,
       tenant_email: user.email,
       tenant_name: user.name || 'Anonymous',
-      is_anonymous: Boolean(is_anonymous),
-      rating: Number(rating),
+      is_anonymous,
+      rating,
       title,
       comment,
       created_at: timestamp,
@@ -42,10 +35,11 @@ export async function postReview(c) {
     };
 
     await reviewsCol.post(review);
+    await invalidate(`property:${property_id}`);
 
     return c.json({ success: true, review }, 201);
   } catch (err) {
-    console.error('❌ Review creation failed:', err.message || err);
+    log.error('review creation failed', { err });
     return c.json({
       success: false,
       error: 'REVIEW_CREATION_FAILED',
@@ -1,25 +1,47 @@
 import { Hono } from 'hono';
+import { requireAuth, requirePermission } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import {
+  createPropertySchema,
+  createReviewSchema,
+  listingQuoteQuery,
+  pricingQuery,
+  propertyIdParams,
+  updatePropertySchema,
+} from './schemas.js';
+import { lazyHandler } from '../../utils/lazyHandler.js';
 
-import { getProperties } from './get.js';
-import { getPropertyById } from './id.js';
-import { postProperty } from './post.js';
-import { updateProperty } from './update.js';
-import { deleteProperty } from './delete.js';
+const getProperties = lazyHandler(() => import('./get.js'), 'getProperties');
+const getPropertyById = lazyHandler(() => import('./id.js'), 'getPropertyById');
+const postProperty = lazyHandler(() => import('./post.js'), 'postProperty');
+const updateProperty = lazyHandler(() => import('./update.js'), 'updateProperty');
+const deleteProperty = lazyHandler(() => import('./delete.js'), 'deleteProperty');
+const getPricing = lazyHandler(() => import('./pricing.js'), 'getPricing');
+const getQuote = lazyHandler(() => import('./pricing.js'), 'getQuote');
 
-import { postReview } from './reviews.post.js';
-import { getReviews } from './reviews.get.js';
+const postReview = lazyHandler(() => import('./reviews.post.js'), 'postReview');
+const getReviews = lazyHandler(() => import('./reviews.get.js'), 'getReviews');
 
 const properties = new Hono();
+const listers = requirePermission('property:create');
+const validCreate = validate({ json: createPropertySchema });
+const validUpdate = validate({ param: propertyIdParams, json: updatePropertySchema });
+const validId = validate({ param: propertyIdParams });
+const validReview = validate({ json: createReviewSchema });
+
+// 💰 Listing fees (before /:id)
+properties.get('/pricing', validate({ query: pricingQuery }), getPricing);           // Fee schedule
+properties.get('/pricing/quote', validate({ query: listingQuoteQuery }), getQuote); // Fee for one listing
 
 // 📦 Property endpoints
-properties.get('/', getProperties);             // List all properties
-properties.get('/:id', getPropertyById);        // Get a specific property
-properties.post('/', postProperty);             // Create property + rooms (with payment)
-properties.put('/:id', updateProperty);         // Update property (owner or elevated roles)
-properties.delete('/:id', deleteProperty);      // Delete property (owner or elevated roles)
+properties.get('/', getProperties);                                 // List all properties
+properties.get('/:id', getPropertyById);                            // Get a specific property
+properties.post('/', listers, validCreate, postProperty);           // Create property + rooms (with payment)
+properties.put('/:id', requireAuth(), validUpdate, updateProperty); // Update property (owner or elevated roles)
+properties.delete('/:id', requireAuth(), validId, deleteProperty);  // Delete property (owner or elevated roles)
 
 // 📝 Review endpoints
-properties.get('/:id/reviews', getReviews);     // Get reviews for a property
-properties.post('/:id/reviews', postReview);    // Submit a review for a property
+properties.get('/:id/reviews', getReviews);                              // Get reviews for a property
+properties.post('/:id/reviews', requireAuth(), validReview, postReview); // Submit a review for a property
 
 export default properties;
@@ -0,0 +1,87 @@
+// Request schemas for /properties (see middleware/validate.js)
+import { CANCELLATION_POLICIES } from '../../utils/cancellationPolicy.js';
+
+const roomSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    size: { type: ['string', 'number'] },
+    ensuite: { type: 'boolean' },
+    amenities: { type: 'array', items: { type: 'string', maxLength: 100 }, maxItems: 50 },
+    // price per period: booked by the night or the month (see services/availability.js)
+    price: { type: 'number', minimum: 0 },
+    currency: { type: 'string', pattern: '^[A-Za-z]{3}$' },
+    period: { type: 'string', enum: ['night', 'month'] },
+  },
+  required: ['name', 'size'],
+};
+
+const propertyFields = {
+  title: { type: 'string', minLength: 1, maxLength: 200 },
+  description: { type: 'string', minLength: 1, maxLength: 5000 },
+  price: { type: 'number', minimum: 0 },
+  location: { type: ['string', 'object'] },
+  country: { type: 'string', maxLength: 100 },
+  image: { type: 'string', format: 'uri' },
+  photos: { type: 'array', items: { type: 'string', format: 'uri' }, maxItems: 30 },
+  video: { type: 'string', format: 'uri' },
+  video_thumbnail: { type: 'string', format: 'uri' },
+  rooms: { type: 'array', items: roomSchema, maxItems: 200 },
+  // refunds when a booking is cancelled (see utils/cancellationPolicy.js)
+  cancellation_policy: { type: 'string', enum: Object.keys(CANCELLATION_POLICIES) },
+};
+
+export const propertyIdParams = {
+  type: 'object',
+  properties: { id: { type: 'string', minLength: 1, maxLength: 100 } },
+  required: ['id'],
+};
+
+const listingTerms = {
+  currency: { type: 'string', pattern: '^[A-Za-z]{3}$' },
+  duration_days: { type: 'integer', minimum: 1 },
+};
+
+export const createPropertySchema = {
+  type: 'object',
+  properties: {
+    ...propertyFields,
+    payment_reference: { type: 'string', minLength: 1, maxLength: 100 },
+    // the listing fee quote the payment was made for (see GET /properties/pricing/quote)
+    listing_currency: listingTerms.currency,
+    listing_duration_days: listingTerms.duration_days,
+  },
+  required: ['title', 'description', 'price', 'location', 'payment_reference'],
+};
+
+export const updatePropertySchema = {
+  type: 'object',
+  properties: propertyFields,
+};
+
+export const pricingQuery = {
+  type: 'object',
+  properties: { country: { type: 'string', pattern: '^[A-Za-z]{2}$' } },
+};
+
+export const listingQuoteQuery = {
+  type: 'object',
+  properties: {
+    country: { type: 'string', maxLength: 100 },
+    rooms: { type: 'integer', minimum: 0, maximum: 200 },
+    ...listingTerms,
+  },
+  required: ['rooms'],
+};
+
+export const createReviewSchema = {
+  type: 'object',
+  properties: {
+    property_id: { type: 'string', minLength: 1, maxLength: 100 },
+    rating: { type: 'integer', minimum: 1, maximum: 5 },
+    title: { type: 'string', minLength: 1, maxLength: 150 },
+    comment: { type: 'string', minLength: 1, maxLength: 2000 },
+    is_anonymous: { type: 'boolean', default: false },
+  },
+  required: ['property_id', 'rating', 'title', 'comment'],
+};
@@ -1,8 +1,11 @@
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { checkToken, roleCheck } from '../../utils/auth.js';
+import { invalidate } from '../../services/cache.js';
+import { can } from '../../utils/policy.js';
 import { initR2 } from '../../services/r2.js';
 import { uuid } from 'uuidv4';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'properties' });
 
 /**
  * PUT /properties/:id
@@ -11,32 +14,18 @@ import { uuid } from 'uuidv4';
  */
 export const updateProperty = async (c) => {
   const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID();
+  const traceId = getRequestId();
   const propertyId = c.req.param('id');
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
-
-  const elevatedRoles = ['ceo', 'admin', 'customercare'];
 
-  const [authResult, propResult, roomResult] = await Promise.allSettled([
-    token ? checkToken(token) : null,
+  const [propResult, roomResult] = await Promise.allSettled([
     getCollection('properties'),
     getCollection('rooms'),
   ]);
 
-  const user = authResult.status === 'fulfilled' ? authResult.value : null;
+  const user = c.get('user'); // requireAuth
   const propertiesCol = propResult.status === 'fulfilled' ? propResult.value : null;
   const roomsCol = roomResult.status === 'fulfilled' ? roomResult.value : null;
 
-  if (!user) {
-    return c.json({
-      success: false,
-      error: 'UNAUTHORIZED',
-      message: 'Missing or invalid token.',
-      timestamp,
-      traceId,
-    }, 401);
-  }
-
   if (!propertiesCol || !roomsCol) {
     return c.json({
       success: false,
@@ -47,19 +36,7 @@ export const updateProperty = async (c) => {
     }, 503);
   }
 
-  let body;
-  try {
-    body = await c.req.json();
-    if (!body || typeof body !== 'object') throw new Error('Invalid JSON');
-  } catch (err) {
-    return c.json({
-      success: false,
-      error: 'INVALID_BODY',
-      message: 'Request body must be valid JSON.',
-      timestamp,
-      traceId,
-    }, 400);
-  }
+  const body = c.req.valid('json'); // validate()
 
   let property, docId;
   try {
@@ -85,10 +62,7 @@ export const updateProperty = async (c) => {
     }, 500);
   }
 
-  const isOwner = property.landlordId === user.userId;
-  const isElevated = roleCheck(user, elevatedRoles);
-
-  if (!isOwner && !isElevated) {
+  if (!can(user, 'property:update', property)) {
     return c.json({
       success: false,
       error: 'FORBIDDEN',
@@ -100,6 +74,37 @@ export const updateProperty = async (c) => {
 
   const { rooms, ...propertyUpdates } = body;
 
+  // New rooms must fit the listing fee tier paid at creation. The cap counts
+  // listed rooms: unit_available drops as rooms are booked
+  const roomLimit = property.listing_max_rooms ?? null;
+  const newRooms = Array.isArray(rooms) ? rooms.length : 0;
+  let listedRooms = 0;
+  if (roomLimit !== null && newRooms) {
+    try {
+      const roomsOf = property.property_id || propertyId;
+      listedRooms = await roomsCol.count({
+        $or: [{ property_id: { $eq: roomsOf } }, { propertyId: { $eq: roomsOf } }],
+      });
+    } catch (err) {
+      return c.json({
+        success: false,
+        error: 'DB_QUERY_FAILED',
+        message: 'Failed to count the property\'s rooms.',
+        timestamp,
+        traceId,
+      }, 500);
+    }
+  }
+  if (roomLimit !== null && listedRooms + newRooms > roomLimit) {
+    return c.json({
+      success: false,
+      error: 'LISTING_ROOM_LIMIT',
+      message: `This listing's fee covers ${roomLimit} rooms; list the extra rooms as a new property.`,
+      timestamp,
+      traceId,
+    }, 402);
+  }
+
   // 🧹 Delete old image if replaced
   const oldImageUrl = property.image;
   const newImageUrl = propertyUpdates.image;
@@ -111,11 +116,11 @@ export const updateProperty = async (c) => {
       const r2 = await initR2();
       await r2.deleteFile(key);
       if (process.env.NODE_ENV !== 'production') {
-        console.log(`🧹 Deleted old property image from R2: ${key}`);
+        log.info('deleted old property image from R2', { key });
       }
     } catch (err) {
       if (process.env.NODE_ENV !== 'production') {
-        console.warn('⚠️ Failed to delete old image from R2:', err.message || err);
+        log.warn('failed to delete old image from R2', { err });
       }
     }
   }
@@ -141,7 +146,7 @@ export const updateProperty = async (c) => {
   if (Array.isArray(rooms)) {
     try {
       const roomInsertions = rooms.map((room, index) => {
-        const { name, size, ensuite, amenities } = room;
+        const { name, size, ensuite, amenities, price, currency, period } = room;
         if (!name || !size) {
           throw new Error(`Room ${index + 1} missing required fields (name, size).`);
         }
@@ -150,17 +155,24 @@ export const updateProperty = async (c) => {
         return roomsCol.post({
           room_id: roomId,
           propertyId,
+          landlord_id: property.landlord_id || property.landlordId || user.userId,
           name,
           size,
           ensuite: Boolean(ensuite),
           amenities: Array.isArray(amenities) ? amenities : [],
+          price: price ?? null,
+          currency: currency ? currency.toUpperCase() : null,
+          period: period || 'month',
           createdAt: timestamp,
         });
       });
 
       const results = await Promise.all(roomInsertions);
       roomsAdded = results.length;
+      if (roomsAdded) await propertiesCol.patch(docId, { unit_available: Number(property.unit_available || 0) + roomsAdded });
     } catch (err) {
+      // the property itself was already patched
+      await invalidate('properties', `property:${propertyId}`, 'rooms');
       return c.json({
         success: false,
         error: 'ROOM_INSERT_FAILED',
@@ -171,6 +183,8 @@ export const updateProperty = async (c) => {
     }
   }
 
+  await invalidate('properties', `property:${propertyId}`, roomsAdded > 0 && 'rooms');
+
   return c.json({
     success: true,
     message: 'Property updated successfully.',
@@ -0,0 +1,68 @@
+// OpenAPI descriptions for /receipts (see utils/openapi.js)
+
+export default {
+  tag: 'Receipts',
+  description: 'Rent receipts: PDF generation, landlord listings and public verification.',
+  operations: {
+    'GET /verify/:receipt_identifier': {
+      summary: 'Verify a receipt',
+      description: 'Public. Accepts either the receipt_id or the receipt_number.',
+      errors: {
+        MISSING_IDENTIFIER: 400,
+        INVALID_IDENTIFIER: 400,
+        RECEIPT_NOT_FOUND: 404,
+        DB_CONNECTION_FAILED: 503,
+        DB_QUERY_FAILED: 500,
+      },
+    },
+    'POST /': {
+      summary: 'Generate a receipt',
+      description: 'Send `x-idempotency-key` to make retries return the original receipt. The amount is either `amount_value` (smallest unit) with `amount_currency`, or a legacy `amount` string.',
+      body: {
+        type: 'object',
+        properties: {
+          tenant_name: { type: 'string' },
+          property_name: { type: 'string' },
+          amount: { type: 'string' },
+          amount_value: { type: 'integer', minimum: 0 },
+          amount_currency: { type: 'string', enum: ['KES', 'USD', 'EUR', 'GBP'] },
+          raw_amount_input: { type: 'string' },
+          next_payment_date: { type: 'string' },
+          payment_method: { type: 'string' },
+          details: { type: 'string' },
+        },
+        required: ['tenant_name', 'property_name'],
+      },
+      errors: {
+        INVALID_BODY: 400,
+        MISSING_FIELDS: 400,
+        INVALID_AMOUNT: 400,
+        QR_GENERATION_FAILED: 500,
+        PDF_GENERATION_FAILED: 500,
+        GENERATION_FAILED: 500,
+      },
+    },
+    'GET /mine': {
+      summary: 'List my receipts',
+      query: {
+        type: 'object',
+        properties: {
+          page: { type: 'integer', minimum: 1, default: 1 },
+          page_size: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+          q: { type: 'string' },
+          currency: { type: 'string' },
+          from: { type: 'string', format: 'date' },
+          to: { type: 'string', format: 'date' },
+        },
+      },
+      errors: { DB_CONNECTION_FAILED: 503, DB_QUERY_FAILED: 500 },
+    },
+    'GET /mine/:receipt_id': {
+      summary: 'Get one of my receipts',
+      errors: { INVALID_RECEIPT_ID: 400, RECEIPT_NOT_FOUND: 404, DB_CONNECTION_FAILED: 503, DB_QUERY_FAILED: 500 },
+    },
+    'GET /_health': {
+      summary: 'Receipts health check',
+    },
+  },
+};
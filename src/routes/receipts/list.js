@@ -1,6 +1,8 @@
 // src/routes/receipts/list.js
 import { getCollection } from '../../services/astra.js';
-import { checkToken } from '../../utils/auth.js';
+import { logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'receipts' });
 
 /**
  * GET /receipts/mine
@@ -17,23 +19,11 @@ import { checkToken } from '../../utils/auth.js';
 const DEFAULT_PAGE = 1;
 const DEFAULT_PAGE_SIZE = 20;
 const MAX_PAGE_SIZE = 100;
-const ALLOWED_ROLES = new Set(['landlord', 'dual']);
 
 const list = async (c) => {
   const timestamp = new Date().toISOString();
 
-  // Auth
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
-  const user = token ? await checkToken(token) : null;
-  if (!user || !ALLOWED_ROLES.has(user.role)) {
-    return c.json({
-      success: false,
-      error: 'UNAUTHORIZED',
-      message: 'Only landlords or dual-role users can view their receipts.',
-      timestamp,
-    }, 403);
-  }
-
+  const user = c.get('user'); // requireRole
   // Parse and validate query params
   const rawPage = Number(c.req.query('page') || DEFAULT_PAGE);
   const rawPageSize = Number(c.req.query('page_size') || DEFAULT_PAGE_SIZE);
@@ -68,7 +58,7 @@ const list = async (c) => {
   try {
     receiptsCol = await getCollection('receipts');
   } catch (err) {
-    console.error('❌ DB connection error:', err?.message || err);
+    log.error('DB connection error', { err });
     return c.json({
       success: false,
       error: 'DB_CONNECTION_FAILED',
@@ -135,9 +125,9 @@ const list = async (c) => {
       timestamp,
     }, 200);
   } catch (queryErr) {
-    console.error('❌ Receipt query failed:', queryErr?.message || queryErr);
+    log.error('receipt query failed', { err: queryErr });
     if (queryErr?.response?.data) {
-      console.error('📄 Astra error response:', JSON.stringify(queryErr.response.data, null, 2));
+      log.error('astra error response', { response: queryErr.response.data });
     }
     return c.json({
       success: false,
@@ -1,8 +1,8 @@
 // src/routes/receipts/mine/[receipt_id].js
 import { getCollection } from '../../../services/astra.js';
-import { checkToken } from '../../../utils/auth.js';
+import { logger } from '../../../utils/logger.js';
 
-const ALLOWED_ROLES = new Set(['landlord', 'dual']);
+const log = logger.child({ module: 'receipts' });
 
 /**
  * GET /receipts/mine/:receipt_id
@@ -14,18 +14,7 @@ export const mine = async (c) => {
   const timestamp = new Date().toISOString();
   const receiptId = String(c.req.param('receipt_id') || '').trim();
 
-  // Auth
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
-  const user = token ? await checkToken(token) : null;
-  if (!user || !ALLOWED_ROLES.has(user.role)) {
-    return c.json({
-      success: false,
-      error: 'UNAUTHORIZED',
-      message: 'Only landlords or dual-role users can access their receipts.',
-      timestamp,
-    }, 403);
-  }
-
+  const user = c.get('user'); // requireRole
   // Validate receipt id
   if (!receiptId || typeof receiptId !== 'string' || !receiptId.startsWith('RCT-')) {
     return c.json({
@@ -41,7 +30,7 @@ export const mine = async (c) => {
   try {
     receiptsCol = await getCollection('receipts');
   } catch (err) {
-    console.error('❌ DB connection error:', err?.message || err);
+    log.error('DB connection error', { err });
     return c.json({
       success: false,
       error: 'DB_CONNECTION_FAILED',
@@ -94,9 +83,9 @@ export const mine = async (c) => {
       timestamp,
     }, 200);
   } catch (queryErr) {
-    console.error('❌ Receipt lookup failed:', queryErr?.message || queryErr);
+    log.error('receipt lookup failed', { err: queryErr });
     if (queryErr?.response?.data) {
-      console.error('📄 Astra error response:', JSON.stringify(queryErr.response.data, null, 2));
+      log.error('astra error response', { response: queryErr.response.data });
     }
     return c.json({
       success: false,
@@ -1,16 +1,17 @@
 // receipts.handler.js
-import { checkToken } from '../../utils/auth.js';
 import { initR2 } from '../../services/r2.js';
 import { getCollection } from '../../services/astra.js';
 import { v4 as uuid } from 'uuid';
 import puppeteer from 'puppeteer';
 import QRCode from 'qrcode';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'receipts' });
 
 // NOTE: Use a deterministic decimal library for critical finance paths if you need >2 decimal precision.
 // This implementation uses integer smallest-unit storage (cents) to avoid floating-point errors.
 
 // Configuration
-const ALLOWED_ROLES = new Set(['landlord', 'dual', 'agent', 'real estate company']);
 const IDEMPOTENCY_HEADER = 'x-idempotency-key';
 const SUPPORTED_CURRENCIES = new Set(['KES', 'USD', 'EUR', 'GBP']); // Extend as needed
 const UPLOAD_RETRY_ATTEMPTS = 3;
@@ -109,16 +110,10 @@ const retryUpload = async (r2, key, buffer, contentType) => {
 // Main handler
 const receipts = async (c) => {
   const start = Date.now();
-  const traceId = c.req.header('x-trace-id') || uuid();
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
+  const traceId = getRequestId();
   const timestamp = new Date().toISOString();
 
-  // Basic auth check
-  const user = token ? await checkToken(token) : null;
-  if (!user || !ALLOWED_ROLES.has(user.role)) {
-    return c.json({ success: false, error: 'UNAUTHORIZED', message: 'Only authorized roles can generate receipts.', timestamp, traceId }, 403);
-  }
-
+  const user = c.get('user'); // requireRole
   // Parse body
   let body;
   try {
@@ -155,7 +150,7 @@ const receipts = async (c) => {
   try {
     qrCodeBase64 = await QRCode.toDataURL(verifyUrl, { errorCorrectionLevel: 'H', width: 120 });
   } catch (err) {
-    console.error('QR generation failed', err);
+    log.error('QR generation failed', { err });
     return c.json({ success: false, error: 'QR_GENERATION_FAILED', message: 'Unable to create QR code', timestamp, traceId }, 500);
   }
 
@@ -246,7 +241,7 @@ const receipts = async (c) => {
 
     await browser.close();
   } catch (err) {
-    console.error('PDF generation error', err);
+    log.error('PDF generation error', { err });
     return c.json({ success: false, error: 'PDF_GENERATION_FAILED', message: 'Unable to create receipt PDF', timestamp, traceId }, 500);
   }
 
@@ -285,7 +280,7 @@ const receipts = async (c) => {
         }
       } catch (e) {
         // proceed - do not fail idempotency lookup for DB errors
-        console.warn('Idempotency lookup failed', e);
+        log.warn('idempotency lookup failed', { err: e });
       }
     }
 
@@ -328,7 +323,7 @@ const receipts = async (c) => {
       duration: `${Date.now() - start}ms`,
     }, 200);
   } catch (err) {
-    console.error('Storage/upload error', err);
+    log.error('storage/upload error', { err });
     // Attempt best-effort cleanup if you uploaded but DB failed (not implemented here).
     return c.json({ success: false, error: 'GENERATION_FAILED', message: 'Unable to generate or upload receipt.', timestamp, traceId }, 500);
   }
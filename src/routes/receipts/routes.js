@@ -1,21 +1,25 @@
 // src/routes/receipts/index.js
 import { Hono } from 'hono';
-import verify from './verify.js';
-import receipts from './post.js';
-import list from './list.js';
-import mine from './mine/[receipt_id].js';
+import { requirePermission } from '../../middleware/auth.js';
+import { lazyHandler } from '../../utils/lazyHandler.js';
+
+const verify = lazyHandler(() => import('./verify.js'));
+const receipts = lazyHandler(() => import('./post.js'));
+const list = lazyHandler(() => import('./list.js'));
+const mine = lazyHandler(() => import('./mine/[receipt_id].js'));
 
 const receiptRoutes = new Hono();
+const landlords = requirePermission('receipt:read:own');
 
-// Public verification (kept exactly as /verify/:receipt_id)
-receiptRoutes.get('/verify/:receipt_id', verify);
+// Public verification by receipt_id or receipt_number
+receiptRoutes.get('/verify/:receipt_identifier', verify);
 
 // Create receipt (POST /receipts)
-receiptRoutes.post('/', receipts);
+receiptRoutes.post('/', requirePermission('receipt:create'), receipts);
 
 // Landlord / dual routes
-receiptRoutes.get('/mine', list);               // GET /receipts/mine
-receiptRoutes.get('/mine/:receipt_id', mine);   // GET /receipts/mine/:receipt_id
+receiptRoutes.get('/mine', landlords, list);             // GET /receipts/mine
+receiptRoutes.get('/mine/:receipt_id', landlords, mine); // GET /receipts/mine/:receipt_id
 
 // Health check (optional)
 receiptRoutes.get('/_health', (c) => c.json({ ok: true, ts: new Date().toISOString() }));
@@ -1,5 +1,8 @@
 // src/routes/receipts/verify.js
 import { getCollection } from '../../services/astra.js';
+import { logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'receipts' });
 
 /**
  * GET /receipts/verify/:receipt_identifier
@@ -42,7 +45,7 @@ const verify = async (c) => {
   try {
     receiptsCol = await getCollection('receipts');
   } catch (err) {
-    console.error('❌ DB connection error:', err?.message || err);
+    log.error('DB connection error', { err });
     return c.json({
       success: false,
       error: 'DB_CONNECTION_FAILED',
@@ -99,9 +102,9 @@ const verify = async (c) => {
 
     return c.json(response, 200);
   } catch (queryErr) {
-    console.error('❌ Receipt lookup failed:', queryErr?.message || queryErr);
+    log.error('receipt lookup failed', { err: queryErr });
     if (queryErr?.response?.data) {
-      console.error('📄 Astra error response:', JSON.stringify(queryErr.response.data, null, 2));
+      log.error('astra error response', { response: queryErr.response.data });
     }
     return c.json({
       success: false,
@@ -0,0 +1,57 @@
+import { getCollection } from '../../services/astra.js';
+import { monthAvailability, today } from '../../services/availability.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'rooms' });
+
+/**
+ * GET /rooms/:id/availability?month=YYYY-MM
+ * Booked and free date ranges of a room for a month view (default: this
+ * month). End dates are check-out days, exclusive. Not cached: a booking
+ * changes it right away.
+ */
+export const getRoomAvailability = async (c) => {
+  const timestamp = new Date().toISOString();
+  const traceId = getRequestId();
+  const { id: roomId } = c.req.valid('param');
+  const { month = today().slice(0, 7) } = c.req.valid('query');
+
+  let room;
+  try {
+    const roomsCol = await getCollection('rooms');
+    const result = await roomsCol.find({ room_id: { $eq: roomId } });
+    room = Object.values(result?.data || {})[0];
+  } catch (err) {
+    log.error('room lookup failed', { roomId, err });
+    return c.json({
+      success: false,
+      error: 'DB_CONNECTION_FAILED',
+      message: 'Database connection failed.',
+      timestamp,
+      traceId,
+    }, 503);
+  }
+  if (!room) {
+    return c.json({
+      success: false,
+      error: 'ROOM_NOT_FOUND',
+      message: `No room found with ID "${roomId}".`,
+      timestamp,
+      traceId,
+    }, 404);
+  }
+
+  try {
+    const availability = await monthAvailability(room, month);
+    return c.json({ success: true, data: { room_id: roomId, ...availability }, timestamp, traceId }, 200);
+  } catch (err) {
+    log.error('availability lookup failed', { roomId, month, err });
+    return c.json({
+      success: false,
+      error: 'DB_QUERY_FAILED',
+      message: 'Failed to load the room\'s bookings.',
+      timestamp,
+      traceId,
+    }, 500);
+  }
+};
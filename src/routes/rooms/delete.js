@@ -1,7 +1,10 @@
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { checkToken, roleCheck } from '../../utils/auth.js';
+import { invalidate } from '../../services/cache.js';
+import { can } from '../../utils/policy.js';
 import { initR2 } from '../../services/r2.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'rooms' });
 
 /**
  * DELETE /rooms/:id
@@ -10,33 +13,19 @@ import { initR2 } from '../../services/r2.js';
  */
 export const deleteRoom = async (c) => {
   const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID();
+  const traceId = getRequestId();
   const roomId = c.req.param('id');
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
-
-  const elevatedRoles = ['ceo', 'admin', 'customercare'];
 
-  const [authResult, collectionResult] = await Promise.allSettled([
-    token ? checkToken(token) : null,
+  const [collectionResult] = await Promise.allSettled([
     getCollection('rooms'),
   ]);
 
-  const user = authResult.status === 'fulfilled' ? authResult.value : null;
+  const user = c.get('user'); // requireAuth
   const roomsCol = collectionResult.status === 'fulfilled' ? collectionResult.value : null;
 
-  if (!user) {
-    return c.json({
-      success: false,
-      error: 'UNAUTHORIZED',
-      message: 'Missing or invalid token.',
-      timestamp,
-      traceId,
-    }, 401);
-  }
-
   if (!roomsCol) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ DB connection failed:', collectionResult.reason?.message || collectionResult.reason);
+      log.error('DB connection failed', { err: collectionResult.reason });
     }
     return c.json({
       success: false,
@@ -63,7 +52,7 @@ export const deleteRoom = async (c) => {
     [docId, room] = entries[0];
   } catch (err) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ Room lookup failed:', err.message || err);
+      log.error('room lookup failed', { err });
     }
     return c.json({
       success: false,
@@ -74,10 +63,7 @@ export const deleteRoom = async (c) => {
     }, 500);
   }
 
-  const isOwner = room.landlordId === user.userId;
-  const isElevated = roleCheck(user, elevatedRoles);
-
-  if (!isOwner && !isElevated) {
+  if (!can(user, 'room:delete', room)) {
     return c.json({
       success: false,
       error: 'FORBIDDEN',
@@ -95,7 +81,7 @@ export const deleteRoom = async (c) => {
     await roomsCol.delete(docId);
   } catch (err) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ Room deletion failed:', err.message || err);
+      log.error('room deletion failed', { err });
     }
     return c.json({
       success: false,
@@ -106,16 +92,19 @@ export const deleteRoom = async (c) => {
     }, 500);
   }
 
+  const propertyId = room.property_id || room.propertyId;
+  await invalidate('rooms', `room:${roomId}`, propertyId && `property:${propertyId}`);
+
   if (key) {
     try {
       const r2 = await initR2();
       await r2.deleteFile(key);
       if (process.env.NODE_ENV !== 'production') {
-        console.log(`🧹 Deleted room image from R2: ${key}`);
+        log.info('deleted room image from R2', { key });
       }
     } catch (err) {
       if (process.env.NODE_ENV !== 'production') {
-        console.warn('⚠️ Failed to delete image from R2:', err.message || err);
+        log.warn('failed to delete image from R2', { err });
       }
     }
   }
@@ -0,0 +1,84 @@
+// OpenAPI descriptions for /rooms (see utils/openapi.js)
+
+export default {
+  tag: 'Rooms',
+  description: 'Rooms (bookable units) of a property.',
+  operations: {
+    'GET /': {
+      summary: 'List rooms',
+      description: '`held` marks rooms someone is checking out (`heldUntil`), see `POST /rooms/:id/hold`.',
+      errors: { DB_CONNECTION_FAILED: 503, DB_QUERY_FAILED: 500 },
+    },
+    'GET /:id': {
+      summary: 'Get a room',
+      description: '`held` and `heldUntil` as in the list.',
+      errors: { INVALID_ROOM_ID: 400, ROOM_NOT_FOUND: 404, DB_CONNECTION_FAILED: 503, DB_QUERY_FAILED: 500 },
+    },
+    'GET /:id/availability': {
+      summary: 'Get a room\'s availability for a month',
+      description: 'Booked and free date ranges (`end_date` is the exclusive check-out day) and the room\'s booking `period`: '
+        + '`night` for nightly rooms, otherwise `month`.',
+      query: { type: 'object', properties: { month: { type: 'string', description: 'YYYY-MM, default this month' } } },
+      errors: { ROOM_NOT_FOUND: 404, DB_CONNECTION_FAILED: 503, DB_QUERY_FAILED: 500 },
+    },
+    'POST /:id/hold': {
+      summary: 'Hold a room during checkout',
+      description: 'Holds the stay (`start_date` and `end_date` or `periods`, default one period from today) for `ROOM_HOLD_TTL_SEC` '
+        + '(default 15 minutes), for the signed-in user or a guest `email`. Holding again moves and refreshes the caller\'s hold. '
+        + 'Other payers can hold other dates of the same room; overlapping dates fail with `ROOM_HELD`. '
+        + 'Initiate the payment with the returned `purpose`: the reference is tied to the hold and only that payment can book the held dates. '
+        + 'A `payment_reference` already initiated for the same room, dates and amount can be tied here.',
+      errors: {
+        MISSING_EMAIL: 400,
+        INVALID_DATES: 400,
+        PAYMENT_REFERENCE_NOT_FOUND: 402,
+        PAYMENT_PURPOSE_MISMATCH: 402,
+        PAYMENT_CURRENCY_MISMATCH: 402,
+        PAYMENT_AMOUNT_MISMATCH: 402,
+        ROOM_NOT_FOUND: 404,
+        BOOKING_CONFLICT: 409,
+        ROOM_HELD: 409,
+        ROOM_BOOKING_IN_PROGRESS: 409,
+        PAYMENT_VERIFICATION_ERROR: 502,
+        HOLD_UNAVAILABLE: 503,
+        AVAILABILITY_UNAVAILABLE: 503,
+        DB_CONNECTION_FAILED: 503,
+        DB_QUERY_FAILED: 500,
+      },
+    },
+    'DELETE /:id/hold': {
+      summary: 'Release a hold',
+      description: 'Gives up the hold `?hold_id=` from `POST /rooms/:id/hold`. A signed-in user\'s hold needs that user.',
+      errors: { HOLD_NOT_FOUND: 404, HOLD_UNAVAILABLE: 503 },
+    },
+    'PUT /:id': {
+      summary: 'Update a room',
+      errors: { ROOM_NOT_FOUND: 404, DB_CONNECTION_FAILED: 503, DB_QUERY_FAILED: 500, FORBIDDEN: 403, UPDATE_FAILED: 500 },
+    },
+    'DELETE /:id': {
+      summary: 'Delete a room',
+      errors: { ROOM_NOT_FOUND: 404, DB_CONNECTION_FAILED: 503, DB_QUERY_FAILED: 500, FORBIDDEN: 403, DELETE_FAILED: 500 },
+    },
+    'POST /find': {
+      summary: 'Search rooms and their properties',
+      body: {
+        type: 'object',
+        properties: {
+          q: { type: 'string' },
+          location: { type: 'string' },
+          exact_location: { type: 'string' },
+          description: { type: 'string' },
+          country: { type: 'string' },
+          latitude: { type: 'number' },
+          longitude: { type: 'number' },
+          property_name: { type: 'string' },
+          currency: { type: 'string' },
+          amount: { type: 'number', description: 'Maximum room amount' },
+          period: { type: 'string' },
+          category: { type: 'string' },
+        },
+      },
+      errors: { INVALID_FILTERS: 400, DB_CONNECTION_FAILED: 503, QUERY_FAILED: 500 },
+    },
+  },
+};
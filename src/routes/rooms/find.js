@@ -1,58 +1,13 @@
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { redis as upstashRedis } from '../../utils/auth.js';
+import { cacheGet, cacheKey, cacheSet, xCache } from '../../services/cache.js';
+import { markHeld } from '../../services/roomHolds.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'rooms' });
 
-const CACHE_KEY_PREFIX = process.env.CACHE_KEY_PREFIX || 'cache';
 const CACHE_TTL_SEC = Number(process.env.CACHE_TTL_SEC || 15); // short TTL for dynamic searches
-const INMEM_TTL_MS = Number(process.env.INMEM_FIND_TTL_MS || 3000);
-const INMEM_MAX = Number(process.env.INMEM_FIND_MAX || 300);
 const MAX_RESULTS = Number(process.env.MAX_FIND_RESULTS || 200); // clamp to avoid huge responses
 
-// in-memory fallback cache: key -> { ts, value }
-const inMemFind = new Map();
-const cleanupInMem = () => {
-  if (inMemFind.size <= INMEM_MAX) return;
-  const keys = Array.from(inMemFind.keys()).sort((a, b) => inMemFind.get(a).ts - inMemFind.get(b).ts);
-  for (let i = 0; i < Math.floor(keys.length / 4); i += 1) {
-    inMemFind.delete(keys[i]);
-    if (inMemFind.size <= INMEM_MAX) break;
-  }
-};
-const inMemGet = (k) => {
-  const e = inMemFind.get(k);
-  if (!e) return null;
-  if (Date.now() - e.ts > INMEM_TTL_MS) {
-    inMemFind.delete(k);
-    return null;
-  }
-  return e.value;
-};
-const inMemSet = (k, v) => {
-  inMemFind.set(k, { ts: Date.now(), value: v });
-  cleanupInMem();
-};
-
-const redisGet = async (key) => {
-  try {
-    const raw = await upstashRedis.get(key);
-    if (!raw) return null;
-    return JSON.parse(raw);
-  } catch (e) {
-    console.warn('Redis get error (find):', e?.message || e);
-    return null;
-  }
-};
-const redisSet = async (key, payload, ttlSec = CACHE_TTL_SEC) => {
-  try {
-    await upstashRedis.set(key, JSON.stringify(payload));
-    if (typeof upstashRedis.expire === 'function') {
-      await upstashRedis.expire(key, ttlSec);
-    }
-  } catch (e) {
-    console.warn('Redis set error (find):', e?.message || e);
-  }
-};
-
 const safeString = (v) => (typeof v === 'string' ? v.trim() : '');
 const safeNumber = (v) => (v == null ? null : Number(v));
 
@@ -62,7 +17,7 @@ const makeCacheKey = (filters) => {
     acc[k] = filters[k];
     return acc;
   }, {}));
-  return `${CACHE_KEY_PREFIX}:find:${Buffer.from(stable).toString('base64')}`;
+  return cacheKey('find', Buffer.from(stable).toString('base64'));
 };
 
 const projectEntity = (e) => ({
@@ -77,6 +32,14 @@ const projectEntity = (e) => ({
   shortDescription: e.shortDescription || e.description || null,
 });
 
+const projectRoom = (r) => ({ ...projectEntity(r), roomId: r.room_id || null });
+
+// Holds change faster than the cache: marked on every response
+const withHolds = async (payload) => ({
+  ...payload,
+  data: { ...payload.data, rooms: await markHeld(payload.data?.rooms) },
+});
+
 const clampArray = (arr) => (Array.isArray(arr) && arr.length > MAX_RESULTS ? arr.slice(0, MAX_RESULTS) : arr);
 
 const buildQueryFromFilters = (filters) => {
@@ -111,28 +74,12 @@ const buildQueryFromFilters = (filters) => {
   return { propertyQuery, roomQuery };
 };
 
-const defaultProjection = {
-  // if your driver supports projection object, adapt accordingly
-  // Here projection is logical; actual driver usage handled in find calls if it supports options
-  // We still map to projectEntity afterward
-};
-
-const DEFAULT_SORT = { createdAt: -1 };
-
-const safeFindWithOptions = async (col, query, options = {}) => {
-  // Attempt server-side paged find if supported; fall back to simple find
-  try {
-    return await col.find(query, options);
-  } catch (e) {
-    // fallback to unpaged find
-    return await col.find(query);
-  }
-};
+const DEFAULT_SORT = { created_at: -1 };
 
 // Handler
 const find = async (c) => {
   const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID?.() || `trace-${Date.now()}`;
+  const traceId = getRequestId();
 
   let filters;
   try {
@@ -155,22 +102,13 @@ const find = async (c) => {
   const limit = Number.isFinite(rawLimit) && rawLimit > 0 ? Math.min(Math.floor(rawLimit), 100) : 50;
   const offset = (page - 1) * limit;
 
-  const cacheKey = makeCacheKey({ ...filters, page, limit });
+  const key = makeCacheKey({ ...filters, page, limit });
 
-  // 1) Try Redis cache
-  const rCached = await redisGet(cacheKey);
-  if (rCached != null) {
-    c.header('X-Cache', 'HIT-REDIS');
-    c.set('cachePayload', rCached);
-    return c.json({ success: true, ...rCached, cached: true, traceId, timestamp }, 200);
-  }
-
-  // 2) Try in-memory fallback
-  const mem = inMemGet(cacheKey);
-  if (mem != null) {
-    c.header('X-Cache', 'HIT-MEM');
-    c.set('cachePayload', mem);
-    return c.json({ success: true, ...mem, cached: true, traceId, timestamp }, 200);
+  const hit = await cacheGet(key);
+  if (hit) {
+    c.header('X-Cache', xCache(hit.source));
+    c.set('cachePayload', hit.value);
+    return c.json({ success: true, ...(await withHolds(hit.value)), cached: true, traceId, timestamp }, 200);
   }
 
   // Resolve collections in parallel
@@ -184,7 +122,7 @@ const find = async (c) => {
 
   if (!propertiesCol || !roomsCol) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ DB connection failed:', propertiesResult.reason || roomsResult.reason);
+      log.error('DB connection failed', { err: propertiesResult.reason || roomsResult.reason });
     }
     return c.json({
       success: false,
@@ -198,25 +136,20 @@ const find = async (c) => {
   const { propertyQuery, roomQuery } = buildQueryFromFilters(filters);
 
   try {
-    // Use server-side options if supported (limit/offset/sort)
-    const propOptions = { limit: limit, offset, sort: DEFAULT_SORT };
-    const roomOptions = { limit: limit, offset, sort: DEFAULT_SORT };
+    // Paging and sorting happen in the collection wrapper
+    const options = { limit, offset, sort: DEFAULT_SORT };
 
     const [propertyRaw, roomRaw] = await Promise.all([
-      safeFindWithOptions(propertiesCol, propertyQuery, propOptions),
-      safeFindWithOptions(roomsCol, roomQuery, roomOptions),
+      propertiesCol.find(propertyQuery, options),
+      roomsCol.find(roomQuery, options),
     ]);
 
-    let props = Array.isArray(propertyRaw?.data) ? propertyRaw.data : Object.values(propertyRaw?.data || {});
-    let rooms = Array.isArray(roomRaw?.data) ? roomRaw.data : Object.values(roomRaw?.data || {});
-
-    // If driver returned unpaged data when we asked for paging, slice here
-    if (!Array.isArray(propertyRaw?.data) && props.length > offset) props = props.slice(offset, offset + limit);
-    if (!Array.isArray(roomRaw?.data) && rooms.length > offset) rooms = rooms.slice(offset, offset + limit);
+    const props = Object.values(propertyRaw?.data || {});
+    const rooms = Object.values(roomRaw?.data || {});
 
     // Map to compact shapes
     const mappedProperties = clampArray(props.map(projectEntity));
-    const mappedRooms = clampArray(rooms.map(projectEntity));
+    const mappedRooms = clampArray(rooms.map(projectRoom));
 
     // Optionally link rooms to their property by propertyId
     const linkByPropertyId = filters.linked === true;
@@ -227,21 +160,21 @@ const find = async (c) => {
     const payload = {
       filters,
       matched: { properties: mappedProperties.length, rooms: mappedRooms.length },
+      total: { properties: propertyRaw?.total ?? null, rooms: roomRaw?.total ?? null },
       data: { properties: mappedProperties, rooms: enrichedRooms },
       page,
       limit,
     };
 
-    // Best-effort caching
-    inMemSet(cacheKey, payload);
-    await redisSet(cacheKey, payload, CACHE_TTL_SEC);
+    // Best-effort caching; results mix both collections
+    await cacheSet(key, payload, { ttl: CACHE_TTL_SEC, tags: ['properties', 'rooms'] });
 
     c.set('cachePayload', payload);
     c.header('X-Cache', 'MISS');
-    return c.json({ success: true, ...payload, timestamp, traceId }, 200);
+    return c.json({ success: true, ...(await withHolds(payload)), timestamp, traceId }, 200);
   } catch (err) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ Query execution failed:', err?.message || err);
+      log.error('query execution failed', { err });
     }
     return c.json({
       success: false,
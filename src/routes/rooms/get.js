@@ -1,88 +1,28 @@
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { redis as upstashRedis } from '../../utils/auth.js';
+import { cacheGet, cacheKey, cacheSet, xCache } from '../../services/cache.js';
+import { markHeld } from '../../services/roomHolds.js';
+import { getRequestId, logger } from '../../utils/logger.js';
 
-const CACHE_TTL_SEC = Number(process.env.CACHE_TTL_SEC || 30);
-const CACHE_KEY_PREFIX = process.env.CACHE_KEY_PREFIX || 'cache';
-const INMEM_TTL_MS = Number(process.env.INMEM_ROOMS_TTL_MS || 5000);
-const INMEM_MAX = Number(process.env.INMEM_ROOMS_MAX || 200);
-
-const inMemRooms = new Map(); // key -> { ts, value }
-const cleanupInMem = () => {
-  if (inMemRooms.size <= INMEM_MAX) return;
-  const keys = Array.from(inMemRooms.keys()).sort((a, b) => inMemRooms.get(a).ts - inMemRooms.get(b).ts);
-  for (let i = 0; i < Math.floor(keys.length / 4); i += 1) {
-    inMemRooms.delete(keys[i]);
-    if (inMemRooms.size <= INMEM_MAX) break;
-  }
-};
-const inMemGet = (k) => {
-  const e = inMemRooms.get(k);
-  if (!e) return null;
-  if (Date.now() - e.ts > INMEM_TTL_MS) {
-    inMemRooms.delete(k);
-    return null;
-  }
-  return e.value;
-};
-const inMemSet = (k, v) => {
-  inMemRooms.set(k, { ts: Date.now(), value: v });
-  cleanupInMem();
-};
+const log = logger.child({ module: 'rooms' });
 
-const redisGet = async (key) => {
-  try {
-    const raw = await upstashRedis.get(key);
-    if (!raw) return null;
-    return JSON.parse(raw);
-  } catch (e) {
-    console.warn('Redis get error (rooms):', e?.message || e);
-    return null;
-  }
-};
-const redisSet = async (key, payload, ttlSec = CACHE_TTL_SEC) => {
-  try {
-    await upstashRedis.set(key, JSON.stringify(payload));
-    if (typeof upstashRedis.expire === 'function') {
-      await upstashRedis.expire(key, ttlSec);
-    }
-  } catch (e) {
-    console.warn('Redis set error (rooms):', e?.message || e);
-  }
-};
+const CACHE_TTL_SEC = Number(process.env.CACHE_TTL_SEC || 30);
 
 export const getRooms = async (c) => {
   const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID?.() || `trace-${Date.now()}`;
+  const traceId = getRequestId();
   const start = Date.now();
 
-  const cacheKey = `${CACHE_KEY_PREFIX}:rooms:all`;
-
-  // 1) Try Redis cache
-  const rCached = await redisGet(cacheKey);
-  if (rCached != null) {
-    c.header('X-Cache', 'HIT-REDIS');
-    c.set('cachePayload', rCached);
-    return c.json({
-      success: true,
-      count: Array.isArray(rCached) ? rCached.length : (rCached?.length || 0),
-      data: rCached,
-      timestamp,
-      traceId,
-      cached: true,
-      durationMs: Date.now() - start,
-    });
-  }
+  const key = cacheKey('rooms', 'all');
 
-  // 2) Try in-memory fallback
-  const mem = inMemGet(cacheKey);
-  if (mem != null) {
-    c.header('X-Cache', 'HIT-MEM');
-    c.set('cachePayload', mem);
+  // 1) Try cache
+  const hit = await cacheGet(key);
+  if (hit) {
+    c.header('X-Cache', xCache(hit.source));
+    c.set('cachePayload', hit.value);
     return c.json({
       success: true,
-      count: Array.isArray(mem) ? mem.length : (mem?.length || 0),
-      data: mem,
+      count: Array.isArray(hit.value) ? hit.value.length : 0,
+      data: await markHeld(hit.value), // holds are marked per response, never cached
       timestamp,
       traceId,
       cached: true,
@@ -90,7 +30,7 @@ export const getRooms = async (c) => {
     });
   }
 
-  // 3) Cache miss -> fetch DB
+  // 2) Cache miss -> fetch DB
   try {
     const roomsCollection = await getCollection('rooms');
     if (!roomsCollection || typeof roomsCollection.find !== 'function') {
@@ -103,6 +43,7 @@ export const getRooms = async (c) => {
     // lightweight projection: keep only commonly used fields to reduce payload and cache size
     const mapped = rooms.map((r) => ({
       id: r.id || r._id || r.room_id || null,
+      roomId: r.room_id || null,
       title: r.title || r.name || null,
       price: r.price || null,
       currency: r.price_currency || r.currency || null,
@@ -113,17 +54,16 @@ export const getRooms = async (c) => {
       shortDescription: r.shortDescription || r.description || null,
     }));
 
-    // best-effort cache writes
-    inMemSet(cacheKey, mapped);
-    await redisSet(cacheKey, mapped, CACHE_TTL_SEC);
+    // best-effort cache write
+    await cacheSet(key, mapped, { ttl: CACHE_TTL_SEC, tags: ['rooms'] });
 
-    console.log(`✅ /rooms fetched ${mapped.length} items in ${Date.now() - start}ms`);
+    log.info('rooms fetched', { count: mapped.length, duration: Date.now() - start });
 
     c.set('cachePayload', mapped);
     return c.json({
       success: true,
       count: mapped.length,
-      data: mapped,
+      data: await markHeld(mapped),
       timestamp,
       traceId,
       cached: false,
@@ -135,9 +75,9 @@ export const getRooms = async (c) => {
     const errorCode = isConnectionError ? 'DB_CONNECTION_FAILED' : 'DB_QUERY_FAILED';
     const message = isConnectionError ? 'Database connection failed.' : 'Failed to fetch rooms.';
 
-    console.error(`❌ ${errorCode}:`, err?.message || err);
+    log.error('rooms query failed', { error: errorCode, err });
     if (err.response?.data) {
-      console.error('📄 Astra error response:', JSON.stringify(err.response.data, null, 2));
+      log.error('astra error response', { response: err.response.data });
     }
 
     return c.json({
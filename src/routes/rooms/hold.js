@@ -0,0 +1,148 @@
+import { getCollection } from '../../services/astra.js';
+import { AvailabilityError, assertAvailable, lockRoom, stayRange, today } from '../../services/availability.js';
+import { verifyPayment } from '../../services/payments.js';
+import { RoomHoldError, findHold, holderOf, placeHold, releaseHold } from '../../services/roomHolds.js';
+import { bookingAmount, bookingPurpose, checkPayment, roomCurrency } from '../../utils/paymentPurpose.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'rooms' });
+
+// A payment tied here must have been initiated for this stay (as POST /bookings checks it)
+const paymentMismatch = async (reference, room, stay) => {
+  let payment;
+  try {
+    ({ data: payment } = await verifyPayment(reference));
+  } catch (err) {
+    const missing = err.status >= 400 && err.status < 500;
+    if (!missing) log.error('payment lookup failed', { reference, err });
+    return missing
+      ? { error: 'PAYMENT_REFERENCE_NOT_FOUND', message: 'Provided payment reference is invalid.', status: 402 }
+      : { error: 'PAYMENT_VERIFICATION_ERROR', message: 'Could not look up the payment.', status: 502 };
+  }
+  const mismatch = checkPayment(payment || {}, {
+    amount: bookingAmount(room, stay),
+    currency: roomCurrency(room),
+    purpose: bookingPurpose(room.room_id, stay),
+  });
+  return mismatch && { ...mismatch, status: 402 };
+};
+
+/**
+ * POST /rooms/:id/hold
+ * Holds a room's dates while the caller checks out (see services/roomHolds.js):
+ * signed in, or as a guest with `email`. The response carries the `purpose`
+ * for POST /payments/initiate; a `payment_reference` already initiated for
+ * the stay can be tied here instead.
+ */
+export const holdRoom = async (c) => {
+  const timestamp = new Date().toISOString();
+  const traceId = getRequestId();
+  const { id: roomId } = c.req.valid('param');
+  const body = c.req.valid('json');
+  const holder = holderOf(c.get('user'), body.email);
+
+  if (!holder.userId && !holder.email) {
+    return c.json({
+      success: false,
+      error: 'MISSING_EMAIL',
+      message: 'Sign in or give an email to hold a room.',
+      timestamp,
+      traceId,
+    }, 400);
+  }
+
+  let room;
+  try {
+    const roomsCol = await getCollection('rooms');
+    const result = await roomsCol.find({ room_id: { $eq: roomId } });
+    room = Object.values(result?.data || {})[0];
+  } catch (err) {
+    log.error('room lookup failed', { roomId, err });
+    return c.json({
+      success: false,
+      error: 'DB_CONNECTION_FAILED',
+      message: 'Database connection failed.',
+      timestamp,
+      traceId,
+    }, 503);
+  }
+  if (!room || room.active === false || !(Number(room.price) > 0)) {
+    return c.json({
+      success: false,
+      error: 'ROOM_NOT_FOUND',
+      message: `No bookable room found with ID "${roomId}".`,
+      timestamp,
+      traceId,
+    }, 404);
+  }
+
+  // Holds and bookings of the room take turns (booking:room:<room_id>)
+  let releaseRoom = null;
+  try {
+    const stay = stayRange(room, { start_date: body.start_date || today(), end_date: body.end_date, periods: body.periods });
+    const mismatch = body.payment_reference && await paymentMismatch(body.payment_reference, room, stay);
+    if (mismatch) {
+      const { status, ...error } = mismatch;
+      return c.json({ success: false, ...error, timestamp, traceId }, status);
+    }
+    releaseRoom = await lockRoom(roomId);
+    await assertAvailable(roomId, stay);
+    const hold = await placeHold(roomId, stay, { holder, paymentReference: body.payment_reference });
+    return c.json({
+      success: true,
+      data: {
+        ...hold,
+        amount: bookingAmount(room, stay),
+        currency: roomCurrency(room),
+        purpose: bookingPurpose(roomId, stay),
+      },
+      timestamp,
+      traceId,
+    }, 201);
+  } catch (err) {
+    if (err instanceof AvailabilityError || err instanceof RoomHoldError) {
+      return c.json({ success: false, error: err.code, message: err.message, timestamp, traceId }, err.status);
+    }
+    log.error('room hold failed', { roomId, err });
+    return c.json({
+      success: false,
+      error: 'DB_QUERY_FAILED',
+      message: 'Failed to load the room\'s bookings.',
+      timestamp,
+      traceId,
+    }, 500);
+  } finally {
+    await releaseRoom?.();
+  }
+};
+
+/**
+ * DELETE /rooms/:id/hold?hold_id=
+ * Gives up a hold by the `hold_id` POST returned; a signed-in user's hold
+ * also needs its user.
+ */
+export const releaseRoomHold = async (c) => {
+  const timestamp = new Date().toISOString();
+  const traceId = getRequestId();
+  const { id: roomId } = c.req.valid('param');
+  const { hold_id: holdId } = c.req.valid('query');
+  const user = c.get('user'); // authenticate (optional)
+
+  try {
+    const hold = await findHold(roomId, holdId);
+    if (!hold || (hold.user_id && hold.user_id !== user?.userId)) {
+      return c.json({
+        success: false,
+        error: 'HOLD_NOT_FOUND',
+        message: 'No such hold of yours on this room.',
+        timestamp,
+        traceId,
+      }, 404);
+    }
+    await releaseHold(roomId, hold.hold_id);
+    return c.json({ success: true, data: { room_id: roomId, hold_id: hold.hold_id, released: true }, timestamp, traceId }, 200);
+  } catch (err) {
+    if (!(err instanceof RoomHoldError)) throw err;
+    return c.json({ success: false, error: err.code, message: err.message, timestamp, traceId }, err.status);
+  }
+};
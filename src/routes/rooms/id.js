@@ -1,58 +1,15 @@
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { redis as upstashRedis } from '../../utils/auth.js';
+import { cacheGet, cacheKey, cacheSet, xCache } from '../../services/cache.js';
+import { markHeld } from '../../services/roomHolds.js';
+import { getRequestId, logger } from '../../utils/logger.js';
 
-const CACHE_KEY_PREFIX = process.env.CACHE_KEY_PREFIX || 'cache';
-const CACHE_TTL_SEC = Number(process.env.CACHE_TTL_SEC || 30);
-const INMEM_TTL_MS = Number(process.env.INMEM_ROOM_TTL_MS || 15_000);
-const INMEM_MAX = Number(process.env.INMEM_ROOM_MAX || 100);
-
-const inMemRooms = new Map(); // key -> { ts, value }
-const cleanupInMem = () => {
-  if (inMemRooms.size <= INMEM_MAX) return;
-  const keys = Array.from(inMemRooms.keys()).sort((a, b) => inMemRooms.get(a).ts - inMemRooms.get(b).ts);
-  for (let i = 0; i < Math.floor(keys.length / 4); i += 1) {
-    inMemRooms.delete(keys[i]);
-    if (inMemRooms.size <= INMEM_MAX) break;
-  }
-};
-const inMemGet = (k) => {
-  const e = inMemRooms.get(k);
-  if (!e) return null;
-  if (Date.now() - e.ts > INMEM_TTL_MS) {
-    inMemRooms.delete(k);
-    return null;
-  }
-  return e.value;
-};
-const inMemSet = (k, v) => {
-  inMemRooms.set(k, { ts: Date.now(), value: v });
-  cleanupInMem();
-};
+const log = logger.child({ module: 'rooms' });
 
-const redisGet = async (key) => {
-  try {
-    const raw = await upstashRedis.get(key);
-    if (!raw) return null;
-    return JSON.parse(raw);
-  } catch (e) {
-    console.warn('Redis get error (room):', e?.message || e);
-    return null;
-  }
-};
-const redisSet = async (key, payload, ttlSec = CACHE_TTL_SEC) => {
-  try {
-    await upstashRedis.set(key, JSON.stringify(payload));
-    if (typeof upstashRedis.expire === 'function') {
-      await upstashRedis.expire(key, ttlSec);
-    }
-  } catch (e) {
-    console.warn('Redis set error (room):', e?.message || e);
-  }
-};
+const CACHE_TTL_SEC = Number(process.env.CACHE_TTL_SEC || 30);
 
 const projectRoom = (r) => ({
   id: r.id || r._id || r.room_id || null,
+  roomId: r.room_id || null,
   title: r.title || r.name || null,
   price: r.price || null,
   currency: r.price_currency || r.currency || null,
@@ -67,7 +24,7 @@ export const getRoomById = async (c) => {
   const timestamp = new Date().toISOString();
   const roomId = c.req.param('id');
   const withProperty = c.req.query('withProperty') === 'true';
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID?.() || `trace-${Date.now()}`;
+  const traceId = getRequestId();
   const start = Date.now();
 
   if (!roomId || typeof roomId !== 'string') {
@@ -80,31 +37,17 @@ export const getRoomById = async (c) => {
     }, 400);
   }
 
-  const cacheKey = `${CACHE_KEY_PREFIX}:room:${roomId}:withProperty:${withProperty ? '1' : '0'}`;
+  const key = cacheKey('room', roomId, `withProperty:${withProperty ? '1' : '0'}`);
 
-  // 1) Try Redis
-  const rCached = await redisGet(cacheKey);
-  if (rCached != null) {
-    c.header('X-Cache', 'HIT-REDIS');
-    c.set('cachePayload', rCached);
+  // 1) Try cache
+  const hit = await cacheGet(key);
+  if (hit) {
+    c.header('X-Cache', xCache(hit.source));
+    c.set('cachePayload', hit.value);
+    const [room] = await markHeld([hit.value]);
     return c.json({
       success: true,
-      room: rCached,
-      cached: true,
-      durationMs: Date.now() - start,
-      timestamp,
-      traceId,
-    }, 200);
-  }
-
-  // 2) Try in-memory fallback
-  const mem = inMemGet(cacheKey);
-  if (mem != null) {
-    c.header('X-Cache', 'HIT-MEM');
-    c.set('cachePayload', mem);
-    return c.json({
-      success: true,
-      room: mem,
+      room,
       cached: true,
       durationMs: Date.now() - start,
       timestamp,
@@ -112,7 +55,7 @@ export const getRoomById = async (c) => {
     }, 200);
   }
 
-  // 3) Cache miss -> fetch from DB
+  // 2) Cache miss -> fetch from DB
   let roomsCollection;
   let propertiesCollection = null;
   try {
@@ -125,11 +68,11 @@ export const getRoomById = async (c) => {
       if (!propertiesCollection || typeof propertiesCollection.find !== 'function') {
         // allow room response even if property enrichment can't be established
         propertiesCollection = null;
-        console.warn('Properties collection not available for enrichment');
+        log.warn('properties collection not available for enrichment');
       }
     }
   } catch (err) {
-    console.error('❌ DB connection error:', err?.message || err);
+    log.error('DB connection error', { err });
     return c.json({
       success: false,
       error: 'DB_CONNECTION_FAILED',
@@ -174,28 +117,29 @@ export const getRoomById = async (c) => {
           };
         }
       } catch (propErr) {
-        console.warn('⚠️ Property enrichment failed (non-fatal):', propErr?.message || propErr);
+        log.warn('property enrichment failed (non-fatal)', { err: propErr });
       }
     }
 
-    // Best-effort caching
-    inMemSet(cacheKey, room);
-    await redisSet(cacheKey, room, CACHE_TTL_SEC);
+    // Best-effort caching; the embedded property summary goes stale with the property
+    const tags = [`room:${roomId}`, room.propertyId && `property:${room.propertyId}`].filter(Boolean);
+    await cacheSet(key, room, { ttl: CACHE_TTL_SEC, tags });
 
     c.set('cachePayload', room);
     c.header('X-Cache', 'MISS');
+    const [marked] = await markHeld([room]);
     return c.json({
       success: true,
-      room,
+      room: marked,
       cached: false,
       durationMs: Date.now() - start,
       timestamp,
       traceId,
     }, 200);
   } catch (queryErr) {
-    console.error('❌ Room lookup failed:', queryErr?.message || queryErr);
+    log.error('room lookup failed', { err: queryErr });
     if (queryErr.response?.data) {
-      console.error('📄 Astra error response:', JSON.stringify(queryErr.response.data, null, 2));
+      log.error('astra error response', { response: queryErr.response.data });
     }
     return c.json({
       success: false,
@@ -1,16 +1,32 @@
 import { Hono } from 'hono';
-import { getRooms } from './get.js';
-import { getRoomById } from './id.js';
-import { updateRoom } from './update.js';
-import { deleteRoom } from './delete.js';
-import find  from './find.js'; // dynamic search endpoint
+import { requireAuth } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import { availabilityQuery, holdRoomSchema, releaseHoldQuery, roomIdParams, updateRoomSchema } from './schemas.js';
+import { lazyHandler } from '../../utils/lazyHandler.js';
+
+const getRooms = lazyHandler(() => import('./get.js'), 'getRooms');
+const getRoomById = lazyHandler(() => import('./id.js'), 'getRoomById');
+const getRoomAvailability = lazyHandler(() => import('./availability.js'), 'getRoomAvailability');
+const holdRoom = lazyHandler(() => import('./hold.js'), 'holdRoom');
+const releaseRoomHold = lazyHandler(() => import('./hold.js'), 'releaseRoomHold');
+const updateRoom = lazyHandler(() => import('./update.js'), 'updateRoom');
+const deleteRoom = lazyHandler(() => import('./delete.js'), 'deleteRoom');
+const find = lazyHandler(() => import('./find.js')); // dynamic search endpoint
 
 const rooms = new Hono();
+const validUpdate = validate({ param: roomIdParams, json: updateRoomSchema });
+const validId = validate({ param: roomIdParams });
+const validAvailability = validate({ param: roomIdParams, query: availabilityQuery });
+const validHold = validate({ param: roomIdParams, json: holdRoomSchema });
+const validRelease = validate({ param: roomIdParams, query: releaseHoldQuery });
 
-rooms.get('/', getRooms);             // List all rooms
-rooms.get('/:id', getRoomById);       // Get room by ID
-rooms.put('/:id', updateRoom);        // Update room (owner or elevated roles)
-rooms.delete('/:id', deleteRoom);     // Delete room (owner or elevated roles)
-rooms.post('/find', find);            // Dynamic search across rooms + properties
+rooms.get('/', getRooms);                                  // List all rooms
+rooms.get('/:id', getRoomById);                            // Get room by ID
+rooms.get('/:id/availability', validAvailability, getRoomAvailability); // Booked and free dates for a month
+rooms.post('/:id/hold', validHold, holdRoom);               // Hold dates during checkout (guests allowed)
+rooms.delete('/:id/hold', validRelease, releaseRoomHold);   // Give up the caller's hold
+rooms.put('/:id', requireAuth(), validUpdate, updateRoom); // Update room (owner or elevated roles)
+rooms.delete('/:id', requireAuth(), validId, deleteRoom);  // Delete room (owner or elevated roles)
+rooms.post('/find', find);                                 // Dynamic search across rooms + properties
 
 export default rooms;
@@ -0,0 +1,47 @@
+// Request schemas for /rooms (see middleware/validate.js)
+
+export const roomIdParams = {
+  type: 'object',
+  properties: { id: { type: 'string', minLength: 1, maxLength: 100 } },
+  required: ['id'],
+};
+
+export const availabilityQuery = {
+  type: 'object',
+  properties: { month: { type: 'string', pattern: '^\\d{4}-(0[1-9]|1[0-2])$', description: 'YYYY-MM' } },
+};
+
+export const holdRoomSchema = {
+  type: 'object',
+  properties: {
+    // stay (see services/availability.js); default: one period from today
+    start_date: { type: 'string', format: 'date' },
+    end_date: { type: 'string', format: 'date' },
+    periods: { type: 'integer', minimum: 1 },
+    email: { type: 'string', format: 'email', description: 'Guests (no session)' },
+    payment_reference: { type: 'string', minLength: 1, maxLength: 100 },
+  },
+};
+
+export const releaseHoldQuery = {
+  type: 'object',
+  properties: { hold_id: { type: 'string', minLength: 1, maxLength: 100 } },
+  required: ['hold_id'],
+};
+
+export const updateRoomSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    size: { type: ['string', 'number'] },
+    ensuite: { type: 'boolean' },
+    amenities: { type: 'array', items: { type: 'string', maxLength: 100 }, maxItems: 50 },
+    price: { type: 'number', minimum: 0 },
+    currency: { type: 'string', pattern: '^[A-Za-z]{3}$' },
+    period: { type: 'string', enum: ['night', 'month'] }, // what `price` buys (see services/availability.js)
+    image: { type: 'string', format: 'uri' },
+    photos: { type: 'array', items: { type: 'string', format: 'uri' }, maxItems: 30 },
+    status: { type: 'string', enum: ['available', 'inactive'] },
+    active: { type: 'boolean' },
+  },
+};
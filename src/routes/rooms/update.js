@@ -1,7 +1,10 @@
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { checkToken, roleCheck } from '../../utils/auth.js';
+import { invalidate } from '../../services/cache.js';
+import { can } from '../../utils/policy.js';
 import { initR2 } from '../../services/r2.js';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'rooms' });
 
 /**
  * PUT /rooms/:id
@@ -10,33 +13,19 @@ import { initR2 } from '../../services/r2.js';
  */
 export const updateRoom = async (c) => {
   const timestamp = new Date().toISOString();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID();
+  const traceId = getRequestId();
   const roomId = c.req.param('id');
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
-
-  const elevatedRoles = ['ceo', 'admin', 'customercare'];
 
-  const [authResult, collectionResult] = await Promise.allSettled([
-    token ? checkToken(token) : null,
+  const [collectionResult] = await Promise.allSettled([
     getCollection('rooms'),
   ]);
 
-  const user = authResult.status === 'fulfilled' ? authResult.value : null;
+  const user = c.get('user'); // requireAuth
   const roomsCol = collectionResult.status === 'fulfilled' ? collectionResult.value : null;
 
-  if (!user) {
-    return c.json({
-      success: false,
-      error: 'UNAUTHORIZED',
-      message: 'Missing or invalid token.',
-      timestamp,
-      traceId,
-    }, 401);
-  }
-
   if (!roomsCol) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ DB connection failed:', collectionResult.reason?.message || collectionResult.reason);
+      log.error('DB connection failed', { err: collectionResult.reason });
     }
     return c.json({
       success: false,
@@ -47,19 +36,7 @@ export const updateRoom = async (c) => {
     }, 503);
   }
 
-  let body;
-  try {
-    body = await c.req.json();
-    if (!body || typeof body !== 'object') throw new Error('Invalid JSON');
-  } catch (err) {
-    return c.json({
-      success: false,
-      error: 'INVALID_BODY',
-      message: 'Request body must be valid JSON.',
-      timestamp,
-      traceId,
-    }, 400);
-  }
+  const body = c.req.valid('json'); // validate()
 
   let room, docId;
   try {
@@ -77,7 +54,7 @@ export const updateRoom = async (c) => {
     [docId, room] = entries[0];
   } catch (err) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ Room lookup failed:', err.message || err);
+      log.error('room lookup failed', { err });
     }
     return c.json({
       success: false,
@@ -88,10 +65,7 @@ export const updateRoom = async (c) => {
     }, 500);
   }
 
-  const isOwner = room.landlordId === user.userId;
-  const isElevated = roleCheck(user, elevatedRoles);
-
-  if (!isOwner && !isElevated) {
+  if (!can(user, 'room:update', room)) {
     return c.json({
       success: false,
       error: 'FORBIDDEN',
@@ -111,11 +85,11 @@ export const updateRoom = async (c) => {
       const r2 = await initR2();
       await r2.deleteFile(key);
       if (process.env.NODE_ENV !== 'production') {
-        console.log(`🧹 Deleted old image from R2: ${key}`);
+        log.info('deleted old image from R2', { key });
       }
     } catch (err) {
       if (process.env.NODE_ENV !== 'production') {
-        console.warn('⚠️ Failed to delete old image from R2:', err.message || err);
+        log.warn('failed to delete old image from R2', { err });
       }
     }
   }
@@ -131,6 +105,8 @@ export const updateRoom = async (c) => {
 
   try {
     await roomsCol.patch(docId, updatePayload);
+    const propertyId = room.property_id || room.propertyId;
+    await invalidate('rooms', `room:${roomId}`, propertyId && `property:${propertyId}`);
     return c.json({
       success: true,
       message: 'Room updated successfully.',
@@ -141,7 +117,7 @@ export const updateRoom = async (c) => {
     }, 200);
   } catch (err) {
     if (process.env.NODE_ENV !== 'production') {
-      console.error('❌ Room update failed:', err.message || err);
+      log.error('room update failed', { err });
     }
     return c.json({
       success: false,
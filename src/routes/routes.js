@@ -1,12 +1,44 @@
 import { Hono } from 'hono';
+import { matchedRoutes } from 'hono/route';
+import { authenticate, requireAuth } from '../middleware/auth.js';
+import { buildOpenApi, docsHtml } from '../utils/openapi.js';
+import { bindRequestContext } from '../utils/logger.js';
+
+// Sub-routers are mounted as separate Hono apps, so whatever the group
+// middleware put on the context (e.g. the authenticated user) travels to
+// them through env and is copied back onto their own context.
+const PARENT_VARS = Symbol('parentVars');
+
+const inheritContext = async (c, next) => {
+  for (const [key, value] of Object.entries(c.env?.[PARENT_VARS] || {})) c.set(key, value);
+  await next();
+};
+
+// Records the matched route pattern (e.g. /properties/:id) for the request log
+const bindRoute = (basePath) => async (c, next) => {
+  await next();
+  const route = matchedRoutes(c).findLast((r) => r.method !== 'ALL');
+  if (route) bindRequestContext({ route: route.path === '/' ? basePath : `${basePath}${route.path}` });
+};
+
+const forwardContext = (c) => {
+  let executionCtx;
+  try {
+    executionCtx = c.executionCtx;
+  } catch {
+    // not available outside workers
+  }
+  return [{ ...c.env, [PARENT_VARS]: { ...c.var } }, executionCtx];
+};
 
 /**
- * createLazyRouter(importFn)
+ * createLazyRouter(importFn, basePath)
  * - importFn: () => import('./some/routes.js')
- * - Returns a proxy router object that implements the same "fetch" entry Hono expects.
- * - The module is imported once per worker and cached. First request pays the import cost.
+ * - basePath: mount path, used to report full route patterns
+ * - Returns a fetch handler for app.mount(). The module is imported once per
+ *   worker and cached. First request pays the import cost.
  */
-function createLazyRouter(importFn) {
+function createLazyRouter(importFn, basePath) {
   let loaded = null;
   let loading = null;
 
@@ -16,7 +48,11 @@ function createLazyRouter(importFn) {
       loading = importFn()
         .then((m) => {
           // prefer default export, fallback to module itself
-          loaded = m?.default || m;
+          const router = m?.default || m;
+          if (!Array.isArray(router?.routes)) throw new Error('Lazy-loaded route is not a Hono router');
+          loaded = new Hono();
+          loaded.use('*', inheritContext, bindRoute(basePath));
+          loaded.route('/', router);
           return loaded;
         })
         .catch((err) => {
@@ -27,47 +63,51 @@ function createLazyRouter(importFn) {
     return loading;
   }
 
-  // Hono accepts a Router-like object with `fetch` method, so expose one.
-  return {
-    // `fetch` is invoked with (request-like) context in Hono internals
-    async fetch(request, env, ctx) {
-      const router = await ensureLoaded();
-      // If the loaded router is a Hono instance, it exposes `fetch`.
-      if (typeof router.fetch === 'function') {
-        return router.fetch(request, env, ctx);
-      }
-      // If the module exported a function that expects a Hono context, call it as middleware:
-      if (typeof router === 'function') {
-        return router(request, env, ctx);
-      }
-      // Unknown shape
-      throw new Error('Lazy-loaded route has no fetch function');
-    },
+  return async (request, env, ctx) => {
+    const router = await ensureLoaded();
+    return router.fetch(request, env, ctx);
   };
 }
 
-// --- Lazy route factory helpers (change paths to match your project) ---
-const lazy = (p) => createLazyRouter(() => import(p));
-
 // --- App ---
 const app = new Hono();
 
-// --- Public Routes (lazy loaded) ---
-app.route('/contactMessages', lazy('./contactMessages/routes.js'));
-app.route('/banners', lazy('./banners/routes.js'));
-app.route('/countries', lazy('./countries/routes.js'));
-app.route('/upload', lazy('./upload/routes.js'));
-app.route('/emails', lazy('./emails/routes.js'));
-app.route('/payments', lazy('./payments/routes.js'));
-app.route('/receipts', lazy('./receipts/routes.js'));
+// Route groups: each is lazy loaded behind its group middleware. `docs`
+// holds the group's OpenAPI summaries and error codes (see utils/openapi.js).
+const GROUPS = [
+  // --- Public Routes ---
+  { path: '/contactMessages', load: () => import('./contactMessages/routes.js'), docs: () => import('./contactMessages/docs.js'), middleware: [authenticate()] },
+  { path: '/banners', load: () => import('./banners/routes.js'), docs: () => import('./banners/docs.js'), middleware: [authenticate()] },
+  { path: '/countries', load: () => import('./countries/routes.js'), docs: () => import('./countries/docs.js'), middleware: [authenticate()] },
+  { path: '/upload', load: () => import('./upload/routes.js'), docs: () => import('./upload/docs.js'), middleware: [authenticate()] },
+  { path: '/emails', load: () => import('./emails/routes.js'), docs: () => import('./emails/docs.js'), middleware: [authenticate()] },
+  { path: '/payments', load: () => import('./payments/routes.js'), docs: () => import('./payments/docs.js'), middleware: [authenticate()] },
+  { path: '/receipts', load: () => import('./receipts/routes.js'), docs: () => import('./receipts/docs.js'), middleware: [authenticate()] },
+
+  // --- Authenticated / heavier routes ---
+  { path: '/auth', load: () => import('./auth/routes.js'), docs: () => import('./auth/docs.js'), middleware: [authenticate()] },
+  { path: '/properties', load: () => import('./properties/routes.js'), docs: () => import('./properties/docs.js'), middleware: [authenticate()] },
+  { path: '/rooms', load: () => import('./rooms/routes.js'), docs: () => import('./rooms/docs.js'), middleware: [authenticate()] },
+  { path: '/chats', load: () => import('./chats/routes.js'), docs: () => import('./chats/docs.js'), middleware: [requireAuth()] },
+  { path: '/users', load: () => import('./users/routes.js'), docs: () => import('./users/docs.js'), middleware: [requireAuth()] },
+  { path: '/bookings', load: () => import('./bookings/routes.js'), docs: () => import('./bookings/docs.js'), middleware: [authenticate()] },
+];
+
+for (const { path, load, middleware } of GROUPS) {
+  app.use(`${path}/*`, ...middleware);
+  app.mount(path, createLazyRouter(load, path), { optionHandler: forwardContext });
+}
 
-// --- Authenticated / heavier routes (lazy loaded) ---
-app.route('/auth', lazy('./auth/routes.js'));
-app.route('/properties', lazy('./properties/routes.js'));
-app.route('/rooms', lazy('./rooms/routes.js'));
-app.route('/chats', lazy('./chats/routes.js'));
-app.route('/users', lazy('./users/routes.js'));
-app.route('/bookings', lazy('./bookings/routes.js'));
+// --- API docs (built once per worker from the route groups) ---
+let openApiDoc = null;
+app.get('/openapi.json', async (c) => {
+  openApiDoc ||= buildOpenApi(GROUPS).catch((err) => {
+    openApiDoc = null;
+    throw err;
+  });
+  return c.json(await openApiDoc);
+});
+app.get('/docs', (c) => c.html(docsHtml('/openapi.json')));
 
 // --- Health Check (keep eager, small and hot) ---
 app.get('/', (c) => c.text('✅ Hono API ready'));
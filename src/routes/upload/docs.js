@@ -0,0 +1,41 @@
+// OpenAPI descriptions for /upload (see utils/openapi.js)
+
+const fileSpec = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    ext: { type: 'string' },
+    contentType: { type: 'string' },
+    prefix: { type: 'string' },
+  },
+};
+
+export default {
+  tag: 'Upload',
+  description: 'Presigned R2 upload URLs and file management. These handlers answer with `{ status, message, data }` rather than error codes.',
+  operations: {
+    'POST /': {
+      summary: 'Generate presigned upload URLs',
+      description: 'Send `files[]`, a single `file`, or `count` with optional `ext`, `contentType` and `prefix`. Fails with 500 `{ success: false, error }`.',
+      body: {
+        type: 'object',
+        properties: {
+          files: { type: 'array', items: fileSpec },
+          file: fileSpec,
+          count: { type: 'integer', minimum: 1 },
+          ext: { type: 'string' },
+          contentType: { type: 'string' },
+          prefix: { type: 'string' },
+        },
+      },
+    },
+    'POST /delete': {
+      summary: 'Delete a file',
+      description: '400 when `key` is missing, 404 when the file does not exist.',
+      body: { type: 'object', properties: { key: { type: 'string' } }, required: ['key'] },
+    },
+    'GET /url/:key': {
+      summary: 'Get the public URL of a file',
+    },
+  },
+};
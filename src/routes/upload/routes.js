@@ -1,6 +1,9 @@
 import { Hono } from 'hono';
-import { generateUploadUrls } from './post.js';
-import { deleteFile, getPublicUrl } from './delete.js';
+import { lazyHandler } from '../../utils/lazyHandler.js';
+
+const generateUploadUrls = lazyHandler(() => import('./post.js'), 'generateUploadUrls');
+const deleteFile = lazyHandler(() => import('./delete.js'), 'deleteFile');
+const getPublicUrl = lazyHandler(() => import('./delete.js'), 'getPublicUrl');
 
 const uploadRoutes = new Hono();
 
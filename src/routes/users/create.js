@@ -1,50 +1,30 @@
 import { getCollection } from '../../services/astra.js';
-import { checkToken } from '../../utils/auth.js';
+import { invalidate } from '../../services/cache.js';
+import { normalizeRole } from '../../utils/policy.js';
 import { initZeptoMail } from '../../services/zeptoEmail.js';
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
+import { getRequestId, logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'users' });
 
 export const createUser = async (c) => {
   const start = Date.now();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID();
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
+  const traceId = getRequestId();
   const timestamp = new Date().toISOString();
 
-  const [creator, usersCollection] = await Promise.all([
-    token ? checkToken(token) : null,
-    getCollection('users'),
-  ]);
-
-  if (!creator || !['admin', 'customer care', 'ceo'].includes(creator.role)) {
-    return c.json({
-      success: false,
-      error: 'UNAUTHORIZED',
-      message: 'Only admin, customer care, or ceo can create users.',
-      timestamp,
-      traceId,
-    }, 403);
-  }
+  const creator = c.get('user'); // admin, customer care or ceo (requireRole)
+  const usersCollection = await getCollection('users');
 
-  let body;
-  try {
-    body = await c.req.json();
-    if (!body || typeof body !== 'object') throw new Error('Invalid JSON');
-  } catch {
-    return c.json({
-      success: false,
-      error: 'INVALID_BODY',
-      message: 'Request body must be valid JSON.',
-      timestamp,
-      traceId,
-    }, 400);
-  }
+  const body = c.req.valid('json'); // validate()
+  const { email, password, phonenumber, fullname } = body;
+  const role = normalizeRole(body.role);
 
-  const { email, password, role, phonenumber, fullname } = body;
-  if (!email || !password || !role || !phonenumber || !fullname) {
+  if (!role) {
     return c.json({
       success: false,
-      error: 'MISSING_FIELDS',
-      message: 'Required fields: email, password, role, phonenumber, fullname.',
+      error: 'ROLE_UNKNOWN',
+      message: `Unknown role "${body.role}".`,
       timestamp,
       traceId,
     }, 400);
@@ -72,7 +52,7 @@ export const createUser = async (c) => {
       }, 409);
     }
   } catch (err) {
-    console.error('❌ Lookup failed:', err.message || err);
+    log.error('lookup failed', { err });
     return c.json({
       success: false,
       error: 'LOOKUP_FAILED',
@@ -98,6 +78,7 @@ export const createUser = async (c) => {
 
   try {
     await usersCollection.post(userToCreate);
+    await invalidate('users');
 
     // 📧 Fire-and-forget welcome email
     void (async () => {
@@ -112,7 +93,7 @@ export const createUser = async (c) => {
           recipientName: fullname,
         });
       } catch (emailErr) {
-        console.warn('⚠️ Welcome email dispatch failed:', emailErr.message || emailErr);
+        log.warn('welcome email dispatch failed', { err: emailErr });
       }
     })();
 
@@ -125,7 +106,7 @@ export const createUser = async (c) => {
       duration: `${Date.now() - start}ms`,
     }, 201);
   } catch (err) {
-    console.error('❌ Insert failed:', err.message || err);
+    log.error('insert failed', { err });
     return c.json({
       success: false,
       error: 'INSERT_FAILED',
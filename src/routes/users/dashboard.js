@@ -1,12 +1,14 @@
-import crypto from 'crypto'
 import { getCollection } from '../../services/astra.js'
-import { checkToken } from '../../utils/auth.js'
+import { ROLE_HIERARCHY } from '../../utils/policy.js'
+import { getRequestId, logger } from '../../utils/logger.js'
+
+const log = logger.child({ module: 'users' })
 
 /*
   Admin stats endpoint
   - returns simple counts for dashboard cards (properties, countries, messages, users, receipts)
   - does NOT fetch payments (confidential) — payments: null
-  - respects auth (requires token) and returns a traceId for observability
+  - runs behind requireAuth and returns a traceId for observability
   - robust against different Astra SDK shapes (count method, find returning keyed object, find returning array)
 */
 
@@ -15,7 +17,7 @@ function safeParseInt(v, fallback = 0) {
   return Number.isFinite(n) ? Math.max(0, Math.floor(n)) : fallback
 }
 
-async function collectionCount(col, traceId) {
+async function collectionCount(col, _traceId) {
   // Try to use the SDK's fast count if available, otherwise fall back to fetching minimal data and counting
   if (!col) return 0
 
@@ -96,56 +98,16 @@ async function collectionCount(col, traceId) {
 
 export const getAdminStats = async (c) => {
   const start = Date.now()
-  const incomingTrace = c.req.header('x-trace-id') || c.req.query?.()?.traceId
-  const traceId = (incomingTrace && String(incomingTrace)) || crypto.randomUUID()
+  const traceId = getRequestId()
   const timestamp = new Date().toISOString()
 
   // minimal CORS/observability header (your main middleware should set CORS correctly)
   try { c.header('X-Trace-Id', traceId) } catch {}
 
-  // Auth
-  const authHeader = c.req.header('Authorization') || ''
-  const token = typeof authHeader === 'string' ? authHeader.replace(/^Bearer\s+/i, '') : ''
-  if (!token) {
-    return c.json({
-      success: false,
-      error: 'MISSING_TOKEN',
-      message: 'Missing authentication token.',
-      traceId,
-      timestamp,
-      duration: `${Date.now() - start}ms`,
-    }, 401)
-  }
-
-  let actor = null
-  try {
-    actor = await checkToken(token)
-  } catch (err) {
-    console.error(`[${traceId}] Token validation failed:`, err?.message || err)
-    return c.json({
-      success: false,
-      error: 'INVALID_TOKEN',
-      message: 'Invalid or expired token.',
-      traceId,
-      timestamp,
-      duration: `${Date.now() - start}ms`,
-    }, 401)
-  }
-
-  if (!actor?.role) {
-    return c.json({
-      success: false,
-      error: 'INVALID_TOKEN',
-      message: 'Invalid or expired token.',
-      traceId,
-      timestamp,
-      duration: `${Date.now() - start}ms`,
-    }, 401)
-  }
+  const actor = c.get('user') // guaranteed by requireAuth on /users
 
   // Only allow known roles (defensive)
-  const HIERARCHY = ['real estate company', 'landlord', 'dual', 'customer care', 'admin', 'ceo']
-  const actorRank = HIERARCHY.indexOf(actor.role)
+  const actorRank = ROLE_HIERARCHY.indexOf(actor.role)
   if (actorRank === -1) {
     return c.json({
       success: false,
@@ -158,12 +120,12 @@ export const getAdminStats = async (c) => {
   }
 
   // Determine which collections we will query for counts.
-  // Dashboard requires: properties, countries, contact-messages (messages), users, receipts.
+  // Dashboard requires: properties, countries, contact_messages (messages), users, receipts.
   // Payments are confidential and intentionally not fetched.
   const collectionsToFetch = {
     properties: 'properties',
     countries: 'countries',
-    messages: 'contact-messages',
+    messages: 'contact_messages',
     users: 'users',
     receipts: 'receipts',
   }
@@ -176,7 +138,7 @@ export const getAdminStats = async (c) => {
         const count = await collectionCount(col, traceId)
         return [key, count]
       } catch (err) {
-        console.error(`[${traceId}] Failed to get count for ${colName}:`, err?.message || err)
+        log.error('collection count failed', { collection: colName, err })
         return [key, 0]
       }
     })
@@ -203,7 +165,7 @@ export const getAdminStats = async (c) => {
       duration: `${Date.now() - start}ms`,
     })
   } catch (err) {
-    console.error(`[${traceId}] Admin stats collection error:`, err?.message || err)
+    log.error('admin stats failed', { err })
     return c.json({
       success: false,
       error: 'STATS_FETCH_FAILED',
@@ -1,5 +1,9 @@
 import { getCollection } from '../../services/astra.js';
-import { checkToken } from '../../utils/auth.js';
+import { invalidate } from '../../services/cache.js';
+import { normalizeRole } from '../../utils/policy.js';
+import { logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'users' });
 
 /**
  * DELETE /users/:id
@@ -9,27 +13,14 @@ import { checkToken } from '../../utils/auth.js';
 export const deleteUser = async (c) => {
   const timestamp = new Date().toISOString();
   const targetId = c.req.param('id');
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
-
-  if (!token) {
-    return c.json({ success: false, error: 'UNAUTHORIZED', message: 'Missing token.', timestamp }, 401);
-  }
-
-  const actor = await checkToken(token).catch(err => {
-    console.error('❌ Token validation failed:', err.message || err);
-    return null;
-  });
-
-  if (!actor) {
-    return c.json({ success: false, error: 'UNAUTHORIZED', message: 'Invalid token.', timestamp }, 401);
-  }
+  const actor = c.get('user'); // guaranteed by requireAuth on /users
 
   if (!targetId || typeof targetId !== 'string') {
     return c.json({ success: false, error: 'INVALID_USER_ID', message: 'User ID must be a string.', timestamp }, 400);
   }
 
   const usersCollection = await getCollection('users').catch(err => {
-    console.error('❌ DB connection error:', err.message || err);
+    log.error('DB connection error', { err });
     return null;
   });
 
@@ -38,7 +29,7 @@ export const deleteUser = async (c) => {
   }
 
   const result = await usersCollection.find({ _id: targetId }).catch(err => {
-    console.error('❌ User lookup failed:', err.message || err);
+    log.error('user lookup failed', { err });
     return null;
   });
 
@@ -50,9 +41,9 @@ export const deleteUser = async (c) => {
   const [docId, targetUser] = entries[0];
 
   // 🧠 Role hierarchy enforcement
-  const hierarchy = ['landlord', 'dual', 'customer care', 'admin', 'ceo'];
+  const hierarchy = ['landlord', 'dual', 'customer_care', 'admin', 'ceo'];
   const actorRank = hierarchy.indexOf(actor.role);
-  const targetRank = hierarchy.indexOf(targetUser.role);
+  const targetRank = hierarchy.indexOf(normalizeRole(targetUser.role));
 
   if (actorRank === -1 || targetRank === -1) {
     return c.json({ success: false, error: 'ROLE_UNKNOWN', message: 'One or both roles are unrecognized.', timestamp }, 400);
@@ -64,6 +55,7 @@ export const deleteUser = async (c) => {
 
   try {
     await usersCollection.delete(docId);
+    await invalidate('users');
     return c.json({
       success: true,
       message: 'User deleted successfully.',
@@ -71,7 +63,7 @@ export const deleteUser = async (c) => {
       timestamp,
     });
   } catch (err) {
-    console.error('❌ Deletion failed:', err.message || err);
+    log.error('deletion failed', { err });
     return c.json({ success: false, error: 'DELETE_FAILED', message: 'Failed to delete user.', timestamp }, 500);
   }
 };
@@ -0,0 +1,72 @@
+// OpenAPI descriptions for /users (see utils/openapi.js)
+
+export default {
+  tag: 'Users',
+  description: 'Staff user management. Actors only see and manage roles ranked below their own.',
+  operations: {
+    'GET /dashboard': {
+      summary: 'Admin dashboard counts',
+      errors: { ROLE_UNKNOWN: 403, STATS_FETCH_FAILED: 500 },
+    },
+    'GET /admin/stats': {
+      summary: 'Admin dashboard counts (alias of /users/dashboard)',
+      errors: { ROLE_UNKNOWN: 403, STATS_FETCH_FAILED: 500 },
+    },
+    'GET /admin/policy': {
+      summary: 'Effective role/permission matrix',
+    },
+    'GET /': {
+      summary: 'List users',
+      query: {
+        type: 'object',
+        properties: {
+          page: { type: 'integer', minimum: 1 },
+          pageSize: { type: 'integer', minimum: 1, maximum: 100 },
+          email: { type: 'string' },
+          phonenumber: { type: 'string' },
+          role: { type: 'string' },
+          search: { type: 'string' },
+        },
+      },
+      errors: { ROLE_UNKNOWN: 400, FORBIDDEN_ROLE_FILTER: 403, DB_CONNECTION_FAILED: 503, DB_QUERY_FAILED: 500 },
+    },
+    'POST /': {
+      summary: 'Create a user',
+      status: 201,
+      errors: { ROLE_UNKNOWN: 400, ROLE_NOT_ALLOWED: 403, USER_EXISTS: 409, LOOKUP_FAILED: 500, INSERT_FAILED: 500 },
+    },
+    'GET /:id': {
+      summary: 'Get a user by id, email or phone number',
+      errors: {
+        INVALID_IDENTIFIER: 400,
+        ROLE_UNKNOWN: 400,
+        FORBIDDEN: 403,
+        USER_NOT_FOUND: 404,
+        DB_CONNECTION_FAILED: 503,
+        DB_QUERY_FAILED: 500,
+      },
+    },
+    'PUT /:id': {
+      summary: 'Update a user',
+      errors: {
+        ROLE_UNKNOWN: 400,
+        ROLE_NOT_ALLOWED: 403,
+        FORBIDDEN: 403,
+        USER_NOT_FOUND: 404,
+        DB_CONNECTION_FAILED: 503,
+        UPDATE_FAILED: 500,
+      },
+    },
+    'DELETE /:id': {
+      summary: 'Delete a user',
+      errors: {
+        INVALID_USER_ID: 400,
+        ROLE_UNKNOWN: 400,
+        FORBIDDEN: 403,
+        USER_NOT_FOUND: 404,
+        DB_CONNECTION_FAILED: 503,
+        DELETE_FAILED: 500,
+      },
+    },
+  },
+};
@@ -1,13 +1,11 @@
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { checkToken, redis as upstashRedis } from '../../utils/auth.js';
+import { cacheGet, cacheKey, cacheSet, xCache } from '../../services/cache.js';
+import { ROLE_HIERARCHY as HIERARCHY, normalizeRole, roleVariants } from '../../utils/policy.js';
+import { getRequestId, logger } from '../../utils/logger.js';
 
-const CACHE_KEY_PREFIX = process.env.CACHE_KEY_PREFIX || 'cache';
-const CACHE_TTL_SEC = Number(process.env.CACHE_TTL_SEC || 15); // short TTL for user list queries
-const INMEM_TTL_MS = Number(process.env.INMEM_USERS_TTL_MS || 5000);
-const INMEM_MAX = Number(process.env.INMEM_USERS_MAX || 300);
+const log = logger.child({ module: 'users' });
 
-const HIERARCHY = ['real estate company', 'landlord', 'dual', 'customer care', 'admin', 'ceo'];
+const CACHE_TTL_SEC = Number(process.env.CACHE_TTL_SEC || 15); // short TTL for user list queries
 
 function parsePositiveInt(value, fallback) {
   const n = Number(value);
@@ -15,56 +13,9 @@ function parsePositiveInt(value, fallback) {
   return Math.floor(n);
 }
 
-// simple per-worker in-memory cache (small, short-lived)
-const inMemCache = new Map(); // key -> { ts, value }
-const cleanupInMem = () => {
-  if (inMemCache.size <= INMEM_MAX) return;
-  const keys = Array.from(inMemCache.keys()).sort((a, b) => inMemCache.get(a).ts - inMemCache.get(b).ts);
-  for (let i = 0; i < Math.floor(keys.length / 4); i += 1) {
-    inMemCache.delete(keys[i]);
-    if (inMemCache.size <= INMEM_MAX) break;
-  }
-};
-const inMemGet = (k) => {
-  const e = inMemCache.get(k);
-  if (!e) return null;
-  if (Date.now() - e.ts > INMEM_TTL_MS) {
-    inMemCache.delete(k);
-    return null;
-  }
-  return e.value;
-};
-const inMemSet = (k, v) => {
-  inMemCache.set(k, { ts: Date.now(), value: v });
-  cleanupInMem();
-};
-
-// Redis helpers (best-effort; fail-open)
-const redisGet = async (key) => {
-  try {
-    const raw = await upstashRedis.get(key);
-    if (!raw) return null;
-    return JSON.parse(raw);
-  } catch (e) {
-    console.warn('Redis get error (users):', e?.message || e);
-    return null;
-  }
-};
-const redisSet = async (key, payload, ttlSec = CACHE_TTL_SEC) => {
-  try {
-    await upstashRedis.set(key, JSON.stringify(payload));
-    if (typeof upstashRedis.expire === 'function') {
-      await upstashRedis.expire(key, ttlSec);
-    }
-  } catch (e) {
-    console.warn('Redis set error (users):', e?.message || e);
-  }
-};
-
 // deterministic cache key for query + visibleRoles
 const makeCacheKey = ({ visibleRoles, page, pageSize, email, phonenumber, role, search }) => {
   const parts = [
-    `${CACHE_KEY_PREFIX}:users`,
     `roles=${visibleRoles.join(',')}`,
     `p=${page}`,
     `ps=${pageSize}`,
@@ -73,7 +24,7 @@ const makeCacheKey = ({ visibleRoles, page, pageSize, email, phonenumber, role,
   if (phonenumber) parts.push(`phone=${encodeURIComponent(String(phonenumber))}`);
   if (role) parts.push(`role=${encodeURIComponent(String(role))}`);
   if (search) parts.push(`q=${encodeURIComponent(String(search).slice(0, 128))}`); // cap length
-  return parts.join('|');
+  return cacheKey('users', parts.join('|'));
 };
 
 // lightweight projection to reduce payload and cache size
@@ -82,42 +33,17 @@ const projectUser = (u) => ({
   fullname: u.fullname || u.name || null,
   email: u.email || null,
   phonenumber: u.phonenumber || u.phone || null,
-  role: u.role || null,
+  role: normalizeRole(u.role) || u.role || null,
   created_at: u.created_at || u.createdAt || null,
   organization: u.organization || u.company || null,
 });
 
 export const getUsers = async (c) => {
   const start = Date.now();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID?.() || `trace-${Date.now()}`;
-  const token = c.req.header('Authorization')?.replace('Bearer ', '') || '';
+  const traceId = getRequestId();
   const timestamp = new Date().toISOString();
 
-  // Auth guard
-  if (!token) {
-    return c.json({
-      success: false,
-      error: 'MISSING_TOKEN',
-      message: 'Missing authentication token.',
-      timestamp,
-      traceId,
-    }, 401);
-  }
-
-  const actor = await checkToken(token).catch((err) => {
-    console.error('❌ Token check failed:', err?.message || err);
-    return null;
-  });
-
-  if (!actor?.role) {
-    return c.json({
-      success: false,
-      error: 'INVALID_TOKEN',
-      message: 'Invalid or expired token.',
-      timestamp,
-      traceId,
-    }, 401);
-  }
+  const actor = c.get('user'); // guaranteed by requireAuth on /users
 
   const actorRank = HIERARCHY.indexOf(actor.role);
   if (actorRank === -1) {
@@ -131,14 +57,14 @@ export const getUsers = async (c) => {
   }
 
   // Parse query params
-  const qObj = Object.fromEntries(c.req.query());
+  const qObj = c.req.query();
   const page = parsePositiveInt(qObj.page, 1);
   const pageSizeRaw = parsePositiveInt(qObj.pageSize || qObj.page_size || qObj.limit, 10);
   const pageSize = Math.min(Math.max(pageSizeRaw, 1), 100);
 
   const email = qObj.email;
   const phonenumber = qObj.phonenumber || qObj.phone;
-  const role = qObj.role;
+  const role = qObj.role ? normalizeRole(qObj.role) || qObj.role : undefined;
   const search = qObj.search ? String(qObj.search).trim() : '';
 
   // Determine visible roles for this actor
@@ -155,33 +81,16 @@ export const getUsers = async (c) => {
     }, 403);
   }
 
-  const cacheKey = makeCacheKey({ visibleRoles, page, pageSize, email, phonenumber, role, search });
-
-  // Try Redis
-  const rCached = await redisGet(cacheKey);
-  if (rCached != null) {
-    c.header('X-Cache', 'HIT-REDIS');
-    c.set('cachePayload', rCached.data);
-    return c.json({
-      success: true,
-      ...rCached.meta,
-      data: rCached.data,
-      cached: true,
-      timestamp,
-      traceId,
-      duration: `${Date.now() - start}ms`,
-    }, 200);
-  }
+  const key = makeCacheKey({ visibleRoles, page, pageSize, email, phonenumber, role, search });
 
-  // Try in-memory
-  const mem = inMemGet(cacheKey);
-  if (mem != null) {
-    c.header('X-Cache', 'HIT-MEM');
-    c.set('cachePayload', mem.data);
+  const hit = await cacheGet(key);
+  if (hit) {
+    c.header('X-Cache', xCache(hit.source));
+    c.set('cachePayload', hit.value.data);
     return c.json({
       success: true,
-      ...mem.meta,
-      data: mem.data,
+      ...hit.value.meta,
+      data: hit.value.data,
       cached: true,
       timestamp,
       traceId,
@@ -190,17 +99,17 @@ export const getUsers = async (c) => {
   }
 
   // Build base query
-  const baseQuery = { role: { $in: visibleRoles } };
+  const baseQuery = { role: { $in: visibleRoles.flatMap(roleVariants) } };
   if (email) baseQuery.email = { $eq: email };
   if (phonenumber) baseQuery.phonenumber = { $eq: phonenumber };
-  if (role) baseQuery.role = { $eq: role };
+  if (role) baseQuery.role = { $in: roleVariants(role) };
 
   // Connect to users collection
   let usersCollection;
   try {
     usersCollection = await getCollection('users');
   } catch (err) {
-    console.error('❌ DB connection error:', err?.message || err);
+    log.error('DB connection error', { err });
     return c.json({
       success: false,
       error: 'DB_CONNECTION_FAILED',
@@ -246,9 +155,7 @@ export const getUsers = async (c) => {
         };
 
         // cache result (best-effort)
-        const payloadToCache = { meta, data: filtered };
-        inMemSet(cacheKey, payloadToCache);
-        await redisSet(cacheKey, payloadToCache, CACHE_TTL_SEC);
+        await cacheSet(key, { meta, data: filtered }, { ttl: CACHE_TTL_SEC, tags: ['users'] });
 
         c.set('cachePayload', filtered);
         c.header('X-Cache', 'MISS');
@@ -263,7 +170,7 @@ export const getUsers = async (c) => {
       }
     }
   } catch (err) {
-    console.warn('⚠️ Collection-level pagination attempt failed, falling back:', err?.message || err);
+    log.warn('collection-level pagination attempt failed, falling back', { err });
   }
 
   // Manual fallback: fetch all restricted documents, apply search, sort, slice
@@ -303,9 +210,7 @@ export const getUsers = async (c) => {
       visibleRoles,
     };
 
-    const payloadToCache = { meta, data: pageSlice };
-    inMemSet(cacheKey, payloadToCache);
-    await redisSet(cacheKey, payloadToCache, CACHE_TTL_SEC);
+    await cacheSet(key, { meta, data: pageSlice }, { ttl: CACHE_TTL_SEC, tags: ['users'] });
 
     c.set('cachePayload', pageSlice);
     c.header('X-Cache', 'MISS-FALLBACK');
@@ -318,9 +223,9 @@ export const getUsers = async (c) => {
       duration: `${Date.now() - start}ms`,
     }, 200);
   } catch (err) {
-    console.error('❌ User query failed:', err?.message || err);
+    log.error('user query failed', { err });
     if (err.response?.data) {
-      console.error('📄 Astra error response:', JSON.stringify(err.response.data, null, 2));
+      log.error('astra error response', { response: err.response.data });
     }
     return c.json({
       success: false,
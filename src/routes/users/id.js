@@ -1,8 +1,8 @@
-import crypto from 'crypto';
 import { getCollection } from '../../services/astra.js';
-import { checkToken } from '../../utils/auth.js';
+import { ROLE_HIERARCHY as HIERARCHY, normalizeRole } from '../../utils/policy.js';
+import { getRequestId, logger } from '../../utils/logger.js';
 
-const HIERARCHY = ['real estate company', 'landlord', 'dual', 'customer care', 'admin', 'ceo'];
+const log = logger.child({ module: 'users' });
 
 function isEmail(v) {
   return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(v || '').trim());
@@ -21,37 +21,13 @@ function isPhone(v) {
  */
 export const getUserById = async (c) => {
   const start = Date.now();
-  const traceId = c.req.header('x-trace-id') || crypto.randomUUID();
-  const token = c.req.header('Authorization')?.replace('Bearer ', '') || '';
+  const traceId = getRequestId();
   const timestamp = new Date().toISOString();
 
-  if (!token) {
-    return c.json({
-      success: false,
-      error: 'MISSING_TOKEN',
-      message: 'Missing authentication token.',
-      timestamp,
-      traceId,
-    }, 401);
-  }
-
-  const actor = await checkToken(token).catch((err) => {
-    console.error('❌ Token validation failed:', err?.message || err);
-    return null;
-  });
-
-  if (!actor?.role) {
-    return c.json({
-      success: false,
-      error: 'INVALID_TOKEN',
-      message: 'Invalid or expired token.',
-      timestamp,
-      traceId,
-    }, 401);
-  }
+  const actor = c.get('user'); // guaranteed by requireAuth on /users
 
   // Determine lookup source: prefer explicit query params, then route param
-  const q = Object.fromEntries(c.req.query());
+  const q = c.req.query();
   const routeParam = c.req.param('id');
 
   let lookup = null; // { type: 'id'|'email'|'phonenumber', value }
@@ -82,7 +58,7 @@ export const getUserById = async (c) => {
       throw new Error('Invalid Astra DB collection: missing .find() method.');
     }
   } catch (err) {
-    console.error('❌ DB connection error:', err?.message || err);
+    log.error('DB connection error', { err });
     return c.json({
       success: false,
       error: 'DB_CONNECTION_FAILED',
@@ -120,7 +96,8 @@ export const getUserById = async (c) => {
 
     // Enforce hierarchy visibility: actor can only see roles at or below their rank
     const actorRank = HIERARCHY.indexOf(actor.role);
-    const targetRank = HIERARCHY.indexOf(targetUser.role);
+    const targetRole = normalizeRole(targetUser.role);
+    const targetRank = HIERARCHY.indexOf(targetRole);
 
     if (actorRank === -1 || targetRank === -1) {
       return c.json({
@@ -134,7 +111,7 @@ export const getUserById = async (c) => {
 
     // actor can view roles slice(0, actorRank + 1). If actor is 'ceo' they can see all.
     const visibleRoles = actor.role === 'ceo' ? HIERARCHY : HIERARCHY.slice(0, actorRank + 1);
-    if (!visibleRoles.includes(targetUser.role)) {
+    if (!visibleRoles.includes(targetRole)) {
       return c.json({
         success: false,
         error: 'FORBIDDEN',
@@ -152,9 +129,9 @@ export const getUserById = async (c) => {
       duration: `${Date.now() - start}ms`,
     });
   } catch (queryErr) {
-    console.error('❌ Error fetching user:', queryErr?.message || queryErr);
+    log.error('error fetching user', { err: queryErr });
     if (queryErr.response?.data) {
-      console.error('📄 Astra error response:', JSON.stringify(queryErr.response.data, null, 2));
+      log.error('astra error response', { response: queryErr.response.data });
     }
     return c.json({
       success: false,
@@ -0,0 +1,18 @@
+import { permissionMatrix } from '../../utils/policy.js';
+import { getRequestId } from '../../utils/logger.js';
+
+/**
+ * GET /users/admin/policy
+ * Effective role/permission matrix as enforced by utils/policy.js.
+ */
+export const getPolicy = async (c) => {
+  const traceId = getRequestId();
+  const timestamp = new Date().toISOString();
+
+  return c.json({
+    success: true,
+    data: permissionMatrix(),
+    timestamp,
+    traceId,
+  });
+};
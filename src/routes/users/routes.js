@@ -1,25 +1,35 @@
 import { Hono } from 'hono'
-import { getUsers } from './get.js'
-import { createUser } from './create.js'
-import { updateUser } from './update.js'
-import { getUserById } from './id.js'
-import { deleteUser } from './delete.js'
+import { requirePermission } from '../../middleware/auth.js'
+import { validate } from '../../middleware/validate.js'
+import { createUserSchema, updateUserSchema, userIdParams } from './schemas.js'
+import { lazyHandler } from '../../utils/lazyHandler.js'
+
+const getUsers = lazyHandler(() => import('./get.js'), 'getUsers')
+const createUser = lazyHandler(() => import('./create.js'), 'createUser')
+const updateUser = lazyHandler(() => import('./update.js'), 'updateUser')
+const getUserById = lazyHandler(() => import('./id.js'), 'getUserById')
+const deleteUser = lazyHandler(() => import('./delete.js'), 'deleteUser')
 // dashboard handler file you mentioned
-import { getAdminStats } from './dashboard.js'
+const getAdminStats = lazyHandler(() => import('./dashboard.js'), 'getAdminStats')
+const getPolicy = lazyHandler(() => import('./policy.js'), 'getPolicy')
 
 const usersRouter = new Hono()
 
-// Users CRUD
-usersRouter.get('/', getUsers)
-usersRouter.post('/', createUser)
-usersRouter.get('/:id', getUserById)
-usersRouter.put('/:id', updateUser)
-usersRouter.delete('/:id', deleteUser) // ✅ Delete user
-
 // Admin/dashboard stats (kept under users route for convenience)
 // - GET /users/dashboard  => returns admin stats (counts) as implemented in dashboard.js
 // - also expose conventional admin path GET /users/admin/stats for backwards compatibility
+// Registered before /:id, which would otherwise capture /dashboard.
 usersRouter.get('/dashboard', getAdminStats)
 usersRouter.get('/admin/stats', getAdminStats)
 
+// Effective role/permission matrix
+usersRouter.get('/admin/policy', requirePermission('policy:read'), getPolicy)
+
+// Users CRUD
+usersRouter.get('/', getUsers)
+usersRouter.post('/', requirePermission('user:create'), validate({ json: createUserSchema }), createUser)
+usersRouter.get('/:id', getUserById)
+usersRouter.put('/:id', validate({ param: userIdParams, json: updateUserSchema }), updateUser)
+usersRouter.delete('/:id', deleteUser) // ✅ Delete user
+
 export default usersRouter
@@ -0,0 +1,33 @@
+// Request schemas for /users (see middleware/validate.js)
+
+// legacy role spellings are accepted here and normalized by the handlers
+const role = { type: 'string', minLength: 1, maxLength: 50 };
+const phonenumber = { type: 'string', pattern: '^\\+?\\d{7,15}$' };
+
+export const userIdParams = {
+  type: 'object',
+  properties: { id: { type: 'string', minLength: 1, maxLength: 100 } },
+  required: ['id'],
+};
+
+export const createUserSchema = {
+  type: 'object',
+  properties: {
+    email: { type: 'string', format: 'email' },
+    password: { type: 'string', minLength: 8, maxLength: 128 },
+    role,
+    phonenumber,
+    fullname: { type: 'string', minLength: 1, maxLength: 150 },
+  },
+  required: ['email', 'password', 'role', 'phonenumber', 'fullname'],
+};
+
+export const updateUserSchema = {
+  type: 'object',
+  properties: {
+    email: { type: 'string', format: 'email' },
+    fullname: { type: 'string', minLength: 1, maxLength: 150 },
+    phonenumber,
+    role,
+  },
+};
@@ -1,5 +1,9 @@
 import { getCollection } from '../../services/astra.js';
-import { checkToken } from '../../utils/auth.js';
+import { invalidate } from '../../services/cache.js';
+import { normalizeRole } from '../../utils/policy.js';
+import { logger } from '../../utils/logger.js';
+
+const log = logger.child({ module: 'users' });
 
 /**
  * PUT /users/:id
@@ -12,35 +16,12 @@ import { checkToken } from '../../utils/auth.js';
 export const updateUser = async (c) => {
   const timestamp = new Date().toISOString();
   const targetId = c.req.param('id');
-  const token = c.req.header('Authorization')?.replace('Bearer ', '');
-
-  if (!token) {
-    return c.json({ success: false, error: 'UNAUTHORIZED', message: 'Missing token.', timestamp }, 401);
-  }
-
-  const actor = await checkToken(token).catch(err => {
-    console.error('❌ Token check failed:', err.message || err);
-    return null;
-  });
-
-  if (!actor) {
-    return c.json({ success: false, error: 'UNAUTHORIZED', message: 'Invalid token.', timestamp }, 401);
-  }
+  const actor = c.get('user'); // guaranteed by requireAuth on /users
 
-  let updateData;
-  try {
-    updateData = await c.req.json();
-    if (!updateData || typeof updateData !== 'object') throw new Error();
-  } catch {
-    return c.json({ success: false, error: 'INVALID_BODY', message: 'Request body must be valid JSON.', timestamp }, 400);
-  }
-
-  if (!targetId || typeof targetId !== 'string') {
-    return c.json({ success: false, error: 'INVALID_USER_ID', message: 'User ID must be a string.', timestamp }, 400);
-  }
+  const updateData = c.req.valid('json'); // validate()
 
   const usersCollection = await getCollection('users').catch(err => {
-    console.error('❌ DB connection error:', err.message || err);
+    log.error('DB connection error', { err });
     return null;
   });
 
@@ -49,7 +30,7 @@ export const updateUser = async (c) => {
   }
 
   const result = await usersCollection.find({ _id: targetId }).catch(err => {
-    console.error('❌ User lookup failed:', err.message || err);
+    log.error('user lookup failed', { err });
     return null;
   });
 
@@ -58,22 +39,27 @@ export const updateUser = async (c) => {
     return c.json({ success: false, error: 'USER_NOT_FOUND', message: `No user found with ID "${targetId}".`, timestamp }, 404);
   }
 
-  const [docId, targetUser] = entries[0];
+  const [docId] = entries[0];
 
   // 🧠 Role enforcement
   const actorRole = actor.role;
-  const newRole = updateData.role;
+  const newRole = normalizeRole(updateData.role);
   if ('role' in updateData) {
+    if (!newRole) {
+      return c.json({ success: false, error: 'ROLE_UNKNOWN', message: `Unknown role "${updateData.role}".`, timestamp }, 400);
+    }
+    updateData.role = newRole;
+
     if (newRole === 'ceo') {
       return c.json({ success: false, error: 'ROLE_NOT_ALLOWED', message: 'Cannot upgrade to "ceo".', timestamp }, 403);
     }
 
-    const allowedByCustomerCare = ['dual', 'landlord', 'real estate company'];
-    if (actorRole === 'customer care' && !allowedByCustomerCare.includes(newRole)) {
+    const allowedByCustomerCare = ['dual', 'landlord', 'real_estate_company'];
+    if (actorRole === 'customer_care' && !allowedByCustomerCare.includes(newRole)) {
       return c.json({ success: false, error: 'FORBIDDEN', message: 'Customer care can only upgrade to: dual, landlord, or real estate company.', timestamp }, 403);
     }
 
-    if (!['admin', 'ceo', 'customer care'].includes(actorRole)) {
+    if (!['admin', 'ceo', 'customer_care'].includes(actorRole)) {
       return c.json({ success: false, error: 'FORBIDDEN', message: 'Insufficient role to update user.', timestamp }, 403);
     }
   }
@@ -84,6 +70,7 @@ export const updateUser = async (c) => {
       updated_by: actor.userId,
       updated_at: timestamp,
     });
+    await invalidate('users');
 
     return c.json({
       success: true,
@@ -92,7 +79,7 @@ export const updateUser = async (c) => {
       timestamp,
     });
   } catch (err) {
-    console.error('❌ Update failed:', err.message || err);
+    log.error('update failed', { err });
     return c.json({ success: false, error: 'UPDATE_FAILED', message: 'Failed to update user.', timestamp }, 500);
   }
 };
@@ -5,22 +5,25 @@ import http from 'http'
 import https from 'https'
 import { Hono } from 'hono'
 import { serve } from '@hono/node-server'
-import { logger } from 'hono/logger'
 import { secureHeaders } from 'hono/secure-headers'
 import { prettyJSON } from 'hono/pretty-json'
 
 import appRouter from './routes/routes.js'
-import { getCollection } from './services/astra.js'
-import { checkToken, redis as upstashRedis } from './utils/auth.js'
+import { getCollection, getStorageDriverName } from './services/astra.js'
+import { cacheStats } from './services/cache.js'
+import { redis } from './services/redis.js'
+import { startReconciliationSchedule } from './services/reconciliation.js'
+import { startBookingSagaRecovery } from './services/bookingSaga.js'
+import { checkToken } from './utils/auth.js'
+import { rateLimit } from './middleware/rateLimit.js'
+import { requestContext } from './middleware/requestContext.js'
+import { logger, getRequestId } from './utils/logger.js'
 
 // --- Config ---
 const NODE_ENV = process.env.NODE_ENV || 'development'
 const PORT = Number(process.env.PORT || 3000)
 const REQUEST_TIMEOUT_MS = Number(process.env.REQUEST_TIMEOUT_MS || 15_000)
 const MIN_WORKERS = Number(process.env.MIN_WORKERS || 1)
-const RATE_LIMIT_PREFIX = process.env.RATE_LIMIT_PREFIX || 'rl'
-const RATE_LIMIT_WINDOW_SEC = Number(process.env.RATE_LIMIT_WINDOW_SEC || 60)
-const RATE_LIMIT_MAX = Number(process.env.RATE_LIMIT_MAX || 120)
 
 // --- Warmup (best-effort) ---
 async function prewarmCaches() {
@@ -39,14 +42,17 @@ async function prewarmCaches() {
 
 // --- Cluster master ---
 if (cluster.isPrimary) {
-  const cpuCount = Math.max(MIN_WORKERS, Math.max(1, os.cpus().length - 1))
+  // the in-memory Redis is per process, so sessions only work with one worker
+  const cpuCount = redis.name === 'memory' ? 1 : Math.max(MIN_WORKERS, Math.max(1, os.cpus().length - 1))
   for (let i = 0; i < cpuCount; i++) cluster.fork()
   cluster.on('exit', (worker, code, signal) => {
-    console.error(`worker ${worker.process.pid} died (code=${code} signal=${signal}), respawning`)
+    logger.error('worker died, respawning', { worker: worker.process.pid, code, signal })
     cluster.fork()
   })
-  console.log(`Master started. Forked ${cpuCount} workers`)
-  prewarmCaches().catch((e) => console.warn('Warmup error (master):', e?.message || e))
+  logger.info('master started', { workers: cpuCount, redis: redis.name })
+  prewarmCaches().catch((err) => logger.warn('warmup failed (master)', { err }))
+  // payment reconciliation runs here, once per instance (a Redis lock keeps instances apart)
+  startReconciliationSchedule()
   process.on('SIGINT', () => process.exit(0))
   process.on('SIGTERM', () => process.exit(0))
 } else {
@@ -59,26 +65,11 @@ if (cluster.isPrimary) {
     httpsAgent: new https.Agent({ keepAlive: true, maxSockets: 100 }),
   }
 
-  // --- Rate limiter ---
-  app.use('*', async (c, next) => {
-    const ip = c.req.header('x-forwarded-for')?.split(',')[0].trim()
-      || c.req.socket?.remoteAddress
-      || 'unknown'
-    const key = `${RATE_LIMIT_PREFIX}:${ip}`
-    try {
-      const count = await upstashRedis.incr(key)
-      if (Number(count) === 1 && typeof upstashRedis.expire === 'function') {
-        await upstashRedis.expire(key, RATE_LIMIT_WINDOW_SEC)
-      }
-      if (Number(count) > RATE_LIMIT_MAX) {
-        const ttl = await upstashRedis.ttl(key).catch(() => RATE_LIMIT_WINDOW_SEC)
-        return c.json({ error: 'Too many requests', retryAfter: ttl >= 0 ? ttl : RATE_LIMIT_WINDOW_SEC }, 429)
-      }
-    } catch (err) {
-      if (NODE_ENV !== 'production') console.warn('Rate limiter Redis error:', err?.message || err)
-    }
-    return next()
-  })
+  // --- Request id, async log context, access log ---
+  app.use('*', requestContext())
+
+  // --- Rate limiter (policies in middleware/rateLimit.js) ---
+  app.use('*', rateLimit())
 
   // --- CORS + timeout ---
   app.use('*', async (c, next) => {
@@ -91,8 +82,8 @@ if (cluster.isPrimary) {
       c.header('Access-Control-Allow-Origin', '*')
     }
     c.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS')
-    c.header('Access-Control-Allow-Headers', 'Authorization, Content-Type, X-Requested-With, X-Custom-Header, x-trace-id')
-    c.header('Access-Control-Expose-Headers', 'Content-Length, X-Request-Id, X-Trace-Id')
+    c.header('Access-Control-Allow-Headers', 'Authorization, Content-Type, X-Requested-With, X-Custom-Header, x-trace-id, x-request-id')
+    c.header('Access-Control-Expose-Headers', 'Content-Length, X-Request-Id, X-Trace-Id, RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After')
     c.header('Access-Control-Max-Age', '600')
 
     if (c.req.method === 'OPTIONS') return c.text('', 204)
@@ -116,7 +107,6 @@ if (cluster.isPrimary) {
 
   // --- Security + logging ---
   app.use(secureHeaders())
-  if (NODE_ENV !== 'production') app.use(logger())
   if (NODE_ENV !== 'production') app.use(prettyJSON({ spaces: 2 }))
 
   // --- Routes ---
@@ -125,12 +115,13 @@ if (cluster.isPrimary) {
   // --- Health check ---
   app.get('/health', async (c) => {
     const start = Date.now()
-    const traceId = c.req.header('x-trace-id') || 'health-check'
+    const traceId = getRequestId()
     try {
       await getCollection('users')
-      await upstashRedis.ping()
+      const storage = await getStorageDriverName()
+      await redis.ping()
       const latency = Date.now() - start
-      return c.json({ status: 'ok', latency: `${latency}ms`, traceId })
+      return c.json({ status: 'ok', latency: `${latency}ms`, storage, redis: redis.name, cache: cacheStats(), traceId })
     } catch (err) {
       const latency = Date.now() - start
       return c.json({ status: 'error', latency: `${latency}ms`, traceId, reason: NODE_ENV !== 'production' ? err.message : undefined }, 503)
@@ -140,14 +131,7 @@ if (cluster.isPrimary) {
   // --- Error handler ---
   app.onError((err, c) => {
     const statusCode = err.status || (err.name === 'Unauthorized' ? 401 : 500)
-    console.error(JSON.stringify({
-      ts: new Date().toISOString(),
-      path: c.req.path,
-      method: c.req.method,
-      status: statusCode,
-      message: err.message,
-      stack: NODE_ENV !== 'production' ? err.stack : undefined,
-    }))
+    logger.error('unhandled error', { status: statusCode, err })
     return c.json({
       error: statusCode === 500 ? 'Internal Server Error' : err.message,
       details: NODE_ENV !== 'production' ? err.stack || err.message : undefined,
@@ -163,18 +147,21 @@ if (cluster.isPrimary) {
   let server = null
   function start() {
     server = serve({ fetch: app.fetch, port: PORT })
-    console.log(`🚀 Worker ${process.pid} running on http://localhost:${PORT}`)
-    prewarmCaches().catch((e) => console.warn('Warmup error (worker):', e?.message || e))
+    logger.info('worker listening', { url: `http://localhost:${PORT}` })
+    prewarmCaches().catch((err) => logger.warn('warmup failed (worker)', { err }))
+    // bookings left half-made by a crash: recovered where the sagas and claims are
+    // visible (the in-memory drivers are per process); a Redis lock keeps workers apart
+    startBookingSagaRecovery()
   }
   async function stop(signal) {
-    console.log(`🛑 Worker ${process.pid} received ${signal}. Shutting down...`)
+    logger.info('worker shutting down', { signal })
     try {
       if (server?.close) await new Promise(res => server.close(res))
     } catch (err) {
-      console.error('Error during server close', err)
+      logger.error('server close failed', { err })
     } finally {
       try {
-        if (upstashRedis.disconnect) await upstashRedis.disconnect()
+        if (redis.disconnect) await redis.disconnect()
       } catch {}
       process.exit(0)
     }
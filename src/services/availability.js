@@ -0,0 +1,209 @@
+import crypto from 'crypto';
+import { getCollection } from './astra.js';
+import { redis } from './redis.js';
+import { RELEASED_STATUSES } from './bookingLifecycle.js';
+import { logger } from '../utils/logger.js';
+
+// Room availability.
+//
+// A booking holds its room from `start_date` (check-in) up to `end_date`
+// (check-out, exclusive), both YYYY-MM-DD. The room's `period` sets the unit:
+// nightly rooms are booked by the night, the rest by the calendar month, and
+// the price is `room.price` per period. Two bookings of a room conflict when
+// their ranges overlap; checked-out, cancelled or inactive bookings hold nothing.
+//
+// Bookings from before dates existed hold their room from the day they were
+// made until the landlord sets an end_date (PUT /bookings/:id).
+
+const NIGHTLY = ['night', 'nightly', 'day', 'daily'];
+const MAX_PERIODS = { night: 365, month: 24 };
+const ROOM_LOCK_TTL_SEC = 60;
+
+const log = logger.child({ module: 'availability' });
+
+export class AvailabilityError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'AvailabilityError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+export const roomPeriod = (room) => (NIGHTLY.includes(String(room?.period || '').toLowerCase()) ? 'night' : 'month');
+
+// Rooms carry their property; the oldest only through their id (`<property_id>-<n>`)
+export const roomPropertyId = (room) => room?.property_id || room?.propertyId || String(room?.room_id || '').split('-')[0];
+
+/* ----------------------- Dates (UTC, YYYY-MM-DD) ----------------------- */
+
+const DAY_MS = 86400000;
+
+const toDate = (value) => new Date(`${value}T00:00:00Z`);
+export const isoDay = (date) => date.toISOString().slice(0, 10);
+export const today = () => isoDay(new Date());
+
+const validDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && isoDay(toDate(value)) === value;
+
+export const addDays = (day, n) => isoDay(new Date(toDate(day).getTime() + n * DAY_MS));
+
+// Same day of the month n months later, clamped to the month's last day
+export const addMonths = (day, n) => {
+  const date = toDate(day);
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + n, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+  return isoDay(target);
+};
+
+const addPeriods = (day, period, n) => (period === 'night' ? addDays(day, n) : addMonths(day, n));
+
+const countPeriods = (start, end, period) => {
+  if (period === 'night') return Math.round((toDate(end) - toDate(start)) / DAY_MS);
+  let n = 0;
+  while (addMonths(start, n + 1) <= end) n += 1;
+  return addMonths(start, n) === end ? n : null; // null: not whole months
+};
+
+/**
+ * stayRange(room, { start_date, end_date, periods }, { allowPast }) -> { period, start_date, end_date, periods }
+ * `end_date` or `periods` (default 1) sets the length; monthly rooms take whole
+ * months. Throws AvailabilityError 400 INVALID_DATES.
+ */
+export const stayRange = (room, dates = {}, { allowPast = false } = {}) => {
+  const period = roomPeriod(room);
+  // format: 'date' accepts a trailing time
+  const start = dates.start_date == null ? undefined : String(dates.start_date).slice(0, 10);
+  const end = dates.end_date == null ? undefined : String(dates.end_date).slice(0, 10);
+  const { periods } = dates;
+  const invalid = (message) => new AvailabilityError('INVALID_DATES', message);
+
+  if (!validDay(start)) throw invalid('start_date must be a date (YYYY-MM-DD).');
+  if (!allowPast && start < today()) throw invalid('start_date cannot be in the past.');
+
+  let count;
+  if (end != null) {
+    if (!validDay(end)) throw invalid('end_date must be a date (YYYY-MM-DD).');
+    if (end <= start) throw invalid('end_date must be after start_date.');
+    count = countPeriods(start, end, period);
+    if (count === null) throw invalid('This room is booked by the month: end_date must be a whole number of months after start_date.');
+    if (periods != null && Number(periods) !== count) throw invalid(`start_date to end_date is ${count} ${period}s, not ${periods}.`);
+  } else {
+    count = periods == null ? 1 : Number(periods);
+    if (!Number.isInteger(count) || count < 1) throw invalid('periods must be a whole number of at least 1.');
+  }
+  if (count > MAX_PERIODS[period]) throw invalid(`A booking can be at most ${MAX_PERIODS[period]} ${period}s.`);
+
+  return { period, start_date: start, end_date: end ?? addPeriods(start, period, count), periods: count };
+};
+
+/* ----------------------- Bookings ----------------------- */
+
+// The range a booking holds; legacy bookings run from their creation with no end
+const heldRange = (booking) => ({
+  start_date: booking.start_date || String(booking.created_at || booking.createdAt || '').slice(0, 10) || null,
+  end_date: booking.end_date || null,
+});
+
+export const overlaps = (a, b) => (!a.end_date || !b.start_date || b.start_date < a.end_date)
+  && (!b.end_date || !a.start_date || a.start_date < b.end_date);
+
+/**
+ * roomBookings(roomId, { start_date, end_date }, { excludeBookingId })
+ * -> [{ booking_id, start_date, end_date }] the bookings holding the room in
+ * that range (end_date null: open-ended), by start date.
+ */
+export const roomBookings = async (roomId, range, { excludeBookingId } = {}) => {
+  const col = await getCollection('bookings');
+  const held = [];
+  const filter = {
+    room_id: { $eq: roomId },
+    active: { $ne: false },
+    status: { $nin: [...RELEASED_STATUSES, 'canceled', 'rejected'] }, // and legacy spellings
+  };
+  for await (const booking of col.findAll(filter)) {
+    if (excludeBookingId && booking.booking_id === excludeBookingId) continue;
+    const holds = heldRange(booking);
+    if (overlaps(holds, range)) held.push({ booking_id: booking.booking_id, ...holds });
+  }
+  return held.sort((a, b) => String(a.start_date).localeCompare(String(b.start_date)));
+};
+
+/**
+ * assertAvailable(roomId, range, options)
+ * Throws AvailabilityError 409 BOOKING_CONFLICT when another booking holds
+ * any day of the range.
+ */
+export const assertAvailable = async (roomId, range, options) => {
+  const [conflict] = await roomBookings(roomId, range, options);
+  if (conflict) {
+    const until = conflict.end_date ? ` until ${conflict.end_date}` : '';
+    throw new AvailabilityError(
+      'BOOKING_CONFLICT',
+      `The room is booked from ${conflict.start_date}${until}; pick other dates.`,
+      409
+    );
+  }
+};
+
+/**
+ * lockRoom(roomId) -> release()
+ * Serializes bookings of a room across workers between the conflict check and
+ * the insert. Throws AvailabilityError 409 ROOM_BOOKING_IN_PROGRESS when
+ * another request holds it, 503 AVAILABILITY_UNAVAILABLE when Redis fails.
+ */
+export const lockRoom = async (roomId) => {
+  const key = `booking:room:${roomId}`;
+  const token = crypto.randomUUID();
+  let acquired;
+  try {
+    acquired = await redis.set(key, token, { nx: true, ex: ROOM_LOCK_TTL_SEC });
+  } catch (err) {
+    log.error('room lock failed', { roomId, err });
+    throw new AvailabilityError('AVAILABILITY_UNAVAILABLE', 'Bookings cannot be checked right now; try again shortly.', 503);
+  }
+  if (!acquired) {
+    throw new AvailabilityError('ROOM_BOOKING_IN_PROGRESS', 'This room is being booked by another request; try again shortly.', 409);
+  }
+  return async () => {
+    try {
+      if (await redis.get(key) === token) await redis.del(key);
+    } catch (err) {
+      log.warn('room lock release failed; it expires on its own', { roomId, err });
+    }
+  };
+};
+
+/**
+ * monthAvailability(room, 'YYYY-MM') -> { month, period, from, to, booked, free }
+ * Booked and free ranges within the month (end dates exclusive, clipped to
+ * the month). Booking ids are left out: the calendar is public.
+ */
+export const monthAvailability = async (room, month) => {
+  const from = `${month}-01`;
+  const to = addMonths(from, 1);
+  const held = await roomBookings(room.room_id, { start_date: from, end_date: to });
+
+  // merge touching or overlapping ranges, clipped to the month
+  const booked = [];
+  for (const range of held) {
+    const start = range.start_date && range.start_date > from ? range.start_date : from;
+    const end = range.end_date && range.end_date < to ? range.end_date : to;
+    const last = booked.at(-1);
+    if (last && start <= last.end_date) {
+      if (end > last.end_date) last.end_date = end;
+    } else {
+      booked.push({ start_date: start, end_date: end });
+    }
+  }
+
+  const free = [];
+  let cursor = from;
+  for (const range of booked) {
+    if (range.start_date > cursor) free.push({ start_date: cursor, end_date: range.start_date });
+    cursor = range.end_date;
+  }
+  if (cursor < to) free.push({ start_date: cursor, end_date: to });
+
+  return { month, period: roomPeriod(room), from, to, booked, free };
+};
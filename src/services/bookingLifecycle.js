@@ -0,0 +1,172 @@
+import { getCollection } from './astra.js';
+import { invalidate } from './cache.js';
+import { can } from '../utils/policy.js';
+import { logger } from '../utils/logger.js';
+
+// Booking lifecycle.
+//
+//   pending_payment -> confirmed -> checked_in -> checked_out
+// A booking can be cancelled until check-in and disputed by its tenant or
+// landlord; an admin resolves the dispute.
+//
+// BOOKING_TRANSITIONS lists, per status, where a booking may go next and which
+// parties may move it there: its tenant, its landlord, or an admin (anyone
+// with booking:update:any).
+//
+// Every step is appended to `status_history` as
+// { status, from, at, by, role, note?, traceId } and stamped on `<status>_at`.
+// Leaving the room (checked_out, cancelled) deactivates the booking; an early
+// check-out ends its dates today so the rest of the stay can be booked again.
+
+export const BOOKING_STATUSES = Object.freeze([
+  'pending_payment',
+  'confirmed',
+  'checked_in',
+  'checked_out',
+  'cancelled',
+  'disputed',
+]);
+
+const PARTIES = ['tenant', 'landlord', 'admin'];
+
+export const BOOKING_TRANSITIONS = {
+  pending_payment: { confirmed: ['admin'], cancelled: PARTIES },
+  confirmed: { checked_in: ['landlord', 'admin'], cancelled: PARTIES, disputed: ['tenant', 'landlord'] },
+  checked_in: { checked_out: PARTIES, disputed: ['tenant', 'landlord'] },
+  checked_out: { disputed: ['tenant', 'landlord'] },
+  disputed: { confirmed: ['admin'], checked_in: ['admin'], checked_out: ['admin'], cancelled: ['admin'] },
+  cancelled: {},
+};
+
+// statuses that no longer hold the room's dates (see services/availability.js)
+export const RELEASED_STATUSES = Object.freeze(['checked_out', 'cancelled']);
+
+const log = logger.child({ module: 'bookingLifecycle' });
+
+export class BookingTransitionError extends Error {
+  constructor(code, message, status = 409) {
+    super(message);
+    this.name = 'BookingTransitionError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Bookings from before the lifecycle carry a free-form status and the active flag
+export const bookingStatus = (booking) => {
+  const status = String(booking?.status || '').toLowerCase();
+  if (BOOKING_STATUSES.includes(status)) return status;
+  if (['canceled', 'rejected'].includes(status) || booking?.active === false) return 'cancelled';
+  return 'confirmed';
+};
+
+// The parties the user acts as for this booking
+export const bookingRoles = (user, booking) => [
+  ...(user?.userId && booking.tenant_id === user.userId ? ['tenant'] : []),
+  ...(user?.userId && booking.landlord_id === user.userId ? ['landlord'] : []),
+  ...(can(user, 'booking:update:any') ? ['admin'] : []),
+];
+
+// Statuses the user may move the booking to
+export const nextStatuses = (booking, user) => {
+  const roles = bookingRoles(user, booking);
+  return Object.entries(BOOKING_TRANSITIONS[bookingStatus(booking)] || {})
+    .filter(([, parties]) => parties.some((party) => roles.includes(party)))
+    .map(([status]) => status);
+};
+
+/**
+ * assertTransition(booking, status, user, { party }) -> the role the user acts as
+ * `party` is a role proven another way (a guest's signed link) and replaces
+ * the user's. Throws BookingTransitionError:
+ *   403 FORBIDDEN           the user is not a party to the booking
+ *   409 INVALID_TRANSITION  the move is not allowed from the current status, or not for them
+ */
+export const assertTransition = (booking, status, user, { party } = {}) => {
+  const roles = party ? [party] : bookingRoles(user, booking);
+  if (!roles.length) {
+    throw new BookingTransitionError('FORBIDDEN', 'You are not a party to this booking.', 403);
+  }
+  const from = bookingStatus(booking);
+  const parties = BOOKING_TRANSITIONS[from]?.[status];
+  const role = parties && PARTIES.find((party) => roles.includes(party) && parties.includes(party));
+  if (!role) {
+    const allowed = party
+      ? Object.keys(BOOKING_TRANSITIONS[from] || {}).filter((next) => BOOKING_TRANSITIONS[from][next].includes(party))
+      : nextStatuses(booking, user);
+    throw new BookingTransitionError(
+      'INVALID_TRANSITION',
+      `A ${from} booking cannot be moved to ${status}${parties ? ` by its ${roles.join(' or ')}` : ''}. `
+        + (allowed.length ? `Allowed: ${allowed.join(', ')}.` : 'No further changes are allowed.')
+    );
+  }
+  return role;
+};
+
+// Bookings made before dates existed deactivated their room and took a unit
+// off the property; leaving gives both back, once.
+const releaseLegacyRoom = async (booking) => {
+  const [roomsCol, propertiesCol] = await Promise.all([getCollection('rooms'), getCollection('properties')]);
+  const [rooms, properties] = await Promise.all([
+    roomsCol.find({ room_id: { $eq: booking.room_id } }),
+    propertiesCol.find({ property_id: { $eq: booking.property_id } }),
+  ]);
+  const [roomId, room] = Object.entries(rooms?.data || {})[0] || [];
+  const [propertyId, property] = Object.entries(properties?.data || {})[0] || [];
+  await Promise.all([
+    room && roomsCol.patch(room._id || roomId, { status: 'available', active: true }),
+    property && propertiesCol.patch(property._id || propertyId, {
+      unit_available: Number(property.unit_available || 0) + 1,
+      active: true,
+    }),
+  ]);
+  await invalidate('rooms', 'properties', `room:${booking.room_id}`, `property:${booking.property_id}`);
+};
+
+/**
+ * transitionBooking(booking, status, { user, party, by, note, traceId }) -> the updated booking
+ * Checks the move (assertTransition), records it and applies its side effects.
+ * `by` names the actor when there is no user (default: user.userId).
+ */
+export const transitionBooking = async (booking, status, { user, party, by = user?.userId, note, traceId } = {}) => {
+  const role = assertTransition(booking, status, user, { party });
+  const from = bookingStatus(booking);
+  const at = new Date().toISOString();
+
+  const update = {
+    status,
+    [`${status}_at`]: at,
+    status_history: [
+      ...(booking.status_history || []),
+      { status, from, at, by, role, ...(note ? { note } : {}), traceId },
+    ],
+    updated_by: by,
+    updated_at: at,
+  };
+
+  const leaving = RELEASED_STATUSES.includes(status);
+  if (leaving) update.active = false;
+  if (status === 'confirmed' || status === 'checked_in') update.active = true;
+  // an early check-out frees the rest of the stay
+  const day = at.slice(0, 10);
+  if (status === 'checked_out' && booking.end_date && booking.end_date > day) {
+    update.booked_end_date = booking.end_date;
+    update.end_date = day;
+  }
+
+  const col = await getCollection('bookings');
+  await col.patch(booking._id, update);
+
+  if (leaving && !booking.period && !booking.room_released) {
+    try {
+      await releaseLegacyRoom(booking);
+      await col.patch(booking._id, { room_released: true });
+      update.room_released = true;
+    } catch (err) {
+      log.error('room release failed', { bookingId: booking.booking_id, roomId: booking.room_id, err });
+    }
+  }
+
+  log.info('booking transition', { bookingId: booking.booking_id, from, to: status, by, role });
+  return { ...booking, ...update };
+};
@@ -0,0 +1,319 @@
+import QRCode from 'qrcode';
+import { getCollection } from './astra.js';
+import { initR2 } from './r2.js';
+import { redis } from './redis.js';
+import { claimRecord, unpinClaim } from './paymentClaims.js';
+import { recordSplit } from './payouts.js';
+import { htmlToPdfBuffer } from '../utils/pdf.js';
+import { logger } from '../utils/logger.js';
+
+// Booking creation saga.
+//
+// POST /bookings writes to two collections, the payment claim and R2, which
+// share no transaction. Each booking runs as a saga whose step log is kept in
+// `booking_sagas/<booking_id>` and written before and after every step:
+//
+//   booking  insert the booking                      undo: delete it
+//   payment  mark the reference used (the pivot)     undo: drop a pin left without a record
+//   split    record the landlord / platform shares   retried, never undone
+//   receipt  render and upload the receipt PDF       retried, never undone
+//
+// A step that fails before the pivot undoes the earlier ones in reverse
+// (ROLLED_BACK) and the payment can be used again. Past the pivot the booking
+// stands and the saga only moves forward. CEO bookings have no payment and
+// no split; storing the booking is their pivot.
+//
+// runBookingSaga() runs up to the pivot, under the caller's room lock;
+// finishBookingSaga() runs the rest once the lock is released, so a slow
+// receipt render cannot outlive the lock.
+//
+// After a crash a saga stays RUNNING (or ROLLING_BACK). Each worker runs
+// recoverBookingSagas() every BOOKING_SAGA_RECOVERY_MIN: sagas idle for
+// BOOKING_SAGA_STALE_MIN are finished when past the pivot and rolled back
+// otherwise. One that still cannot finish after BOOKING_SAGA_MAX_ATTEMPTS
+// is marked FAILED for staff.
+
+export const BOOKING_SAGAS_COLLECTION = 'booking_sagas';
+
+const RECOVERY_MIN = Number(process.env.BOOKING_SAGA_RECOVERY_MIN ?? 5);
+const STALE_MIN = Number(process.env.BOOKING_SAGA_STALE_MIN || 10);
+const MAX_ATTEMPTS = Number(process.env.BOOKING_SAGA_MAX_ATTEMPTS || 5);
+const LOCK_KEY = 'booking:saga:recovery';
+const LOCK_TTL_SEC = 10 * 60;
+
+const log = logger.child({ module: 'bookingSaga' });
+
+export class BookingSagaError extends Error {
+  constructor(code, message, status = 500) {
+    super(message);
+    this.name = 'BookingSagaError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const rowsOf = (res) => Object.entries(res?.data || {});
+
+const findRoom = async (roomId) => {
+  const col = await getCollection('rooms');
+  return rowsOf(await col.find({ room_id: { $eq: roomId } }))[0]?.[1] || null;
+};
+
+// run(saga, live) returns fields for saga.context; `live` (the request's
+// booking, room and claim) is null when the recovery job resumes a saga.
+const STEPS = {
+  booking: {
+    async run(saga, live) {
+      const col = await getCollection('bookings');
+      await col.post(live.booking);
+    },
+    async undo(saga) {
+      const col = await getCollection('bookings');
+      const rows = rowsOf(await col.find({ booking_id: { $eq: saga.booking_id } }));
+      await Promise.all(rows.map(([docId, row]) => col.delete(row._id || docId)));
+    },
+  },
+  payment: {
+    async run(saga, live) {
+      await live.claim.finalize({ ...live.claimDetails, linked_booking_id: saga.booking_id });
+    },
+    // finalize() died midway: spent only if the durable record names this booking
+    async settled(saga) {
+      const record = await claimRecord(saga.payment_reference);
+      return record?.linked_booking_id === saga.booking_id;
+    },
+    async undo(saga) {
+      await unpinClaim(saga.payment_reference);
+    },
+  },
+  split: {
+    async run(saga, live) {
+      const { booking, split, payment } = saga.context.split_input;
+      const room = live?.room || await findRoom(saga.room_id);
+      const record = await recordSplit({ reference: saga.payment_reference, booking, room, split, paymentData: payment });
+      if (!record) throw new Error('split record write failed');
+    },
+  },
+  receipt: {
+    async run(saga) {
+      const verifyUrl = `https://housika.co.ke/verify-receipt/${saga.context.receipt_id}`;
+      const qrDataUrl = await QRCode.toDataURL(verifyUrl);
+      const pdfBuffer = await htmlToPdfBuffer(`<!doctype html><html><body><h1>Receipt</h1><p>Booking receipt for ${saga.context.tenant_name}</p><img src="${qrDataUrl}" /></body></html>`);
+      const r2 = await initR2();
+      const key = `receipts/${saga.context.receipt_id}.pdf`;
+      await r2.uploadFile(key, pdfBuffer, 'application/pdf');
+      const receiptUrl = r2.generatePublicUrl(key);
+
+      const col = await getCollection('bookings');
+      const [docId, row] = rowsOf(await col.find({ booking_id: { $eq: saga.booking_id } }))[0] || [];
+      if (!row) throw new Error('booking not found for its receipt');
+      await col.patch(row._id || docId, { receipt_url: receiptUrl, receipt_sent: true });
+      return { receipt_key: key, receipt_url: receiptUrl };
+    },
+  },
+};
+
+const save = async (saga) => {
+  saga.updated_at = new Date().toISOString();
+  const col = await getCollection(BOOKING_SAGAS_COLLECTION);
+  await col.put(saga.saga_id, saga);
+};
+
+const pastPivot = (saga) => saga.steps.some((step) => step.name === saga.pivot && step.status === 'DONE');
+
+const rollback = async (saga) => {
+  saga.status = 'ROLLING_BACK';
+  await save(saga).catch((err) => log.error('saga log write failed', { sagaId: saga.saga_id, err }));
+
+  let failed = false;
+  for (const step of [...saga.steps].reverse()) {
+    if (step.status === 'PENDING' || step.status === 'UNDONE' || !STEPS[step.name].undo) continue;
+    try {
+      await STEPS[step.name].undo(saga);
+      step.status = 'UNDONE';
+      step.undone_at = new Date().toISOString();
+    } catch (err) {
+      failed = true;
+      step.undo_error = err.message;
+      log.error('saga undo failed', { sagaId: saga.saga_id, step: step.name, err });
+    }
+  }
+
+  // an undo that failed is retried by the recovery job
+  if (!failed) saga.status = 'ROLLED_BACK';
+  else if (saga.attempts >= MAX_ATTEMPTS) saga.status = 'FAILED';
+  await save(saga).catch((err) => log.error('saga log write failed', { sagaId: saga.saga_id, err }));
+  log.warn('booking saga rolled back', { sagaId: saga.saga_id, status: saga.status });
+  return saga;
+};
+
+// Runs the steps not done yet (with `toPivot`, up to the pivot); a failure
+// rolls back before the pivot and leaves the saga RUNNING (for the recovery
+// job) after it
+const execute = async (saga, live, { toPivot = false } = {}) => {
+  for (const step of saga.steps) {
+    if (step.status === 'DONE') continue;
+    try {
+      step.status = 'STARTED';
+      step.started_at = new Date().toISOString();
+      await save(saga);
+      Object.assign(saga.context, await STEPS[step.name].run(saga, live));
+      step.status = 'DONE';
+      step.done_at = new Date().toISOString();
+      delete step.error;
+      await save(saga);
+      if (toPivot && step.name === saga.pivot) return saga;
+    } catch (err) {
+      log.error('saga step failed', { sagaId: saga.saga_id, step: step.name, err });
+      // a step that ran but could not be logged stays done
+      if (step.status !== 'DONE') Object.assign(step, { status: 'FAILED', error: err.message });
+      if (!pastPivot(saga)) {
+        await rollback(saga);
+        throw new BookingSagaError(
+          'BOOKING_CREATION_FAILED',
+          'The booking could not be completed and was undone; the payment can be used again.'
+        );
+      }
+      if (saga.attempts >= MAX_ATTEMPTS) saga.status = 'FAILED';
+      await save(saga).catch((e) => log.error('saga log write failed', { sagaId: saga.saga_id, err: e }));
+      return saga;
+    }
+  }
+  saga.status = 'COMPLETED';
+  await save(saga).catch((err) => log.error('saga log write failed', { sagaId: saga.saga_id, err }));
+  return saga;
+};
+
+/**
+ * runBookingSaga({ booking, room, claim, claimDetails, paymentData, split, tenantName, traceId })
+ * -> { saga, booking }
+ * Stores the booking and spends the payment claim (the pivot), logging each
+ * step; call it under the room lock, then finishBookingSaga() without it.
+ * `claim` is null for CEO bookings. Throws BookingSagaError 500
+ * BOOKING_CREATION_FAILED once the steps before the pivot are undone.
+ */
+export const runBookingSaga = async ({ booking, room, claim, claimDetails, paymentData, split, tenantName, traceId }) => {
+  const now = new Date().toISOString();
+  const names = claim ? ['booking', 'payment', 'split', 'receipt'] : ['booking', 'receipt'];
+  const saga = {
+    saga_id: booking.booking_id,
+    booking_id: booking.booking_id,
+    room_id: booking.room_id,
+    payment_reference: claim ? booking.payment_reference : null,
+    pivot: claim ? 'payment' : 'booking',
+    status: 'RUNNING',
+    steps: names.map((name) => ({ name, status: 'PENDING' })),
+    context: {
+      receipt_id: booking.receipt_id,
+      tenant_name: tenantName,
+      // what the split step needs when the recovery job runs it
+      ...(claim ? {
+        split_input: {
+          booking: {
+            booking_id: booking.booking_id,
+            room_id: booking.room_id,
+            property_id: booking.property_id,
+            landlord_id: booking.landlord_id,
+            currency: booking.currency,
+          },
+          split: split || null,
+          payment: {
+            amount: paymentData.amount,
+            currency: paymentData.currency,
+            provider: paymentData.provider,
+            fees: paymentData.fees,
+            paid_at: paymentData.paid_at || paymentData.paidAt || null,
+          },
+        },
+      } : {}),
+    },
+    attempts: 1,
+    created_at: now,
+    updated_at: now,
+    traceId,
+  };
+
+  // nothing has happened yet if the log cannot be written
+  await save(saga);
+  await execute(saga, { booking, room, claim, claimDetails }, { toPivot: true });
+  return { saga, booking };
+};
+
+/**
+ * finishBookingSaga(saga, { room }) -> { saga, receipt_url }
+ * Runs the steps after the pivot: the split and the receipt. Never throws;
+ * a step that fails is left for the recovery job and `receipt_url` is null
+ * until the receipt is done.
+ */
+export const finishBookingSaga = async (saga, { room } = {}) => {
+  await execute(saga, { room });
+  return { saga, receipt_url: saga.context.receipt_url || null };
+};
+
+// Picks up a saga its process left behind
+const resume = async (saga) => {
+  saga.attempts = (saga.attempts || 1) + 1;
+  if (saga.status === 'ROLLING_BACK') return rollback(saga);
+
+  const payment = saga.steps.find((step) => step.name === 'payment');
+  if (payment && ['STARTED', 'FAILED'].includes(payment.status) && await STEPS.payment.settled(saga)) {
+    payment.status = 'DONE';
+    payment.done_at = new Date().toISOString();
+  }
+  if (!pastPivot(saga) && !saga.steps.every((step) => step.status === 'DONE')) return rollback(saga);
+  return execute(saga, null);
+};
+
+/**
+ * recoverBookingSagas({ staleMin }) -> { checked, completed, rolled_back, pending, failed } or null
+ * Finishes or rolls back the sagas idle for `staleMin` minutes (default
+ * BOOKING_SAGA_STALE_MIN). One run at a time across instances (Redis lock);
+ * null when another run holds it.
+ */
+export const recoverBookingSagas = async ({ staleMin = STALE_MIN } = {}) => {
+  const acquired = await redis.set(LOCK_KEY, new Date().toISOString(), { nx: true, ex: LOCK_TTL_SEC });
+  if (!acquired) return null;
+
+  const summary = { checked: 0, completed: 0, rolled_back: 0, pending: 0, failed: 0 };
+  try {
+    const cutoff = new Date(Date.now() - staleMin * 60 * 1000).toISOString();
+    const col = await getCollection(BOOKING_SAGAS_COLLECTION);
+    const stuck = col.findAll({ status: { $in: ['RUNNING', 'ROLLING_BACK'] }, updated_at: { $lt: cutoff } });
+    for await (const saga of stuck) {
+      summary.checked += 1;
+      try {
+        const after = await resume(saga);
+        if (after.status === 'COMPLETED') summary.completed += 1;
+        else if (after.status === 'ROLLED_BACK') summary.rolled_back += 1;
+        else if (after.status === 'FAILED') summary.failed += 1;
+        else summary.pending += 1;
+      } catch (err) {
+        log.error('saga recovery failed', { sagaId: saga.saga_id, err });
+        summary.pending += 1;
+      }
+    }
+    if (summary.checked) log.info('booking sagas recovered', summary);
+    return summary;
+  } finally {
+    await redis.del(LOCK_KEY).catch(() => {});
+  }
+};
+
+/**
+ * startBookingSagaRecovery() -> timer or null
+ * Runs recoverBookingSagas() every BOOKING_SAGA_RECOVERY_MIN (0 turns it off).
+ */
+export const startBookingSagaRecovery = () => {
+  if (!(RECOVERY_MIN > 0)) return null;
+  const tick = async () => {
+    try {
+      await recoverBookingSagas();
+    } catch (err) {
+      log.error('booking saga recovery failed', { err });
+    }
+  };
+  const timer = setInterval(tick, RECOVERY_MIN * 60 * 1000);
+  timer.unref();
+  log.info('booking saga recovery scheduled', { everyMinutes: RECOVERY_MIN, staleMinutes: STALE_MIN });
+  return timer;
+};
@@ -0,0 +1,192 @@
+import { redis } from './redis.js';
+import { logger } from '../utils/logger.js';
+
+// Shared response cache: Redis first, a per-worker Map as fallback.
+//
+// Entries carry tags (`properties`, `property:<id>`, `rooms`, ...). Write
+// handlers call invalidate(...tags) so readers never wait for a TTL to see
+// their change. Redis keeps one set per tag listing the keys that use it.
+//
+// The in-memory copy is only served while Redis is failing: after a Redis
+// miss it could be stale, since invalidations from other workers never
+// reach this worker's Map.
+
+const CACHE_KEY_PREFIX = process.env.CACHE_KEY_PREFIX || 'cache';
+const DEFAULT_TTL_SEC = Number(process.env.CACHE_TTL_SEC || 30);
+const INMEM_MAX = Number(process.env.CACHE_INMEM_MAX || 1000);
+
+const mem = new Map(); // key -> { exp, value, tags }
+const memTags = new Map(); // tag -> Set(key)
+
+const stats = {
+  hits: { redis: 0, memory: 0 },
+  misses: 0,
+  sets: 0,
+  invalidations: 0,
+  errors: 0,
+  namespaces: {}, // namespace -> { hits, misses }
+};
+
+const tagKey = (tag) => `${CACHE_KEY_PREFIX}:tag:${tag}`;
+
+// cache:<namespace>:... -> namespace, for per-namespace stats
+const namespaceOf = (key) => key.slice(CACHE_KEY_PREFIX.length + 1).split(':')[0] || 'default';
+
+const record = (key, outcome) => {
+  const ns = (stats.namespaces[namespaceOf(key)] ||= { hits: 0, misses: 0 });
+  if (outcome === 'miss') {
+    stats.misses += 1;
+    ns.misses += 1;
+  } else {
+    stats.hits[outcome] += 1;
+    ns.hits += 1;
+  }
+};
+
+const warn = (op, err) => {
+  stats.errors += 1;
+  logger.warn('cache error', { op, err });
+};
+
+// --- in-memory layer ---
+const memDelete = (key) => {
+  const entry = mem.get(key);
+  if (!entry) return;
+  mem.delete(key);
+  for (const tag of entry.tags) memTags.get(tag)?.delete(key);
+};
+
+const memGet = (key) => {
+  const entry = mem.get(key);
+  if (!entry) return undefined;
+  if (Date.now() > entry.exp) {
+    memDelete(key);
+    return undefined;
+  }
+  return entry.value;
+};
+
+const memSet = (key, value, ttlSec, tags) => {
+  memDelete(key);
+  mem.set(key, { exp: Date.now() + ttlSec * 1000, value, tags });
+  for (const tag of tags) {
+    if (!memTags.has(tag)) memTags.set(tag, new Set());
+    memTags.get(tag).add(key);
+  }
+  // Map keeps insertion order, so the first keys are the oldest
+  for (const oldest of mem.keys()) {
+    if (mem.size <= INMEM_MAX) break;
+    memDelete(oldest);
+  }
+};
+
+/**
+ * cacheKey('properties', page, limit) -> 'cache:properties:1:12'
+ * The first part is the namespace reported by cacheStats().
+ */
+export const cacheKey = (...parts) => [CACHE_KEY_PREFIX, ...parts.map((p) => (p == null ? '' : String(p)))].join(':');
+
+/**
+ * cacheGet(key) -> { value, source: 'redis' | 'memory' } or null on a miss.
+ */
+export const cacheGet = async (key) => {
+  try {
+    const raw = await redis.get(key);
+    if (raw == null) {
+      record(key, 'miss');
+      return null;
+    }
+    record(key, 'redis');
+    return { value: raw, source: 'redis' }; // the client deserializes JSON itself
+  } catch (err) {
+    warn('get', err);
+  }
+
+  const value = memGet(key);
+  if (value === undefined) {
+    record(key, 'miss');
+    return null;
+  }
+  record(key, 'memory');
+  return { value, source: 'memory' };
+};
+
+/**
+ * cacheSet(key, value, { ttl, tags }) stores the value in both layers.
+ */
+export const cacheSet = async (key, value, { ttl = DEFAULT_TTL_SEC, tags = [] } = {}) => {
+  stats.sets += 1;
+  memSet(key, value, ttl, tags);
+  try {
+    await redis.set(key, value, { ex: ttl });
+    await Promise.all(tags.map(async (tag) => {
+      await redis.sadd(tagKey(tag), key);
+      // a tag set only needs to outlive the entries it lists
+      await redis.expire(tagKey(tag), Math.max(ttl, DEFAULT_TTL_SEC));
+    }));
+  } catch (err) {
+    warn('set', err);
+  }
+};
+
+/**
+ * remember(key, { ttl, tags }, load) -> { value, source }
+ * Read-through: returns the cached value, or runs load() and caches what it
+ * returns (unless undefined). source is 'redis', 'memory' or 'miss'.
+ * Errors thrown by load() propagate and nothing is cached.
+ */
+export const remember = async (key, options, load) => {
+  const hit = await cacheGet(key);
+  if (hit) return hit;
+  const value = await load();
+  if (value !== undefined) await cacheSet(key, value, options);
+  return { value, source: 'miss' };
+};
+
+/**
+ * invalidate(...tags) drops every entry carrying any of the tags.
+ * Falsy tags are ignored, so callers can pass optional ids directly.
+ */
+export const invalidate = async (...tags) => {
+  const list = [...new Set(tags.filter(Boolean))];
+  if (!list.length) return;
+  stats.invalidations += 1;
+
+  for (const tag of list) {
+    for (const key of memTags.get(tag) || []) memDelete(key);
+    memTags.delete(tag);
+  }
+
+  try {
+    await Promise.all(list.map(async (tag) => {
+      const keys = await redis.smembers(tagKey(tag));
+      await redis.del(tagKey(tag), ...(keys || []));
+    }));
+  } catch (err) {
+    warn('invalidate', err);
+  }
+};
+
+/**
+ * xCache(source) -> value for the X-Cache response header.
+ */
+export const xCache = (source) => ({ redis: 'HIT-REDIS', memory: 'HIT-MEM' }[source] || 'MISS');
+
+/**
+ * cacheStats() -> hit/miss counters for this worker since start.
+ */
+export const cacheStats = () => {
+  const hits = stats.hits.redis + stats.hits.memory;
+  const lookups = hits + stats.misses;
+  return {
+    hits,
+    misses: stats.misses,
+    hitRate: lookups ? Number((hits / lookups).toFixed(4)) : null,
+    byLayer: { ...stats.hits },
+    sets: stats.sets,
+    invalidations: stats.invalidations,
+    errors: stats.errors,
+    memoryEntries: mem.size,
+    namespaces: structuredClone(stats.namespaces),
+  };
+};
@@ -0,0 +1,150 @@
+// Astra DB Document REST v2 driver.
+//
+// The Document API pages at most 20 documents per request and cannot sort,
+// so find() follows page-state for offsets and larger limits, and sorted
+// reads scan every match (up to ASTRA_SCAN_MAX_DOCS) before slicing.
+import {
+  normalizeFindOptions,
+  sortDocuments,
+  projectDocument,
+  fieldsForBackend,
+} from './query.js';
+import { logger, traceHeaders } from '../../utils/logger.js';
+
+const MAX_PAGE_SIZE = 20;
+
+const withIds = (res) => {
+  if (!res?.data || typeof res.data !== 'object' || Array.isArray(res.data)) return res;
+  const data = {};
+  for (const [id, doc] of Object.entries(res.data)) {
+    data[id] = doc && typeof doc === 'object' && !doc._id ? { _id: id, ...doc } : doc;
+  }
+  return { ...res, data };
+};
+
+export function createAstraDriver(env = process.env) {
+  const {
+    ASTRA_DB_ID,
+    ASTRA_DB_REGION,
+    ASTRA_DB_APPLICATION_TOKEN,
+    ASTRA_DB_NAMESPACE = 'default_keyspace',
+    ASTRA_SCAN_MAX_DOCS = '10000',
+  } = env;
+  const scanMax = Math.max(Number(ASTRA_SCAN_MAX_DOCS) || 10000, MAX_PAGE_SIZE);
+
+  const basePath = `https://${ASTRA_DB_ID}-${ASTRA_DB_REGION}.apps.astra.datastax.com/api/rest/v2/namespaces/${ASTRA_DB_NAMESPACE}/collections`;
+  const headers = {
+    'X-Cassandra-Token': ASTRA_DB_APPLICATION_TOKEN,
+    'Content-Type': 'application/json',
+  };
+
+  // DELETE answers 204 with no body; treat empty bodies as {}.
+  const request = (url, init) => fetch(url, { ...init, headers: { ...headers, ...traceHeaders() } })
+    .then(r => r.text())
+    .then(text => (text ? JSON.parse(text) : {}));
+
+  const ready = async () => {
+    if (!ASTRA_DB_ID || !ASTRA_DB_REGION || !ASTRA_DB_APPLICATION_TOKEN) {
+      throw new Error('Missing Astra DB credentials.');
+    }
+    try {
+      const res = await fetch(basePath, { method: 'GET', headers });
+      if (!res.ok) throw new Error(`Status ${res.status}`);
+    } catch (err) {
+      throw new Error(`Setup failed: ${err.message}`);
+    }
+  };
+
+  const fetchPage = (url, query, { pageSize = MAX_PAGE_SIZE, pageState, fields } = {}) => {
+    const u = new URL(url);
+    u.searchParams.append('where', JSON.stringify(query || {}));
+    u.searchParams.append('page-size', String(Math.min(Math.max(pageSize, 1), MAX_PAGE_SIZE)));
+    if (pageState) u.searchParams.append('page-state', pageState);
+    if (fields?.length) u.searchParams.append('fields', JSON.stringify(fields));
+    return request(u.toString(), { method: 'GET' }).then(withIds);
+  };
+
+  // Yields [id, doc] pairs across pages until the cursor runs out.
+  async function* scan(url, query, fields) {
+    let pageState = null;
+    let seen = 0;
+    do {
+      const res = await fetchPage(url, query, { pageState, fields });
+      for (const entry of Object.entries(res?.data || {})) {
+        if (seen++ >= scanMax) {
+          logger.warn('astra scan truncated', { url, scanMax });
+          return;
+        }
+        yield entry;
+      }
+      pageState = res?.pageState || null;
+    } while (pageState);
+  }
+
+  const collectSorted = async (url, query, opts) => {
+    const rows = [];
+    for await (const entry of scan(url, query, fieldsForBackend(opts))) rows.push(entry);
+    return sortDocuments(rows, opts.sort, ([, doc]) => doc);
+  };
+
+  const find = async (url, query, options) => {
+    const opts = normalizeFindOptions(options);
+    const { limit, offset, pageState, sort, projection } = opts;
+    const fields = fieldsForBackend(opts);
+    const project = (rows) => {
+      const data = {};
+      for (const [id, doc] of rows) data[id] = projectDocument(doc, projection);
+      return data;
+    };
+
+    if (sort.length) {
+      const rows = await collectSorted(url, query, opts);
+      const end = limit ? offset + limit : rows.length;
+      return { data: project(rows.slice(offset, end)), total: rows.length };
+    }
+
+    // Cursor paging maps straight onto one Astra request.
+    if (pageState || (!offset && limit && limit <= MAX_PAGE_SIZE)) {
+      const res = await fetchPage(url, query, { pageSize: limit || MAX_PAGE_SIZE, pageState, fields });
+      if (!res?.data) return res;
+      return {
+        data: project(Object.entries(res.data)),
+        ...(res.pageState ? { pageState: res.pageState } : {}),
+      };
+    }
+
+    const rows = [];
+    let skipped = 0;
+    let exhausted = true;
+    for await (const entry of scan(url, query, fields)) {
+      if (skipped < offset) { skipped++; continue; }
+      if (limit && rows.length >= limit) { exhausted = false; break; }
+      rows.push(entry);
+    }
+    return { data: project(rows), ...(exhausted ? { total: skipped + rows.length } : {}) };
+  };
+
+  const collection = (name) => {
+    const url = `${basePath}/${name}`;
+    return {
+      get: (id) => request(`${url}/${id}`, { method: 'GET' }),
+      post: (data) => request(url, { method: 'POST', body: JSON.stringify(data) }),
+      put: (id, data) => request(`${url}/${id}`, { method: 'PUT', body: JSON.stringify(data) }),
+      patch: (id, data) => request(`${url}/${id}`, { method: 'PATCH', body: JSON.stringify(data) }),
+      delete: (id) => request(`${url}/${id}`, { method: 'DELETE' }),
+      find: (query, options) => find(url, query, options),
+      findAll: async function* (query, options) {
+        const opts = normalizeFindOptions(options);
+        const rows = opts.sort.length ? await collectSorted(url, query, opts) : scan(url, query, fieldsForBackend(opts));
+        for await (const [, doc] of rows) yield projectDocument(doc, opts.projection);
+      },
+      count: async (query) => {
+        let total = 0;
+        for await (const _ of scan(url, query)) total++;
+        return total;
+      },
+    };
+  };
+
+  return { name: 'astra', ready, collection };
+}
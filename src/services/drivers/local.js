@@ -0,0 +1,126 @@
+// Local document store for development, demos and integration tests.
+// Collections live in memory; set LOCAL_DB_PATH to persist them to a JSON
+// file (reloaded when another worker rewrites it). Responses mirror the
+// Astra REST v2 shapes so handlers do not need to know which driver runs.
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import {
+  matchesQuery,
+  normalizeFindOptions,
+  sortDocuments,
+  projectDocument,
+} from './query.js';
+
+const clone = (v) => (v == null ? v : structuredClone(v));
+
+// Page states are opaque to callers; locally they just carry the next offset.
+const encodePageState = (offset) => Buffer.from(JSON.stringify({ offset })).toString('base64url');
+const decodePageState = (state) => {
+  try {
+    const { offset } = JSON.parse(Buffer.from(String(state), 'base64url').toString('utf8'));
+    return Number.isInteger(offset) && offset >= 0 ? offset : 0;
+  } catch {
+    return 0;
+  }
+};
+
+export function createLocalDriver(env = process.env) {
+  const file = env.LOCAL_DB_PATH ? path.resolve(env.LOCAL_DB_PATH) : null;
+  let store = {}; // collection -> { documentId: doc }
+  let loadedMtime = 0;
+
+  const load = () => {
+    if (!file) return;
+    try {
+      const { mtimeMs } = fs.statSync(file);
+      if (mtimeMs === loadedMtime) return;
+      const raw = fs.readFileSync(file, 'utf8');
+      store = raw.trim() ? JSON.parse(raw) : {};
+      loadedMtime = mtimeMs;
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw new Error(`Local store unreadable: ${err.message}`);
+    }
+  };
+
+  const persist = () => {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(store, null, 2));
+    fs.renameSync(tmp, file);
+    loadedMtime = fs.statSync(file).mtimeMs;
+  };
+
+  const docsOf = (name) => {
+    load();
+    if (!store[name]) store[name] = {};
+    return store[name];
+  };
+
+  const ready = async () => {
+    load();
+  };
+
+  // Matching [id, doc] pairs in the requested order.
+  const matching = (name, query, sort) => {
+    const rows = [];
+    for (const [id, doc] of Object.entries(docsOf(name))) {
+      const withId = doc._id ? doc : { _id: id, ...doc };
+      if (matchesQuery(withId, query)) rows.push([id, withId]);
+    }
+    return sortDocuments(rows, sort, ([, doc]) => doc);
+  };
+
+  const collection = (name) => ({
+    get: async (id) => {
+      const doc = docsOf(name)[id];
+      return doc
+        ? { documentId: id, data: clone(doc) }
+        : { code: 404, description: `A document with the id ${id} does not exist.` };
+    },
+    post: async (data) => {
+      const docs = docsOf(name);
+      const id = typeof data?._id === 'string' && data._id ? data._id : crypto.randomUUID();
+      docs[id] = clone(data);
+      persist();
+      return { documentId: id };
+    },
+    put: async (id, data) => {
+      docsOf(name)[id] = clone(data);
+      persist();
+      return { documentId: id };
+    },
+    patch: async (id, data) => {
+      const docs = docsOf(name);
+      docs[id] = { ...(docs[id] || {}), ...clone(data) };
+      persist();
+      return { documentId: id };
+    },
+    delete: async (id) => {
+      delete docsOf(name)[id];
+      persist();
+      return {};
+    },
+    find: async (query, options) => {
+      const { limit, offset, pageState, sort, projection } = normalizeFindOptions(options);
+      const rows = matching(name, query, sort);
+      const start = pageState ? decodePageState(pageState) : offset;
+      const end = limit ? start + limit : rows.length;
+      const data = {};
+      for (const [id, doc] of rows.slice(start, end)) data[id] = projectDocument(clone(doc), projection);
+      return {
+        data,
+        total: rows.length,
+        ...(end < rows.length ? { pageState: encodePageState(end) } : {}),
+      };
+    },
+    findAll: async function* (query, options) {
+      const { sort, projection } = normalizeFindOptions(options);
+      for (const [, doc] of matching(name, query, sort)) yield projectDocument(clone(doc), projection);
+    },
+    count: async (query) => matching(name, query, []).length,
+  });
+
+  return { name: 'local', ready, collection };
+}
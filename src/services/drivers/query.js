@@ -0,0 +1,208 @@
+// Evaluates the Astra document `where` dialect used by the route handlers
+// ($eq/$ne/$gt/$gte/$lt/$lte/$in/$nin/$exists/$contains/$regex, $or/$and,
+// bare values for equality and dotted paths into nested objects/arrays),
+// plus the find() options (paging, sort, projection) shared by the drivers.
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+const isOperatorObject = (v) => isPlainObject(v) && Object.keys(v).some((k) => k.startsWith('$'));
+
+// Resolve a dotted path; arrays along the way fan out to every element.
+const resolvePath = (doc, path) => {
+  let values = [doc];
+  for (const part of path.split('.')) {
+    const next = [];
+    for (const v of values) {
+      if (Array.isArray(v)) {
+        for (const item of v) if (isPlainObject(item) && part in item) next.push(item[part]);
+      } else if (isPlainObject(v) && part in v) {
+        next.push(v[part]);
+      }
+    }
+    values = next;
+  }
+  return values;
+};
+
+// An array field matches when the array itself or any of its elements matches.
+const candidates = (values) => values.flatMap((v) => (Array.isArray(v) ? [v, ...v] : [v]));
+
+const sameValue = (a, b) => {
+  if (a === b) return true;
+  if (a == null || b == null) return false;
+  if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+  return false;
+};
+
+const compare = (a, b) => {
+  if (a == null || b == null) return null;
+  const na = typeof a === 'number' ? a : Number(a);
+  const nb = typeof b === 'number' ? b : Number(b);
+  if ((typeof a === 'number' || typeof b === 'number') && Number.isFinite(na) && Number.isFinite(nb)) {
+    return na - nb;
+  }
+  const sa = String(a);
+  const sb = String(b);
+  return sa < sb ? -1 : sa > sb ? 1 : 0;
+};
+
+const toRegExp = (pattern, options = '') => {
+  if (pattern instanceof RegExp) return pattern;
+  try {
+    return new RegExp(String(pattern), String(options).replace(/[^imsu]/g, ''));
+  } catch {
+    return null;
+  }
+};
+
+const matchOperator = (values, op, arg, ops) => {
+  const list = candidates(values);
+  switch (op) {
+    case '$eq':
+      return list.some((v) => sameValue(v, arg));
+    case '$ne':
+      return !list.some((v) => sameValue(v, arg));
+    case '$gt':
+      return list.some((v) => compare(v, arg) > 0);
+    case '$gte':
+      return list.some((v) => compare(v, arg) >= 0);
+    case '$lt':
+      return list.some((v) => { const r = compare(v, arg); return r !== null && r < 0; });
+    case '$lte':
+      return list.some((v) => { const r = compare(v, arg); return r !== null && r <= 0; });
+    case '$in':
+      return Array.isArray(arg) && list.some((v) => arg.some((a) => sameValue(v, a)));
+    case '$nin':
+      return !Array.isArray(arg) || !list.some((v) => arg.some((a) => sameValue(v, a)));
+    case '$exists':
+      return Boolean(arg) === values.some((v) => v !== undefined);
+    case '$contains':
+      return values.some((v) => (
+        Array.isArray(v)
+          ? v.some((item) => sameValue(item, arg))
+          : typeof v === 'string' && v.toLowerCase().includes(String(arg).toLowerCase())
+      ));
+    case '$regex': {
+      const re = toRegExp(arg, ops.$options);
+      return !!re && list.some((v) => typeof v === 'string' && re.test(v));
+    }
+    case '$options':
+      return true;
+    default:
+      throw new Error(`Unsupported query operator: ${op}`);
+  }
+};
+
+const matchField = (doc, path, condition) => {
+  const values = resolvePath(doc, path);
+  if (!isOperatorObject(condition)) return candidates(values).some((v) => sameValue(v, condition));
+  return Object.entries(condition).every(([op, arg]) => matchOperator(values, op, arg, condition));
+};
+
+export const matchesQuery = (doc, query = {}) => {
+  if (!query || typeof query !== 'object') return true;
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === '$or') return Array.isArray(condition) && condition.some((q) => matchesQuery(doc, q));
+    if (key === '$and') return Array.isArray(condition) && condition.every((q) => matchesQuery(doc, q));
+    return matchField(doc, key, condition);
+  });
+};
+
+// --- find() options -------------------------------------------------------
+// Handlers pass a mix of shapes ({ limit, offset }, { skip }, { page, pageSize },
+// { fields: [...] }, { projection: { a: 1 } | { a: 0 } }, { sort: { a: -1 } }).
+
+const toCount = (v) => {
+  const n = Number(v);
+  return v != null && v !== '' && Number.isFinite(n) && n >= 0 ? Math.floor(n) : null;
+};
+
+const normalizeSort = (sort) => {
+  if (!sort) return [];
+  if (typeof sort === 'string') {
+    return sort.split(',').map((s) => s.trim()).filter(Boolean)
+      .map((s) => (s.startsWith('-') ? [s.slice(1), -1] : [s, 1]));
+  }
+  if (typeof sort !== 'object') return [];
+  return Object.entries(sort).map(([field, dir]) => {
+    const d = String(dir).toLowerCase();
+    return [field, d === '-1' || d === 'desc' || d === 'descending' ? -1 : 1];
+  });
+};
+
+const normalizeProjection = (fields, projection) => {
+  if (Array.isArray(fields) && fields.length) return { include: fields.map(String), exclude: [] };
+  if (!isPlainObject(projection)) return null;
+  const include = [];
+  const exclude = [];
+  for (const [field, flag] of Object.entries(projection)) (flag ? include : exclude).push(field);
+  if (!include.length && !exclude.length) return null;
+  return { include, exclude: include.length ? exclude.filter((f) => f === '_id') : exclude };
+};
+
+export const normalizeFindOptions = (options) => {
+  const o = isPlainObject(options) ? options : {};
+  const limit = toCount(o.limit ?? o.pageSize ?? o['page-size']);
+  const page = toCount(o.page);
+  let offset = toCount(o.offset ?? o.skip);
+  if (offset == null && page && limit) offset = (page - 1) * limit;
+  return {
+    limit: limit || null,
+    offset: offset || 0,
+    pageState: o.pageState || o['page-state'] || null,
+    sort: normalizeSort(o.sort),
+    projection: normalizeProjection(o.fields, o.projection),
+  };
+};
+
+const firstValue = (doc, path) => resolvePath(doc, path)[0];
+
+export const sortDocuments = (docs, sort, getDoc = (d) => d) => {
+  if (!sort?.length) return docs;
+  return docs
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => {
+      for (const [field, dir] of sort) {
+        const va = firstValue(getDoc(a.item), field);
+        const vb = firstValue(getDoc(b.item), field);
+        if (va == null && vb == null) continue;
+        if (va == null) return 1; // missing values sort last either way
+        if (vb == null) return -1;
+        const r = compare(va, vb);
+        if (r) return r * dir;
+      }
+      return a.index - b.index;
+    })
+    .map(({ item }) => item);
+};
+
+const pick = (doc, path) => {
+  const [head, ...rest] = path.split('.');
+  if (!isPlainObject(doc) || !(head in doc)) return undefined;
+  if (!rest.length) return doc[head];
+  const inner = pick(doc[head], rest.join('.'));
+  return inner === undefined ? undefined : { [rest[0]]: inner };
+};
+
+export const projectDocument = (doc, projection) => {
+  if (!projection || !isPlainObject(doc)) return doc;
+  if (projection.include.length) {
+    const out = {};
+    const fields = projection.exclude.includes('_id') ? projection.include : ['_id', ...projection.include];
+    for (const field of fields) {
+      const [head] = field.split('.');
+      const value = field.includes('.') ? pick(doc, field) : doc[field];
+      if (value === undefined) continue;
+      out[head] = field.includes('.') && isPlainObject(out[head]) ? { ...out[head], ...value } : value;
+    }
+    return out;
+  }
+  const out = { ...doc };
+  for (const field of projection.exclude) delete out[field];
+  return out;
+};
+
+// Projection may drop sort keys, so drivers ask the backend for both.
+export const fieldsForBackend = ({ projection, sort }) => {
+  if (!projection?.include.length) return undefined;
+  return [...new Set([...projection.include, ...sort.map(([field]) => field)])];
+};
@@ -0,0 +1,172 @@
+// In-process Redis stand-in for development and tests.
+//
+// Implements the subset of the @upstash/redis client the API uses, with the
+// same return shapes: values are stored serialized and read back through
+// JSON.parse, so get() returns what Upstash would (objects, numbers, strings).
+// Data is per process; server.js runs a single worker with this driver.
+
+const SWEEP_INTERVAL_MS = 60_000;
+
+const serialize = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+
+const deserialize = (raw) => {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+};
+
+// Redis glob: * ? [abc] [^a] [a-z], backslash escapes
+const globToRegExp = (pattern) => {
+  let re = '';
+  for (let i = 0; i < pattern.length; i += 1) {
+    const ch = pattern[i];
+    if (ch === '\\' && i + 1 < pattern.length) re += `\\${pattern[++i]}`;
+    else if (ch === '*') re += '.*';
+    else if (ch === '?') re += '.';
+    else if (ch === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) re += '\\[';
+      else {
+        const body = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+        re += `[${body.startsWith('^') ? `^${body.slice(1)}` : body}]`;
+        i = end;
+      }
+    } else re += ch.replace(/[.+^${}()|\\/]/g, '\\$&');
+  }
+  return new RegExp(`^${re}$`, 's');
+};
+
+export function createMemoryRedis() {
+  const store = new Map(); // key -> { value: string | Set, exp: ms timestamp or null }
+
+  const live = (key) => {
+    const entry = store.get(key);
+    if (!entry) return null;
+    if (entry.exp !== null && Date.now() >= entry.exp) {
+      store.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  const sweep = () => {
+    for (const key of store.keys()) live(key);
+  };
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+  const liveKeys = (pattern = '*') => {
+    const re = globToRegExp(pattern);
+    return [...store.keys()].filter((key) => live(key) && re.test(key));
+  };
+
+  const wrongType = () => new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+
+  const get = async (key) => {
+    const entry = live(key);
+    if (!entry) return null;
+    if (entry.value instanceof Set) throw wrongType();
+    return deserialize(entry.value);
+  };
+
+  // opts: { ex, px, exat, pxat, nx, xx, keepTtl }
+  const set = async (key, value, opts = {}) => {
+    const existing = live(key);
+    if ((opts.nx && existing) || (opts.xx && !existing)) return null;
+
+    let exp = null;
+    if (opts.ex != null) exp = Date.now() + Number(opts.ex) * 1000;
+    else if (opts.px != null) exp = Date.now() + Number(opts.px);
+    else if (opts.exat != null) exp = Number(opts.exat) * 1000;
+    else if (opts.pxat != null) exp = Number(opts.pxat);
+    else if (opts.keepTtl && existing) exp = existing.exp;
+
+    store.set(key, { value: serialize(value), exp });
+    return 'OK';
+  };
+
+  const incrby = async (key, by) => {
+    const entry = live(key);
+    if (entry?.value instanceof Set) throw wrongType();
+    const current = entry ? Number(entry.value) : 0;
+    if (!Number.isInteger(current)) throw new Error('ERR value is not an integer or out of range');
+    const next = current + by;
+    store.set(key, { value: String(next), exp: entry?.exp ?? null });
+    return next;
+  };
+
+  const expire = async (key, seconds) => {
+    const entry = live(key);
+    if (!entry) return 0;
+    entry.exp = Date.now() + Number(seconds) * 1000;
+    return 1;
+  };
+
+  const ttl = async (key) => {
+    const entry = live(key);
+    if (!entry) return -2;
+    if (entry.exp === null) return -1;
+    return Math.max(0, Math.ceil((entry.exp - Date.now()) / 1000));
+  };
+
+  const del = async (...keys) => keys.flat().reduce((n, key) => n + (live(key) && store.delete(key) ? 1 : 0), 0);
+
+  const keys = async (pattern) => liveKeys(pattern);
+
+  // The cursor is an offset into the sorted key list; '0' means done.
+  const scan = async (cursor, { match = '*', count = 10 } = {}) => {
+    const all = liveKeys(match).sort();
+    const start = Number(cursor) || 0;
+    const next = start + Number(count);
+    return [next >= all.length ? '0' : String(next), all.slice(start, next)];
+  };
+
+  const sadd = async (key, ...members) => {
+    const entry = live(key);
+    if (entry && !(entry.value instanceof Set)) throw wrongType();
+    const set = entry?.value || new Set();
+    const before = set.size;
+    for (const m of members.flat()) set.add(serialize(m));
+    if (!entry) store.set(key, { value: set, exp: null });
+    return set.size - before;
+  };
+
+  const srem = async (key, ...members) => {
+    const entry = live(key);
+    if (!entry) return 0;
+    if (!(entry.value instanceof Set)) throw wrongType();
+    const removed = members.flat().filter((m) => entry.value.delete(serialize(m))).length;
+    if (!entry.value.size) store.delete(key);
+    return removed;
+  };
+
+  const smembers = async (key) => {
+    const entry = live(key);
+    if (!entry) return [];
+    if (!(entry.value instanceof Set)) throw wrongType();
+    return [...entry.value].map(deserialize);
+  };
+
+  return {
+    name: 'memory',
+    get,
+    set,
+    incr: (key) => incrby(key, 1),
+    incrby: (key, by) => incrby(key, Number(by)),
+    expire,
+    ttl,
+    del,
+    exists: async (...list) => list.flat().filter((key) => live(key)).length,
+    keys,
+    scan,
+    sadd,
+    srem,
+    smembers,
+    ping: async () => 'PONG',
+    flushall: async () => {
+      store.clear();
+      return 'OK';
+    },
+  };
+}
@@ -0,0 +1,12 @@
+// Upstash Redis over its REST API (works from serverless and edge runtimes).
+import { Redis } from '@upstash/redis';
+
+export function createUpstashRedis(env = process.env) {
+  const { UPSTASH_REDIS_REST_URL: url, UPSTASH_REDIS_REST_TOKEN: token } = env;
+  if (!url || !token) {
+    throw new Error('Missing UPSTASH_REDIS_REST_URL or UPSTASH_REDIS_REST_TOKEN.');
+  }
+
+  const client = new Redis({ url, token });
+  return Object.assign(client, { name: 'upstash' });
+}
@@ -1,11 +1,17 @@
 // services/email.js
-import { initZeptoMail } from './zeptoEmail.js';
+import { initZeptoMail, ZeptoMailError } from './zeptoEmail.js';
 
-// Initialize ZeptoMail once
+// Initialized on the first send, so importing this module never fails
 let zepto;
-(async () => {
-  zepto = await initZeptoMail();
-})();
+
+const mailer = async () => {
+  try {
+    zepto ||= await initZeptoMail();
+    return zepto;
+  } catch (err) {
+    throw new ZeptoMailError(`Email service unavailable: ${err.message}`, err.data);
+  }
+};
 
 /**
  * sendEmail
@@ -17,11 +23,10 @@ let zepto;
  * @param {number} params.amount - Payment amount
  * @param {string} params.paymentUrl - URL for completing payment
  * @param {string} [params.recipientName] - Optional recipient name
+ * Rejects with a ZeptoMailError when ZeptoMail is not configured.
  */
 export async function sendEmail({ to, reference, amount, paymentUrl, recipientName = 'User' }) {
-  if (!zepto) {
-    zepto = await initZeptoMail();
-  }
+  const mail = await mailer();
 
   const subject = `Complete your payment - Ref ${reference}`;
 
@@ -106,7 +111,7 @@ export async function sendEmail({ to, reference, amount, paymentUrl, recipientNa
   `;
 
   // Use the dedicated sender for payments
-  return zepto.sendPaymentUrlEmail({
+  return mail.sendPaymentUrlEmail({
     to,
     reference,
     amount,
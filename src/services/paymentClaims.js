@@ -0,0 +1,158 @@
+import crypto from 'crypto';
+import { getCollection } from './astra.js';
+import { redis } from './redis.js';
+import { logger } from '../utils/logger.js';
+
+// Single-use claims on payment references.
+//
+// A consumer claims the reference before any side effect:
+//   1. Redis SET NX on payment:claim:<reference> (with a TTL) makes the claim
+//      exclusive across workers; a crashed request frees it on expiry.
+//   2. The durable record payment_claims/<reference> (document id = the
+//      reference, so there is only ever one) says whether it was already used.
+//      Legacy `used` rows in `payments` count as well.
+// finalize() writes the durable record and pins the Redis key as used;
+// release() drops the lock so the payment can be used again. Once finalized,
+// release() does nothing, so handlers can call it unconditionally in finally.
+//
+// Redis or database errors fail closed (PAYMENT_CLAIM_UNAVAILABLE).
+//
+// A consumer that died inside finalize() leaves either the durable record
+// (the payment is spent) or only the pinned lock; its recovery reads the
+// record with claimRecord() and frees a bare pin with unpinClaim().
+
+const CLAIMS_COLLECTION = 'payment_claims';
+const CLAIM_TTL_SEC = Number(process.env.PAYMENT_CLAIM_TTL_SEC || 120);
+const USED_TTL_SEC = 90 * 24 * 60 * 60;
+const USED = 'used';
+
+const log = logger.child({ module: 'paymentClaims' });
+
+const lockKey = (reference) => `payment:claim:${reference}`;
+
+export class PaymentClaimError extends Error {
+  constructor(code, message, status) {
+    super(message);
+    this.name = 'PaymentClaimError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const alreadyUsed = (reference) => new PaymentClaimError('PAYMENT_USED', `Payment reference ${reference} has already been used.`, 409);
+
+const unavailable = () => new PaymentClaimError('PAYMENT_CLAIM_UNAVAILABLE', 'Payment references cannot be claimed right now; try again shortly.', 503);
+
+const isUsed = async (reference) => {
+  const [claimsCol, paymentsCol] = await Promise.all([getCollection(CLAIMS_COLLECTION), getCollection('payments')]);
+  const [claim, payments] = await Promise.all([
+    claimsCol.get(reference),
+    paymentsCol.find({ reference: { $eq: reference } }),
+  ]);
+  return claim?.data?.status === USED
+    || Object.values(payments?.data || {}).some((row) => row?.status === USED);
+};
+
+/**
+ * claimRecord(reference) -> finalized payment_claims record, or null
+ * What the payment was spent on (`linked_booking_id`, `linked_property_id`).
+ */
+export const claimRecord = async (reference) => {
+  const claimsCol = await getCollection(CLAIMS_COLLECTION);
+  const { data } = (await claimsCol.get(reference)) || {};
+  return data?.status === USED ? data : null;
+};
+
+/**
+ * claimPayment(reference, { purpose, claimedBy }) -> claim
+ * Throws PaymentClaimError:
+ *   409 PAYMENT_USED               the reference was consumed before
+ *   409 PAYMENT_CLAIM_IN_PROGRESS  another request holds it right now
+ *   503 PAYMENT_CLAIM_UNAVAILABLE  Redis or the database failed
+ *
+ * claim.finalize(details) marks it used (details are stored on the record)
+ * and never throws; claim.release() frees it unless it was finalized.
+ */
+export const claimPayment = async (reference, { purpose = null, claimedBy = null } = {}) => {
+  const key = lockKey(reference);
+  const claimId = crypto.randomUUID();
+
+  let acquired;
+  try {
+    acquired = await redis.set(key, claimId, { nx: true, ex: CLAIM_TTL_SEC });
+  } catch (err) {
+    log.error('claim lock failed', { reference, err });
+    throw unavailable();
+  }
+
+  if (!acquired) {
+    const holder = await redis.get(key).catch(() => null);
+    if (holder === USED) throw alreadyUsed(reference);
+    throw new PaymentClaimError('PAYMENT_CLAIM_IN_PROGRESS', 'This payment reference is being used by another request.', 409);
+  }
+
+  let used;
+  try {
+    used = await isUsed(reference);
+  } catch (err) {
+    log.error('claim lookup failed', { reference, err });
+    await redis.del(key).catch(() => {});
+    throw unavailable();
+  }
+  if (used) {
+    await redis.set(key, USED, { ex: USED_TTL_SEC }).catch(() => {});
+    throw alreadyUsed(reference);
+  }
+
+  let settled = false;
+
+  return {
+    reference,
+    claimId,
+
+    async finalize(details = {}) {
+      settled = true;
+      // pin the lock first: even if the record write fails the reference stays spent
+      await redis.set(key, USED, { ex: USED_TTL_SEC }).catch((err) => log.error('claim pin failed', { reference, err }));
+      try {
+        const claimsCol = await getCollection(CLAIMS_COLLECTION);
+        await claimsCol.put(reference, {
+          reference,
+          status: USED,
+          claim_id: claimId,
+          purpose,
+          claimed_by: claimedBy,
+          used_at: new Date().toISOString(),
+          ...details,
+        });
+      } catch (err) {
+        // the side effects already happened; the pinned lock still blocks reuse
+        log.error('claim record write failed', { reference, err });
+      }
+    },
+
+    async release() {
+      if (settled) return;
+      settled = true;
+      try {
+        // only drop the lock if it is still ours (it may have expired and been re-taken)
+        if (await redis.get(key) === claimId) await redis.del(key);
+      } catch (err) {
+        log.warn('claim release failed; it expires on its own', { reference, err });
+      }
+    },
+  };
+};
+
+/**
+ * unpinClaim(reference) -> whether a pin was dropped
+ * Frees a reference whose lock was pinned as used without a durable record
+ * behind it, so the payment can be used again.
+ */
+export const unpinClaim = async (reference) => {
+  if (await claimRecord(reference)) return false;
+  if (await redis.get(lockKey(reference)) !== USED) return false;
+  await redis.del(lockKey(reference));
+  log.warn('claim pin dropped', { reference });
+  return true;
+};
@@ -0,0 +1,186 @@
+import { getCollection } from './astra.js';
+import { redis } from './redis.js';
+import { REFUND_EVENT_STATUS, applyRefundEvent } from './refunds.js';
+import { TRANSFER_EVENT_STATUS, applyTransferEvent } from './withdrawals.js';
+import { logger } from '../utils/logger.js';
+
+// Applies provider events to our records. Providers parse their own webhook
+// formats into Paystack-style { event, data } pairs (see services/payments.js),
+// so Paystack webhooks and M-Pesa callbacks share one set of transitions.
+
+const log = logger.child({ module: 'paymentEvents' });
+
+const DEDUPE_TTL_SEC = 7 * 24 * 60 * 60; // Paystack retries for up to 72 hours
+
+// Provider event -> payment status. A processed refund only reverses the
+// payment once everything paid has been refunded (see refundedPayment)
+const EVENT_STATUS = {
+  'charge.success': 'SUCCESS',
+  'charge.failed': 'FAILED',
+  'refund.processed': 'REVERSED',
+};
+
+// Allowed moves for records created by POST /payments/initiate. Anything else
+// (e.g. a late charge.failed after success) is acknowledged and ignored.
+export const PAYMENT_TRANSITIONS = {
+  INITIATED: ['SUCCESS', 'FAILED'],
+  FAILED: ['SUCCESS'], // the customer retried the same checkout
+  SUCCESS: ['REVERSED'],
+  REVERSED: [],
+};
+
+// Paystack keys keep their original prefix so in-flight dedupe entries still match
+const eventKey = (provider, event, data) => `${provider}:event:${event}:${data.id ?? data.refund_reference ?? data.reference}`;
+
+// refund events carry the charge reference separately; transfers use our withdrawal id
+const referenceOf = (event, data) => (TRANSFER_EVENT_STATUS[event]
+  ? data.reference || null
+  : data.transaction_reference || data.reference || null);
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Adds a processed refund to the payment's `refunded_amount` (whole units);
+// partial refunds leave it SUCCESS so the rest can still be refunded
+const refundedPayment = (payment, data, refund) => {
+  const amount = data.amount != null ? Number(data.amount) / 100 : Number(refund?.amount || 0);
+  const refunded = round2(Number(payment.refunded_amount || 0) + amount);
+  const paid = payment.paid_amount != null ? Number(payment.paid_amount) / 100 : Number(payment.amount || 0);
+  return { refunded, status: paid > 0 && refunded >= paid ? 'REVERSED' : payment.status };
+};
+
+const providerFields = (event, data, timestamp) => ({
+  paid_amount: data.amount ?? null,
+  currency: data.currency || null,
+  channel: data.channel || null,
+  gateway_response: data.gateway_response || null,
+  paid_at: data.paid_at || data.paidAt || null,
+  ...(data.receipt_number ? { receipt_number: data.receipt_number } : {}),
+  provider_event: event,
+  updated_at: timestamp,
+});
+
+/**
+ * applyPaymentEvent(event, data, { provider, traceId })
+ * Applies one provider event once (Redis dedupe per provider and event id):
+ *   charge.* / refund.processed   move the `payments` record
+ *   refund.*                      settle the refund record
+ *   transfer.*                    move the withdrawal
+ * Returns { message, event, reference, status?, duplicate?, ignored? }.
+ * Throws when processing fails; the dedupe key is released so the provider
+ * can retry.
+ */
+export const applyPaymentEvent = async (event, data, { provider = 'paystack', traceId } = {}) => {
+  const timestamp = new Date().toISOString();
+  const status = EVENT_STATUS[event] || TRANSFER_EVENT_STATUS[event] || REFUND_EVENT_STATUS[event];
+  let reference = referenceOf(event, data);
+  // M-Pesa reversal results only name the refund
+  const refundOnly = REFUND_EVENT_STATUS[event] && data.provider_refund_id;
+
+  if (!status || (!reference && !refundOnly)) {
+    log.info('ignored payment event', { provider, event });
+    return { message: 'Event ignored.', event, ignored: true };
+  }
+
+  const dedupeKey = eventKey(provider, event, data);
+  const first = await redis.set(dedupeKey, timestamp, { nx: true, ex: DEDUPE_TTL_SEC });
+  if (!first) {
+    return { message: 'Event already processed.', event, reference, duplicate: true };
+  }
+
+  try {
+    if (TRANSFER_EVENT_STATUS[event]) {
+      const result = await applyTransferEvent(event, data, { traceId });
+      if (!result) {
+        log.info('ignored transfer event for unknown withdrawal', { event, reference });
+        return { message: 'No withdrawal for this transfer.', event, reference };
+      }
+      const { withdrawal, changed, from } = result;
+      log.info('withdrawal status event', { event, reference, from, to: withdrawal.status, changed });
+      return {
+        message: changed ? 'Withdrawal updated.' : `Transition ${from} -> ${status} ignored.`,
+        event,
+        reference,
+        status: withdrawal.status,
+      };
+    }
+
+    // settle the refund record; refund.processed also moves the payment below
+    let settled = null;
+    if (REFUND_EVENT_STATUS[event]) {
+      settled = await applyRefundEvent(event, data, { traceId });
+      reference = reference || settled?.reference;
+      if (!EVENT_STATUS[event] || !reference) {
+        return {
+          message: settled ? 'Refund updated.' : 'No open refund for this event.',
+          event,
+          reference,
+          ...(settled ? { refund_id: settled.refund_id, status: settled.status } : {}),
+        };
+      }
+    }
+
+    const paymentsCol = await getCollection('payments');
+    const existing = await paymentsCol.find({ reference: { $eq: reference } });
+    // skip the `used` rows bookings/properties write when they consume a payment
+    const [paymentId, payment] = Object.entries(existing?.data || {})
+      .find(([, row]) => PAYMENT_TRANSITIONS[row?.status]) || [];
+
+    const historyEntry = { status, event, at: timestamp, traceId };
+
+    if (!payment) {
+      // Charges completed outside /payments/initiate (or before it persisted)
+      await paymentsCol.post({
+        reference,
+        provider,
+        amount: data.amount ?? null,
+        email: data.customer?.email || null,
+        status,
+        status_history: [historyEntry],
+        source: 'webhook',
+        traceId,
+        created_at: timestamp,
+        ...providerFields(event, data, timestamp),
+      });
+      log.info('payment recorded from webhook', { provider, event, reference, status });
+      return { message: 'Payment recorded.', event, reference, status };
+    }
+
+    if (event === 'refund.processed' && payment.status === 'SUCCESS') {
+      const refund = refundedPayment(payment, data, settled);
+      await paymentsCol.patch(paymentId, {
+        status: refund.status,
+        refunded_amount: refund.refunded,
+        status_history: [...(payment.status_history || []), { ...historyEntry, status: refund.status, refunded_amount: refund.refunded }],
+        provider_event: event,
+        updated_at: timestamp,
+      });
+      log.info('payment refund recorded', { provider, reference, refunded: refund.refunded, status: refund.status });
+      return {
+        message: refund.status === 'REVERSED' ? 'Payment updated.' : 'Partial refund recorded.',
+        event,
+        reference,
+        status: refund.status,
+      };
+    }
+
+    if (payment.status === status) {
+      return { message: 'Payment already in this state.', event, reference, status };
+    }
+
+    if (!PAYMENT_TRANSITIONS[payment.status].includes(status)) {
+      log.warn('ignored out-of-order payment transition', { provider, event, reference, from: payment.status, to: status });
+      return { message: `Transition ${payment.status} -> ${status} ignored.`, event, reference, status: payment.status };
+    }
+
+    await paymentsCol.patch(paymentId, {
+      status,
+      status_history: [...(payment.status_history || []), historyEntry],
+      ...providerFields(event, data, timestamp),
+    });
+    log.info('payment status updated', { provider, event, reference, from: payment.status, to: status });
+    return { message: 'Payment updated.', event, reference, status };
+  } catch (err) {
+    await redis.del(dedupeKey).catch(() => {});
+    throw err;
+  }
+};
@@ -0,0 +1,167 @@
+import { getCollection } from './astra.js';
+import { PAYMENT_TRANSITIONS } from './paymentEvents.js';
+import { PaymentProviderError } from './providers/errors.js';
+import paystack from './providers/paystack.js';
+import mpesa from './providers/mpesa.js';
+
+/**
+ * Payment providers.
+ *
+ * Every provider implements (amounts in subunits, Paystack-style shapes):
+ *   initialize({ reference, amount, currency, email, phonenumber, metadata, split, passthrough })
+ *     `split` (services/payouts.js) is honoured by providers with `splits: true`
+ *     -> { reference, authorization_url?, checkout_request_id?, message?, record, raw }
+ *        `record` holds provider ids to keep on the `payments` record
+ *   verify(reference, { record })
+ *     -> { reference, status: 'success' | 'failed' | 'abandoned' | 'pending' | …,
+ *          amount, currency, metadata, customer, channel, paid_at }
+ *   refund({ reference, amount, currency, customer_note, merchant_note }, { record })
+ *     -> { id, status }
+ *   parseWebhook({ rawBody, headers, query })
+ *     -> [{ event, data }] in Paystack event names, for services/paymentEvents.js
+ * and throws PaymentProviderError for problems the caller should show as-is.
+ *
+ * POST /payments/initiate picks one per payment (`provider`, default
+ * PAYMENT_PROVIDER or 'paystack') and stores it on the `payments` record;
+ * verifyPayment() and refundPayment() route by that record.
+ */
+
+export { PaymentProviderError };
+
+export const PAYMENT_PROVIDERS = Object.freeze({ paystack, mpesa });
+
+export const PAYMENT_PROVIDER_NAMES = Object.freeze(Object.keys(PAYMENT_PROVIDERS));
+
+export const DEFAULT_PAYMENT_PROVIDER = PAYMENT_PROVIDERS[process.env.PAYMENT_PROVIDER] ? process.env.PAYMENT_PROVIDER : 'paystack';
+
+export const getPaymentProvider = (name = DEFAULT_PAYMENT_PROVIDER) => {
+  const provider = PAYMENT_PROVIDERS[name];
+  if (!provider) {
+    throw new PaymentProviderError('INVALID_PROVIDER', `provider must be one of: ${PAYMENT_PROVIDER_NAMES.join(', ')}.`, 400);
+  }
+  return provider;
+};
+
+/**
+ * paymentRecord(reference) -> the `payments` record POST /payments/initiate
+ * (or a webhook) wrote for the reference, or null.
+ */
+export const paymentRecord = async (reference) => {
+  const paymentsCol = await getCollection('payments');
+  const res = await paymentsCol.find({ reference: { $eq: reference } });
+  return Object.values(res?.data || {}).find((row) => PAYMENT_TRANSITIONS[row?.status]) || null;
+};
+
+// References we never initiated (older payments) were Paystack's
+const providerOf = (record) => getPaymentProvider(record?.provider || 'paystack');
+
+/**
+ * verifyPayment(reference) -> { status: true, data }
+ * Same shape as the Paystack verify response, whichever provider took it.
+ */
+export const verifyPayment = async (reference) => {
+  const record = await paymentRecord(reference);
+  const data = await providerOf(record).verify(reference, { record });
+  return { status: true, data: { provider: providerOf(record).name, ...data } };
+};
+
+/**
+ * refundPayment({ reference, amount, currency, customer_note, merchant_note })
+ * -> { status: true, data: { id, status } }
+ */
+export const refundPayment = async (args) => {
+  const record = await paymentRecord(args.reference);
+  const data = await providerOf(record).refund(args, { record });
+  return { status: true, data };
+};
+
+// Initiated records keep whole units; webhook-created ones the provider's subunits
+const wholeUnits = (record) => {
+  if (record.expected_amount != null) return Number(record.expected_amount) / 100;
+  if (record.amount == null) return null;
+  return record.source === 'webhook' ? Number(record.amount) / 100 : Number(record.amount);
+};
+
+/**
+ * paymentView(record) -> the `payments` record as the API shows it: amounts
+ * in whole units, raw provider responses and access codes left out.
+ */
+export const paymentView = (record) => ({
+  reference: record.reference,
+  provider: record.provider || 'paystack',
+  status: record.status,
+  amount: wholeUnits(record),
+  paid_amount: record.paid_amount == null ? null : Number(record.paid_amount) / 100,
+  currency: record.currency || null,
+  purpose: record.purpose || null,
+  email: record.email || null,
+  phonenumber: record.phonenumber || null,
+  user_id: record.user_id || null,
+  channel: record.channel || null,
+  gateway_response: record.gateway_response || null,
+  receipt_number: record.receipt_number || null,
+  checkout_request_id: record.checkout_request_id || null,
+  source: record.source || 'initiate',
+  created_at: record.created_at || null,
+  paid_at: record.paid_at || null,
+  updated_at: record.updated_at || null,
+  status_history: record.status_history || [],
+});
+
+// Rooms name their landlord under either spelling
+const LANDLORD_FIELDS = ['landlord_id', 'landlordId'];
+
+const emailsOf = (user) => [...new Set([user.email, user.email?.toLowerCase()].filter(Boolean))];
+
+const landlordRoomIds = async (userId) => {
+  const roomsCol = await getCollection('rooms');
+  const ids = new Set();
+  for (const field of LANDLORD_FIELDS) {
+    for await (const room of roomsCol.findAll({ [field]: { $eq: userId } })) if (room.room_id) ids.add(room.room_id);
+  }
+  return [...ids];
+};
+
+const bookingReferences = async (userId) => {
+  const bookingsCol = await getCollection('bookings');
+  const refs = new Set();
+  for await (const booking of bookingsCol.findAll({ $or: [{ tenant_id: { $eq: userId } }, { landlord_id: { $eq: userId } }] })) {
+    if (booking.payment_reference) refs.add(booking.payment_reference);
+  }
+  return [...refs];
+};
+
+/**
+ * ownPaymentsQuery(user) -> `where` clause for the payments a landlord or
+ * tenant may see: paid by them (signed in or with their email), their
+ * listing fees, payments for their rooms and for bookings they are part of.
+ */
+export const ownPaymentsQuery = async (user) => {
+  const emails = emailsOf(user);
+  const [roomIds, references] = await Promise.all([landlordRoomIds(user.userId), bookingReferences(user.userId)]);
+  return {
+    $or: [
+      { user_id: { $eq: user.userId } },
+      ...(emails.length ? [{ email: { $in: emails } }] : []),
+      { 'purpose.landlord_id': { $eq: user.userId } },
+      ...(roomIds.length ? [{ 'purpose.room_id': { $in: roomIds } }] : []),
+      ...(references.length ? [{ reference: { $in: references } }] : []),
+    ],
+  };
+};
+
+/**
+ * ownsPayment(user, record, { booking, property }) -> true when the payment
+ * falls under ownPaymentsQuery(user) or bought a booking or property of theirs.
+ */
+export const ownsPayment = async (user, record, { booking, property } = {}) => {
+  const { userId } = user;
+  if (record.user_id === userId || record.purpose?.landlord_id === userId) return true;
+  if (record.email && emailsOf(user).includes(String(record.email).toLowerCase())) return true;
+  if (booking && (booking.tenant_id === userId || booking.landlord_id === userId)) return true;
+  if (property && LANDLORD_FIELDS.some((field) => property[field] === userId)) return true;
+  if (!record.purpose?.room_id) return false;
+  const roomsCol = await getCollection('rooms');
+  const rooms = await roomsCol.find({ room_id: { $eq: record.purpose.room_id } });
+  return Object.values(rooms?.data || {}).some((room) => LANDLORD_FIELDS.some((field) => room[field] === userId));
+};
@@ -0,0 +1,103 @@
+import { getCollection } from './astra.js';
+import { roomPropertyId } from './availability.js';
+import { logger } from '../utils/logger.js';
+
+// Landlord payouts through Paystack split payments.
+//
+// A landlord registers a settlement account once (PUT /payments/subaccount).
+// It becomes a Paystack subaccount, kept in `payout_accounts` under the
+// landlord's user id. Booking payments for their rooms are initialized with
+// that subaccount and a flat `transaction_charge`, the platform commission
+// (PLATFORM_COMMISSION_PERCENT of the amount); Paystack settles the rest to
+// the landlord. When a booking uses the payment, its split is recorded in
+// `payment_splits` (document id = payment reference) for statements.
+//
+// Without an active subaccount, or with a provider that can't split (M-Pesa),
+// everything lands in the platform account and the split is recorded with
+// settlement 'platform': the landlord's share is still owed to them.
+
+export const PAYOUT_ACCOUNTS_COLLECTION = 'payout_accounts';
+export const PAYMENT_SPLITS_COLLECTION = 'payment_splits';
+
+export const COMMISSION_PERCENT = Math.min(100, Math.max(0, Number(process.env.PLATFORM_COMMISSION_PERCENT ?? 10)));
+
+// who pays the Paystack fees: the platform ('account') or the landlord ('subaccount')
+const SPLIT_BEARER = process.env.PAYSTACK_SPLIT_BEARER === 'subaccount' ? 'subaccount' : 'account';
+
+const log = logger.child({ module: 'payouts' });
+
+const LANDLORD_FIELDS = ['landlord_id', 'landlordId'];
+
+export const getPayoutAccount = async (landlordId) => {
+  const col = await getCollection(PAYOUT_ACCOUNTS_COLLECTION);
+  const res = await col.get(landlordId);
+  return res?.data && res.code !== 404 ? res.data : null;
+};
+
+// Rooms carry their landlord, older ones only through the property
+const roomLandlordId = async (room) => {
+  const direct = LANDLORD_FIELDS.map((field) => room[field]).find(Boolean);
+  if (direct) return direct;
+  const propertiesCol = await getCollection('properties');
+  const res = await propertiesCol.find({ property_id: { $eq: roomPropertyId(room) } });
+  const property = Object.values(res?.data || {})[0];
+  return LANDLORD_FIELDS.map((field) => property?.[field]).find(Boolean) || null;
+};
+
+/**
+ * bookingSplit(room, amount) -> { landlord_id, subaccount_code, commission_percent,
+ *   platform_amount, landlord_amount, bearer }
+ * `amount` and the shares are in subunits. subaccount_code is null when the
+ * landlord has no active payout account.
+ */
+export const bookingSplit = async (room, amount) => {
+  const landlordId = await roomLandlordId(room);
+  const account = landlordId ? await getPayoutAccount(landlordId) : null;
+  const platformAmount = Math.round((amount * COMMISSION_PERCENT) / 100);
+  return {
+    landlord_id: landlordId,
+    subaccount_code: account?.active ? account.subaccount_code : null,
+    commission_percent: COMMISSION_PERCENT,
+    platform_amount: platformAmount,
+    landlord_amount: amount - platformAmount,
+    bearer: SPLIT_BEARER,
+  };
+};
+
+/**
+ * recordSplit({ reference, booking, room, split, paymentData }) -> the `payment_splits` record or null
+ * `split` is what the payment was initialized with (metadata.split, see
+ * bookingSplit); payments initialized without one went to the platform in
+ * full. Amounts are stored in whole units. Never throws: the booking already
+ * exists.
+ */
+export const recordSplit = async ({ reference, booking, room, split: initialized, paymentData }) => {
+  try {
+    const split = initialized || { ...await bookingSplit(room, Number(paymentData.amount)), subaccount_code: null };
+    const record = {
+      reference,
+      booking_id: booking.booking_id,
+      room_id: booking.room_id,
+      property_id: booking.property_id,
+      landlord_id: split.landlord_id || booking.landlord_id,
+      provider: paymentData.provider || 'paystack',
+      currency: paymentData.currency || booking.currency,
+      amount: Number(paymentData.amount) / 100,
+      commission_percent: split.commission_percent,
+      platform_amount: split.platform_amount / 100,
+      landlord_amount: split.landlord_amount / 100,
+      subaccount_code: split.subaccount_code || null,
+      bearer: split.bearer || null,
+      settlement: split.subaccount_code ? 'subaccount' : 'platform',
+      provider_fees: paymentData.fees == null ? null : Number(paymentData.fees) / 100,
+      paid_at: paymentData.paid_at || paymentData.paidAt || null,
+      created_at: new Date().toISOString(),
+    };
+    const col = await getCollection(PAYMENT_SPLITS_COLLECTION);
+    await col.put(reference, record);
+    return record;
+  } catch (err) {
+    log.error('split record write failed', { reference, bookingId: booking.booking_id, err });
+    return null;
+  }
+};
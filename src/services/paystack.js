@@ -1,4 +1,8 @@
-const BASE_URL = 'https://api.paystack.co';
+import crypto from 'crypto';
+import { traceHeaders } from '../utils/logger.js';
+
+// PAYSTACK_BASE_URL points at a mock (scripts/mock-payment-providers.js) in development
+const baseUrl = () => process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co';
 
 let PAYSTACK_SECRET_KEY, setupError, setupPromise;
 
@@ -22,17 +26,22 @@ const ensureReady = async () => {
 const paystackFetch = async (endpoint, method = 'GET', body = null) => {
   await ensureReady();
 
-  const res = await fetch(`${BASE_URL}${endpoint}`, {
+  const res = await fetch(`${baseUrl()}${endpoint}`, {
     method,
     headers: {
       Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
       'Content-Type': 'application/json',
+      ...traceHeaders(),
     },
     body: body ? JSON.stringify(body) : null,
   });
 
   const data = await res.json().catch(() => ({}));
-  if (!res.ok) throw new Error(data?.message || `Paystack error: ${endpoint}`);
+  if (!res.ok) {
+    const err = new Error(data?.message || `Paystack error: ${endpoint}`);
+    err.status = res.status; // 4xx: Paystack refused the request
+    throw err;
+  }
   return data;
 };
 
@@ -49,10 +58,96 @@ const verifyPayment = async (reference) => {
   return paystackFetch(`/transaction/verify/${reference}`);
 };
 
+// `amount` (subunits) refunds part of the charge; omitted, Paystack refunds the rest
+const refundPayment = async ({ reference, amount, currency, customer_note, merchant_note } = {}) => {
+  if (!reference || typeof reference !== 'string') throw new Error('Reference must be a string.');
+  return paystackFetch('/refund', 'POST', {
+    transaction: reference,
+    ...(amount ? { amount } : {}),
+    ...(currency ? { currency } : {}),
+    ...(customer_note ? { customer_note } : {}),
+    ...(merchant_note ? { merchant_note } : {}),
+  });
+};
+
+// One page of transactions created in [from, to] (ISO dates), newest first
+const listTransactions = async ({ from, to, page = 1, perPage = 100 } = {}) => {
+  const params = new URLSearchParams({ page: String(Number(page)), perPage: String(Number(perPage)) });
+  if (from) params.set('from', from);
+  if (to) params.set('to', to);
+  return paystackFetch(`/transaction?${params}`);
+};
+
+// Subaccounts: landlords' settlement accounts for split payments
+
+const createSubaccount = async (payload) => {
+  const { business_name, settlement_bank, account_number } = payload || {};
+  if (!business_name || !settlement_bank || !account_number) throw new Error('Missing subaccount details.');
+  return paystackFetch('/subaccount', 'POST', { percentage_charge: 0, ...payload });
+};
+
+const updateSubaccount = async (code, payload) => {
+  if (!code || typeof code !== 'string') throw new Error('Subaccount code must be a string.');
+  return paystackFetch(`/subaccount/${encodeURIComponent(code)}`, 'PUT', payload);
+};
+
+// Transfer recipients: bank accounts / wallets payouts can be sent to
+
+const createTransferRecipient = async (payload) => {
+  const { type, name, account_number, bank_code } = payload || {};
+  if (!type || !name || !account_number || !bank_code) throw new Error('Missing recipient details.');
+  return paystackFetch('/transferrecipient', 'POST', payload);
+};
+
+const listTransferRecipients = async ({ page = 1, perPage = 50 } = {}) => (
+  paystackFetch(`/transferrecipient?page=${Number(page)}&perPage=${Number(perPage)}`)
+);
+
+const deleteTransferRecipient = async (code) => {
+  if (!code || typeof code !== 'string') throw new Error('Recipient code must be a string.');
+  return paystackFetch(`/transferrecipient/${encodeURIComponent(code)}`, 'DELETE');
+};
+
+// `reference` makes the transfer idempotent on Paystack's side as well
 const withdrawFunds = async (payload) => {
-  const { amount, recipient } = payload || {};
-  if (!amount || !recipient) throw new Error('Missing amount or recipient.');
-  return paystackFetch('/transfer', 'POST', payload);
+  const { amount, recipient, reference } = payload || {};
+  if (!amount || !recipient || !reference) throw new Error('Missing amount, recipient or reference.');
+  return paystackFetch('/transfer', 'POST', { source: 'balance', ...payload });
+};
+
+// Needed when the Paystack account requires an OTP for transfers
+const finalizeTransfer = async ({ transfer_code, otp } = {}) => {
+  if (!transfer_code || !otp) throw new Error('Missing transfer code or OTP.');
+  return paystackFetch('/transfer/finalize_transfer', 'POST', { transfer_code, otp: String(otp) });
 };
 
-export { initializePayment, verifyPayment, withdrawFunds };
+/**
+ * Paystack signs webhook bodies with HMAC-SHA512 of the raw body, keyed with
+ * the secret key, in the `x-paystack-signature` header.
+ */
+const signWebhookBody = async (rawBody) => {
+  await ensureReady();
+  return crypto.createHmac('sha512', PAYSTACK_SECRET_KEY).update(rawBody).digest('hex');
+};
+
+const verifyWebhookSignature = async (rawBody, signature) => {
+  if (typeof signature !== 'string' || !/^[0-9a-f]{128}$/i.test(signature)) return false;
+  const expected = Buffer.from(await signWebhookBody(rawBody), 'hex');
+  return crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'));
+};
+
+export {
+  initializePayment,
+  verifyPayment,
+  refundPayment,
+  listTransactions,
+  createSubaccount,
+  updateSubaccount,
+  createTransferRecipient,
+  listTransferRecipients,
+  deleteTransferRecipient,
+  withdrawFunds,
+  finalizeTransfer,
+  signWebhookBody,
+  verifyWebhookSignature,
+};
@@ -0,0 +1,9 @@
+// Errors providers raise for the caller to surface as-is (code + HTTP status)
+export class PaymentProviderError extends Error {
+  constructor(code, message, status) {
+    super(message);
+    this.name = 'PaymentProviderError';
+    this.code = code;
+    this.status = status;
+  }
+}
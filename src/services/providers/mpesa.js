@@ -0,0 +1,310 @@
+import crypto from 'crypto';
+import { getCollection } from '../astra.js';
+import { PaymentProviderError } from './errors.js';
+import { logger, traceHeaders } from '../../utils/logger.js';
+
+// M-Pesa STK Push through Safaricom Daraja, behind the payment provider
+// interface (see services/payments.js).
+//
+// initialize() sends an STK Push prompt to the customer's phone; Safaricom
+// posts the outcome to MPESA_CALLBACK_URL (POST /payments/mpesa/callback),
+// which carries MPESA_CALLBACK_TOKEN since Daraja callbacks are unsigned.
+// verify() reads the callback result from the `payments` record and asks
+// Daraja (STK Push query) while it is still pending. refund() is a
+// transaction reversal, settled by the reversal result callback.
+//
+// Config: MPESA_CONSUMER_KEY, MPESA_CONSUMER_SECRET, MPESA_SHORTCODE,
+// MPESA_PASSKEY, MPESA_CALLBACK_URL, MPESA_CALLBACK_TOKEN; reversals also need
+// MPESA_INITIATOR_NAME and MPESA_SECURITY_CREDENTIAL. MPESA_ENV picks the
+// sandbox (default) or production host; MPESA_BASE_URL overrides it (e.g. the
+// local mock in scripts/mock-payment-providers.js).
+
+const HOSTS = {
+  sandbox: 'https://sandbox.safaricom.co.ke',
+  production: 'https://api.safaricom.co.ke',
+};
+
+const log = logger.child({ module: 'mpesa' });
+
+const config = () => {
+  const env = process.env;
+  return {
+    baseUrl: env.MPESA_BASE_URL || HOSTS[env.MPESA_ENV] || HOSTS.sandbox,
+    consumerKey: env.MPESA_CONSUMER_KEY,
+    consumerSecret: env.MPESA_CONSUMER_SECRET,
+    shortcode: env.MPESA_SHORTCODE,
+    passkey: env.MPESA_PASSKEY,
+    callbackUrl: env.MPESA_CALLBACK_URL,
+    callbackToken: env.MPESA_CALLBACK_TOKEN,
+    initiatorName: env.MPESA_INITIATOR_NAME,
+    securityCredential: env.MPESA_SECURITY_CREDENTIAL,
+  };
+};
+
+const notConfigured = (what) => new PaymentProviderError('PROVIDER_NOT_CONFIGURED', `M-Pesa is not configured (${what}).`, 503);
+
+const requireConfig = (cfg, keys) => {
+  const missing = keys.filter((key) => !cfg[key]);
+  if (missing.length) throw notConfigured(missing.join(', '));
+};
+
+// 07XXXXXXXX, 01XXXXXXXX, +2547… and 2547… -> 2547XXXXXXXX
+export const normalizeMsisdn = (phone) => {
+  const digits = String(phone || '').replace(/[\s-]/g, '').replace(/^\+/, '');
+  if (/^0[17]\d{8}$/.test(digits)) return `254${digits.slice(1)}`;
+  if (/^254[17]\d{8}$/.test(digits)) return digits;
+  return null;
+};
+
+// Daraja timestamps are Nairobi time (UTC+3), YYYYMMDDHHmmss
+const darajaTimestamp = (date = new Date()) => new Date(date.getTime() + 3 * 60 * 60 * 1000)
+  .toISOString()
+  .replace(/[-:T]/g, '')
+  .slice(0, 14);
+
+const fromDarajaTimestamp = (value) => {
+  const m = String(value || '').match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+  return m ? new Date(`${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}+03:00`).toISOString() : null;
+};
+
+const callbackUrl = (cfg) => {
+  const url = new URL(cfg.callbackUrl);
+  url.searchParams.set('token', cfg.callbackToken);
+  return url.toString();
+};
+
+let token = null; // { value, expiresAt }
+
+const accessToken = async (cfg) => {
+  if (token && token.expiresAt > Date.now()) return token.value;
+  const basic = Buffer.from(`${cfg.consumerKey}:${cfg.consumerSecret}`).toString('base64');
+  const res = await fetch(`${cfg.baseUrl}/oauth/v1/generate?grant_type=client_credentials`, {
+    headers: { Authorization: `Basic ${basic}`, ...traceHeaders() },
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || !data.access_token) {
+    const err = new Error(data.errorMessage || 'M-Pesa authentication failed.');
+    err.status = res.status >= 500 ? res.status : 502;
+    throw err;
+  }
+  // refresh a minute early
+  token = { value: data.access_token, expiresAt: Date.now() + (Number(data.expires_in || 3599) - 60) * 1000 };
+  return token.value;
+};
+
+const darajaFetch = async (cfg, endpoint, body) => {
+  const res = await fetch(`${cfg.baseUrl}${endpoint}`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${await accessToken(cfg)}`,
+      'Content-Type': 'application/json',
+      ...traceHeaders(),
+    },
+    body: JSON.stringify(body),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    if (res.status === 401) token = null;
+    const err = new Error(data.errorMessage || data.ResponseDescription || `M-Pesa error: ${endpoint}`);
+    err.status = res.status;
+    err.code = data.errorCode;
+    throw err;
+  }
+  return data;
+};
+
+const stkPassword = (cfg, timestamp) => Buffer.from(`${cfg.shortcode}${cfg.passkey}${timestamp}`).toString('base64');
+
+const findPayment = async (query) => {
+  const paymentsCol = await getCollection('payments');
+  const res = await paymentsCol.find(query);
+  return Object.values(res?.data || {}).find((row) => row?.provider === 'mpesa') || null;
+};
+
+const items = (list) => Object.fromEntries((list || []).map((item) => [item.Name ?? item.Key, item.Value]));
+
+const mpesa = {
+  name: 'mpesa',
+  currencies: ['KES'],
+  splits: false, // the paybill collects everything; landlords are paid out later
+
+  async initialize({ reference, amount, currency, phonenumber, metadata }) {
+    const cfg = config();
+    requireConfig(cfg, ['consumerKey', 'consumerSecret', 'shortcode', 'passkey', 'callbackUrl', 'callbackToken']);
+
+    if (currency !== 'KES') {
+      throw new PaymentProviderError('UNSUPPORTED_CURRENCY', `M-Pesa only takes KES, not ${currency}.`, 400);
+    }
+    if (amount % 100 !== 0) {
+      throw new PaymentProviderError('INVALID_AMOUNT', 'M-Pesa amounts must be whole shillings.', 400);
+    }
+    const msisdn = normalizeMsisdn(phonenumber);
+    if (!msisdn) {
+      throw new PaymentProviderError('INVALID_PHONE', 'A Safaricom number (07XX or 01XX) is required for M-Pesa.', 400);
+    }
+
+    const timestamp = darajaTimestamp();
+    const data = await darajaFetch(cfg, '/mpesa/stkpush/v1/processrequest', {
+      BusinessShortCode: cfg.shortcode,
+      Password: stkPassword(cfg, timestamp),
+      Timestamp: timestamp,
+      TransactionType: 'CustomerPayBillOnline',
+      Amount: amount / 100,
+      PartyA: msisdn,
+      PartyB: cfg.shortcode,
+      PhoneNumber: msisdn,
+      CallBackURL: callbackUrl(cfg),
+      AccountReference: reference.slice(-12),
+      TransactionDesc: metadata?.purpose?.type === 'listing' ? 'Listing fee' : 'Booking',
+    });
+    if (String(data.ResponseCode) !== '0') {
+      const err = new Error(data.ResponseDescription || 'STK Push was not accepted.');
+      err.status = 502;
+      throw err;
+    }
+
+    return {
+      reference,
+      checkout_request_id: data.CheckoutRequestID,
+      message: data.CustomerMessage || 'Check your phone to approve the M-Pesa payment.',
+      record: {
+        checkout_request_id: data.CheckoutRequestID,
+        merchant_request_id: data.MerchantRequestID,
+        msisdn,
+      },
+      raw: data,
+    };
+  },
+
+  async verify(reference, { record } = {}) {
+    const payment = record?.provider === 'mpesa' ? record : await findPayment({ reference: { $eq: reference } });
+    if (!payment) {
+      const err = new Error('Transaction reference not found');
+      err.status = 404;
+      throw err;
+    }
+
+    const transaction = {
+      reference,
+      amount: payment.paid_amount ?? payment.expected_amount,
+      currency: payment.currency || 'KES',
+      metadata: { purpose: payment.purpose, expected_amount: payment.expected_amount, currency: payment.currency },
+      customer: { email: payment.email || null, phone: payment.msisdn || payment.phonenumber || null },
+      channel: 'mpesa',
+      paid_at: payment.paid_at || null,
+      receipt_number: payment.receipt_number || null,
+    };
+
+    const settled = { SUCCESS: 'success', FAILED: 'failed', REVERSED: 'reversed' }[payment.status];
+    if (settled) return { ...transaction, status: settled };
+
+    // No callback yet: ask Daraja
+    const cfg = config();
+    requireConfig(cfg, ['consumerKey', 'consumerSecret', 'shortcode', 'passkey']);
+    const timestamp = darajaTimestamp();
+    try {
+      const data = await darajaFetch(cfg, '/mpesa/stkpushquery/v1/query', {
+        BusinessShortCode: cfg.shortcode,
+        Password: stkPassword(cfg, timestamp),
+        Timestamp: timestamp,
+        CheckoutRequestID: payment.checkout_request_id,
+      });
+      const code = String(data.ResultCode);
+      // the STK amount is fixed by us, so a completed prompt paid the expected amount
+      if (code === '0') return { ...transaction, status: 'success', gateway_response: data.ResultDesc };
+      return { ...transaction, status: code === '1032' ? 'abandoned' : 'failed', gateway_response: data.ResultDesc };
+    } catch (err) {
+      // "The transaction is being processed"
+      if (err.code === '500.001.1001') return { ...transaction, status: 'pending' };
+      throw err;
+    }
+  },
+
+  async refund({ reference, amount, customer_note }, { record } = {}) {
+    const cfg = config();
+    requireConfig(cfg, ['consumerKey', 'consumerSecret', 'shortcode', 'callbackUrl', 'callbackToken', 'initiatorName', 'securityCredential']);
+
+    const payment = record?.provider === 'mpesa' ? record : await findPayment({ reference: { $eq: reference } });
+    if (!payment?.receipt_number) {
+      throw new PaymentProviderError('REFUND_NOT_SUPPORTED', 'No M-Pesa receipt is recorded for this payment yet.', 422);
+    }
+
+    const data = await darajaFetch(cfg, '/mpesa/reversal/v1/request', {
+      Initiator: cfg.initiatorName,
+      SecurityCredential: cfg.securityCredential,
+      CommandID: 'TransactionReversal',
+      TransactionID: payment.receipt_number,
+      Amount: Math.round(amount / 100),
+      ReceiverParty: cfg.shortcode,
+      RecieverIdentifierType: '11',
+      ResultURL: callbackUrl(cfg),
+      QueueTimeOutURL: callbackUrl(cfg),
+      Remarks: String(customer_note || 'Refund').slice(0, 100),
+      Occasion: reference.slice(0, 100),
+    });
+    return { id: data.ConversationID, status: 'pending', raw: data };
+  },
+
+  async parseWebhook({ rawBody, query = {} }) {
+    const cfg = config();
+    if (!cfg.callbackToken) throw notConfigured('MPESA_CALLBACK_TOKEN');
+    const given = Buffer.from(String(query.token || ''));
+    const expected = Buffer.from(cfg.callbackToken);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw new PaymentProviderError('INVALID_SIGNATURE', 'Callback token is missing or invalid.', 401);
+    }
+
+    let body = null;
+    try {
+      body = JSON.parse(rawBody);
+    } catch {
+      // reported below
+    }
+
+    // STK Push outcome
+    const stk = body?.Body?.stkCallback;
+    if (stk?.CheckoutRequestID) {
+      const payment = await findPayment({ checkout_request_id: { $eq: stk.CheckoutRequestID } });
+      if (!payment) log.warn('STK callback for unknown checkout', { checkoutRequestId: stk.CheckoutRequestID });
+      const meta = items(stk.CallbackMetadata?.Item);
+      const ok = Number(stk.ResultCode) === 0;
+      return [{
+        event: ok ? 'charge.success' : 'charge.failed',
+        data: {
+          id: stk.CheckoutRequestID,
+          reference: payment?.reference || null,
+          status: ok ? 'success' : 'failed',
+          amount: meta.Amount != null ? Math.round(Number(meta.Amount) * 100) : null,
+          currency: 'KES',
+          channel: 'mpesa',
+          gateway_response: stk.ResultDesc || null,
+          paid_at: ok ? fromDarajaTimestamp(meta.TransactionDate) || new Date().toISOString() : null,
+          receipt_number: meta.MpesaReceiptNumber || null,
+          customer: { phone: meta.PhoneNumber ? String(meta.PhoneNumber) : null },
+        },
+      }];
+    }
+
+    // Reversal result (or its queue timeout)
+    const result = body?.Result;
+    if (result?.ConversationID) {
+      const ok = Number(result.ResultCode) === 0;
+      const params = items(result.ResultParameters?.ResultParameter);
+      return [{
+        event: ok ? 'refund.processed' : 'refund.failed',
+        data: {
+          id: result.ConversationID,
+          provider_refund_id: result.ConversationID,
+          status: ok ? 'processed' : 'failed',
+          amount: params.Amount != null ? Math.round(Number(params.Amount) * 100) : null,
+          currency: 'KES',
+          gateway_response: result.ResultDesc || null,
+        },
+      }];
+    }
+
+    throw new PaymentProviderError('INVALID_BODY', 'Callback body is not an M-Pesa result.', 400);
+  },
+};
+
+export default mpesa;
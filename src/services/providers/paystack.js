@@ -0,0 +1,65 @@
+import {
+  initializePayment,
+  refundPayment,
+  verifyPayment,
+  verifyWebhookSignature,
+} from '../paystack.js';
+import { PaymentProviderError } from './errors.js';
+
+// Paystack behind the payment provider interface (see services/payments.js).
+// Its transaction shape is the one the rest of the API already speaks, so
+// verify() and parseWebhook() pass Paystack data through unchanged.
+
+const paystack = {
+  name: 'paystack',
+  currencies: null, // whatever the Paystack account accepts
+  splits: true,
+
+  async initialize({ reference, amount, currency, email, phonenumber, metadata, split, passthrough = {} }) {
+    // the subaccount gets everything but the flat transaction_charge (our commission)
+    const splitFields = split?.subaccount_code
+      ? { subaccount: split.subaccount_code, transaction_charge: split.platform_amount, bearer: split.bearer }
+      : {};
+    const res = await initializePayment({ ...passthrough, amount, currency, email, phonenumber, reference, metadata, ...splitFields });
+    return {
+      reference,
+      authorization_url: res?.data?.authorization_url || null,
+      record: { access_code: res?.data?.access_code || null },
+      raw: res,
+    };
+  },
+
+  async verify(reference) {
+    const res = await verifyPayment(reference);
+    return res?.data || null;
+  },
+
+  async refund({ reference, amount, currency, customer_note, merchant_note }) {
+    const res = await refundPayment({ reference, amount, currency, customer_note, merchant_note });
+    return res?.data || {};
+  },
+
+  async parseWebhook({ rawBody, headers }) {
+    let valid;
+    try {
+      valid = await verifyWebhookSignature(rawBody, headers['x-paystack-signature']);
+    } catch {
+      throw new PaymentProviderError('WEBHOOK_NOT_CONFIGURED', 'Paystack secret key is not configured.', 503);
+    }
+    if (!valid) throw new PaymentProviderError('INVALID_SIGNATURE', 'Webhook signature is missing or invalid.', 401);
+
+    let payload = null;
+    try {
+      payload = JSON.parse(rawBody);
+    } catch {
+      // reported below
+    }
+    const { event, data } = payload || {};
+    if (typeof event !== 'string' || !data || typeof data !== 'object') {
+      throw new PaymentProviderError('INVALID_BODY', 'Webhook body must be a Paystack event.', 400);
+    }
+    return [{ event, data }];
+  },
+};
+
+export default paystack;
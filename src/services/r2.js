@@ -1,5 +1,6 @@
 import { S3Client, PutObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
 import crypto from 'node:crypto';
+import { getRequestContext, TRACE_HEADER } from '../utils/logger.js';
 
 let s3, setupError, setupPromise;
 let R2_BUCKET, R2_ENDPOINT;
@@ -33,6 +34,12 @@ const ensureReady = async () => {
           secretAccessKey: R2_SECRET_KEY,
         },
       });
+      // forward the request id on every R2 call
+      s3.middlewareStack.add((next) => (args) => {
+        const requestId = getRequestContext()?.requestId;
+        if (requestId && args.request?.headers) args.request.headers[TRACE_HEADER] = requestId;
+        return next(args);
+      }, { step: 'build', name: 'traceHeader' });
     })();
   }
 
@@ -0,0 +1,72 @@
+import { redis } from './redis.js';
+import { createMemoryRedis } from './drivers/redis.memory.js';
+
+// Sliding-window rate limiter (two-bucket approximation).
+//
+// Each key keeps one counter per fixed window. A request is weighed against
+// the current window's count plus the previous window's count scaled by how
+// much of the previous window still overlaps the sliding one:
+//
+//   estimate = previous * (1 - elapsed / window) + current
+//
+// That needs only get/incr/expire, so it runs on every Redis driver.
+// Rejected requests are taken back out of the counter and do not extend a
+// block.
+//
+// RATE_LIMIT_STORE picks the counters: `redis` (the shared client, default)
+// or `memory` (a private in-process store, for tests and single workers).
+
+const RATE_LIMIT_PREFIX = process.env.RATE_LIMIT_PREFIX || 'rl';
+
+const resolveStore = (name = process.env.RATE_LIMIT_STORE || 'redis') => {
+  if (name === 'redis') return redis;
+  if (name === 'memory') return createMemoryRedis();
+  throw new Error(`Unknown RATE_LIMIT_STORE "${name}".`);
+};
+
+/**
+ * createRateLimiter({ store, prefix }) -> { hit }
+ * store: 'redis', 'memory' or a client with get/incr/incrby/expire.
+ *
+ * hit(key, { limit, windowSec }) counts one request and resolves to
+ *   { allowed, limit, remaining, reset, retryAfter }
+ * reset and retryAfter are whole seconds; retryAfter is 0 when allowed.
+ */
+export function createRateLimiter({ store, prefix = RATE_LIMIT_PREFIX } = {}) {
+  const client = typeof store === 'object' && store ? store : resolveStore(store);
+
+  const hit = async (key, { limit, windowSec }) => {
+    const windowMs = windowSec * 1000;
+    const now = Date.now();
+    const bucket = Math.floor(now / windowMs);
+    const elapsed = now - bucket * windowMs;
+    const currentKey = `${prefix}:${key}:${bucket}`;
+
+    const [previousRaw, current] = await Promise.all([
+      client.get(`${prefix}:${key}:${bucket - 1}`),
+      client.incr(currentKey),
+    ]);
+    // a bucket is read for two windows: as current, then as previous
+    if (Number(current) === 1) await client.expire(currentKey, windowSec * 2);
+
+    const previous = Number(previousRaw) || 0;
+    const weight = (windowMs - elapsed) / windowMs;
+    const estimate = previous * weight + Number(current);
+    const reset = Math.max(1, Math.ceil((windowMs - elapsed) / 1000));
+
+    if (estimate <= limit) {
+      return { allowed: true, limit, remaining: Math.max(0, Math.floor(limit - estimate)), reset, retryAfter: 0 };
+    }
+
+    await client.incrby(currentKey, -1);
+    const before = Number(current) - 1;
+    // wait until the previous window has faded enough to fit one more request,
+    // or for the next window when the current one alone is full
+    const waitMs = before + 1 > limit || !previous
+      ? windowMs - elapsed
+      : windowMs - elapsed - ((limit - before - 1) * windowMs) / previous;
+    return { allowed: false, limit, remaining: 0, reset, retryAfter: Math.max(1, Math.ceil(waitMs / 1000)) };
+  };
+
+  return { hit };
+}
@@ -0,0 +1,313 @@
+import crypto from 'crypto';
+import { getCollection } from './astra.js';
+import { redis } from './redis.js';
+import { listTransactions } from './paystack.js';
+import { verifyPayment } from './payments.js';
+import { PAYMENT_TRANSITIONS } from './paymentEvents.js';
+import { listRefunds } from './refunds.js';
+import { logger } from '../utils/logger.js';
+import { dateBound } from '../utils/dateRange.js';
+
+// Payment reconciliation: pages through the Paystack transactions created in
+// a date range, matches them by reference against our `payments` records and
+// payment claims, and stores what disagrees as a run in `reconciliation_runs`.
+//
+// Issue types:
+//   unused_success       settled by the provider, never used by a booking or listing
+//   used_not_successful  used by a booking or listing, not settled by the provider
+//   amount_mismatch      settled for a different amount or currency than initiated
+//   status_mismatch      our payment record disagrees with the provider's outcome
+//
+// References we hold that are not in the listing (M-Pesa payments, charges
+// created before the range) are looked up one by one through verifyPayment().
+// One run at a time (Redis lock); the master process schedules one every
+// RECONCILIATION_INTERVAL_HOURS over the last RECONCILIATION_WINDOW_HOURS.
+
+export const RECONCILIATION_RUNS_COLLECTION = 'reconciliation_runs';
+
+export const ISSUE_TYPES = Object.freeze(['unused_success', 'used_not_successful', 'amount_mismatch', 'status_mismatch']);
+
+const INTERVAL_HOURS = Number(process.env.RECONCILIATION_INTERVAL_HOURS ?? 24);
+const WINDOW_HOURS = Number(process.env.RECONCILIATION_WINDOW_HOURS || 48);
+const MAX_PAGES = Number(process.env.RECONCILIATION_MAX_PAGES || 50);
+const MAX_LOOKUPS = Number(process.env.RECONCILIATION_MAX_LOOKUPS || 100);
+// a payment this fresh may still be on its way to a booking
+const UNUSED_GRACE_MS = Number(process.env.RECONCILIATION_UNUSED_GRACE_MIN || 60) * 60 * 1000;
+const PAGE_SIZE = 100;
+const LOCK_KEY = 'reconciliation:lock';
+const LOCK_TTL_SEC = 30 * 60;
+
+const log = logger.child({ module: 'reconciliation' });
+
+export class ReconciliationError extends Error {
+  constructor(code, message, status) {
+    super(message);
+    this.name = 'ReconciliationError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Provider transaction status -> what our payment record should say
+const PROVIDER_STATUS = { success: 'SUCCESS', failed: 'FAILED', reversed: 'REVERSED' };
+const SETTLED = ['SUCCESS', 'REVERSED'];
+
+/**
+ * reconciliationRange({ from, to }) -> { from, to } as ISO timestamps.
+ * Dates without a time cover the whole day; the default is the last
+ * RECONCILIATION_WINDOW_HOURS.
+ */
+export const reconciliationRange = ({ from, to } = {}) => {
+  const end = to ? dateBound(to, true) : new Date().toISOString();
+  const start = from ? dateBound(from) : new Date(Date.parse(end) - WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+  if (Date.parse(start) > Date.parse(end)) {
+    throw new ReconciliationError('INVALID_RANGE', '`from` must not be after `to`.', 400);
+  }
+  return { from: start, to: end };
+};
+
+const collect = async (col, query) => {
+  const rows = [];
+  for await (const row of col.findAll(query)) rows.push(row);
+  return rows;
+};
+
+const fetchProviderTransactions = async ({ from, to }) => {
+  const transactions = new Map();
+  let page = 1;
+  let pageCount = 1;
+  while (page <= pageCount && page <= MAX_PAGES) {
+    const res = await listTransactions({ from, to, page, perPage: PAGE_SIZE });
+    const rows = res?.data || [];
+    for (const tx of rows) if (tx?.reference) transactions.set(tx.reference, tx);
+    pageCount = Number(res?.meta?.pageCount) || (rows.length === PAGE_SIZE ? page + 1 : page);
+    if (!rows.length) break;
+    page += 1;
+  }
+  return { transactions, pages: page - 1, truncated: page <= pageCount };
+};
+
+// Everything we know locally: payment records created in the range, plus
+// every reference used since `from` (a payment can only be used after it was made)
+const loadLocal = async ({ from, to }) => {
+  const [paymentsCol, claimsCol] = await Promise.all([getCollection('payments'), getCollection('payment_claims')]);
+  const [payments, claims, legacyUsed] = await Promise.all([
+    collect(paymentsCol, { created_at: { $gte: from, $lte: to } }),
+    collect(claimsCol, { status: { $eq: 'used' }, used_at: { $gte: from } }),
+    collect(paymentsCol, { status: { $eq: 'used' }, verified_at: { $gte: from } }),
+  ]);
+
+  const records = new Map();
+  for (const row of payments) if (PAYMENT_TRANSITIONS[row.status]) records.set(row.reference, row);
+  const used = new Map();
+  for (const row of legacyUsed) used.set(row.reference, { used_at: row.verified_at, source: 'payments' });
+  for (const row of claims) {
+    used.set(row.reference, {
+      used_at: row.used_at,
+      source: 'payment_claims',
+      purpose: row.purpose || null,
+      booking_id: row.linked_booking_id || null,
+      property_id: row.linked_property_id || null,
+    });
+  }
+  return { records, used };
+};
+
+// references with no provider transaction in the listing
+const lookUp = async (references) => {
+  const found = new Map();
+  const failed = [];
+  for (const reference of references) {
+    try {
+      const res = await verifyPayment(reference);
+      found.set(reference, res?.data || { reference, status: 'not_found' });
+    } catch (err) {
+      // Paystack answers 400/404 for references it never saw
+      if (err.status >= 400 && err.status < 500) found.set(reference, { reference, status: 'not_found' });
+      else failed.push({ reference, message: err.message });
+    }
+  }
+  return { found, failed };
+};
+
+const metadataOf = (tx) => {
+  if (typeof tx?.metadata !== 'string') return tx?.metadata || {};
+  try {
+    return JSON.parse(tx.metadata);
+  } catch {
+    return {};
+  }
+};
+
+const compare = async ({ reference, tx, record, usage, now }) => {
+  const issues = [];
+  const providerStatus = String(tx?.status || 'not_found').toLowerCase();
+  const base = {
+    reference,
+    provider: tx?.provider || record?.provider || 'paystack',
+    provider_status: providerStatus,
+    provider_amount: tx?.amount ?? null,
+    currency: tx?.currency || record?.currency || null,
+    local_status: record?.status || null,
+    used_at: usage?.used_at || null,
+    booking_id: usage?.booking_id || null,
+    property_id: usage?.property_id || null,
+  };
+
+  if (providerStatus === 'success' && !usage) {
+    const paidAt = Date.parse(tx.paid_at || tx.paidAt || tx.created_at || tx.createdAt || '');
+    if (!(now - paidAt < UNUSED_GRACE_MS)) {
+      issues.push({ type: 'unused_success', ...base, paid_at: tx.paid_at || tx.paidAt || null });
+    }
+  }
+
+  if (usage && providerStatus !== 'success') {
+    // a refund after use is expected, as long as it went through us
+    const refunded = providerStatus === 'reversed' && (await listRefunds(reference)).length > 0;
+    if (!refunded) issues.push({ type: 'used_not_successful', ...base });
+  }
+
+  if (SETTLED.includes(PROVIDER_STATUS[providerStatus])) {
+    const expectedAmount = record?.expected_amount ?? metadataOf(tx).expected_amount ?? null;
+    const expectedCurrency = record?.currency || metadataOf(tx).currency || null;
+    const amountDiffers = expectedAmount != null && Number(tx.amount) !== Number(expectedAmount);
+    const currencyDiffers = expectedCurrency && tx.currency
+      && String(tx.currency).toUpperCase() !== String(expectedCurrency).toUpperCase();
+    if (amountDiffers || currencyDiffers) {
+      issues.push({ type: 'amount_mismatch', ...base, expected_amount: expectedAmount, expected_currency: expectedCurrency });
+    }
+  }
+
+  if (record) {
+    // abandoned / pending / failed charges leave the record INITIATED or FAILED
+    const expected = PROVIDER_STATUS[providerStatus] || record.status;
+    // Paystack can keep a refunded charge `success` while it is REVERSED here
+    const refundedHere = record.status === 'REVERSED' && expected === 'SUCCESS';
+    const mismatch = (SETTLED.includes(expected) || SETTLED.includes(record.status)) && expected !== record.status;
+    if (mismatch && !refundedHere) issues.push({ type: 'status_mismatch', ...base, expected_status: expected });
+  }
+
+  return issues;
+};
+
+const reconcile = async ({ from, to }) => {
+  const now = Date.now();
+  const [{ transactions, pages, truncated }, { records, used }] = await Promise.all([
+    fetchProviderTransactions({ from, to }),
+    loadLocal({ from, to }),
+  ]);
+
+  const missing = [...new Set([...records.keys(), ...used.keys()])].filter((ref) => !transactions.has(ref));
+  const { found, failed } = await lookUp(missing.slice(0, MAX_LOOKUPS));
+
+  const issues = [];
+  const references = new Set([...transactions.keys(), ...found.keys()]);
+  for (const reference of references) {
+    const tx = transactions.get(reference) || found.get(reference);
+    issues.push(...await compare({ reference, tx, record: records.get(reference), usage: used.get(reference), now }));
+  }
+
+  const counts = Object.fromEntries(ISSUE_TYPES.map((type) => [type, issues.filter((i) => i.type === type).length]));
+  return {
+    summary: {
+      provider_transactions: transactions.size,
+      provider_pages: pages,
+      truncated,
+      local_payments: records.size,
+      used_references: used.size,
+      lookups: found.size,
+      lookups_skipped: Math.max(0, missing.length - MAX_LOOKUPS),
+      lookup_failures: failed.length,
+      issues: issues.length,
+      ...counts,
+    },
+    issues,
+    lookup_failures: failed,
+  };
+};
+
+/**
+ * startReconciliation({ from, to, trigger, requestedBy, traceId }) -> { run, done }
+ * Takes the run lock, stores the run as RUNNING and reconciles in the
+ * background; `done` resolves with the finished run (COMPLETED or FAILED).
+ * Throws ReconciliationError:
+ *   400 INVALID_RANGE               from is after to
+ *   409 RECONCILIATION_IN_PROGRESS  another run holds the lock
+ */
+export const startReconciliation = async ({ from, to, trigger = 'manual', requestedBy = null, traceId = null } = {}) => {
+  const range = reconciliationRange({ from, to });
+  const runId = `rec_${crypto.randomUUID()}`;
+
+  const acquired = await redis.set(LOCK_KEY, runId, { nx: true, ex: LOCK_TTL_SEC });
+  if (!acquired) {
+    throw new ReconciliationError('RECONCILIATION_IN_PROGRESS', 'A reconciliation run is already in progress.', 409);
+  }
+
+  const col = await getCollection(RECONCILIATION_RUNS_COLLECTION);
+  const run = {
+    run_id: runId,
+    provider: 'paystack',
+    ...range,
+    trigger,
+    requested_by: requestedBy,
+    status: 'RUNNING',
+    started_at: new Date().toISOString(),
+    traceId,
+  };
+  try {
+    await col.put(runId, run);
+  } catch (err) {
+    await redis.del(LOCK_KEY).catch(() => {});
+    throw err;
+  }
+
+  const done = (async () => {
+    let fields;
+    try {
+      fields = { status: 'COMPLETED', ...await reconcile(range) };
+      log.info('reconciliation finished', { runId, ...range, issues: fields.summary.issues });
+    } catch (err) {
+      log.error('reconciliation failed', { runId, ...range, err });
+      fields = { status: 'FAILED', error: err.message };
+    }
+    const finished = { ...run, ...fields, finished_at: new Date().toISOString() };
+    try {
+      await col.put(runId, finished);
+    } catch (err) {
+      log.error('reconciliation report write failed', { runId, err });
+    } finally {
+      if (await redis.get(LOCK_KEY).catch(() => null) === runId) await redis.del(LOCK_KEY).catch(() => {});
+    }
+    return finished;
+  })();
+
+  return { run, done };
+};
+
+export const getReconciliationRun = async (runId) => {
+  const col = await getCollection(RECONCILIATION_RUNS_COLLECTION);
+  const res = await col.get(runId);
+  return res?.data && res.code !== 404 ? res.data : null;
+};
+
+/**
+ * startReconciliationSchedule() -> timer or null
+ * Runs every RECONCILIATION_INTERVAL_HOURS (0 turns it off) over the last
+ * RECONCILIATION_WINDOW_HOURS, so consecutive runs overlap.
+ */
+export const startReconciliationSchedule = () => {
+  if (!(INTERVAL_HOURS > 0) || !process.env.PAYSTACK_SECRET_KEY) return null;
+  const tick = async () => {
+    try {
+      const { done } = await startReconciliation({ trigger: 'schedule' });
+      await done;
+    } catch (err) {
+      if (err.code === 'RECONCILIATION_IN_PROGRESS') log.info('scheduled reconciliation skipped; a run is in progress');
+      else log.error('scheduled reconciliation failed', { err });
+    }
+  };
+  const timer = setInterval(tick, INTERVAL_HOURS * 60 * 60 * 1000);
+  timer.unref();
+  log.info('reconciliation scheduled', { everyHours: INTERVAL_HOURS, windowHours: WINDOW_HOURS });
+  return timer;
+};
@@ -0,0 +1,34 @@
+import { createUpstashRedis } from './drivers/redis.upstash.js';
+import { createMemoryRedis } from './drivers/redis.memory.js';
+
+// REDIS_DRIVER picks the client behind `redis` (sessions, OTPs, rate limits, cache):
+//   upstash - Upstash REST, needs UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN
+//   memory  - in-process stand-in for development and tests
+// Unset, it is upstash when those variables exist, memory outside production,
+// and a startup error in production.
+const DRIVERS = {
+  upstash: createUpstashRedis,
+  memory: createMemoryRedis,
+};
+
+export const resolveRedisDriverName = (env = process.env) => {
+  const explicit = (env.REDIS_DRIVER || '').trim().toLowerCase();
+  if (explicit) return explicit;
+  if (env.UPSTASH_REDIS_REST_URL && env.UPSTASH_REDIS_REST_TOKEN) return 'upstash';
+  if (env.NODE_ENV === 'production') {
+    throw new Error('Redis is not configured: set UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN (or REDIS_DRIVER).');
+  }
+  return 'memory';
+};
+
+export const createRedis = (env = process.env) => {
+  const name = resolveRedisDriverName(env);
+  const createDriver = DRIVERS[name];
+  if (!createDriver) throw new Error(`Unknown Redis driver "${name}".`);
+  if (name === 'memory' && env.NODE_ENV === 'production') {
+    throw new Error('The in-memory Redis driver is per process and cannot be used in production.');
+  }
+  return createDriver(env);
+};
+
+export const redis = createRedis();
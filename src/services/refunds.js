@@ -0,0 +1,385 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { getCollection } from './astra.js';
+import { PaymentProviderError, refundPayment, verifyPayment } from './payments.js';
+import { initR2 } from './r2.js';
+import { redis } from './redis.js';
+import { initZeptoMail } from './zeptoEmail.js';
+import { htmlToPdfBuffer } from '../utils/pdf.js';
+import { toSubunits } from '../utils/paymentPurpose.js';
+import { logger } from '../utils/logger.js';
+
+// Refunds of Paystack charges, one document per refund in `refunds`, linked
+// to what the payment bought:
+//   { type: 'booking', booking_id }    a room booking
+//   { type: 'property', property_id }  a listing fee that created a property
+//   { type: 'listing', landlord_id }   a listing fee whose property never got created
+//   { type: 'payment' }                nothing found
+// Amounts are whole currency units, like the rest of the API.
+
+export const REFUNDS_COLLECTION = 'refunds';
+
+// Paystack refund status -> refund status
+const PROVIDER_STATUS = {
+  pending: 'PENDING',
+  processing: 'PENDING',
+  'needs-attention': 'PENDING',
+  processed: 'PROCESSED',
+  failed: 'FAILED',
+};
+
+export const REFUND_EVENT_STATUS = {
+  'refund.processed': 'PROCESSED',
+  'refund.failed': 'FAILED',
+};
+
+const LOCK_TTL_SEC = 60;
+
+const log = logger.child({ module: 'refunds' });
+
+export class RefundError extends Error {
+  constructor(code, message, status) {
+    super(message);
+    this.name = 'RefundError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+export const refundStatus = (providerStatus) => PROVIDER_STATUS[String(providerStatus || '').toLowerCase()] || 'PENDING';
+
+export const newRefundId = () => `RFD-${crypto.randomUUID()}`;
+
+const rowsOf = (res) => Object.entries(res?.data || {});
+
+export const listRefunds = async (reference) => {
+  const col = await getCollection(REFUNDS_COLLECTION);
+  const res = await col.find({ reference: { $eq: reference } }, { sort: { created_at: 1 } });
+  return rowsOf(res).map(([, row]) => row);
+};
+
+// What has been (or is being) given back; failed refunds don't count
+export const refundedTotal = (refunds) => refunds
+  .filter((r) => r.status !== 'FAILED')
+  .reduce((sum, r) => sum + Number(r.amount || 0), 0);
+
+/**
+ * refundTarget(reference, paymentData) -> { link, booking?, property?, recipient }
+ * Finds what the payment was used for (payment claim first, then bookings by
+ * payment_reference, then the listing purpose in the Paystack metadata) and
+ * who should hear about the refund.
+ */
+export const refundTarget = async (reference, paymentData) => {
+  const [claimsCol, bookingsCol, propertiesCol] = await Promise.all([
+    getCollection('payment_claims'),
+    getCollection('bookings'),
+    getCollection('properties'),
+  ]);
+
+  const payer = { email: paymentData?.customer?.email || null, name: null };
+  const claimRes = await claimsCol.get(reference);
+  const claim = claimRes?.code === 404 ? null : claimRes?.data || null;
+
+  const bookingQuery = claim?.linked_booking_id
+    ? { booking_id: { $eq: claim.linked_booking_id } }
+    : { payment_reference: { $eq: reference } };
+  const [bookingId, booking] = rowsOf(await bookingsCol.find(bookingQuery))[0] || [];
+  if (booking) {
+    return {
+      link: { type: 'booking', booking_id: booking.booking_id },
+      booking: { ...booking, _id: booking._id || bookingId },
+      recipient: {
+        email: booking.tenant_email || claim?.email || payer.email,
+        name: booking.guest?.full_name || 'Tenant',
+      },
+    };
+  }
+
+  if (claim?.linked_property_id) {
+    const [propertyId, property] = rowsOf(await propertiesCol.find({ property_id: { $eq: claim.linked_property_id } }))[0] || [];
+    return {
+      link: { type: 'property', property_id: claim.linked_property_id },
+      property: property ? { ...property, _id: property._id || propertyId } : null,
+      recipient: { email: claim.email || payer.email, name: 'Landlord' },
+    };
+  }
+
+  let metadata = paymentData?.metadata || {};
+  if (typeof metadata === 'string') {
+    try {
+      metadata = JSON.parse(metadata);
+    } catch {
+      metadata = {};
+    }
+  }
+  if (metadata.purpose?.type === 'listing') {
+    return {
+      link: { type: 'listing', landlord_id: metadata.purpose.landlord_id || null },
+      recipient: { ...payer, name: 'Landlord' },
+    };
+  }
+
+  return { link: { type: 'payment' }, recipient: payer };
+};
+
+const money = (amount, currency) => new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+
+/**
+ * issueRefundReceipt({ refund, paid, refunded }) -> public URL of the PDF
+ * `paid` is the original charge and `refunded` everything refunded so far,
+ * this refund included, both in whole units.
+ */
+export const issueRefundReceipt = async ({ refund, paid, refunded }) => {
+  const verifyUrl = `https://housika.co.ke/verify-receipt/${refund.refund_id}`;
+  const qrDataUrl = await QRCode.toDataURL(verifyUrl);
+  const rows = [
+    ['Payment reference', refund.reference],
+    ['Refund ID', refund.refund_id],
+    ...(refund.link.booking_id ? [['Booking ID', refund.link.booking_id]] : []),
+    ...(refund.link.property_id ? [['Property ID', refund.link.property_id]] : []),
+    ['Amount paid', money(paid, refund.currency)],
+    ['This refund', money(refund.amount, refund.currency)],
+    ['Total refunded', money(refunded, refund.currency)],
+    ['Net paid', money(paid - refunded, refund.currency)],
+    ['Reason', refund.reason],
+    ['Date', refund.created_at],
+  ];
+  const pdfBuffer = await htmlToPdfBuffer(`<!doctype html><html><body>
+    <h1>Refund receipt</h1>
+    <table>${rows.map(([k, v]) => `<tr><th align="left">${k}</th><td>${v}</td></tr>`).join('')}</table>
+    <img src="${qrDataUrl}" />
+  </body></html>`);
+
+  const r2 = await initR2();
+  const key = `receipts/refunds/${refund.refund_id}.pdf`;
+  await r2.uploadFile(key, pdfBuffer, 'application/pdf');
+  return r2.generatePublicUrl(key);
+};
+
+/**
+ * applyRefundEvent(event, data, { traceId })
+ * Settles the open (REQUESTED / PENDING) refund the event names: by
+ * `provider_refund_id` when the provider sends one (M-Pesa reversals), else
+ * the oldest for the charge with the same amount.
+ * Returns the updated refund or null when none matches.
+ */
+export const applyRefundEvent = async (event, data, { traceId } = {}) => {
+  const status = REFUND_EVENT_STATUS[event];
+  const reference = data?.transaction_reference || data?.reference;
+  if (!status || (!reference && !data?.provider_refund_id)) return null;
+
+  const col = await getCollection(REFUNDS_COLLECTION);
+  const open = { status: { $in: ['REQUESTED', 'PENDING'] } };
+  const query = data.provider_refund_id
+    ? { provider_refund_id: { $eq: data.provider_refund_id }, ...open }
+    : { reference: { $eq: reference }, ...open };
+  const res = await col.find(query, { sort: { created_at: 1 } });
+  const [id, refund] = rowsOf(res).find(([, row]) => data.amount == null || Math.round(row.amount * 100) === Number(data.amount)) || [];
+  if (!refund) return null;
+
+  const at = new Date().toISOString();
+  const update = {
+    status,
+    provider_status: data.status || null,
+    updated_at: at,
+    status_history: [...(refund.status_history || []), { status, at, by: 'paystack', event, traceId }],
+  };
+  await col.patch(id, update);
+  log.info('refund settled', { reference, refund_id: refund.refund_id, status });
+  return { ...refund, ...update };
+};
+
+// Refund summary kept on the booking / property the payment bought
+const linkRefund = async ({ target, refund, refunded, paid, receiptUrl }) => {
+  const summary = {
+    refund_ids: [...(target.booking?.refund_ids || target.property?.refund_ids || []), refund.refund_id],
+    refunded_amount: refunded,
+    refund_status: refunded >= paid ? 'full' : 'partial',
+    updated_at: refund.created_at,
+  };
+
+  if (target.booking) {
+    const bookingsCol = await getCollection('bookings');
+    await bookingsCol.patch(target.booking._id, {
+      ...summary,
+      ...(receiptUrl ? {
+        receipt_url: receiptUrl,
+        receipt_history: [...(target.booking.receipt_history || []), target.booking.receipt_url].filter(Boolean),
+      } : {}),
+    });
+  } else if (target.property) {
+    const propertiesCol = await getCollection('properties');
+    await propertiesCol.patch(target.property._id, summary);
+  }
+};
+
+const sendRefundEmail = async ({ recipient, refund, paid, refunded, receiptUrl }) => {
+  if (!recipient?.email) return;
+  try {
+    const zepto = await initZeptoMail();
+    const what = refund.link.type === 'booking' ? 'your booking' : 'your property listing fee';
+    await zepto.sendCustomerCareReply({
+      to: recipient.email,
+      subject: `Refund of ${refund.currency} ${refund.amount} – ${refund.reference}`,
+      htmlbody: `
+        <html>
+          <body>
+            <p>Dear ${recipient.name || 'Customer'}, we have refunded ${refund.currency} ${refund.amount} for ${what}.</p>
+            <p>Reason: ${refund.reason}</p>
+            <p>Paid: ${refund.currency} ${paid}. Refunded in total: ${refund.currency} ${refunded}.</p>
+            <p>It can take a few working days to reach your account.</p>
+            ${receiptUrl ? `<p><a href="${receiptUrl}">Download updated receipt</a></p>` : ''}
+          </body>
+        </html>
+      `,
+      recipientName: recipient.name || 'Customer',
+    });
+  } catch (err) {
+    log.warn('refund email failed', { refund_id: refund.refund_id, err });
+  }
+};
+
+/**
+ * createRefund({ reference, amount, reason, by, notify, traceId })
+ * -> { refund, paid, refunded, remaining }
+ * Refunds all (no `amount`) or part of a successful charge, in whole units.
+ * The refund is linked to the booking or property the payment bought, which
+ * gets a refund summary (bookings also an updated receipt), and the payer is
+ * emailed unless `notify` is false. Throws RefundError:
+ *   404 PAYMENT_NOT_FOUND / 502 PAYMENT_VERIFICATION_ERROR
+ *   409 PAYMENT_NOT_REFUNDABLE / REFUND_IN_PROGRESS / PAYMENT_FULLY_REFUNDED
+ *   422 REFUND_EXCEEDS_PAYMENT / REFUND_REJECTED, or the provider's error
+ *   502 REFUND_FAILED  Paystack did not answer; the refund stays REQUESTED
+ *   500 REFUND_FAILED  anything else
+ */
+export const createRefund = async ({ reference, amount: requested, reason, by, notify = true, traceId }) => {
+  const timestamp = new Date().toISOString();
+
+  let payment;
+  try {
+    ({ data: payment } = await verifyPayment(reference));
+  } catch (err) {
+    const missing = err.status >= 400 && err.status < 500;
+    if (!missing) log.error('payment lookup failed', { reference, err });
+    throw missing
+      ? new RefundError('PAYMENT_NOT_FOUND', `No payment with reference "${reference}".`, 404)
+      : new RefundError('PAYMENT_VERIFICATION_ERROR', 'Could not look up the payment.', 502);
+  }
+  if (payment?.status !== 'success') {
+    throw new RefundError('PAYMENT_NOT_REFUNDABLE', `Payment is ${payment?.status || 'unknown'}; only successful payments can be refunded.`, 409);
+  }
+
+  const paid = Number(payment.amount) / 100;
+  const currency = payment.currency;
+  const lockKey = `refund:lock:${reference}`;
+  let locked = false;
+
+  try {
+    locked = await redis.set(lockKey, traceId || timestamp, { nx: true, ex: LOCK_TTL_SEC });
+    if (!locked) throw new RefundError('REFUND_IN_PROGRESS', 'Another refund for this payment is being processed.', 409);
+
+    const refunds = await listRefunds(reference);
+    const remaining = round2(paid - refundedTotal(refunds));
+    if (remaining <= 0) throw new RefundError('PAYMENT_FULLY_REFUNDED', 'This payment has already been refunded in full.', 409);
+    // cents, like the provider gets them (toSubunits)
+    const amount = round2(requested ?? remaining);
+    if (amount > remaining) {
+      throw new RefundError('REFUND_EXCEEDS_PAYMENT', `At most ${currency} ${remaining} of this payment can still be refunded.`, 422);
+    }
+
+    const target = await refundTarget(reference, payment);
+    const refundId = newRefundId();
+    const record = {
+      _id: refundId,
+      refund_id: refundId,
+      reference,
+      amount,
+      currency,
+      reason,
+      link: target.link,
+      status: 'REQUESTED',
+      status_history: [{ status: 'REQUESTED', at: timestamp, by, traceId }],
+      requested_by: by,
+      receipt_url: null,
+      created_at: timestamp,
+      updated_at: timestamp,
+    };
+    const refundsCol = await getCollection(REFUNDS_COLLECTION);
+    await refundsCol.put(refundId, record);
+
+    // The record exists before the money moves, so a refund is never lost
+    let provider;
+    try {
+      ({ data: provider } = await refundPayment({
+        reference,
+        amount: toSubunits(amount),
+        currency,
+        customer_note: reason,
+        merchant_note: `${refundId} by ${by}`,
+      }));
+    } catch (err) {
+      log.error('refund request failed', { reference, refund_id: refundId, err });
+      // refused (or never sent): nothing moved
+      const providerError = err instanceof PaymentProviderError;
+      if (providerError || (err.status >= 400 && err.status < 500)) {
+        const at = new Date().toISOString();
+        await refundsCol.patch(refundId, {
+          status: 'FAILED',
+          failure_reason: err.message,
+          updated_at: at,
+          status_history: [...record.status_history, { status: 'FAILED', at, by, note: err.message, traceId }],
+        });
+        throw providerError
+          ? new RefundError(err.code, err.message, err.status)
+          : new RefundError('REFUND_REJECTED', err.message, 422);
+      }
+      // the outcome is unknown: the REQUESTED record keeps counting until a webhook settles it
+      throw new RefundError('REFUND_FAILED', `Paystack did not answer; refund ${refundId} stays REQUESTED until Paystack confirms it.`, 502);
+    }
+
+    const status = refundStatus(provider?.status);
+    Object.assign(record, {
+      status,
+      provider_status: provider?.status || null,
+      provider_refund_id: provider?.id ?? null,
+      status_history: [...record.status_history, { status, at: new Date().toISOString(), by, note: `paystack: ${provider?.status || 'unknown'}`, traceId }],
+    });
+    const refunded = round2(paid - remaining + amount);
+
+    let receiptUrl = null;
+    try {
+      receiptUrl = await issueRefundReceipt({ refund: record, paid, refunded });
+      record.receipt_url = receiptUrl;
+    } catch (err) {
+      log.warn('refund receipt failed', { refund_id: refundId, err });
+    }
+
+    await refundsCol.patch(refundId, {
+      status: record.status,
+      provider_status: record.provider_status,
+      provider_refund_id: record.provider_refund_id,
+      status_history: record.status_history,
+      receipt_url: record.receipt_url,
+      updated_at: new Date().toISOString(),
+    });
+    await linkRefund({ target, refund: record, refunded, paid, receiptUrl }).catch((err) => {
+      log.error('refund link failed', { refund_id: refundId, link: target.link, err });
+    });
+
+    log.info('refund created', { reference, refund_id: refundId, amount, status, link: target.link.type });
+
+    // Email (fire-and-forget)
+    if (notify) sendRefundEmail({ recipient: target.recipient, refund: record, paid, refunded, receiptUrl });
+
+    const { _id, ...refund } = record;
+    return { refund, paid, refunded, remaining: round2(paid - refunded) };
+  } catch (err) {
+    if (err instanceof RefundError) throw err;
+    log.error('refund error', { reference, err });
+    throw new RefundError('REFUND_FAILED', 'Failed to process the refund.', 500);
+  } finally {
+    if (locked) await redis.del(lockKey).catch(() => {});
+  }
+};
@@ -0,0 +1,209 @@
+import crypto from 'crypto';
+import { redis } from './redis.js';
+import { overlaps } from './availability.js';
+import { logger } from '../utils/logger.js';
+
+// Room holds.
+//
+// A hold reserves a room's dates for one payer while they check out, from
+// POST /rooms/:id/hold through POST /payments/initiate to POST /bookings.
+// It lives in Redis under room:hold:<room_id>:<hold_id> for ROOM_HOLD_TTL_SEC
+// (default 15 minutes) and belongs to a signed-in user or a guest email. A
+// room can have several holds as long as their dates don't overlap, one per
+// payer; initiating a payment for the held dates ties its reference to the
+// hold.
+//
+// The set room:holds:<room_id> indexes a room's hold ids, and rooms:held the
+// rooms with holds (for listings), so reads never scan the keyspace. Both
+// expire with their newest hold; ids whose hold expired are dropped on read.
+//
+// While it lasts, nobody else can hold, pay for or book the held dates:
+// bookings need the hold's payment (or, before one is tied, the holder). The
+// booking clears it.
+
+const HOLD_TTL_SEC = Number(process.env.ROOM_HOLD_TTL_SEC || 900);
+const HOLD_PREFIX = 'room:hold:';
+const HELD_ROOMS_KEY = 'rooms:held';
+
+const log = logger.child({ module: 'roomHolds' });
+
+export class RoomHoldError extends Error {
+  constructor(code, message, status = 409) {
+    super(message);
+    this.name = 'RoomHoldError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const holdKey = (roomId, holdId) => `${HOLD_PREFIX}${roomId}:${holdId}`;
+const roomIndexKey = (roomId) => `room:holds:${roomId}`;
+
+const unavailable = (err, roomId) => {
+  log.error('room hold lookup failed', { roomId, err });
+  return new RoomHoldError('HOLD_UNAVAILABLE', 'Room holds cannot be checked right now; try again shortly.', 503);
+};
+
+const heldError = (hold) => new RoomHoldError(
+  'ROOM_HELD',
+  `Another guest is checking out these dates until ${hold.expires_at}; try again later or pick other dates.`
+);
+
+// Holders: { userId } when signed in, else { email }
+export const holderOf = (user, email) => (user?.userId
+  ? { userId: user.userId }
+  : { email: String(email || '').trim().toLowerCase() || null });
+
+export const ownsHold = (hold, holder) => (hold.user_id
+  ? hold.user_id === holder.userId
+  : !!holder.email && hold.email === holder.email);
+
+const indexHold = async (roomId, holdId) => {
+  await redis.sadd(roomIndexKey(roomId), holdId);
+  await redis.sadd(HELD_ROOMS_KEY, roomId);
+  await Promise.all([redis.expire(roomIndexKey(roomId), HOLD_TTL_SEC), redis.expire(HELD_ROOMS_KEY, HOLD_TTL_SEC)]);
+};
+
+// Holds behind a room's index, pruning the ids (and the room) whose holds expired
+const indexedHolds = async (roomId) => {
+  // Redis clients parse numeric members back as numbers
+  const ids = (await redis.smembers(roomIndexKey(roomId))).map(String);
+  const holds = await Promise.all(ids.map((id) => redis.get(holdKey(roomId, id))));
+  const stale = ids.filter((_, i) => !holds[i]);
+  if (stale.length) await redis.srem(roomIndexKey(roomId), ...stale);
+  if (stale.length === ids.length) await redis.srem(HELD_ROOMS_KEY, roomId);
+  return holds.filter(Boolean);
+};
+
+// The live holds on a room
+export const roomHolds = async (roomId) => {
+  try {
+    return await indexedHolds(roomId);
+  } catch (err) {
+    throw unavailable(err, roomId);
+  }
+};
+
+// A live hold by id, or null
+export const findHold = async (roomId, holdId) => {
+  try {
+    return (await redis.get(holdKey(roomId, holdId))) || null;
+  } catch (err) {
+    throw unavailable(err, roomId);
+  }
+};
+
+/**
+ * placeHold(roomId, stay, { holder, paymentReference }) -> hold
+ * Holds the stay's dates for ROOM_HOLD_TTL_SEC; call it under the room lock
+ * (services/availability.js lockRoom). Holding again moves the holder's hold
+ * (new dates, fresh expiry). Throws RoomHoldError 409 ROOM_HELD when someone
+ * else holds any of the dates, 503 HOLD_UNAVAILABLE when Redis fails.
+ */
+export const placeHold = async (roomId, stay, { holder, paymentReference = null }) => {
+  const holds = await roomHolds(roomId);
+  const taken = holds.find((hold) => !ownsHold(hold, holder) && overlaps(hold, stay));
+  if (taken) throw heldError(taken);
+  const existing = holds.find((hold) => ownsHold(hold, holder));
+
+  const now = Date.now();
+  const hold = {
+    hold_id: existing?.hold_id || `HLD-${crypto.randomUUID()}`,
+    room_id: roomId,
+    start_date: stay.start_date,
+    end_date: stay.end_date,
+    periods: stay.periods,
+    user_id: holder.userId || null,
+    email: holder.userId ? null : holder.email,
+    payment_reference: paymentReference || existing?.payment_reference || null,
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + HOLD_TTL_SEC * 1000).toISOString(),
+  };
+
+  try {
+    await redis.set(holdKey(roomId, hold.hold_id), hold, { ex: HOLD_TTL_SEC });
+    await indexHold(roomId, hold.hold_id);
+  } catch (err) {
+    throw unavailable(err, roomId);
+  }
+  log.info('room held', { roomId, holdId: hold.hold_id, until: hold.expires_at });
+  return hold;
+};
+
+/**
+ * assertNotHeld(roomId, stay, holder) -> the holder's own overlapping hold, or null
+ * For payments: throws RoomHoldError 409 ROOM_HELD when someone else holds
+ * any of the dates.
+ */
+export const assertNotHeld = async (roomId, stay, holder) => {
+  const held = (await roomHolds(roomId)).filter((hold) => overlaps(hold, stay));
+  const taken = held.find((hold) => !ownsHold(hold, holder));
+  if (taken) throw heldError(taken);
+  return held[0] || null;
+};
+
+/**
+ * assertHoldAllows(roomId, stay, { reference, holder }) -> the hold the booking uses, or null
+ * For bookings: only the hold's payment, or its holder before a payment is
+ * tied, may book held dates. Throws RoomHoldError 409 ROOM_HELD.
+ */
+export const assertHoldAllows = async (roomId, stay, { reference, holder }) => {
+  const held = (await roomHolds(roomId)).filter((hold) => overlaps(hold, stay));
+  const allows = (hold) => (hold.payment_reference ? hold.payment_reference === reference : ownsHold(hold, holder));
+  const taken = held.find((hold) => !allows(hold));
+  if (taken) throw heldError(taken);
+  return held[0] || null;
+};
+
+// Ties a payment to the holder's hold; the hold keeps its expiry
+export const tieHoldPayment = async (hold, reference) => {
+  const key = holdKey(hold.room_id, hold.hold_id);
+  try {
+    const current = await redis.get(key);
+    if (!current) return false;
+    await redis.set(key, { ...current, payment_reference: reference }, { keepTtl: true });
+    return true;
+  } catch (err) {
+    log.warn('hold payment link failed', { roomId: hold.room_id, holdId: hold.hold_id, err });
+    return false;
+  }
+};
+
+// Removes the hold if it is still there
+export const releaseHold = async (roomId, holdId) => {
+  try {
+    const removed = (await redis.del(holdKey(roomId, holdId))) > 0;
+    await redis.srem(roomIndexKey(roomId), holdId);
+    return removed;
+  } catch (err) {
+    log.warn('hold release failed; it expires on its own', { roomId, holdId, err });
+    return false;
+  }
+};
+
+/**
+ * markHeld(rooms, idField) -> rooms with `held` and `heldUntil`
+ * For listings and search, which are cached longer than a hold changes.
+ * Best effort: without Redis, rooms show as not held.
+ */
+export const markHeld = async (rooms, idField = 'roomId') => {
+  if (!Array.isArray(rooms) || !rooms.length) return rooms;
+  const held = new Map(); // room -> latest expiry of its holds
+  try {
+    // only the listed rooms that have holds are read
+    const heldRooms = new Set((await redis.smembers(HELD_ROOMS_KEY)).map(String));
+    const listed = [...new Set(rooms.map((room) => String(room[idField])))].filter((id) => heldRooms.has(id));
+    const holds = (await Promise.all(listed.map(indexedHolds))).flat();
+    for (const hold of holds) {
+      const roomId = String(hold.room_id);
+      if (!(held.get(roomId) > hold.expires_at)) held.set(roomId, hold.expires_at);
+    }
+  } catch (err) {
+    log.warn('room holds unavailable for listing', { err });
+  }
+  return rooms.map((room) => ({
+    ...room,
+    held: held.has(String(room[idField])),
+    heldUntil: held.get(String(room[idField])) || null,
+  }));
+};
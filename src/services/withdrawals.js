@@ -0,0 +1,118 @@
+import crypto from 'crypto';
+import { getCollection } from './astra.js';
+import { logger } from '../utils/logger.js';
+
+// Withdrawals (payouts from the Paystack balance), one document per request
+// in `withdrawals`. The document id is derived from the initiator and their
+// Idempotency-Key and doubles as the Paystack transfer reference, so a retried
+// request finds the same record and Paystack never sends the money twice.
+//
+// Every status change is appended to `status_history` as
+// { status, at, by, event?, note?, traceId }, where `by` is the user who acted
+// or 'paystack' for webhook events.
+
+export const WITHDRAWALS_COLLECTION = 'withdrawals';
+
+export const WITHDRAWAL_TRANSITIONS = {
+  REQUESTED: ['OTP_REQUIRED', 'PENDING', 'SUCCESS', 'FAILED'],
+  OTP_REQUIRED: ['PENDING', 'SUCCESS', 'FAILED'],
+  PENDING: ['SUCCESS', 'FAILED', 'REVERSED'],
+  SUCCESS: ['REVERSED'],
+  FAILED: [],
+  REVERSED: [],
+};
+
+// Paystack transfer status -> withdrawal status
+const PROVIDER_STATUS = {
+  otp: 'OTP_REQUIRED',
+  pending: 'PENDING',
+  received: 'PENDING',
+  processing: 'PENDING',
+  queued: 'PENDING',
+  success: 'SUCCESS',
+  failed: 'FAILED',
+  abandoned: 'FAILED',
+  blocked: 'FAILED',
+  rejected: 'FAILED',
+  reversed: 'REVERSED',
+};
+
+export const TRANSFER_EVENT_STATUS = {
+  'transfer.success': 'SUCCESS',
+  'transfer.failed': 'FAILED',
+  'transfer.reversed': 'REVERSED',
+};
+
+export const IDEMPOTENCY_KEY_PATTERN = /^[\w.:-]{8,128}$/;
+
+const log = logger.child({ module: 'withdrawals' });
+
+// Paystack references: lowercase alphanumerics, '-' and '_', 16-50 chars
+export const withdrawalId = (initiatorId, idempotencyKey) => `wd_${crypto
+  .createHash('sha256')
+  .update(`${initiatorId}:${idempotencyKey}`)
+  .digest('hex')
+  .slice(0, 32)}`;
+
+// What the key was first used for; a replay with a different request is refused
+export const requestFingerprint = ({ amount, currency, recipient_code, reason }) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([Number(amount), currency, recipient_code, reason || null]))
+  .digest('hex');
+
+export const statusFromProvider = (providerStatus) => PROVIDER_STATUS[String(providerStatus || '').toLowerCase()] || null;
+
+export const getWithdrawal = async (id) => {
+  const col = await getCollection(WITHDRAWALS_COLLECTION);
+  const res = await col.get(id);
+  return res?.data && res.code !== 404 ? res.data : null;
+};
+
+/**
+ * transitionWithdrawal(withdrawal, status, { by, event, note, traceId, fields })
+ * Moves the stored withdrawal to `status` if WITHDRAWAL_TRANSITIONS allows it
+ * and records the step. `fields` are merged into the document either way.
+ * Returns the updated withdrawal; `changed` is false when the move was refused.
+ */
+export const transitionWithdrawal = async (withdrawal, status, { by, event, note, traceId, fields = {} } = {}) => {
+  const from = withdrawal.status;
+  const allowed = from !== status && WITHDRAWAL_TRANSITIONS[from]?.includes(status);
+  const at = new Date().toISOString();
+
+  const update = { ...fields, updated_at: at };
+  if (allowed) {
+    update.status = status;
+    update.status_history = [
+      ...(withdrawal.status_history || []),
+      { status, at, by, ...(event ? { event } : {}), ...(note ? { note } : {}), traceId },
+    ];
+  } else if (from !== status) {
+    log.warn('ignored withdrawal transition', { id: withdrawal.id, from, to: status, event });
+  }
+
+  const col = await getCollection(WITHDRAWALS_COLLECTION);
+  await col.patch(withdrawal.id, update);
+  return { withdrawal: { ...withdrawal, ...update }, changed: !!allowed, from };
+};
+
+/**
+ * applyTransferEvent(event, data, { traceId })
+ * Applies a Paystack transfer.* webhook event to its withdrawal.
+ * Returns null when no withdrawal matches the transfer reference.
+ */
+export const applyTransferEvent = async (event, data, { traceId } = {}) => {
+  const status = TRANSFER_EVENT_STATUS[event];
+  const withdrawal = data?.reference ? await getWithdrawal(data.reference) : null;
+  if (!status || !withdrawal) return null;
+
+  return transitionWithdrawal(withdrawal, status, {
+    by: 'paystack',
+    event,
+    note: data.gateway_response || undefined,
+    traceId,
+    fields: {
+      transfer_code: data.transfer_code || withdrawal.transfer_code || null,
+      provider_status: data.status || null,
+    },
+  });
+};
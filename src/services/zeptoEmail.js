@@ -1,3 +1,5 @@
+import { logger, traceHeaders } from '../utils/logger.js';
+
 const ZEPTO_URL = 'https://api.zeptomail.com/v1.1/email';
 
 const SENDERS = {
@@ -64,6 +66,7 @@ export async function initZeptoMail(env) {
         headers: {
           Authorization: zeptoApiKey,
           'Content-Type': 'application/json',
+          ...traceHeaders(),
         },
         body: JSON.stringify(payload),
       });
@@ -73,7 +76,7 @@ export async function initZeptoMail(env) {
       return data;
     } catch (err) {
       const detail = err instanceof ZeptoMailError ? err.data : err.stack || err;
-      console.error(`[ZEPTOMAIL ERROR] ${sender.address} → ${to}`, detail);
+      logger.error('zeptomail send failed', { from: sender.address, to, detail });
       throw err instanceof ZeptoMailError ? err : new ZeptoMailError('Unexpected email error.', detail);
     }
   };
@@ -1,15 +1,11 @@
 import pkg from 'jsonwebtoken';
 const { sign, verify } = pkg;
 
-import { Redis } from '@upstash/redis';
+import { redis } from '../services/redis.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your_very_secret_key_change_me';
 const JWT_EXPIRATION = process.env.JWT_EXPIRATION || '7d';
-
-const redis = new Redis({
-  url: 'https://gorgeous-ghoul-15689.upstash.io',
-  token: 'AT1JAAIncDJmNWUzYWI1Y2M2ZTY0NzA0YWFiYmJjMmUxMmU5MjM0MXAyMTU2ODk',
-});
+const BOOKING_LINK_EXPIRATION = process.env.BOOKING_LINK_EXPIRATION || '365d';
 
 const getRedisTTL = (exp = JWT_EXPIRATION) => {
   const [, val, unit] = exp.match(/^(\d+)([smhd])$/) || [];
@@ -17,8 +13,8 @@ const getRedisTTL = (exp = JWT_EXPIRATION) => {
   return unit === 's' ? n : unit === 'm' ? n * 60 : unit === 'h' ? n * 3600 : unit === 'd' ? n * 86400 : 604800;
 };
 
-const assignToken = async ({ userId, email, role }) => {
-  const token = sign({ userId, email, role }, JWT_SECRET, { expiresIn: JWT_EXPIRATION });
+const assignToken = async ({ userId, email, role, name = null }) => {
+  const token = sign({ userId, email, role, name }, JWT_SECRET, { expiresIn: JWT_EXPIRATION });
   await redis.set(`auth:${userId}:${token}`, 'active', { ex: getRedisTTL() });
   return token;
 };
@@ -34,6 +30,19 @@ const checkToken = async (token) => {
   }
 };
 
+// Signed links in booking emails let guests (no account) act on their booking
+const bookingLinkToken = (bookingId, scope) => sign({ booking_id: bookingId, scope }, JWT_SECRET, { expiresIn: BOOKING_LINK_EXPIRATION });
+
+const checkBookingLinkToken = (token, bookingId, scope) => {
+  if (!token) return false;
+  try {
+    const payload = verify(token, JWT_SECRET);
+    return payload.booking_id === bookingId && payload.scope === scope;
+  } catch {
+    return false;
+  }
+};
+
 const deleteToken = async (userId, token) => redis.del(`auth:${userId}:${token}`);
 
 const deleteAllTokens = async (userId) => {
@@ -41,14 +50,11 @@ const deleteAllTokens = async (userId) => {
   if (keys.length) await redis.del(...keys);
 };
 
-const roleCheck = (payload, required) =>
-  !!payload?.role && (Array.isArray(required) ? required : [required]).includes(payload.role);
-
 export {
   assignToken,
   checkToken,
+  bookingLinkToken,
+  checkBookingLinkToken,
   deleteToken,
   deleteAllTokens,
-  roleCheck,
-  redis,
 };
@@ -0,0 +1,94 @@
+/**
+ * Booking cancellation policies.
+ *
+ * Each property picks one (`cancellation_policy`, default
+ * DEFAULT_CANCELLATION_POLICY or 'moderate'); a booking keeps the policy its
+ * property had when it was made. A policy is a list of cutoffs:
+ *   { hours_before: 24, refund_percent: 100 }  // cancelled 24h or more before check-in
+ * The first cutoff the cancellation meets sets the refund, and cancelling
+ * after the last one refunds nothing. Check-in is midnight UTC of start_date.
+ * CANCELLATION_POLICIES (JSON object, name -> cutoffs) replaces the defaults.
+ */
+
+const DEFAULT_POLICIES = {
+  flexible: [
+    { hours_before: 24, refund_percent: 100 },
+    { hours_before: 0, refund_percent: 50 },
+  ],
+  moderate: [
+    { hours_before: 120, refund_percent: 100 },
+    { hours_before: 24, refund_percent: 50 },
+  ],
+  strict: [
+    { hours_before: 336, refund_percent: 100 },
+    { hours_before: 168, refund_percent: 50 },
+  ],
+};
+
+const validCutoffs = (cutoffs) => Array.isArray(cutoffs) && cutoffs.length > 0
+  && cutoffs.every((t) => Number(t.hours_before) >= 0 && Number(t.refund_percent) >= 0 && Number(t.refund_percent) <= 100);
+
+// A broken policy would refund the wrong amounts, so it stops the process
+const loadPolicies = () => {
+  const raw = process.env.CANCELLATION_POLICIES;
+  if (!raw) return DEFAULT_POLICIES;
+  let policies;
+  try {
+    policies = JSON.parse(raw);
+  } catch {
+    throw new Error('CANCELLATION_POLICIES is not valid JSON.');
+  }
+  if (!policies || typeof policies !== 'object' || !Object.keys(policies).length
+    || !Object.values(policies).every(validCutoffs)) {
+    throw new Error('CANCELLATION_POLICIES maps policy names to cutoffs ({ hours_before, refund_percent }).');
+  }
+  return policies;
+};
+
+export const CANCELLATION_POLICIES = Object.freeze(Object.fromEntries(
+  Object.entries(loadPolicies()).map(([name, cutoffs]) => [
+    name,
+    Object.freeze([...cutoffs].sort((a, b) => b.hours_before - a.hours_before)),
+  ])
+));
+
+export const DEFAULT_CANCELLATION_POLICY = process.env.DEFAULT_CANCELLATION_POLICY || 'moderate';
+
+if (!CANCELLATION_POLICIES[DEFAULT_CANCELLATION_POLICY]) {
+  throw new Error(`DEFAULT_CANCELLATION_POLICY "${DEFAULT_CANCELLATION_POLICY}" is not in CANCELLATION_POLICIES.`);
+}
+
+// Unknown names (a policy since removed) fall back to the default
+export const policyName = (name) => (CANCELLATION_POLICIES[name] ? name : DEFAULT_CANCELLATION_POLICY);
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * cancellationQuote(booking, policy, now)
+ * -> { policy, cutoffs, check_in, hours_before_check_in, refund_percent, amount, refunded, refundable_amount, currency }
+ * What cancelling the booking now refunds. Bookings without dates count as
+ * started. `amount` is what the booking was paid; earlier refunds are
+ * deducted from the refund.
+ */
+export const cancellationQuote = (booking, policy, now = new Date()) => {
+  const name = policyName(policy);
+  const cutoffs = CANCELLATION_POLICIES[name];
+  const checkIn = booking.start_date ? new Date(`${booking.start_date}T00:00:00Z`) : null;
+  const hours = checkIn ? Math.floor((checkIn - now) / 3600000) : null;
+  const cutoff = hours === null ? null : cutoffs.find((t) => hours >= t.hours_before);
+  const percent = cutoff ? Number(cutoff.refund_percent) : 0;
+  const amount = Number(booking.amount ?? booking.room_price) || 0;
+  const refunded = Number(booking.refunded_amount) || 0;
+
+  return {
+    policy: name,
+    cutoffs,
+    check_in: checkIn?.toISOString() || null,
+    hours_before_check_in: hours,
+    refund_percent: percent,
+    amount,
+    refunded,
+    refundable_amount: Math.max(0, round2((amount * percent) / 100 - refunded)),
+    currency: booking.currency || null,
+  };
+};
@@ -0,0 +1,22 @@
+/**
+ * Date range filters for list endpoints.
+ *
+ * `from` / `to` are YYYY-MM-DD (the whole day) or ISO timestamps (as given),
+ * the way the `date` schema format accepts them.
+ */
+
+export const dateBound = (value, endOfDay = false) => (/^\d{4}-\d{2}-\d{2}$/.test(value)
+  ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`
+  : new Date(value).toISOString());
+
+/**
+ * rangeFilter({ from, to }) -> `where` condition for an ISO timestamp field,
+ * or null when neither bound is set.
+ */
+export const rangeFilter = ({ from, to } = {}) => {
+  if (!from && !to) return null;
+  return {
+    ...(from ? { $gte: dateBound(from) } : {}),
+    ...(to ? { $lte: dateBound(to, true) } : {}),
+  };
+};
@@ -0,0 +1,31 @@
+/**
+ * lazyHandler(importFn, exportName)
+ * - importFn: () => import('./handler.js')
+ * - Returns a route handler that imports the module on its first request and
+ *   delegates to the named export (default export when omitted).
+ *
+ * Route tables use it so that importing a group's routes.js loads only the
+ * middleware and schemas. The OpenAPI builder walks those tables without
+ * pulling in handler code and the services it initializes.
+ */
+export function lazyHandler(importFn, exportName = 'default') {
+  let loading = null;
+
+  const handler = async (c, next) => {
+    loading ||= importFn()
+      .then((m) => {
+        const fn = m?.[exportName];
+        if (typeof fn !== 'function') throw new Error(`Lazy handler export "${exportName}" is not a function`);
+        return fn;
+      })
+      .catch((err) => {
+        loading = null;
+        throw err;
+      });
+    const fn = await loading;
+    return fn(c, next);
+  };
+
+  // Named after the export, for the OpenAPI summary fallback
+  return Object.defineProperty(handler, 'name', { value: exportName === 'default' ? '' : exportName });
+}
@@ -0,0 +1,122 @@
+import { LISTING_FEE, PAYMENT_CURRENCY } from './paymentPurpose.js';
+
+/**
+ * Listing fee schedule.
+ *
+ * One entry per country (ISO2, '*' for every other country) and currency:
+ *   {
+ *     country: 'KE',
+ *     currency: 'KES',
+ *     tiers: [{ max_rooms: 5, fee: 1000 }, …, { max_rooms: null, fee: 10000 }],  // null: no limit
+ *     durations: [{ days: 30, multiplier: 1 }, { days: 90, multiplier: 2.5 }],  // first is the default
+ *   }
+ * The fee is the first tier that fits the room count, times the duration's
+ * multiplier, in whole currency units. LISTING_FEE_SCHEDULE (JSON array)
+ * replaces the default below, which scales LISTING_FEE_KES.
+ *
+ * listingQuote() prices a listing; POST /payments/initiate charges the quote
+ * and POST /properties checks the payment against the same quote.
+ */
+
+export class ListingFeeError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'ListingFeeError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const DEFAULT_SCHEDULE = [
+  {
+    country: '*',
+    currency: PAYMENT_CURRENCY,
+    tiers: [
+      { max_rooms: 5, fee: LISTING_FEE },
+      { max_rooms: 20, fee: LISTING_FEE * 2.5 },
+      { max_rooms: 50, fee: LISTING_FEE * 5 },
+      { max_rooms: null, fee: LISTING_FEE * 10 },
+    ],
+    durations: [
+      { days: 30, multiplier: 1 },
+      { days: 90, multiplier: 2.5 },
+      { days: 365, multiplier: 8 },
+    ],
+  },
+];
+
+const validEntry = (entry) => entry
+  && typeof entry.country === 'string'
+  && /^[A-Z]{3}$/.test(entry.currency || '')
+  && Array.isArray(entry.tiers) && entry.tiers.length > 0
+  && entry.tiers.every((t) => Number(t.fee) > 0 && (t.max_rooms === null || Number.isInteger(t.max_rooms)))
+  && entry.tiers.some((t) => t.max_rooms === null)
+  && Array.isArray(entry.durations) && entry.durations.length > 0
+  && entry.durations.every((d) => Number.isInteger(d.days) && d.days > 0 && Number(d.multiplier) > 0);
+
+// A broken schedule would charge the wrong fees, so it stops the process
+const loadSchedule = () => {
+  const raw = process.env.LISTING_FEE_SCHEDULE;
+  if (!raw) return DEFAULT_SCHEDULE;
+  let schedule;
+  try {
+    schedule = JSON.parse(raw);
+  } catch {
+    throw new Error('LISTING_FEE_SCHEDULE is not valid JSON.');
+  }
+  if (!Array.isArray(schedule) || !schedule.length || !schedule.every(validEntry)) {
+    throw new Error('LISTING_FEE_SCHEDULE entries need country, currency, tiers (one with max_rooms: null) and durations.');
+  }
+  return schedule;
+};
+
+export const LISTING_FEE_SCHEDULE = Object.freeze(loadSchedule().map((entry) => Object.freeze({
+  ...entry,
+  country: entry.country.toUpperCase(),
+  tiers: [...entry.tiers].sort((a, b) => (a.max_rooms ?? Infinity) - (b.max_rooms ?? Infinity)),
+})));
+
+// Country names (older properties) and unknown codes fall back to '*'
+const scheduleFor = (country) => {
+  const code = /^[A-Za-z]{2}$/.test(country || '') ? country.toUpperCase() : '*';
+  const entries = LISTING_FEE_SCHEDULE.filter((entry) => entry.country === code);
+  return entries.length ? entries : LISTING_FEE_SCHEDULE.filter((entry) => entry.country === '*');
+};
+
+/**
+ * listingQuote({ country, currency, rooms, duration_days })
+ * -> { country, currency, rooms, duration_days, tier, amount }
+ * `amount` is in whole units. Throws ListingFeeError (400):
+ *   UNSUPPORTED_COUNTRY / UNSUPPORTED_CURRENCY / INVALID_ROOMS / INVALID_DURATION
+ */
+export const listingQuote = ({ country, currency, rooms, duration_days: durationDays } = {}) => {
+  const entries = scheduleFor(country);
+  if (!entries.length) {
+    throw new ListingFeeError('UNSUPPORTED_COUNTRY', `Listings in ${country || 'this country'} are not priced yet.`);
+  }
+  const entry = currency ? entries.find((e) => e.currency === String(currency).toUpperCase()) : entries[0];
+  if (!entry) {
+    throw new ListingFeeError('UNSUPPORTED_CURRENCY', `Listing fees are charged in ${entries.map((e) => e.currency).join(', ')}.`);
+  }
+
+  const roomCount = Number(rooms ?? 0);
+  if (!Number.isInteger(roomCount) || roomCount < 0) {
+    throw new ListingFeeError('INVALID_ROOMS', 'rooms must be a whole number.');
+  }
+  const tier = entry.tiers.find((t) => t.max_rooms === null || roomCount <= t.max_rooms);
+
+  const days = durationDays == null ? entry.durations[0].days : Number(durationDays);
+  const duration = entry.durations.find((d) => d.days === days);
+  if (!duration) {
+    throw new ListingFeeError('INVALID_DURATION', `duration_days must be one of: ${entry.durations.map((d) => d.days).join(', ')}.`);
+  }
+
+  return {
+    country: entry.country,
+    currency: entry.currency,
+    rooms: roomCount,
+    duration_days: days,
+    tier: { max_rooms: tier.max_rooms, fee: tier.fee },
+    amount: Math.round(tier.fee * duration.multiplier * 100) / 100,
+  };
+};
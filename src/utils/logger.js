@@ -0,0 +1,77 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import crypto from 'crypto';
+
+/**
+ * Structured logger with per-request context.
+ *
+ * middleware/requestContext.js runs every request inside
+ * runWithRequestContext({ requestId, method, path }); anything awaited from
+ * there (handlers, services, outbound calls) can read it back without
+ * threading `c` through:
+ *
+ *   getRequestId()        the request's id, or a fresh one outside a request
+ *   bindRequestContext()  adds fields (route, userId) to the current request
+ *   traceHeaders()        { 'x-trace-id': id } for outbound fetches
+ *
+ * logger.info('message', { ...fields }) writes one JSON line carrying the
+ * context fields. LOG_LEVEL (debug|info|warn|error) sets the threshold;
+ * the default is info in production and debug elsewhere.
+ */
+
+const NODE_ENV = process.env.NODE_ENV || 'development';
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const THRESHOLD = LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] ?? (NODE_ENV === 'production' ? LEVELS.info : LEVELS.debug);
+
+export const TRACE_HEADER = 'x-trace-id';
+export const REQUEST_ID_HEADER = 'x-request-id';
+
+const storage = new AsyncLocalStorage();
+
+export const runWithRequestContext = (context, fn) => storage.run(context, fn);
+
+export const getRequestContext = () => storage.getStore();
+
+export const bindRequestContext = (fields) => {
+  const store = storage.getStore();
+  if (store) Object.assign(store, fields);
+};
+
+export const getRequestId = () => storage.getStore()?.requestId || crypto.randomUUID();
+
+export const traceHeaders = () => {
+  const requestId = storage.getStore()?.requestId;
+  return requestId ? { [TRACE_HEADER]: requestId } : {};
+};
+
+const serializeError = (err) => (err instanceof Error
+  ? { name: err.name, message: err.message, ...(NODE_ENV !== 'production' ? { stack: err.stack } : {}) }
+  : err);
+
+const write = (level, msg, fields = {}) => {
+  if (LEVELS[level] < THRESHOLD) return;
+  const { requestId, method, route, path, userId } = storage.getStore() || {};
+  const line = {
+    ts: new Date().toISOString(),
+    level,
+    msg,
+    pid: process.pid,
+    ...(requestId ? { requestId, method, route: route || path, userId: userId || undefined } : {}),
+    ...fields,
+  };
+  if (line.err) line.err = serializeError(line.err);
+  const out = level === 'error' || level === 'warn' ? console.error : console.log;
+  out(JSON.stringify(line));
+};
+
+/**
+ * logger.child({ module: 'chats' }) -> logger that adds those fields to every line.
+ */
+const createLogger = (bindings = {}) => ({
+  debug: (msg, fields) => write('debug', msg, { ...bindings, ...fields }),
+  info: (msg, fields) => write('info', msg, { ...bindings, ...fields }),
+  warn: (msg, fields) => write('warn', msg, { ...bindings, ...fields }),
+  error: (msg, fields) => write('error', msg, { ...bindings, ...fields }),
+  child: (more) => createLogger({ ...bindings, ...more }),
+});
+
+export const logger = createLogger();
@@ -0,0 +1,248 @@
+/**
+ * OpenAPI 3 document builder.
+ *
+ * Walks the route table of every group router and combines:
+ *   - method + path from the Hono route definitions
+ *   - auth requirements from the guards' `meta` (middleware/auth.js)
+ *   - request schemas from validate() (middleware/validate.js)
+ *   - summaries, response schemas and error codes from the group's docs.js:
+ *       export default {
+ *         tag, description,
+ *         operations: { 'GET /:id': { summary, description, query, body, response, status, errors: { CODE: 404 } } },
+ *       };
+ *
+ * Group route tables register their handlers through utils/lazyHandler.js,
+ * so loading them here imports no handler code or the services behind it.
+ */
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean', enum: [false] },
+    error: { type: 'string' },
+    message: { type: 'string' },
+    details: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { in: { type: 'string' }, field: { type: 'string' }, message: { type: 'string' } },
+      },
+    },
+    timestamp: { type: 'string', format: 'date-time' },
+    traceId: { type: 'string' },
+  },
+  required: ['success', 'error'],
+};
+
+const SUCCESS_SCHEMA = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean', enum: [true] },
+    message: { type: 'string' },
+    timestamp: { type: 'string', format: 'date-time' },
+    traceId: { type: 'string' },
+  },
+  additionalProperties: true,
+};
+
+const STATUS_TEXT = {
+  400: 'Bad request',
+  401: 'Unauthorized',
+  402: 'Payment required',
+  403: 'Forbidden',
+  404: 'Not found',
+  409: 'Conflict',
+  413: 'Payload too large',
+  500: 'Server error',
+  503: 'Service unavailable',
+};
+
+const toOpenApiPath = (path) => path.replace(/:([A-Za-z0-9_]+)(\{[^}]*\})?/g, '{$1}');
+
+const joinPath = (prefix, path) => (path === '/' ? prefix : `${prefix}${path}`) || '/';
+
+// GET /properties/{id}/reviews -> getPropertiesIdReviews
+const operationId = (method, path) => method.toLowerCase() + path
+  .split(/[^A-Za-z0-9]+/)
+  .filter(Boolean)
+  .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+  .join('');
+
+// Copies, so the document never aliases the live validation schemas.
+// The validator's schema subset is valid OpenAPI 3.1 (JSON Schema) as is.
+const toSchema = (schema) => JSON.parse(JSON.stringify(schema));
+
+const objectParameters = (schema, location) => Object.entries(schema?.properties || {}).map(([name, prop]) => ({
+  name,
+  in: location,
+  required: location === 'path' || !!schema.required?.includes(name),
+  schema: toSchema(prop),
+}));
+
+// Group route entries by method + path, collecting middleware meta
+function collectOperations(router) {
+  const ops = new Map();
+  for (const route of router.routes) {
+    if (route.method === 'ALL') continue;
+    const key = `${route.method} ${route.path}`;
+    if (!ops.has(key)) ops.set(key, { method: route.method, path: route.path, meta: [], handler: null });
+    const op = ops.get(key);
+    if (route.handler.meta) op.meta.push(route.handler.meta);
+    else op.handler = route.handler;
+  }
+  return [...ops.values()];
+}
+
+function buildOperation({ method, path, meta, handler }, fullPath, groupMeta, docs) {
+  const doc = docs.operations?.[`${method} ${path}`] || {};
+  const metas = [...groupMeta, ...meta];
+
+  const auth = metas.some((m) => m.auth === 'required') ? 'required' : metas.some((m) => m.auth === 'optional') ? 'optional' : null;
+  const roles = metas.find((m) => m.roles)?.roles;
+  const permission = metas.find((m) => m.permission)?.permission;
+  const schemas = Object.assign({}, ...metas.filter((m) => m.schemas).map((m) => m.schemas));
+
+  const errors = { ...(doc.errors || {}) };
+  if (schemas.json) errors.INVALID_BODY = 400;
+  if (schemas.json || schemas.param || schemas.query) errors.VALIDATION_FAILED = 400;
+  if (auth === 'required') errors.UNAUTHORIZED = 401;
+  if (roles || permission) errors.FORBIDDEN = 403;
+
+  const pathParams = [...fullPath.matchAll(/\{([^}]+)\}/g)].map(([, name]) => {
+    const prop = schemas.param?.properties?.[name];
+    return { name, in: 'path', required: true, schema: prop ? toSchema(prop) : { type: 'string' } };
+  });
+  const querySchema = schemas.query || doc.query;
+  const bodySchema = schemas.json || doc.body;
+
+  const description = [
+    doc.description,
+    roles && `Roles: ${roles.join(', ')}.`,
+    permission && `Permission: \`${permission}\`.`,
+  ].filter(Boolean).join('\n\n');
+
+  const responses = {
+    [doc.status || 200]: {
+      description: doc.responseDescription || 'Success',
+      content: { 'application/json': { schema: doc.response ? toSchema(doc.response) : { $ref: '#/components/schemas/Success' } } },
+    },
+  };
+
+  const byStatus = {};
+  for (const [code, status] of Object.entries(errors)) (byStatus[status] ||= []).push(code);
+  for (const [status, codes] of Object.entries(byStatus)) {
+    responses[status] = {
+      description: `${STATUS_TEXT[status] || 'Error'}: ${codes.join(', ')}`,
+      content: {
+        'application/json': {
+          schema: {
+            allOf: [
+              { $ref: '#/components/schemas/Error' },
+              { type: 'object', properties: { error: { type: 'string', enum: codes } } },
+            ],
+          },
+        },
+      },
+    };
+  }
+  responses[429] = { $ref: '#/components/responses/TooManyRequests' };
+
+  return {
+    tags: [docs.tag],
+    summary: doc.summary || handler?.name || undefined,
+    ...(description ? { description } : {}),
+    operationId: doc.operationId || operationId(method, fullPath),
+    ...(auth === 'required' ? { security: [{ bearerAuth: [] }] } : {}),
+    ...(auth === 'optional' ? { security: [{}, { bearerAuth: [] }] } : {}),
+    parameters: [...pathParams, ...objectParameters(querySchema, 'query')],
+    ...(bodySchema ? {
+      requestBody: { required: true, content: { 'application/json': { schema: toSchema(bodySchema) } } },
+    } : {}),
+    responses,
+    'x-error-codes': Object.entries(errors).map(([code, status]) => ({ code, status })),
+    ...(permission ? { 'x-permission': permission } : {}),
+  };
+}
+
+/**
+ * buildOpenApi(groups, info) -> OpenAPI 3.1 document
+ * groups: [{ path, load, docs, middleware }] as registered in routes/routes.js
+ */
+export async function buildOpenApi(groups, info = {}) {
+  const paths = {};
+  const tags = [];
+
+  for (const group of groups) {
+    const [routerModule, docsModule] = await Promise.all([group.load(), group.docs ? group.docs() : null]);
+    const router = routerModule?.default || routerModule;
+    const docs = { tag: group.path.slice(1), ...(docsModule?.default || {}) };
+    const groupMeta = (group.middleware || []).map((m) => m.meta).filter(Boolean);
+
+    tags.push({ name: docs.tag, ...(docs.description ? { description: docs.description } : {}) });
+
+    for (const op of collectOperations(router)) {
+      const fullPath = toOpenApiPath(joinPath(group.path, op.path));
+      paths[fullPath] ||= {};
+      paths[fullPath][op.method.toLowerCase()] = buildOperation(op, fullPath, groupMeta, docs);
+    }
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: info.title || 'Housika API',
+      version: info.version || '1.0.0',
+      ...(info.description ? { description: info.description } : {}),
+    },
+    servers: [{ url: info.serverUrl || '/' }],
+    tags,
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      },
+      schemas: { Error: ERROR_SCHEMA, Success: SUCCESS_SCHEMA },
+      responses: {
+        TooManyRequests: {
+          description: 'Rate limit exceeded: RATE_LIMITED',
+          headers: {
+            'Retry-After': { schema: { type: 'integer' }, description: 'Seconds until a retry can succeed' },
+            'RateLimit-Limit': { schema: { type: 'integer' } },
+            'RateLimit-Remaining': { schema: { type: 'integer' } },
+            'RateLimit-Reset': { schema: { type: 'integer' }, description: 'Seconds until the current window ends' },
+          },
+          content: {
+            'application/json': {
+              schema: {
+                allOf: [
+                  { $ref: '#/components/schemas/Error' },
+                  { type: 'object', properties: { error: { type: 'string', enum: ['RATE_LIMITED'] }, policy: { type: 'string' }, retryAfter: { type: 'integer' } } },
+                ],
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * docsHtml(specUrl) -> Swagger UI page for the document at specUrl.
+ */
+export const docsHtml = (specUrl) => `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>Housika API docs</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css" />
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>`;
@@ -0,0 +1,91 @@
+/**
+ * Payment purpose binding.
+ *
+ * POST /payments/initiate writes what a payment is for into the Paystack
+ * metadata, next to the amount and currency the server expects:
+ *   metadata.purpose          { type: 'booking', room_id, start_date, end_date }
+ *                             | { type: 'listing', landlord_id, country, currency, max_rooms, duration_days }
+ *   metadata.expected_amount  subunits (cents), as charged
+ *   metadata.currency         'KES'
+ * Consumers (bookings, properties) rebuild the expected purpose and amount
+ * from their own records and call checkPayment() on the verified
+ * transaction, so a reference only pays for what it was initiated for.
+ *
+ * API amounts are in whole currency units; Paystack works in subunits.
+ */
+
+export const PAYMENT_CURRENCY = 'KES';
+
+export const LISTING_FEE = Number(process.env.LISTING_FEE_KES || 1000);
+
+export const PURPOSE_TYPES = Object.freeze(['booking', 'listing']);
+
+export const toSubunits = (amount) => Math.round(Number(amount) * 100);
+
+// `stay` is a stayRange() (services/availability.js): a booking payment pays for those dates
+export const bookingPurpose = (roomId, stay) => ({
+  type: 'booking',
+  room_id: roomId,
+  start_date: stay.start_date,
+  end_date: stay.end_date,
+});
+
+// `quote` is a listingQuote() (utils/listingFees.js): a listing fee pays for its room tier and duration
+export const listingPurpose = (userId, quote) => ({
+  type: 'listing',
+  landlord_id: userId,
+  country: quote.country,
+  currency: quote.currency,
+  max_rooms: quote.tier.max_rooms,
+  duration_days: quote.duration_days,
+});
+
+export const roomCurrency = (room) => room?.price_currency || room?.currency || PAYMENT_CURRENCY;
+
+// whole units: the room price for each period of the stay
+export const bookingAmount = (room, stay) => Math.round(Number(room.price) * stay.periods * 100) / 100;
+
+const samePurpose = (actual, expected) => !!actual
+  && typeof actual === 'object'
+  && Object.entries(expected).every(([key, value]) => String(actual[key] ?? '') === String(value));
+
+// Paystack returns metadata as sent, but older clients posted it as a string
+export const paymentMetadata = (paymentData) => {
+  const { metadata } = paymentData || {};
+  if (typeof metadata !== 'string') return metadata || {};
+  try {
+    return JSON.parse(metadata);
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * checkPayment(paymentData, { amount, currency, purpose })
+ * - paymentData: `data` of a successful Paystack verify call
+ * - amount: expected amount in whole units
+ * Returns null when everything matches, else { error, message }.
+ */
+export const checkPayment = (paymentData, { amount, currency = PAYMENT_CURRENCY, purpose }) => {
+  const metadata = paymentMetadata(paymentData);
+
+  if (!samePurpose(metadata.purpose, purpose)) {
+    return {
+      error: 'PAYMENT_PURPOSE_MISMATCH',
+      message: `This payment was not made for this ${purpose.type}.`,
+    };
+  }
+  if (String(paymentData.currency || '').toUpperCase() !== currency.toUpperCase()) {
+    return {
+      error: 'PAYMENT_CURRENCY_MISMATCH',
+      message: `Payment currency ${paymentData.currency || 'unknown'} does not match ${currency}.`,
+    };
+  }
+  if (Number(paymentData.amount) !== toSubunits(amount)) {
+    return {
+      error: 'PAYMENT_AMOUNT_MISMATCH',
+      message: `Payment of ${Number(paymentData.amount) / 100} ${currency} does not match the expected ${amount} ${currency}.`,
+    };
+  }
+  return null;
+};
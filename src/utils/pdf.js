@@ -1,4 +1,7 @@
 import puppeteer from 'puppeteer';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'pdf' });
 
 let browser, setupError, setupPromise;
 
@@ -36,7 +39,7 @@ export async function htmlToPdfBuffer(html) {
       margin: { top: '40px', bottom: '40px', left: '30px', right: '30px' },
     });
   } catch (err) {
-    console.error('❌ PDF generation failed:', err);
+    log.error('PDF generation failed', { err });
     throw new Error('PDF generation failed.');
   } finally {
     await page.close();
@@ -0,0 +1,200 @@
+/**
+ * Role & permission policy.
+ *
+ * Canonical role names live here together with the aliases older records and
+ * tokens still carry ('customer care', 'customercare', 'real estate company').
+ *
+ * Permissions are `resource:verb` with an optional scope:
+ *   property:update:any  any document
+ *   property:update:own  only documents the user owns (see OWNER_FIELDS)
+ *   payments:withdraw    unscoped action
+ * A grant of `*` allows everything, `resource:*` every verb on a resource.
+ */
+
+export const ROLES = Object.freeze([
+  'ceo',
+  'admin',
+  'customer_care',
+  'real_estate_company',
+  'agent',
+  'landlord',
+  'dual',
+  'tenant',
+  'user',
+]);
+
+export const ROLE_ALIASES = Object.freeze({
+  'customer care': 'customer_care',
+  customercare: 'customer_care',
+  'real estate company': 'real_estate_company',
+  realestatecompany: 'real_estate_company',
+});
+
+// Every action the API checks; grants below may only use these (or wildcards)
+export const ACTIONS = Object.freeze([
+  'banner:create',
+  'banner:delete',
+  'banner:update',
+  'booking:read',
+  'booking:update',
+  'chat:read',
+  'contact:delete',
+  'contact:read',
+  'contact:reply',
+  'country:create',
+  'country:delete',
+  'country:update',
+  'payments:payout',
+  'payments:read',
+  'payments:reconcile',
+  'payments:refund',
+  'payments:withdraw',
+  'policy:read',
+  'property:create',
+  'property:delete',
+  'property:update',
+  'ratelimit:bypass',
+  'receipt:create',
+  'receipt:read',
+  'review:create',
+  'room:delete',
+  'room:update',
+  'user:create',
+]);
+
+// Staff/lister ranks used by the users endpoints (lowest first)
+export const ROLE_HIERARCHY = Object.freeze(['real_estate_company', 'landlord', 'dual', 'customer_care', 'admin', 'ceo']);
+
+const LISTER = [
+  'property:update:own',
+  'property:delete:own',
+  'room:update:own',
+  'room:delete:own',
+  'booking:read:own',
+  'booking:update:own',
+  'payments:payout',
+  'payments:read:own',
+  'receipt:create',
+];
+
+const TENANT = [
+  'booking:read:own',
+  'payments:read:own',
+  'review:create',
+];
+
+const STAFF = [
+  'property:update:any',
+  'property:delete:any',
+  'room:update:any',
+  'room:delete:any',
+  'booking:read:any',
+  'contact:read',
+  'contact:reply',
+  'user:create',
+  'payments:read:any',
+  'payments:refund',
+  'ratelimit:bypass',
+];
+
+export const PERMISSIONS = Object.freeze({
+  ceo: ['*'],
+  admin: [
+    ...STAFF,
+    'property:create',
+    'booking:update:any',
+    'chat:read:any',
+    'payments:reconcile',
+    'banner:*',
+    'contact:delete',
+    'policy:read',
+  ],
+  customer_care: STAFF,
+  real_estate_company: ['receipt:create', 'review:create'],
+  agent: ['receipt:create', 'review:create'],
+  landlord: [...LISTER, 'property:create', 'receipt:read:own', 'review:create'],
+  dual: [...LISTER, ...TENANT, 'property:create', 'receipt:read:own'],
+  tenant: TENANT,
+  user: TENANT,
+});
+
+// Fields that identify the owner of a resource. `resource:verb` entries
+// override the resource default (a tenant may read a booking, not update it).
+const OWNER_FIELDS = {
+  property: ['landlord_id', 'landlordId'],
+  room: ['landlord_id', 'landlordId'],
+  booking: ['tenant_id', 'landlord_id'],
+  'booking:update': ['landlord_id'],
+  receipt: ['created_by'],
+};
+
+const GRANTS = Object.fromEntries(
+  Object.entries(PERMISSIONS).map(([role, perms]) => [role, new Set(perms)]),
+);
+
+/**
+ * normalizeRole(raw) -> canonical role name or null for unknown values.
+ */
+export const normalizeRole = (raw) => {
+  if (typeof raw !== 'string') return null;
+  const key = raw.trim().toLowerCase();
+  if (ROLE_ALIASES[key]) return ROLE_ALIASES[key];
+  const canonical = key.replace(/[\s-]+/g, '_');
+  return ROLES.includes(canonical) ? canonical : null;
+};
+
+/**
+ * roleVariants(role) -> every stored spelling of a role, for `$in` queries
+ * against documents written before role names were canonical.
+ */
+export const roleVariants = (role) => {
+  const canonical = normalizeRole(role);
+  if (!canonical) return [];
+  const aliases = Object.keys(ROLE_ALIASES).filter((alias) => ROLE_ALIASES[alias] === canonical);
+  return [canonical, ...aliases];
+};
+
+const isOwner = (user, resource, verb, doc) => {
+  if (!doc || !user?.userId) return false;
+  const fields = OWNER_FIELDS[`${resource}:${verb}`] || OWNER_FIELDS[resource] || [];
+  return fields.some((field) => doc[field] && doc[field] === user.userId);
+};
+
+/**
+ * can(user, action, resource?)
+ * - can(user, 'payments:withdraw')
+ * - can(user, 'property:update', property)   any, or own when the user owns it
+ * - can(user, 'booking:read:any')            only the unrestricted grant
+ * - can(user, 'receipt:read:own')            grant check only; the caller
+ *                                            scopes its query to the user
+ *                                            (an `any` grant covers it too)
+ */
+export const can = (user, action, resource) => {
+  const role = normalizeRole(user?.role);
+  if (!role) return false;
+
+  const grants = GRANTS[role];
+  const [res, verb, scope] = action.split(':');
+  const base = verb ? `${res}:${verb}` : res;
+  const has = (perm) => grants.has('*') || grants.has(`${res}:*`) || grants.has(perm);
+
+  if (has(base) || has(`${base}:any`)) return true;
+  if (scope === 'any' || !has(`${base}:own`)) return false;
+  return scope === 'own' && resource === undefined ? true : isOwner(user, res, verb, resource);
+};
+
+/**
+ * permissionMatrix() -> { roles, aliases, actions, matrix }
+ * matrix[role][action] is 'any', 'own' or false.
+ */
+export const permissionMatrix = () => {
+  const matrix = {};
+  for (const role of ROLES) {
+    const user = { role };
+    matrix[role] = Object.fromEntries(ACTIONS.map((action) => [
+      action,
+      can(user, `${action}:any`) ? 'any' : can(user, `${action}:own`) ? 'own' : false,
+    ]));
+  }
+  return { roles: ROLES, aliases: ROLE_ALIASES, actions: ACTIONS, matrix };
+};
@@ -0,0 +1,126 @@
+/**
+ * Minimal JSON-schema subset used by middleware/validate.js.
+ *
+ * Supported keywords:
+ *   type              'string' | 'number' | 'integer' | 'boolean' | 'array' | 'object' | 'null' (or a list)
+ *   enum, default
+ *   minLength, maxLength, pattern, format ('email' | 'uri' | 'date' | 'date-time' | 'uuid')
+ *                     ('date' is YYYY-MM-DD; a trailing time part is tolerated)
+ *   minimum, maximum
+ *   items, minItems, maxItems
+ *   properties, required, additionalProperties (true keeps unknown keys; default strips them)
+ *
+ * Strings are coerced to number/integer/boolean where the schema asks for
+ * one, since params and query strings only ever arrive as strings.
+ */
+
+const FORMATS = {
+  email: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+  uri: (v) => {
+    try {
+      const { protocol } = new URL(v);
+      return protocol === 'http:' || protocol === 'https:';
+    } catch {
+      return false;
+    }
+  },
+  date: (v) => /^\d{4}-\d{2}-\d{2}(T|$)/.test(v) && !Number.isNaN(Date.parse(v)),
+  'date-time': (v) => /^\d{4}-\d{2}-\d{2}T/.test(v) && !Number.isNaN(Date.parse(v)),
+  uuid: (v) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v),
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeOf(value) === type;
+  }
+};
+
+const coerce = (value, types) => {
+  if (typeof value !== 'string') return value;
+  const trimmed = value.trim();
+  if ((types.includes('number') || types.includes('integer')) && trimmed !== '' && Number.isFinite(Number(trimmed))) {
+    return Number(trimmed);
+  }
+  if (types.includes('boolean') && (trimmed === 'true' || trimmed === 'false')) return trimmed === 'true';
+  return value;
+};
+
+const join = (path, key) => (path ? `${path}.${key}` : String(key));
+
+function check(schema, input, path, errors) {
+  const types = schema.type ? [].concat(schema.type) : null;
+  const value = types ? coerce(input, types) : input;
+  const fail = (message) => {
+    errors.push({ field: path || '(root)', message });
+    return value;
+  };
+
+  if (types && !types.some((t) => matchesType(value, t))) {
+    return fail(`must be ${types.join(' or ')}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      return fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      return fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return fail('has an invalid format');
+    if (schema.format && !FORMATS[schema.format]?.(value)) return fail(`must be a valid ${schema.format}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) return fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) return fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) return fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) return fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) return value.map((item, i) => check(schema.items, item, join(path, i), errors));
+  }
+
+  if (typeOf(value) === 'object' && schema.properties) {
+    const out = schema.additionalProperties === true ? { ...value } : {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null || value[key] === '') {
+        errors.push({ field: join(path, key), message: 'is required' });
+      }
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties)) {
+      if (value[key] === undefined) {
+        if (propSchema.default !== undefined) out[key] = structuredClone(propSchema.default);
+        continue;
+      }
+      // required-but-empty was already reported above
+      if ((value[key] === null || value[key] === '') && schema.required?.includes(key)) continue;
+      out[key] = check(propSchema, value[key], join(path, key), errors);
+    }
+    return out;
+  }
+
+  return value;
+}
+
+/**
+ * validateSchema(schema, input) -> { value, errors }
+ * `value` is the coerced input with unknown object keys stripped; `errors`
+ * is a list of { field, message } (empty when the input is valid).
+ */
+export const validateSchema = (schema, input) => {
+  const errors = [];
+  const value = check(schema, input, '', errors);
+  return { value, errors };
+};
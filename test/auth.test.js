@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Hono } from 'hono';
+import { authenticate, requireAuth, requirePermission, requireRole } from '../src/middleware/auth.js';
+
+// `as` stands in for a verified session: the guards reuse a user already on the context
+const appWith = (guard, as) => {
+  const app = new Hono();
+  if (as !== undefined) app.use('*', async (c, next) => { c.set('user', as); await next(); });
+  app.get('/', guard, (c) => c.json({ user: c.get('user') }));
+  return app;
+};
+
+const call = async (app, headers = {}) => {
+  const res = await app.request('/', { headers });
+  return { status: res.status, body: await res.json() };
+};
+
+test('authenticate lets anonymous requests through without a user', async () => {
+  const { status, body } = await call(appWith(authenticate()));
+  assert.equal(status, 200);
+  assert.equal(body.user, null);
+});
+
+test('requireAuth rejects missing and invalid tokens', async () => {
+  const missing = await call(appWith(requireAuth()));
+  assert.equal(missing.status, 401);
+  assert.equal(missing.body.error, 'UNAUTHORIZED');
+  assert.equal(missing.body.message, 'Missing authentication token.');
+
+  const invalid = await call(appWith(requireAuth()), { Authorization: 'Bearer not-a-jwt' });
+  assert.equal(invalid.status, 401);
+  assert.equal(invalid.body.message, 'Invalid or expired token.');
+  assert.ok(invalid.body.traceId);
+});
+
+test('requireAuth passes a signed-in user on', async () => {
+  const user = { userId: 'U1', email: 'u@x.co', role: 'tenant', name: 'U' };
+  const { status, body } = await call(appWith(requireAuth(), user));
+  assert.equal(status, 200);
+  assert.deepEqual(body.user, user);
+});
+
+test('requireRole checks the role of the signed-in user', async () => {
+  const guard = requireRole('admin', 'ceo');
+  assert.equal((await call(appWith(guard))).status, 401);
+  assert.equal((await call(appWith(guard, { userId: 'U1', role: 'ceo' }))).status, 200);
+
+  const denied = await call(appWith(guard, { userId: 'U2', role: 'tenant' }));
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.error, 'FORBIDDEN');
+});
+
+test('requirePermission checks the policy, whatever the role is called', async () => {
+  const guard = requirePermission('contact:reply');
+  assert.equal((await call(appWith(guard, { userId: 'U1', role: 'Customer Care' }))).status, 200);
+
+  const denied = await call(appWith(guard, { userId: 'U2', role: 'landlord' }));
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.message, 'Missing permission: contact:reply.');
+});
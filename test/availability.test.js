@@ -0,0 +1,120 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getCollection } from '../src/services/astra.js';
+import {
+  AvailabilityError,
+  addDays,
+  addMonths,
+  assertAvailable,
+  lockRoom,
+  monthAvailability,
+  overlaps,
+  roomPropertyId,
+  stayRange,
+  today,
+} from '../src/services/availability.js';
+
+const nightly = { room_id: 'P1-1', period: 'night' };
+const monthly = { room_id: 'P1-2', period: 'month' };
+
+test('overlaps treats end dates as exclusive check-out days', () => {
+  const stay = { start_date: '2030-01-10', end_date: '2030-01-15' };
+  assert.equal(overlaps(stay, { start_date: '2030-01-14', end_date: '2030-01-20' }), true);
+  assert.equal(overlaps(stay, { start_date: '2030-01-05', end_date: '2030-01-11' }), true);
+  assert.equal(overlaps(stay, { start_date: '2030-01-11', end_date: '2030-01-12' }), true);
+  assert.equal(overlaps(stay, { start_date: '2030-01-15', end_date: '2030-01-20' }), false);
+  assert.equal(overlaps(stay, { start_date: '2030-01-01', end_date: '2030-01-10' }), false);
+});
+
+test('overlaps treats a missing end date as open-ended', () => {
+  const legacy = { start_date: '2030-01-10', end_date: null };
+  assert.equal(overlaps(legacy, { start_date: '2031-06-01', end_date: '2031-06-02' }), true);
+  assert.equal(overlaps(legacy, { start_date: '2030-01-01', end_date: '2030-01-10' }), false);
+});
+
+test('addMonths clamps to the last day of shorter months', () => {
+  assert.equal(addMonths('2030-01-31', 1), '2030-02-28');
+  assert.equal(addMonths('2032-01-31', 1), '2032-02-29');
+  assert.equal(addMonths('2030-11-15', 3), '2031-02-15');
+});
+
+test('stayRange sets the end from periods', () => {
+  const start = addDays(today(), 10);
+  assert.deepEqual(stayRange(nightly, { start_date: start, periods: 3 }), {
+    period: 'night',
+    start_date: start,
+    end_date: addDays(start, 3),
+    periods: 3,
+  });
+  assert.equal(stayRange(monthly, { start_date: start }).end_date, addMonths(start, 1));
+});
+
+test('stayRange counts the periods between given dates', () => {
+  const start = addDays(today(), 10);
+  assert.equal(stayRange(nightly, { start_date: start, end_date: addDays(start, 4) }).periods, 4);
+  assert.equal(stayRange(monthly, { start_date: start, end_date: addMonths(start, 2) }).periods, 2);
+});
+
+test('stayRange rejects invalid stays', () => {
+  const start = addDays(today(), 10);
+  const invalid = (room, dates, options) => assert.throws(
+    () => stayRange(room, dates, options),
+    (err) => err instanceof AvailabilityError && err.code === 'INVALID_DATES' && err.status === 400
+  );
+  invalid(nightly, { start_date: '2030-02-30' });
+  invalid(nightly, { start_date: addDays(today(), -1) });
+  invalid(nightly, { start_date: start, end_date: start });
+  invalid(nightly, { start_date: start, end_date: addDays(start, 2), periods: 3 });
+  invalid(nightly, { start_date: start, periods: 0 });
+  invalid(nightly, { start_date: start, periods: 366 });
+  invalid(monthly, { start_date: start, end_date: addDays(addMonths(start, 1), 3) });
+  assert.equal(stayRange(nightly, { start_date: '2020-01-01' }, { allowPast: true }).end_date, '2020-01-02');
+});
+
+test('assertAvailable conflicts only with overlapping bookings that hold the room', async () => {
+  const col = await getCollection('bookings');
+  const roomId = 'AV1-1';
+  await col.post({ booking_id: 'B-live', room_id: roomId, start_date: '2030-03-01', end_date: '2030-03-05', status: 'confirmed' });
+  await col.post({ booking_id: 'B-gone', room_id: roomId, start_date: '2030-03-10', end_date: '2030-03-15', status: 'cancelled' });
+  await col.post({ booking_id: 'B-off', room_id: roomId, start_date: '2030-03-20', end_date: '2030-03-25', active: false });
+
+  await assert.rejects(
+    assertAvailable(roomId, { start_date: '2030-03-04', end_date: '2030-03-06' }),
+    (err) => err.code === 'BOOKING_CONFLICT' && err.status === 409
+  );
+  await assertAvailable(roomId, { start_date: '2030-03-05', end_date: '2030-03-08' });
+  await assertAvailable(roomId, { start_date: '2030-03-10', end_date: '2030-03-25' });
+  await assertAvailable(roomId, { start_date: '2030-03-01', end_date: '2030-03-05' }, { excludeBookingId: 'B-live' });
+});
+
+test('lockRoom lets one request at a time book a room', async () => {
+  const release = await lockRoom('AV1-2');
+  await assert.rejects(lockRoom('AV1-2'), (err) => err.code === 'ROOM_BOOKING_IN_PROGRESS' && err.status === 409);
+  await release();
+  const again = await lockRoom('AV1-2');
+  await again();
+});
+
+test('a month view merges booked ranges and lists the free ones', async () => {
+  const col = await getCollection('bookings');
+  const room = { room_id: 'AV2-1', period: 'night' };
+  await col.post({ booking_id: 'B-m1', room_id: 'AV2-1', start_date: '2030-04-28', end_date: '2030-05-03', status: 'confirmed' });
+  await col.post({ booking_id: 'B-m2', room_id: 'AV2-1', start_date: '2030-05-03', end_date: '2030-05-06', status: 'pending' });
+  await col.post({ booking_id: 'B-m3', room_id: 'AV2-1', start_date: '2030-05-20', end_date: '2030-05-22', status: 'confirmed' });
+
+  const view = await monthAvailability(room, '2030-05');
+  assert.deepEqual(view.booked, [
+    { start_date: '2030-05-01', end_date: '2030-05-06' },
+    { start_date: '2030-05-20', end_date: '2030-05-22' },
+  ]);
+  assert.deepEqual(view.free, [
+    { start_date: '2030-05-06', end_date: '2030-05-20' },
+    { start_date: '2030-05-22', end_date: '2030-06-01' },
+  ]);
+});
+
+test('rooms name their property, the oldest only through their id', () => {
+  assert.equal(roomPropertyId({ room_id: 'a1b2c3', property_id: 'P7' }), 'P7');
+  assert.equal(roomPropertyId({ room_id: 'x', propertyId: 'P8' }), 'P8');
+  assert.equal(roomPropertyId({ room_id: 'P9-2' }), 'P9');
+});
@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BOOKING_TRANSITIONS,
+  BookingTransitionError,
+  assertTransition,
+  bookingStatus,
+  nextStatuses,
+  transitionBooking,
+} from '../src/services/bookingLifecycle.js';
+import { getCollection } from '../src/services/astra.js';
+import { addDays, today } from '../src/services/availability.js';
+
+const tenant = { userId: 'T1', role: 'tenant' };
+const landlord = { userId: 'L1', role: 'landlord' };
+const admin = { userId: 'A1', role: 'admin' };
+const stranger = { userId: 'X1', role: 'tenant' };
+
+const booking = (status) => ({ booking_id: 'B1', tenant_id: 'T1', landlord_id: 'L1', status });
+
+const rejects = (fn, code) => assert.throws(fn, (err) => err instanceof BookingTransitionError && err.code === code);
+
+test('every move in the table is allowed for its parties only', () => {
+  const users = { tenant, landlord, admin };
+  for (const [from, moves] of Object.entries(BOOKING_TRANSITIONS)) {
+    for (const [to, parties] of Object.entries(moves)) {
+      for (const [party, user] of Object.entries(users)) {
+        if (parties.includes(party)) {
+          assert.equal(assertTransition(booking(from), to, user), party, `${party}: ${from} -> ${to}`);
+        } else {
+          rejects(() => assertTransition(booking(from), to, user), 'INVALID_TRANSITION');
+        }
+      }
+    }
+  }
+});
+
+test('moves missing from the table are invalid', () => {
+  rejects(() => assertTransition(booking('confirmed'), 'pending_payment', admin), 'INVALID_TRANSITION');
+  rejects(() => assertTransition(booking('cancelled'), 'confirmed', admin), 'INVALID_TRANSITION');
+  rejects(() => assertTransition(booking('checked_out'), 'checked_in', landlord), 'INVALID_TRANSITION');
+});
+
+test('users who are not a party are forbidden', () => {
+  assert.throws(
+    () => assertTransition(booking('confirmed'), 'cancelled', stranger),
+    (err) => err.code === 'FORBIDDEN' && err.status === 403
+  );
+  assert.throws(() => assertTransition(booking('confirmed'), 'cancelled', null), (err) => err.code === 'FORBIDDEN');
+});
+
+test('a proven party replaces the user\'s roles', () => {
+  assert.equal(assertTransition(booking('confirmed'), 'cancelled', null, { party: 'tenant' }), 'tenant');
+  rejects(() => assertTransition(booking('confirmed'), 'checked_in', null, { party: 'tenant' }), 'INVALID_TRANSITION');
+});
+
+test('legacy statuses map onto the lifecycle', () => {
+  assert.equal(bookingStatus({ status: 'Confirmed' }), 'confirmed');
+  assert.equal(bookingStatus({ status: 'canceled' }), 'cancelled');
+  assert.equal(bookingStatus({ status: 'booked', active: false }), 'cancelled');
+  assert.equal(bookingStatus({}), 'confirmed');
+});
+
+test('nextStatuses lists the moves open to the user', () => {
+  assert.deepEqual(nextStatuses(booking('confirmed'), tenant), ['cancelled', 'disputed']);
+  assert.deepEqual(nextStatuses(booking('confirmed'), landlord), ['checked_in', 'cancelled', 'disputed']);
+  assert.deepEqual(nextStatuses(booking('cancelled'), admin), []);
+});
+
+test('an early check-out records the step and frees the rest of the stay', async () => {
+  const col = await getCollection('bookings');
+  const stay = { start_date: addDays(today(), -2), end_date: addDays(today(), 5), period: 'night' };
+  const { documentId } = await col.post({ ...booking('checked_in'), booking_id: 'BL-1', ...stay });
+
+  const done = await transitionBooking({ ...(await col.get(documentId)).data, _id: documentId }, 'checked_out', { user: landlord, note: 'left early' });
+  const stored = (await col.get(documentId)).data;
+  assert.equal(stored.status, 'checked_out');
+  assert.equal(stored.active, false);
+  assert.equal(stored.end_date, today());
+  assert.equal(stored.booked_end_date, stay.end_date);
+  assert.deepEqual(stored.status_history.map(({ status, from, by, role, note }) => ({ status, from, by, role, note })), [
+    { status: 'checked_out', from: 'checked_in', by: 'L1', role: 'landlord', note: 'left early' },
+  ]);
+  assert.equal(done.room_released, undefined);
+});
+
+test('leaving a legacy booking gives its room and unit back once', async () => {
+  const [bookings, rooms, properties] = await Promise.all(['bookings', 'rooms', 'properties'].map(getCollection));
+  const room = await rooms.post({ room_id: 'BLP-1', status: 'booked', active: false });
+  const property = await properties.post({ property_id: 'BLP', unit_available: 2 });
+  const { documentId } = await bookings.post({ ...booking('confirmed'), booking_id: 'BL-2', room_id: 'BLP-1', property_id: 'BLP' });
+
+  const cancelled = await transitionBooking({ ...(await bookings.get(documentId)).data, _id: documentId }, 'cancelled', { user: tenant });
+  assert.equal(cancelled.room_released, true);
+  assert.equal((await rooms.get(room.documentId)).data.status, 'available');
+  assert.equal((await properties.get(property.documentId)).data.unit_available, 3);
+});
@@ -0,0 +1,127 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getCollection } from '../src/services/astra.js';
+import { redis } from '../src/services/redis.js';
+import { claimPayment, claimRecord } from '../src/services/paymentClaims.js';
+import {
+  BOOKING_SAGAS_COLLECTION,
+  BookingSagaError,
+  recoverBookingSagas,
+  runBookingSaga,
+} from '../src/services/bookingSaga.js';
+
+const paymentData = { amount: 100000, currency: 'KES', provider: 'paystack' };
+
+const newBooking = (id) => ({
+  booking_id: id,
+  room_id: 'S1-1',
+  property_id: 'S1',
+  landlord_id: 'L1',
+  payment_reference: `ref-${id}`,
+  receipt_id: `RC-${id}`,
+  currency: 'KES',
+});
+
+const findBooking = async (id) => {
+  const col = await getCollection('bookings');
+  return Object.values((await col.find({ booking_id: { $eq: id } }))?.data || {})[0] || null;
+};
+
+const getSaga = async (id) => (await (await getCollection(BOOKING_SAGAS_COLLECTION)).get(id))?.data;
+
+const statuses = (saga) => saga.steps.map((step) => step.status);
+
+test('runBookingSaga stops at the payment pivot, leaving the rest for finishBookingSaga', async () => {
+  const booking = newBooking('B-pivot');
+  const claim = await claimPayment(booking.payment_reference);
+  const { saga } = await runBookingSaga({ booking, claim, claimDetails: { amount: 1000 }, paymentData, tenantName: 'T' });
+
+  assert.equal(saga.pivot, 'payment');
+  assert.equal(saga.status, 'RUNNING');
+  assert.deepEqual(statuses(saga), ['DONE', 'DONE', 'PENDING', 'PENDING']);
+  assert.ok(await findBooking('B-pivot'));
+  assert.equal((await claimRecord(booking.payment_reference)).linked_booking_id, 'B-pivot');
+});
+
+test('a CEO booking has no payment; storing the booking is its pivot', async () => {
+  const booking = { ...newBooking('B-ceo'), payment_reference: null };
+  const { saga } = await runBookingSaga({ booking, claim: null, tenantName: 'T' });
+
+  assert.equal(saga.pivot, 'booking');
+  assert.deepEqual(saga.steps.map((step) => step.name), ['booking', 'receipt']);
+  assert.deepEqual(statuses(saga), ['DONE', 'PENDING']);
+});
+
+test('a failure before the pivot undoes the booking', async () => {
+  const booking = newBooking('B-undo');
+  const claim = { finalize: async () => { throw new Error('claim write failed'); } };
+
+  await assert.rejects(
+    runBookingSaga({ booking, claim, paymentData, tenantName: 'T' }),
+    (err) => err instanceof BookingSagaError && err.code === 'BOOKING_CREATION_FAILED'
+  );
+  const saga = await getSaga('B-undo');
+  assert.equal(saga.status, 'ROLLED_BACK');
+  assert.deepEqual(statuses(saga), ['UNDONE', 'UNDONE', 'PENDING', 'PENDING']);
+  assert.equal(await findBooking('B-undo'), null);
+});
+
+test('recovery finishes sagas past the pivot and rolls back the rest', async () => {
+  const sagas = await getCollection(BOOKING_SAGAS_COLLECTION);
+  const bookings = await getCollection('bookings');
+  const claims = await getCollection('payment_claims');
+  const stale = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  const put = (id, steps, extra = {}) => sagas.put(id, {
+    saga_id: id,
+    booking_id: id,
+    room_id: 'S1-1',
+    payment_reference: `ref-${id}`,
+    pivot: 'payment',
+    status: 'RUNNING',
+    steps: Object.entries(steps).map(([name, status]) => ({ name, status })),
+    context: {},
+    attempts: 1,
+    created_at: stale,
+    updated_at: stale,
+    ...extra,
+  });
+
+  // died inside finalize() after the record was written: the payment is spent
+  await put('B-spent', { booking: 'DONE', payment: 'STARTED' });
+  await claims.put('ref-B-spent', { reference: 'ref-B-spent', status: 'used', linked_booking_id: 'B-spent' });
+
+  // died inside finalize() with only the Redis pin: the payment is freed
+  await put('B-pinned', { booking: 'DONE', payment: 'STARTED' });
+  await bookings.post({ booking_id: 'B-pinned', room_id: 'S1-1' });
+  await redis.set('payment:claim:ref-B-pinned', 'used');
+
+  // died while rolling back
+  await put('B-rolling', { booking: 'DONE', payment: 'UNDONE' }, { status: 'ROLLING_BACK' });
+  await bookings.post({ booking_id: 'B-rolling', room_id: 'S1-1' });
+
+  // still in flight
+  await put('B-fresh', { booking: 'DONE', payment: 'STARTED' }, { updated_at: new Date().toISOString() });
+
+  const summary = await recoverBookingSagas();
+  assert.deepEqual(summary, { checked: 3, completed: 1, rolled_back: 2, pending: 0, failed: 0 });
+
+  const spent = await getSaga('B-spent');
+  assert.equal(spent.status, 'COMPLETED');
+  assert.equal(spent.attempts, 2);
+
+  assert.equal((await getSaga('B-pinned')).status, 'ROLLED_BACK');
+  assert.equal(await findBooking('B-pinned'), null);
+  assert.equal(await redis.get('payment:claim:ref-B-pinned'), null);
+
+  assert.equal((await getSaga('B-rolling')).status, 'ROLLED_BACK');
+  assert.equal(await findBooking('B-rolling'), null);
+
+  assert.equal((await getSaga('B-fresh')).status, 'RUNNING');
+});
+
+test('one recovery runs at a time', async () => {
+  await redis.set('booking:saga:recovery', 'elsewhere', { ex: 60 });
+  assert.equal(await recoverBookingSagas(), null);
+  await redis.del('booking:saga:recovery');
+  assert.ok(await recoverBookingSagas());
+});
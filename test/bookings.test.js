@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Hono } from 'hono';
+import { getCollection } from '../src/services/astra.js';
+import { redis } from '../src/services/redis.js';
+import bookingsRoutes from '../src/routes/bookings/routes.js';
+
+const app = new Hono().route('/bookings', bookingsRoutes);
+
+test('a guest with incomplete details is refused before the payment is claimed', async (t) => {
+  const set = t.mock.method(redis, 'set');
+  const res = await app.request('/bookings', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ room_id: 'BG1-1', payment_reference: 'PAY-G1', email: 'g@x.co', full_name: 'Guest' }),
+  });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).error, 'MISSING_GUEST_FIELDS');
+  assert.equal(set.mock.callCount(), 0);
+});
+
+const tenant = { userId: 'T1', email: 't@x.co', role: 'tenant' };
+const asTenant = new Hono()
+  .use('*', async (c, next) => { c.set('user', tenant); await next(); })
+  .route('/bookings', bookingsRoutes);
+
+const cancel = async (bookingId) => {
+  const res = await asTenant.request(`/bookings/${bookingId}/cancel`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ reason: 'Plans changed' }),
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+const seedBooking = async (bookingId, reference) => {
+  const bookings = await getCollection('bookings');
+  await bookings.post({
+    booking_id: bookingId,
+    active: true,
+    status: 'confirmed',
+    tenant_id: tenant.userId,
+    room_id: `${bookingId}-R`,
+    start_date: '2099-01-10',
+    end_date: '2099-01-20',
+    amount: 1000,
+    currency: 'KES',
+    cancellation_policy: 'moderate',
+    payment_reference: reference,
+  });
+};
+
+// Paystack: a successful KES 1000.00 charge; refunds come back pending
+const paystack = (t) => t.mock.method(globalThis, 'fetch', async (url, init) => {
+  const body = String(url).includes('/transaction/verify/')
+    ? { data: { status: 'success', amount: 100000, currency: 'KES', customer: { email: 't@x.co' } } }
+    : { data: { status: 'pending', id: 7, amount: JSON.parse(init.body).amount } };
+  return new Response(JSON.stringify(body), { status: 200 });
+});
+
+const refundCalls = (fetch) => fetch.mock.calls.filter((call) => String(call.arguments[0]).endsWith('/refund'));
+
+test('cancelling refunds the payment claimed for the booking', async (t) => {
+  process.env.PAYSTACK_SECRET_KEY = 'sk_test_cancel';
+  const fetch = paystack(t);
+  await seedBooking('BK-C1', 'PAY-C1');
+  const claims = await getCollection('payment_claims');
+  await claims.put('PAY-C1', { reference: 'PAY-C1', status: 'used', linked_booking_id: 'BK-C1' });
+
+  const { status, body } = await cancel('BK-C1');
+  assert.equal(status, 200);
+  assert.equal(body.data.status, 'cancelled');
+  assert.equal(body.data.refundable_amount, 1000);
+  assert.equal(body.data.refund.reference, 'PAY-C1');
+  assert.equal(refundCalls(fetch).length, 1);
+});
+
+test('a reference not claimed for the booking is never refunded', async (t) => {
+  const fetch = paystack(t);
+  // a CEO booking from before references were dropped, and one naming another booking's payment
+  await seedBooking('BK-C2', 'PAY-ANY');
+  await seedBooking('BK-C3', 'PAY-C3');
+  const claims = await getCollection('payment_claims');
+  await claims.put('PAY-C3', { reference: 'PAY-C3', status: 'used', linked_booking_id: 'BK-OTHER' });
+
+  for (const bookingId of ['BK-C2', 'BK-C3']) {
+    const { status, body } = await cancel(bookingId);
+    assert.equal(status, 200);
+    assert.equal(body.data.status, 'cancelled');
+    assert.equal(body.data.refundable_amount, 0);
+    assert.equal(body.data.refund, null);
+  }
+  assert.equal(fetch.mock.callCount(), 0);
+});
@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { redis } from '../src/services/redis.js';
+import { cacheGet, cacheKey, cacheSet, cacheStats, invalidate, remember, xCache } from '../src/services/cache.js';
+
+test('cache keys start with the namespace that stats are grouped by', () => {
+  assert.equal(cacheKey('properties', 1, 12), 'cache:properties:1:12');
+  assert.equal(cacheKey('rooms', null, 'all'), 'cache:rooms::all');
+});
+
+test('X-Cache names the layer that served the hit', () => {
+  assert.equal(xCache('redis'), 'HIT-REDIS');
+  assert.equal(xCache('memory'), 'HIT-MEM');
+  assert.equal(xCache(undefined), 'MISS');
+});
+
+test('stats start empty', () => {
+  const stats = cacheStats();
+  assert.equal(stats.hits, 0);
+  assert.equal(stats.hitRate, null);
+  assert.deepEqual(stats.namespaces, {});
+});
+
+test('remember loads once, then serves the Redis copy', async () => {
+  const key = cacheKey('rooms', 1, 12);
+  let loads = 0;
+  const load = async () => ({ page: 1, loads: ++loads });
+
+  assert.deepEqual(await remember(key, { tags: ['rooms'] }, load), { value: { page: 1, loads: 1 }, source: 'miss' });
+  assert.deepEqual(await remember(key, { tags: ['rooms'] }, load), { value: { page: 1, loads: 1 }, source: 'redis' });
+  assert.equal(loads, 1);
+  assert.deepEqual(cacheStats().namespaces.rooms, { hits: 1, misses: 1 });
+});
+
+test('invalidate drops every entry carrying the tag', async () => {
+  await cacheSet(cacheKey('properties', 'P1'), { id: 'P1' }, { tags: ['properties', 'property:P1'] });
+  await cacheSet(cacheKey('properties', 'P2'), { id: 'P2' }, { tags: ['properties', 'property:P2'] });
+
+  await invalidate('property:P1', null);
+  assert.equal(await cacheGet(cacheKey('properties', 'P1')), null);
+  assert.equal((await cacheGet(cacheKey('properties', 'P2'))).source, 'redis');
+});
+
+test('the in-memory copy is served only while Redis fails', async (t) => {
+  const key = cacheKey('banners', 'all');
+  await cacheSet(key, ['b1'], { tags: ['banners'] });
+  await redis.del(key);
+  assert.equal(await cacheGet(key), null);
+
+  const down = async () => { throw new Error('connection refused'); };
+  t.mock.method(redis, 'get', down);
+  t.mock.method(redis, 'smembers', down);
+  const hit = await cacheGet(key);
+  assert.deepEqual(hit, { value: ['b1'], source: 'memory' });
+
+  await invalidate('banners');
+  assert.equal(await cacheGet(key), null);
+  assert.equal(cacheStats().errors, 3);
+});
@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_CANCELLATION_POLICY, cancellationQuote, policyName } from '../src/utils/cancellationPolicy.js';
+
+const booking = { start_date: '2030-06-10', amount: 1000, currency: 'KES' };
+const hoursBefore = (hours) => new Date(Date.parse('2030-06-10T00:00:00Z') - hours * 3600000);
+
+test('the first cutoff met sets the refund', () => {
+  assert.equal(cancellationQuote(booking, 'moderate', hoursBefore(200)).refund_percent, 100);
+  assert.equal(cancellationQuote(booking, 'moderate', hoursBefore(120)).refund_percent, 100);
+  assert.equal(cancellationQuote(booking, 'moderate', hoursBefore(119)).refund_percent, 50);
+  assert.equal(cancellationQuote(booking, 'moderate', hoursBefore(24)).refund_percent, 50);
+  assert.equal(cancellationQuote(booking, 'moderate', hoursBefore(23)).refund_percent, 0);
+  assert.equal(cancellationQuote(booking, 'flexible', hoursBefore(2)).refund_percent, 50);
+  assert.equal(cancellationQuote(booking, 'flexible', hoursBefore(-2)).refund_percent, 0);
+});
+
+test('the quote carries the amount, check-in and currency', () => {
+  const quote = cancellationQuote(booking, 'strict', hoursBefore(200));
+  assert.equal(quote.policy, 'strict');
+  assert.equal(quote.check_in, '2030-06-10T00:00:00.000Z');
+  assert.equal(quote.hours_before_check_in, 200);
+  assert.equal(quote.refund_percent, 50);
+  assert.equal(quote.refundable_amount, 500);
+  assert.equal(quote.currency, 'KES');
+});
+
+test('earlier refunds are deducted, never below zero', () => {
+  const now = hoursBefore(200);
+  assert.equal(cancellationQuote({ ...booking, refunded_amount: 300 }, 'moderate', now).refundable_amount, 700);
+  assert.equal(cancellationQuote({ ...booking, refunded_amount: 1200 }, 'moderate', now).refundable_amount, 0);
+  assert.equal(cancellationQuote({ ...booking, amount: 333.33 }, 'moderate', hoursBefore(50)).refundable_amount, 166.67);
+});
+
+test('bookings without dates count as started', () => {
+  const quote = cancellationQuote({ amount: 1000 }, 'flexible');
+  assert.equal(quote.check_in, null);
+  assert.equal(quote.refund_percent, 0);
+  assert.equal(quote.refundable_amount, 0);
+});
+
+test('unknown policies fall back to the default', () => {
+  assert.equal(policyName('gone'), DEFAULT_CANCELLATION_POLICY);
+  assert.equal(cancellationQuote(booking, 'gone', hoursBefore(200)).policy, DEFAULT_CANCELLATION_POLICY);
+});
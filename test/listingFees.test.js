@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Hono } from 'hono';
+import { getCollection } from '../src/services/astra.js';
+import { ListingFeeError, listingQuote } from '../src/utils/listingFees.js';
+import propertiesRoutes from '../src/routes/properties/routes.js';
+
+const feeError = (code) => (err) => err instanceof ListingFeeError && err.code === code;
+
+test('the fee is the first tier that fits, times the duration multiplier', () => {
+  assert.deepEqual(listingQuote({ country: 'KE', rooms: 5 }), {
+    country: '*', currency: 'KES', rooms: 5, duration_days: 30, tier: { max_rooms: 5, fee: 1000 }, amount: 1000,
+  });
+  assert.equal(listingQuote({ rooms: 6 }).amount, 2500);
+  assert.equal(listingQuote({ rooms: 6, duration_days: 90 }).amount, 6250);
+  assert.equal(listingQuote({ rooms: 500, duration_days: 365 }).tier.max_rooms, null);
+  assert.equal(listingQuote({ country: 'Kenya', currency: 'kes', rooms: 1 }).currency, 'KES');
+});
+
+test('unpriced currencies, durations and room counts are refused', () => {
+  assert.throws(() => listingQuote({ rooms: 1, currency: 'USD' }), feeError('UNSUPPORTED_CURRENCY'));
+  assert.throws(() => listingQuote({ rooms: 1, duration_days: 45 }), feeError('INVALID_DURATION'));
+  assert.throws(() => listingQuote({ rooms: 1.5 }), feeError('INVALID_ROOMS'));
+});
+
+test('GET /properties/pricing/quote prices a listing', async () => {
+  const app = new Hono().route('/properties', propertiesRoutes);
+  const res = await app.request('/properties/pricing/quote?rooms=21&duration_days=90');
+  const body = await res.json();
+  assert.equal(res.status, 200);
+  assert.equal(body.data.amount, 12500);
+});
+
+test('rooms added later count every listed room against the tier paid for', async () => {
+  const landlord = { userId: 'LF-1', email: 'lf@x.co', role: 'landlord' };
+  const app = new Hono()
+    .use('*', async (c, next) => { c.set('user', landlord); await next(); })
+    .route('/properties', propertiesRoutes);
+  const addRooms = (count) => app.request('/properties/LFP1', {
+    method: 'PUT',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ rooms: Array.from({ length: count }, (_, i) => ({ name: `Room ${i + 1}`, size: 'single' })) }),
+  });
+
+  const properties = await getCollection('properties');
+  // two of the five listed rooms are booked, so unit_available is down to 3
+  const { documentId } = await properties.post({ id: 'LFP1', property_id: 'LFP1', landlord_id: 'LF-1', listing_max_rooms: 5, unit_available: 3 });
+  const rooms = await getCollection('rooms');
+  for (let i = 1; i <= 5; i += 1) await rooms.post({ room_id: `LFP1-${i}`, property_id: 'LFP1', landlord_id: 'LF-1' });
+
+  const over = await addRooms(1);
+  assert.equal(over.status, 402);
+  assert.equal((await over.json()).error, 'LISTING_ROOM_LIMIT');
+
+  await properties.patch(documentId, { listing_max_rooms: 7 });
+  const fits = await addRooms(2);
+  assert.equal(fits.status, 200);
+  assert.equal((await fits.json()).roomsAdded, 2);
+});
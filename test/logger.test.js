@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Hono } from 'hono';
+import { getRequestId, logger, runWithRequestContext, traceHeaders } from '../src/utils/logger.js';
+import { requestContext } from '../src/middleware/requestContext.js';
+
+// npm test runs with LOG_LEVEL=error
+const captureLines = (t) => {
+  const lines = [];
+  const collect = (line) => lines.push(JSON.parse(line));
+  t.mock.method(console, 'error', collect);
+  t.mock.method(console, 'log', collect);
+  return lines;
+};
+
+test('lines carry the request context, child bindings and serialized errors', async (t) => {
+  const lines = captureLines(t);
+  const log = logger.child({ module: 'rooms' });
+
+  await runWithRequestContext({ requestId: 'req-1', method: 'GET', path: '/rooms/R1' }, async () => {
+    log.error('room lookup failed', { roomId: 'R1', err: new Error('boom') });
+    log.warn('below the threshold');
+    assert.equal(getRequestId(), 'req-1');
+    assert.deepEqual(traceHeaders(), { 'x-trace-id': 'req-1' });
+  });
+
+  assert.equal(lines.length, 1);
+  const [line] = lines;
+  assert.equal(line.level, 'error');
+  assert.equal(line.msg, 'room lookup failed');
+  assert.equal(line.module, 'rooms');
+  assert.equal(line.requestId, 'req-1');
+  assert.equal(line.route, '/rooms/R1');
+  assert.equal(line.roomId, 'R1');
+  assert.equal(line.err.message, 'boom');
+  assert.deepEqual(traceHeaders(), {});
+});
+
+test('requestContext keeps a valid caller id and echoes it back', async () => {
+  const app = new Hono();
+  app.use('*', requestContext());
+  app.get('/', (c) => c.json({ traceId: getRequestId() }));
+
+  const res = await app.request('/', { headers: { 'x-trace-id': 'abc-123' } });
+  assert.equal(res.headers.get('X-Request-Id'), 'abc-123');
+  assert.deepEqual(await res.json(), { traceId: 'abc-123' });
+
+  const minted = await app.request('/', { headers: { 'x-request-id': 'not valid!' } });
+  const { traceId } = await minted.json();
+  assert.notEqual(traceId, 'not valid!');
+  assert.equal(minted.headers.get('X-Trace-Id'), traceId);
+});
@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Hono } from 'hono';
+import { getCollection } from '../src/services/astra.js';
+import { normalizeMsisdn } from '../src/services/providers/mpesa.js';
+import paymentsRoutes from '../src/routes/payments/routes.js';
+
+process.env.MPESA_CALLBACK_TOKEN = 'cb-token';
+
+const app = new Hono().route('/payments', paymentsRoutes);
+
+const callback = async (body, token = 'cb-token') => {
+  const res = await app.request(`/payments/mpesa/callback?token=${token}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+const stk = (checkoutId, resultCode, items = []) => ({
+  Body: {
+    stkCallback: {
+      CheckoutRequestID: checkoutId,
+      ResultCode: resultCode,
+      ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'Request cancelled by user',
+      CallbackMetadata: { Item: items },
+    },
+  },
+});
+
+const paymentFor = async (reference) => {
+  const col = await getCollection('payments');
+  return Object.values((await col.find({ reference: { $eq: reference } })).data)[0];
+};
+
+test('Safaricom numbers are normalized to 2547… and others refused', () => {
+  assert.equal(normalizeMsisdn('0712 345-678'), '254712345678');
+  assert.equal(normalizeMsisdn('+254112345678'), '254112345678');
+  assert.equal(normalizeMsisdn('254712345678'), '254712345678');
+  assert.equal(normalizeMsisdn('0812345678'), null);
+  assert.equal(normalizeMsisdn(''), null);
+});
+
+test('callbacks without the shared token are refused', async () => {
+  const { status, body } = await callback(stk('ws_CO_1', 0), 'wrong-token');
+  assert.equal(status, 401);
+  assert.equal(body.error, 'INVALID_SIGNATURE');
+});
+
+test('an STK result moves the payment its checkout started', async () => {
+  const payments = await getCollection('payments');
+  await payments.post({ reference: 'MP-1', provider: 'mpesa', checkout_request_id: 'ws_CO_2', amount: 1500, status: 'INITIATED', status_history: [] });
+
+  const { body } = await callback(stk('ws_CO_2', 0, [
+    { Name: 'Amount', Value: 1500 },
+    { Name: 'MpesaReceiptNumber', Value: 'QKX123ABC' },
+    { Name: 'TransactionDate', Value: 20261018103000 },
+    { Name: 'PhoneNumber', Value: 254712345678 },
+  ]));
+  assert.equal(body.ResultCode, 0);
+
+  const payment = await paymentFor('MP-1');
+  assert.equal(payment.status, 'SUCCESS');
+  assert.equal(payment.paid_amount, 150000);
+  assert.equal(payment.receipt_number, 'QKX123ABC');
+  assert.equal(payment.paid_at, '2026-10-18T07:30:00.000Z');
+
+  // Daraja retries are applied once
+  await callback(stk('ws_CO_2', 1032));
+  assert.equal((await paymentFor('MP-1')).status, 'SUCCESS');
+});
+
+test('a reversal result settles the refund it names', async () => {
+  const refunds = await getCollection('refunds');
+  await refunds.put('RFD-mp', {
+    refund_id: 'RFD-mp', reference: 'MP-2', amount: 500, provider_refund_id: 'AG_2026_1', status: 'PENDING', status_history: [], created_at: '2026-10-18T00:00:00.000Z',
+  });
+
+  const { body } = await callback({ Result: { ConversationID: 'AG_2026_1', ResultCode: 0, ResultDesc: 'Reversed' } });
+  assert.equal(body.ResultCode, 0);
+  assert.equal((await refunds.get('RFD-mp')).data.status, 'PROCESSED');
+});
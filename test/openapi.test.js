@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Hono } from 'hono';
+import { lazyHandler } from '../src/utils/lazyHandler.js';
+
+// The docs must build on a worker with no mail (or other service) credentials
+delete process.env.ZEPTO_API_KEY;
+
+test('GET /openapi.json documents every group from the route tables', async () => {
+  const { default: app } = await import('../src/routes/routes.js');
+  const res = await app.request('/openapi.json');
+  assert.equal(res.status, 200);
+  const doc = await res.json();
+
+  assert.equal(doc.openapi, '3.1.0');
+  assert.ok(doc.paths['/payments/initiate'].post);
+
+  const create = doc.paths['/countries'].post;
+  assert.equal(create['x-permission'], 'country:create');
+  assert.deepEqual(create.security, [{ bearerAuth: [] }]);
+  assert.deepEqual(create.requestBody.content['application/json'].schema.required, ['name', 'iso2']);
+  assert.deepEqual(create.responses[400].content['application/json'].schema.allOf[1].properties.error.enum, ['INVALID_BODY', 'VALIDATION_FAILED']);
+
+  assert.deepEqual(doc.paths['/chats'].get.security, [{ bearerAuth: [] }]);
+  assert.deepEqual(doc.paths['/rooms/{id}'].get.parameters.map((p) => p.name), ['id']);
+});
+
+test('lazyHandler imports its module on the first request only', async () => {
+  let imports = 0;
+  const hello = lazyHandler(async () => {
+    imports += 1;
+    return { hello: (c) => c.text(`hi ${c.req.param('name')}`) };
+  }, 'hello');
+  assert.equal(hello.name, 'hello');
+  assert.equal(imports, 0);
+
+  const app = new Hono();
+  app.get('/:name', hello);
+  assert.equal(await (await app.request('/ann')).text(), 'hi ann');
+  assert.equal(await (await app.request('/bo')).text(), 'hi bo');
+  assert.equal(imports, 1);
+});
+
+test('sending a payment email without ZeptoMail configured rejects instead of crashing', async () => {
+  const { sendEmail } = await import('../src/services/email.js');
+  await assert.rejects(
+    sendEmail({ to: 'a@b.co', reference: 'PAY-1', amount: 10, paymentUrl: 'https://pay.example/1' }),
+    { name: 'ZeptoMailError', message: /^Email service unavailable/ },
+  );
+});
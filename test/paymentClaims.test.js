@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getCollection } from '../src/services/astra.js';
+import { redis } from '../src/services/redis.js';
+import { PaymentClaimError, claimPayment } from '../src/services/paymentClaims.js';
+
+const claimError = (code) => (err) => err instanceof PaymentClaimError && err.code === code;
+
+const recordOf = async (reference) => (await (await getCollection('payment_claims')).get(reference))?.data || null;
+
+test('a claim is exclusive until released', async () => {
+  const claim = await claimPayment('ref-release');
+  await assert.rejects(claimPayment('ref-release'), claimError('PAYMENT_CLAIM_IN_PROGRESS'));
+  await claim.release();
+  const again = await claimPayment('ref-release');
+  await again.release();
+  assert.equal(await recordOf('ref-release'), null);
+});
+
+test('a finalized claim spends the reference for good', async () => {
+  const claim = await claimPayment('ref-final', { purpose: { type: 'booking' }, claimedBy: 'U1' });
+  await claim.finalize({ linked_booking_id: 'B1' });
+  await claim.release(); // no-op once finalized
+
+  const record = await recordOf('ref-final');
+  assert.equal(record.linked_booking_id, 'B1');
+  assert.equal(record.claimed_by, 'U1');
+  assert.equal(record.claim_id, claim.claimId);
+  await assert.rejects(claimPayment('ref-final'), claimError('PAYMENT_USED'));
+
+  // the durable record still counts once the Redis pin is gone
+  await redis.del('payment:claim:ref-final');
+  await assert.rejects(claimPayment('ref-final'), claimError('PAYMENT_USED'));
+});
+
+test('legacy used rows in payments count as spent', async () => {
+  const payments = await getCollection('payments');
+  await payments.post({ reference: 'ref-legacy', status: 'used' });
+  await assert.rejects(claimPayment('ref-legacy'), claimError('PAYMENT_USED'));
+});
+
+test('a release does not drop a lock another request took over', async () => {
+  const claim = await claimPayment('ref-expired');
+  await redis.set('payment:claim:ref-expired', 'someone-else');
+  await claim.release();
+  assert.equal(await redis.get('payment:claim:ref-expired'), 'someone-else');
+});
+
+test('claims fail closed when Redis is down', async (t) => {
+  t.mock.method(redis, 'set', async () => { throw new Error('connection refused'); });
+  await assert.rejects(claimPayment('ref-down'), claimError('PAYMENT_CLAIM_UNAVAILABLE'));
+});
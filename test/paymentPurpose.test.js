@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { listingQuote } from '../src/utils/listingFees.js';
+import { bookingAmount, bookingPurpose, checkPayment, listingPurpose, roomCurrency, toSubunits } from '../src/utils/paymentPurpose.js';
+
+const stay = { start_date: '2030-01-10', end_date: '2030-01-12', periods: 2 };
+
+const paid = (overrides = {}) => ({
+  amount: 250000,
+  currency: 'KES',
+  metadata: { purpose: bookingPurpose('P1-1', stay), expected_amount: 250000, currency: 'KES' },
+  ...overrides,
+});
+
+test('a payment made for the same room, amount and currency passes', () => {
+  assert.equal(checkPayment(paid(), { amount: 2500, purpose: bookingPurpose('P1-1', stay) }), null);
+  // older clients sent metadata as a JSON string
+  assert.equal(checkPayment(paid({ metadata: JSON.stringify(paid().metadata) }), { amount: 2500, purpose: bookingPurpose('P1-1', stay) }), null);
+});
+
+test('purpose, currency and amount are each checked', () => {
+  assert.equal(checkPayment(paid(), { amount: 2500, purpose: bookingPurpose('P1-2', stay) }).error, 'PAYMENT_PURPOSE_MISMATCH');
+  const otherDates = { ...stay, end_date: '2030-01-13' };
+  assert.equal(checkPayment(paid(), { amount: 2500, purpose: bookingPurpose('P1-1', otherDates) }).error, 'PAYMENT_PURPOSE_MISMATCH');
+  assert.equal(checkPayment(paid(), { amount: 2500, purpose: listingPurpose('L1', listingQuote({ rooms: 1 })) }).error, 'PAYMENT_PURPOSE_MISMATCH');
+  assert.equal(checkPayment(paid({ metadata: {} }), { amount: 2500, purpose: bookingPurpose('P1-1', stay) }).error, 'PAYMENT_PURPOSE_MISMATCH');
+  assert.equal(checkPayment(paid(), { amount: 2500, currency: 'USD', purpose: bookingPurpose('P1-1', stay) }).error, 'PAYMENT_CURRENCY_MISMATCH');
+
+  const short = checkPayment(paid(), { amount: 3000, purpose: bookingPurpose('P1-1', stay) });
+  assert.deepEqual(short, {
+    error: 'PAYMENT_AMOUNT_MISMATCH',
+    message: 'Payment of 2500 KES does not match the expected 3000 KES.',
+  });
+});
+
+test('amounts convert to subunits and rooms default to KES', () => {
+  assert.equal(toSubunits(19.99), 1999);
+  assert.equal(toSubunits('1000'), 100000);
+  assert.equal(roomCurrency({ price_currency: 'USD' }), 'USD');
+  assert.equal(roomCurrency({}), 'KES');
+  assert.equal(bookingAmount({ price: '1250.335' }, stay), 2500.67);
+});
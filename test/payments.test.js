@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Hono } from 'hono';
+import { getCollection } from '../src/services/astra.js';
+import paymentsRoutes from '../src/routes/payments/routes.js';
+
+process.env.PAYSTACK_SECRET_KEY = 'sk_test_payments';
+
+let as;
+const app = new Hono()
+  .use('*', async (c, next) => { c.set('user', as); await next(); })
+  .route('/payments', paymentsRoutes);
+
+const get = async (path, user) => {
+  as = user;
+  const res = await app.request(path);
+  return { status: res.status, body: await res.json() };
+};
+
+const tenant = { userId: 'T1', email: 'Tenant@x.co', role: 'tenant' };
+const landlord = { userId: 'L1', email: 'l@x.co', role: 'landlord' };
+const stranger = { userId: 'S1', email: 's@x.co', role: 'tenant' };
+const admin = { userId: 'A1', email: 'a@x.co', role: 'admin' };
+
+const seeded = (async () => {
+  const payments = await getCollection('payments');
+  await payments.post({ reference: 'PL-1', status: 'SUCCESS', amount: 1500, email: 'tenant@x.co', purpose: { type: 'booking', room_id: 'P9-1' }, created_at: '2026-10-01T10:00:00.000Z' });
+  await payments.post({ reference: 'PL-2', status: 'SUCCESS', amount: 500, user_id: 'L1', purpose: { type: 'listing', landlord_id: 'L1' }, created_at: '2026-10-02T10:00:00.000Z' });
+  await payments.post({ reference: 'PL-3', status: 'INITIATED', amount: 900, email: 'other@x.co', created_at: '2026-10-03T10:00:00.000Z' });
+  await payments.post({ reference: 'PL-1', status: 'used', verified_at: '2026-10-01T10:05:00.000Z' });
+  const rooms = await getCollection('rooms');
+  await rooms.post({ room_id: 'P9-1', landlord_id: 'L1' });
+})();
+
+const references = (body) => body.data.map((p) => p.reference).filter((r) => r.startsWith('PL-'));
+
+test('staff list every payment, others only their own', async () => {
+  await seeded;
+  assert.deepEqual(references((await get('/payments', admin)).body), ['PL-3', 'PL-2', 'PL-1']);
+  assert.deepEqual(references((await get('/payments', tenant)).body), ['PL-1']);
+  assert.deepEqual(references((await get('/payments', landlord)).body), ['PL-2', 'PL-1']);
+  assert.deepEqual(references((await get('/payments', stranger)).body), []);
+  assert.deepEqual(references((await get('/payments?status=INITIATED&from=2026-10-03', admin)).body), ['PL-3']);
+});
+
+test('a payment lookup shows the provider status to its owner only', async (t) => {
+  await seeded;
+  t.mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify({ data: { status: 'success', amount: 150000, currency: 'KES' } }), { status: 200 }));
+
+  const { status, body } = await get('/payments/PL-1', landlord);
+  assert.equal(status, 200);
+  assert.equal(body.data.amount, 1500);
+  assert.equal(body.data.provider_status.status, 'success');
+  assert.equal(body.data.provider_status.amount, 1500);
+
+  const denied = await get('/payments/PL-1', stranger);
+  assert.equal(denied.status, 403);
+  assert.equal((await get('/payments/PL-404', admin)).status, 404);
+});
@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getCollection } from '../src/services/astra.js';
+import { COMMISSION_PERCENT, bookingSplit, recordSplit } from '../src/services/payouts.js';
+
+const seeded = (async () => {
+  const accounts = await getCollection('payout_accounts');
+  await accounts.put('LP-1', { landlord_id: 'LP-1', subaccount_code: 'ACCT_lp1', active: true });
+  await accounts.put('LP-2', { landlord_id: 'LP-2', subaccount_code: 'ACCT_lp2', active: false });
+  const properties = await getCollection('properties');
+  await properties.post({ property_id: 'PP1', landlord_id: 'LP-1' });
+})();
+
+test('the platform keeps its commission and the landlord the rest', async () => {
+  await seeded;
+  assert.equal(COMMISSION_PERCENT, 10);
+
+  const split = await bookingSplit({ room_id: 'PP9-1', landlord_id: 'LP-1' }, 123456);
+  assert.equal(split.subaccount_code, 'ACCT_lp1');
+  assert.equal(split.platform_amount, 12346);
+  assert.equal(split.platform_amount + split.landlord_amount, 123456);
+});
+
+test('rooms without a landlord of their own use their property\'s', async () => {
+  await seeded;
+  const split = await bookingSplit({ room_id: 'PP1-3' }, 10000);
+  assert.equal(split.landlord_id, 'LP-1');
+  assert.equal(split.subaccount_code, 'ACCT_lp1');
+});
+
+test('an inactive payout account settles to the platform', async () => {
+  await seeded;
+  assert.equal((await bookingSplit({ room_id: 'PP2-1', landlord_id: 'LP-2' }, 10000)).subaccount_code, null);
+});
+
+test('a split is recorded in whole units under the payment reference', async () => {
+  await seeded;
+  const booking = { booking_id: 'BK-S1', room_id: 'PP1-3', property_id: 'PP1', currency: 'KES' };
+  const paymentData = { amount: 250000, currency: 'KES', fees: 3750, paid_at: '2026-10-01T10:00:00.000Z' };
+
+  // initialized without a split: everything went to the platform
+  const record = await recordSplit({ reference: 'SPL-1', booking, room: { room_id: 'PP1-3' }, split: null, paymentData });
+  assert.equal(record.settlement, 'platform');
+  assert.equal(record.landlord_id, 'LP-1');
+  assert.equal(record.platform_amount, 250);
+  assert.equal(record.landlord_amount, 2250);
+  assert.equal(record.provider_fees, 37.5);
+
+  const stored = await (await getCollection('payment_splits')).get('SPL-1');
+  assert.equal(stored.data.booking_id, 'BK-S1');
+
+  const split = await bookingSplit({ room_id: 'PP1-3' }, 250000);
+  assert.equal((await recordSplit({ reference: 'SPL-2', booking, room: {}, split, paymentData })).settlement, 'subaccount');
+});
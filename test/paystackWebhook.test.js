@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Hono } from 'hono';
+import { getCollection } from '../src/services/astra.js';
+import { signWebhookBody } from '../src/services/paystack.js';
+import paymentsRoutes from '../src/routes/payments/routes.js';
+
+process.env.PAYSTACK_SECRET_KEY = 'sk_test_webhook';
+
+const app = new Hono().route('/payments', paymentsRoutes);
+
+const deliver = async (event, data, signature) => {
+  const body = JSON.stringify({ event, data });
+  const res = await app.request('/payments/webhook', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-paystack-signature': signature ?? await signWebhookBody(body) },
+    body,
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+const paymentFor = async (reference) => {
+  const col = await getCollection('payments');
+  return Object.values((await col.find({ reference: { $eq: reference } })).data)[0];
+};
+
+test('unsigned deliveries are rejected', async () => {
+  const { status, body } = await deliver('charge.success', { id: 1, reference: 'PAY-X' }, 'ab'.repeat(64));
+  assert.equal(status, 401);
+  assert.equal(body.error, 'INVALID_SIGNATURE');
+});
+
+test('a charge without a record is recorded once', async () => {
+  const data = { id: 2, reference: 'PAY-W1', amount: 150000, currency: 'KES', customer: { email: 't@x.co' } };
+  assert.equal((await deliver('charge.success', data)).body.message, 'Payment recorded.');
+  assert.equal((await deliver('charge.success', data)).body.duplicate, true);
+
+  const payment = await paymentFor('PAY-W1');
+  assert.equal(payment.status, 'SUCCESS');
+  assert.equal(payment.source, 'webhook');
+});
+
+test('events follow the allowed transitions and refunds reverse only once complete', async () => {
+  const col = await getCollection('payments');
+  await col.post({ reference: 'PAY-W2', amount: 2500, status: 'INITIATED', status_history: [] });
+
+  assert.equal((await deliver('charge.success', { id: 3, reference: 'PAY-W2', amount: 250000 })).body.status, 'SUCCESS');
+  const late = await deliver('charge.failed', { id: 4, reference: 'PAY-W2' });
+  assert.equal(late.body.message, 'Transition SUCCESS -> FAILED ignored.');
+
+  const partial = await deliver('refund.processed', { id: 5, transaction_reference: 'PAY-W2', amount: 100000 });
+  assert.equal(partial.body.message, 'Partial refund recorded.');
+  assert.equal(partial.body.status, 'SUCCESS');
+
+  const rest = await deliver('refund.processed', { id: 6, transaction_reference: 'PAY-W2', amount: 150000 });
+  assert.equal(rest.body.status, 'REVERSED');
+
+  const payment = await paymentFor('PAY-W2');
+  assert.equal(payment.refunded_amount, 2500);
+  assert.equal(payment.paid_amount, 250000);
+  assert.deepEqual(payment.status_history.map((h) => h.status), ['SUCCESS', 'SUCCESS', 'REVERSED']);
+});
@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ACTIONS, can, normalizeRole, permissionMatrix, roleVariants } from '../src/utils/policy.js';
+
+test('role spellings normalize to canonical names', () => {
+  assert.equal(normalizeRole('Customer Care'), 'customer_care');
+  assert.equal(normalizeRole('real-estate-company'), 'real_estate_company');
+  assert.equal(normalizeRole(' ADMIN '), 'admin');
+  assert.equal(normalizeRole('superuser'), null);
+  assert.equal(normalizeRole(undefined), null);
+  assert.deepEqual(roleVariants('customer care'), ['customer_care', 'customer care', 'customercare']);
+  assert.deepEqual(roleVariants('nobody'), []);
+});
+
+test('any grants cover every resource, own grants only the owner\'s', () => {
+  const landlord = { userId: 'L1', role: 'landlord' };
+  const admin = { userId: 'A1', role: 'admin' };
+
+  assert.equal(can(admin, 'property:update', { landlord_id: 'L2' }), true);
+  assert.equal(can(landlord, 'property:update', { landlord_id: 'L1' }), true);
+  assert.equal(can(landlord, 'property:update', { landlord_id: 'L2' }), false);
+  assert.equal(can(landlord, 'property:update:any'), false);
+  assert.equal(can(landlord, 'receipt:read:own'), true);
+});
+
+test('verb-specific owner fields narrow the default', () => {
+  const tenant = { userId: 'T1', role: 'tenant' };
+  const booking = { tenant_id: 'T1', landlord_id: 'L1' };
+  assert.equal(can(tenant, 'booking:read', booking), true);
+  assert.equal(can(tenant, 'booking:update', booking), false);
+  assert.equal(can({ userId: 'L1', role: 'landlord' }, 'booking:update', booking), true);
+});
+
+test('the CEO holds everything; unknown roles nothing', () => {
+  const ceo = { userId: 'C1', role: 'ceo' };
+  for (const action of ACTIONS) assert.equal(can(ceo, `${action}:any`), true, action);
+  assert.equal(can({ userId: 'X', role: 'wizard' }, 'review:create'), false);
+  assert.equal(can(null, 'review:create'), false);
+});
+
+test('only staff read other users\' chats', () => {
+  assert.equal(can({ role: 'admin' }, 'chat:read:any'), true);
+  assert.equal(can({ role: 'customer care' }, 'chat:read:any'), false);
+  assert.equal(can({ role: 'tenant' }, 'chat:read:any'), false);
+});
+
+test('the permission matrix reports any, own or none per role', () => {
+  const { matrix } = permissionMatrix();
+  assert.equal(matrix.admin['property:update'], 'any');
+  assert.equal(matrix.landlord['property:update'], 'own');
+  assert.equal(matrix.tenant['property:update'], false);
+  assert.equal(matrix.customer_care['contact:reply'], 'any');
+});
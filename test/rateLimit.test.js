@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Hono } from 'hono';
+import { createRateLimiter } from '../src/services/rateLimiter.js';
+import { rateLimit } from '../src/middleware/rateLimit.js';
+
+test('the sliding window weighs in the previous window', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 600_000 }); // start of a 60 s window
+  const limiter = createRateLimiter({ store: 'memory' });
+  const policy = { limit: 4, windowSec: 60 };
+
+  for (let i = 0; i < 4; i += 1) assert.equal((await limiter.hit('k', policy)).allowed, true);
+  const over = await limiter.hit('k', policy);
+  assert.deepEqual(over, { allowed: false, limit: 4, remaining: 0, reset: 60, retryAfter: 60 });
+
+  // halfway into the next window the four earlier requests still count for two
+  t.mock.timers.tick(90_000);
+  assert.deepEqual(await limiter.hit('k', policy), { allowed: true, limit: 4, remaining: 1, reset: 30, retryAfter: 0 });
+  assert.equal((await limiter.hit('k', policy)).allowed, true);
+  const blocked = await limiter.hit('k', policy);
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.retryAfter, 15);
+});
+
+const appWith = (policies) => {
+  const app = new Hono();
+  app.use('*', rateLimit({ policies, store: 'memory' }));
+  app.post('/auth/login', async (c) => c.json({ body: await c.req.json() }));
+  app.get('/rooms', (c) => c.json({ ok: true }));
+  return app;
+};
+
+const login = (app, ip, email) => app.request('/auth/login', {
+  method: 'POST',
+  headers: { 'content-type': 'application/json', 'x-forwarded-for': ip },
+  body: JSON.stringify({ email }),
+});
+
+test('requests over a policy get 429 RATE_LIMITED with RateLimit headers', async () => {
+  const app = appWith([{ name: 'rooms', path: '/rooms', limit: 2, windowSec: 60, by: ['ip'] }]);
+  const get = () => app.request('/rooms', { headers: { 'x-forwarded-for': '10.0.0.1, 10.0.0.2' } });
+
+  const first = await get();
+  assert.equal(first.headers.get('RateLimit-Policy'), '2;w=60');
+  assert.equal(first.headers.get('RateLimit-Remaining'), '1');
+  assert.equal((await get()).status, 200);
+
+  const limited = await get();
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('Retry-After')) >= 1);
+  const body = await limited.json();
+  assert.equal(body.error, 'RATE_LIMITED');
+  assert.equal(body.policy, 'rooms');
+
+  const other = await app.request('/rooms', { headers: { 'x-forwarded-for': '10.0.0.9' } });
+  assert.equal(other.status, 200);
+});
+
+test('email keys follow the account across addresses and leave the body readable', async () => {
+  const app = appWith([{ name: 'login', methods: ['POST'], path: '/auth/login', limit: 2, windowSec: 60, by: ['ip', 'email'] }]);
+
+  const res = await login(app, '10.0.0.1', 'A@x.co');
+  assert.deepEqual((await res.json()).body, { email: 'A@x.co' });
+  assert.equal((await login(app, '10.0.0.2', 'a@x.co ')).status, 200);
+  assert.equal((await login(app, '10.0.0.3', 'a@x.co')).status, 429);
+  assert.equal((await login(app, '10.0.0.3', 'b@x.co')).status, 200);
+});
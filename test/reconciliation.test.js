@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getCollection } from '../src/services/astra.js';
+import { ReconciliationError, reconciliationRange, startReconciliation } from '../src/services/reconciliation.js';
+
+process.env.PAYSTACK_SECRET_KEY = 'sk_test_reconcile';
+
+const from = '2026-10-01T00:00:00.000Z';
+const to = '2026-10-02T23:59:59.999Z';
+const at = '2026-10-01T10:00:00.000Z';
+
+// Paystack lists `listed`; verify answers from `known` and 404s otherwise
+const paystack = (t, listed, known = {}) => t.mock.method(globalThis, 'fetch', async (url) => {
+  const path = new URL(url).pathname;
+  if (path === '/transaction') {
+    return new Response(JSON.stringify({ data: listed, meta: { pageCount: 1 } }), { status: 200 });
+  }
+  const reference = path.split('/').pop();
+  return known[reference]
+    ? new Response(JSON.stringify({ data: known[reference] }), { status: 200 })
+    : new Response(JSON.stringify({ message: 'Transaction reference not found' }), { status: 404 });
+});
+
+const issuesOf = (run) => Object.fromEntries(run.issues.map((i) => [i.reference, i.type]));
+
+test('dates cover whole days and ranges must run forwards', () => {
+  assert.deepEqual(reconciliationRange({ from: '2026-10-01', to: '2026-10-02' }), { from, to });
+  assert.throws(() => reconciliationRange({ from: '2026-10-03', to: '2026-10-02' }), (err) => err instanceof ReconciliationError && err.status === 400);
+});
+
+test('a run reports what Paystack and our records disagree on', async (t) => {
+  const payments = await getCollection('payments');
+  await payments.post({ reference: 'RC-ok', status: 'SUCCESS', expected_amount: 100000, currency: 'KES', created_at: at });
+  await payments.post({ reference: 'RC-short', status: 'SUCCESS', expected_amount: 100000, currency: 'KES', created_at: at });
+  await payments.post({ reference: 'RC-stale', status: 'INITIATED', created_at: at });
+  const claims = await getCollection('payment_claims');
+  for (const reference of ['RC-ok', 'RC-short', 'RC-stale', 'RC-failed']) {
+    await claims.put(reference, { reference, status: 'used', used_at: at, linked_booking_id: `BK-${reference}` });
+  }
+
+  paystack(t, [
+    { reference: 'RC-ok', status: 'success', amount: 100000, currency: 'KES', paid_at: at },
+    { reference: 'RC-short', status: 'success', amount: 90000, currency: 'KES', paid_at: at },
+    { reference: 'RC-stale', status: 'success', amount: 5000, currency: 'KES', paid_at: at },
+    { reference: 'RC-orphan', status: 'success', amount: 5000, currency: 'KES', paid_at: at },
+  ], { 'RC-failed': { reference: 'RC-failed', status: 'failed', amount: 5000, currency: 'KES' } });
+
+  const { run, done } = await startReconciliation({ from, to, requestedBy: 'A1' });
+  assert.equal(run.status, 'RUNNING');
+  await assert.rejects(startReconciliation({ from, to }), (err) => err.code === 'RECONCILIATION_IN_PROGRESS');
+
+  const finished = await done;
+  assert.equal(finished.status, 'COMPLETED');
+  assert.deepEqual(issuesOf(finished), {
+    'RC-short': 'amount_mismatch',
+    'RC-stale': 'status_mismatch',
+    'RC-orphan': 'unused_success',
+    'RC-failed': 'used_not_successful',
+  });
+  assert.equal(finished.issues.find((i) => i.reference === 'RC-failed').booking_id, 'BK-RC-failed');
+  assert.equal(finished.summary.lookups, 1);
+
+  const stored = await (await getCollection('reconciliation_runs')).get(run.run_id);
+  assert.equal(stored.data.summary.issues, 4);
+
+  // the lock is released with the run
+  const next = await startReconciliation({ from, to });
+  await next.done;
+});
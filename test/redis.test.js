@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRedis, resolveRedisDriverName } from '../src/services/redis.js';
+import { createMemoryRedis } from '../src/services/drivers/redis.memory.js';
+
+test('the driver follows REDIS_DRIVER, then Upstash config, then NODE_ENV', () => {
+  assert.equal(resolveRedisDriverName({ REDIS_DRIVER: ' Memory ' }), 'memory');
+  assert.equal(resolveRedisDriverName({ UPSTASH_REDIS_REST_URL: 'https://x', UPSTASH_REDIS_REST_TOKEN: 't' }), 'upstash');
+  assert.equal(resolveRedisDriverName({}), 'memory');
+  assert.throws(() => resolveRedisDriverName({ NODE_ENV: 'production' }), /Redis is not configured/);
+  assert.throws(() => createRedis({ REDIS_DRIVER: 'memory', NODE_ENV: 'production' }), /cannot be used in production/);
+  assert.throws(() => createRedis({ REDIS_DRIVER: 'valkey' }), /Unknown Redis driver "valkey"/);
+});
+
+test('values read back the way Upstash returns them', async () => {
+  const redis = createMemoryRedis();
+  await redis.set('obj', { a: 1 });
+  await redis.set('num', 42);
+  await redis.set('str', 'active');
+  assert.deepEqual(await redis.get('obj'), { a: 1 });
+  assert.equal(await redis.get('num'), 42);
+  assert.equal(await redis.get('str'), 'active');
+  assert.equal(await redis.get('missing'), null);
+});
+
+test('set honours nx/xx and expiry', async () => {
+  const redis = createMemoryRedis();
+  assert.equal(await redis.set('k', 1, { xx: true }), null);
+  assert.equal(await redis.set('k', 1, { nx: true, ex: 60 }), 'OK');
+  assert.equal(await redis.set('k', 2, { nx: true }), null);
+  assert.equal(await redis.ttl('k'), 60);
+  assert.equal(await redis.ttl('none'), -2);
+
+  await redis.set('gone', 1, { px: -1 });
+  assert.equal(await redis.get('gone'), null);
+  assert.equal(await redis.exists('k', 'gone'), 1);
+});
+
+test('counters, sets, keys and scan', async () => {
+  const redis = createMemoryRedis();
+  assert.equal(await redis.incr('hits'), 1);
+  assert.equal(await redis.incrby('hits', 4), 5);
+
+  assert.equal(await redis.sadd('tags', 'a', 'b', 'a'), 2);
+  assert.deepEqual((await redis.smembers('tags')).sort(), ['a', 'b']);
+  assert.equal(await redis.srem('tags', 'a', 'c'), 1);
+  assert.deepEqual(await redis.smembers('tags'), ['b']);
+  await assert.rejects(redis.get('tags'), /WRONGTYPE/);
+
+  await redis.set('auth:U1:t1', 'active');
+  await redis.set('auth:U1:t2', 'active');
+  await redis.set('auth:U2:t3', 'active');
+  assert.deepEqual((await redis.keys('auth:U1:*')).sort(), ['auth:U1:t1', 'auth:U1:t2']);
+
+  const seen = [];
+  let cursor = '0';
+  do {
+    const [next, batch] = await redis.scan(cursor, { match: 'auth:*', count: 2 });
+    seen.push(...batch);
+    cursor = next;
+  } while (cursor !== '0');
+  assert.equal(seen.length, 3);
+
+  assert.equal(await redis.del('auth:U1:t1', 'auth:U1:t2', 'nope'), 2);
+});
@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Hono } from 'hono';
+import { getCollection } from '../src/services/astra.js';
+import { signWebhookBody } from '../src/services/paystack.js';
+import { applyRefundEvent, listRefunds } from '../src/services/refunds.js';
+import paymentsRoutes from '../src/routes/payments/routes.js';
+
+process.env.PAYSTACK_SECRET_KEY = 'sk_test_refunds';
+
+const staff = { userId: 'CC1', email: 'care@x.co', role: 'customer care' };
+const app = new Hono()
+  .use('*', async (c, next) => { c.set('user', staff); await next(); })
+  .route('/payments', paymentsRoutes);
+
+const refund = async (reference, body) => {
+  const res = await app.request(`/payments/${reference}/refund`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ notify: false, ...body }),
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+// Paystack: a successful KES 1000.00 charge; refunds come back pending
+const paystack = (t, charge = {}) => t.mock.method(globalThis, 'fetch', async (url, init) => {
+  const body = String(url).includes('/transaction/verify/')
+    ? { data: { status: 'success', amount: 100000, currency: 'KES', customer: { email: 'payer@x.co' }, ...charge } }
+    : { data: { status: 'pending', id: 99, amount: JSON.parse(init.body).amount } };
+  return new Response(JSON.stringify(body), { status: 200 });
+});
+
+const refundCalls = (fetch) => fetch.mock.calls
+  .filter((call) => String(call.arguments[0]).endsWith('/refund'))
+  .map((call) => JSON.parse(call.arguments[1].body));
+
+test('partial refunds add up to the charge and no further', async (t) => {
+  const fetch = paystack(t);
+
+  const first = await refund('PAY-R1', { amount: 300.456, reason: 'Two nights cancelled' });
+  assert.equal(first.status, 201);
+  assert.equal(first.body.data.amount, 300.46);
+  assert.equal(first.body.data.status, 'PENDING');
+  assert.equal(first.body.data.remaining, 699.54);
+
+  const over = await refund('PAY-R1', { amount: 700, reason: 'Too much' });
+  assert.equal(over.status, 422);
+  assert.equal(over.body.error, 'REFUND_EXCEEDS_PAYMENT');
+
+  const rest = await refund('PAY-R1', { reason: 'Rest of the stay' });
+  assert.equal(rest.body.data.amount, 699.54);
+  assert.deepEqual(refundCalls(fetch).map((r) => r.amount), [30046, 69954]);
+
+  const done = await refund('PAY-R1', { reason: 'Once more' });
+  assert.equal(done.status, 409);
+  assert.equal(done.body.error, 'PAYMENT_FULLY_REFUNDED');
+});
+
+test('only successful charges are refunded', async (t) => {
+  paystack(t, { status: 'abandoned' });
+  const { status, body } = await refund('PAY-R2', { reason: 'Never paid' });
+  assert.equal(status, 409);
+  assert.equal(body.error, 'PAYMENT_NOT_REFUNDABLE');
+});
+
+test('a refund is linked to the booking the payment claim names', async (t) => {
+  paystack(t);
+  const bookings = await getCollection('bookings');
+  const { documentId } = await bookings.post({ booking_id: 'BK-R3', payment_reference: 'PAY-R3', tenant_email: 't@x.co' });
+  const claims = await getCollection('payment_claims');
+  await claims.put('PAY-R3', { reference: 'PAY-R3', status: 'used', linked_booking_id: 'BK-R3' });
+
+  const { body } = await refund('PAY-R3', { amount: 250, reason: 'Partial stay' });
+  assert.deepEqual(body.data.link, { type: 'booking', booking_id: 'BK-R3' });
+
+  const booking = (await bookings.get(documentId)).data;
+  assert.deepEqual(booking.refund_ids, [body.data.refund_id]);
+  assert.equal(booking.refunded_amount, 250);
+  assert.equal(booking.refund_status, 'partial');
+});
+
+test('refund events settle the open refund with the same amount', async (t) => {
+  paystack(t);
+  await refund('PAY-R4', { amount: 100, reason: 'First' });
+  await refund('PAY-R4', { amount: 200, reason: 'Second' });
+
+  const settled = await applyRefundEvent('refund.processed', { transaction_reference: 'PAY-R4', amount: 20000 });
+  assert.equal(settled.amount, 200);
+  assert.equal(settled.status, 'PROCESSED');
+  assert.deepEqual((await listRefunds('PAY-R4')).map((r) => r.status), ['PENDING', 'PROCESSED']);
+  assert.equal(await applyRefundEvent('refund.processed', { transaction_reference: 'PAY-R4', amount: 5000 }), null);
+});
+
+test('a processed refund without an amount counts what the refund record asked for', async (t) => {
+  paystack(t);
+  const payments = await getCollection('payments');
+  await payments.post({ reference: 'PAY-R5', amount: 1000, paid_amount: 100000, status: 'SUCCESS', status_history: [] });
+  await refund('PAY-R5', { amount: 400, reason: 'Early checkout' });
+
+  const body = JSON.stringify({ event: 'refund.processed', data: { id: 501, transaction_reference: 'PAY-R5' } });
+  const res = await app.request('/payments/webhook', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-paystack-signature': await signWebhookBody(body) },
+    body,
+  });
+  assert.equal((await res.json()).message, 'Partial refund recorded.');
+
+  const payment = Object.values((await payments.find({ reference: { $eq: 'PAY-R5' } })).data)[0];
+  assert.equal(payment.refunded_amount, 400);
+  assert.equal(payment.status, 'SUCCESS');
+});
@@ -0,0 +1,163 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Hono } from 'hono';
+import { getCollection } from '../src/services/astra.js';
+import { redis } from '../src/services/redis.js';
+import {
+  RoomHoldError,
+  assertHoldAllows,
+  assertNotHeld,
+  findHold,
+  holderOf,
+  markHeld,
+  ownsHold,
+  placeHold,
+  releaseHold,
+  roomHolds,
+  tieHoldPayment,
+} from '../src/services/roomHolds.js';
+import roomsRoutes from '../src/routes/rooms/routes.js';
+
+process.env.PAYSTACK_SECRET_KEY = 'sk_test_holds';
+
+const alice = { userId: 'U-alice' };
+const guest = holderOf(null, ' Guest@Example.com ');
+const march = (from, to) => ({ start_date: `2030-03-${from}`, end_date: `2030-03-${to}` });
+
+const held = (err) => err instanceof RoomHoldError && err.code === 'ROOM_HELD' && err.status === 409;
+
+test('holders are signed-in users or normalized guest emails', () => {
+  assert.deepEqual(holderOf({ userId: 'U1' }, 'a@b.co'), { userId: 'U1' });
+  assert.deepEqual(guest, { email: 'guest@example.com' });
+  assert.deepEqual(holderOf(null, ''), { email: null });
+
+  assert.equal(ownsHold({ user_id: 'U1' }, { userId: 'U1' }), true);
+  assert.equal(ownsHold({ user_id: 'U1' }, { email: 'a@b.co' }), false);
+  assert.equal(ownsHold({ email: 'a@b.co' }, { email: 'a@b.co' }), true);
+  assert.equal(ownsHold({ email: null }, { email: null }), false);
+});
+
+test('only overlapping holds of other holders conflict', async () => {
+  const roomId = 'H1-1';
+  const hold = await placeHold(roomId, march('10', '15'), { holder: alice });
+  assert.equal(hold.user_id, alice.userId);
+
+  await assert.rejects(placeHold(roomId, march('14', '16'), { holder: guest }), held);
+  await placeHold(roomId, march('15', '20'), { holder: guest });
+  assert.equal((await roomHolds(roomId)).length, 2);
+
+  await assert.rejects(assertNotHeld(roomId, march('12', '13'), guest), held);
+  assert.equal((await assertNotHeld(roomId, march('12', '13'), alice)).hold_id, hold.hold_id);
+  assert.equal(await assertNotHeld(roomId, march('01', '10'), guest), null);
+});
+
+test('holding again moves the holder\'s hold', async () => {
+  const roomId = 'H1-2';
+  const first = await placeHold(roomId, march('10', '15'), { holder: alice, paymentReference: 'ref-a' });
+  const moved = await placeHold(roomId, march('20', '22'), { holder: alice });
+
+  assert.equal(moved.hold_id, first.hold_id);
+  assert.equal(moved.start_date, '2030-03-20');
+  assert.equal(moved.payment_reference, 'ref-a');
+  assert.equal((await roomHolds(roomId)).length, 1);
+  await placeHold(roomId, march('10', '15'), { holder: guest });
+});
+
+test('held dates are bookable by the hold\'s payment, or its holder before one is tied', async () => {
+  const roomId = 'H1-3';
+  const hold = await placeHold(roomId, march('10', '15'), { holder: guest });
+
+  assert.equal((await assertHoldAllows(roomId, march('10', '15'), { holder: guest })).hold_id, hold.hold_id);
+  await assert.rejects(assertHoldAllows(roomId, march('10', '15'), { holder: alice }), held);
+
+  assert.equal(await tieHoldPayment(hold, 'ref-guest'), true);
+  await assert.rejects(assertHoldAllows(roomId, march('10', '15'), { holder: guest, reference: 'ref-other' }), held);
+  assert.equal((await assertHoldAllows(roomId, march('12', '13'), { holder: alice, reference: 'ref-guest' })).hold_id, hold.hold_id);
+  assert.equal(await assertHoldAllows(roomId, march('20', '25'), { holder: alice }), null);
+});
+
+test('releasing a hold frees its dates', async () => {
+  const roomId = 'H1-4';
+  const hold = await placeHold(roomId, march('10', '15'), { holder: guest });
+  assert.equal((await findHold(roomId, hold.hold_id)).email, guest.email);
+
+  assert.equal(await releaseHold(roomId, hold.hold_id), true);
+  assert.equal(await releaseHold(roomId, hold.hold_id), false);
+  assert.equal(await findHold(roomId, hold.hold_id), null);
+  await placeHold(roomId, march('10', '15'), { holder: alice });
+});
+
+test('holds are read through their index, never by scanning keys', async (t) => {
+  t.mock.method(redis, 'keys', async () => { throw new Error('KEYS is not used'); });
+  const hold = await placeHold('H2-1', march('10', '15'), { holder: alice });
+  const expired = await placeHold('H2-1', march('20', '25'), { holder: guest });
+  await redis.del(`room:hold:H2-1:${expired.hold_id}`);
+
+  assert.deepEqual((await roomHolds('H2-1')).map((h) => h.hold_id), [hold.hold_id]);
+  assert.deepEqual(await redis.smembers('room:holds:H2-1'), [hold.hold_id]);
+
+  const rooms = await markHeld([{ roomId: 'H2-1' }, { roomId: 'H2-2' }]);
+  assert.deepEqual(rooms.map((r) => [r.held, r.heldUntil]), [[true, hold.expires_at], [false, null]]);
+
+  await releaseHold('H2-1', hold.hold_id);
+  assert.equal((await markHeld([{ roomId: 'H2-1' }]))[0].held, false);
+  assert.equal((await redis.smembers('rooms:held')).includes('H2-1'), false);
+});
+
+const app = new Hono().route('/rooms', roomsRoutes);
+
+const request = async (path, method, body) => {
+  const res = await app.request(path, {
+    method,
+    headers: { 'content-type': 'application/json' },
+    ...(body ? { body: JSON.stringify(body) } : {}),
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+const seedRoom = async (roomId) => {
+  const rooms = await getCollection('rooms');
+  await rooms.post({ room_id: roomId, price: 100, period: 'night', currency: 'KES' });
+};
+
+// Paystack: the payment was initiated for `purpose`, at KES `amount`
+const initiated = (t, purpose, amount) => t.mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify({
+  data: { status: 'abandoned', amount: amount * 100, currency: 'KES', metadata: { purpose } },
+}), { status: 200 }));
+
+test('a guest hold is released by its id, not the payer\'s email', async () => {
+  await seedRoom('H3-1');
+  const placed = await request('/rooms/H3-1/hold', 'POST', { ...march('10', '12'), email: 'g@x.co' });
+  assert.equal(placed.status, 201);
+
+  const noId = await request('/rooms/H3-1/hold?email=g@x.co', 'DELETE');
+  assert.equal(noId.status, 400);
+  const wrongId = await request('/rooms/H3-1/hold?hold_id=HLD-guess', 'DELETE');
+  assert.equal(wrongId.status, 404);
+
+  const released = await request(`/rooms/H3-1/hold?hold_id=${placed.body.data.hold_id}`, 'DELETE');
+  assert.equal(released.status, 200);
+  assert.equal(await findHold('H3-1', placed.body.data.hold_id), null);
+});
+
+test('a tied payment must be for the held room, dates and amount', async (t) => {
+  await seedRoom('H3-2');
+  const stay = { start_date: '2030-03-10', end_date: '2030-03-12' };
+  const fetch = initiated(t, { type: 'booking', room_id: 'H3-2', ...stay }, 150);
+
+  const cheap = await request('/rooms/H3-2/hold', 'POST', { ...march('10', '12'), email: 'g@x.co', payment_reference: 'PAY-H1' });
+  assert.equal(cheap.status, 402);
+  assert.equal(cheap.body.error, 'PAYMENT_AMOUNT_MISMATCH');
+
+  fetch.mock.mockImplementation(async () => new Response(JSON.stringify({
+    data: { status: 'abandoned', amount: 20000, currency: 'KES', metadata: { purpose: { type: 'booking', room_id: 'H9-9', ...stay } } },
+  }), { status: 200 }));
+  const elsewhere = await request('/rooms/H3-2/hold', 'POST', { ...march('10', '12'), email: 'g@x.co', payment_reference: 'PAY-H2' });
+  assert.equal(elsewhere.body.error, 'PAYMENT_PURPOSE_MISMATCH');
+  assert.equal((await roomHolds('H3-2')).length, 0);
+
+  initiated(t, { type: 'booking', room_id: 'H3-2', ...stay }, 200);
+  const tied = await request('/rooms/H3-2/hold', 'POST', { ...march('10', '12'), email: 'g@x.co', payment_reference: 'PAY-H3' });
+  assert.equal(tied.status, 201);
+  assert.equal(tied.body.data.payment_reference, 'PAY-H3');
+});
@@ -0,0 +1,112 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createLocalDriver } from '../src/services/drivers/local.js';
+
+const seed = async (col) => {
+  await col.post({ _id: 'r1', room_id: 'P1-1', price: 500, tags: ['wifi', 'parking'], owner: { id: 'L1' } });
+  await col.post({ _id: 'r2', room_id: 'P1-2', price: 1500, tags: ['wifi'], owner: { id: 'L2' } });
+  await col.post({ _id: 'r3', room_id: 'P2-1', price: 900, active: false, owner: { id: 'L1' } });
+};
+
+const ids = (res) => Object.keys(res.data).sort();
+
+test('documents round-trip through post, get, patch, put and delete', async () => {
+  const col = createLocalDriver({}).collection('rooms');
+
+  const { documentId } = await col.post({ title: 'A', price: 100 });
+  assert.deepEqual((await col.get(documentId)).data, { title: 'A', price: 100 });
+
+  await col.patch(documentId, { price: 120 });
+  assert.deepEqual((await col.get(documentId)).data, { title: 'A', price: 120 });
+
+  await col.put(documentId, { title: 'B' });
+  assert.deepEqual((await col.get(documentId)).data, { title: 'B' });
+
+  await col.delete(documentId);
+  assert.equal((await col.get(documentId)).code, 404);
+});
+
+test('stored documents are copies', async () => {
+  const col = createLocalDriver({}).collection('rooms');
+  const doc = { title: 'A', tags: ['wifi'] };
+  const { documentId } = await col.post(doc);
+  doc.tags.push('pool');
+
+  const read = (await col.get(documentId)).data;
+  read.tags.push('gym');
+  assert.deepEqual((await col.get(documentId)).data.tags, ['wifi']);
+});
+
+test('find evaluates the Astra where dialect', async () => {
+  const col = createLocalDriver({}).collection('rooms');
+  await seed(col);
+
+  assert.deepEqual(ids(await col.find({ room_id: { $eq: 'P1-1' } })), ['r1']);
+  assert.deepEqual(ids(await col.find({ price: { $gte: 900 } })), ['r2', 'r3']);
+  assert.deepEqual(ids(await col.find({ room_id: { $in: ['P1-2', 'P2-1'] } })), ['r2', 'r3']);
+  assert.deepEqual(ids(await col.find({ active: { $ne: false } })), ['r1', 'r2']);
+  assert.deepEqual(ids(await col.find({ tags: { $eq: 'parking' } })), ['r1']);
+  assert.deepEqual(ids(await col.find({ 'owner.id': 'L1' })), ['r1', 'r3']);
+  assert.deepEqual(ids(await col.find({ $or: [{ price: { $lt: 600 } }, { active: false }] })), ['r1', 'r3']);
+  assert.deepEqual((await col.find({ room_id: { $eq: 'r1' } })).data, {});
+});
+
+test('LOCAL_DB_PATH keeps documents between driver instances', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'housika-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const env = { LOCAL_DB_PATH: path.join(dir, 'db.json') };
+
+  const first = createLocalDriver(env);
+  await first.ready();
+  await first.collection('rooms').post({ _id: 'r1', title: 'Kept' });
+
+  const second = createLocalDriver(env);
+  await second.ready();
+  assert.equal((await second.collection('rooms').get('r1')).data.title, 'Kept');
+});
+
+test('find sorts, pages by offset and projects fields', async () => {
+  const col = createLocalDriver({}).collection('rooms');
+  await seed(col);
+
+  const sorted = await col.find({}, { sort: { price: 'desc' }, limit: 2 });
+  assert.deepEqual(Object.keys(sorted.data), ['r2', 'r3']);
+  assert.equal(sorted.total, 3);
+
+  const page2 = await col.find({}, { sort: { price: 1 }, page: 2, limit: 2 });
+  assert.deepEqual(Object.keys(page2.data), ['r2']);
+  assert.equal(page2.pageState, undefined);
+
+  const projected = await col.find({ room_id: 'P1-1' }, { fields: ['price', 'owner.id'] });
+  assert.deepEqual(projected.data.r1, { _id: 'r1', price: 500, owner: { id: 'L1' } });
+  const excluded = await col.find({ room_id: 'P1-1' }, { projection: { tags: 0, owner: 0 } });
+  assert.deepEqual(excluded.data.r1, { _id: 'r1', room_id: 'P1-1', price: 500 });
+});
+
+test('find pages by page state until the last page', async () => {
+  const col = createLocalDriver({}).collection('rooms');
+  await seed(col);
+
+  const seen = [];
+  let pageState;
+  do {
+    const res = await col.find({}, { sort: { room_id: 1 }, limit: 2, pageState });
+    seen.push(...Object.keys(res.data));
+    ({ pageState } = res);
+  } while (pageState);
+  assert.deepEqual(seen, ['r1', 'r2', 'r3']);
+});
+
+test('findAll iterates every match and count counts them', async () => {
+  const col = createLocalDriver({}).collection('rooms');
+  await seed(col);
+
+  const rows = [];
+  for await (const doc of col.findAll({ 'owner.id': 'L1' }, { sort: { price: -1 }, fields: ['room_id'] })) rows.push(doc);
+  assert.deepEqual(rows, [{ _id: 'r3', room_id: 'P2-1' }, { _id: 'r1', room_id: 'P1-1' }]);
+  assert.equal(await col.count({ tags: { $eq: 'wifi' } }), 2);
+  assert.equal(await col.count({}), 3);
+});
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Hono } from 'hono';
+import { validate } from '../src/middleware/validate.js';
+import { validateSchema } from '../src/utils/schema.js';
+import { createCountrySchema, countryIdParams } from '../src/routes/countries/schemas.js';
+
+test('validateSchema coerces strings, applies defaults and strips unknown keys', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      limit: { type: 'integer', minimum: 1, default: 20 },
+      active: { type: 'boolean' },
+      tags: { type: 'array', items: { type: 'string', minLength: 1 } },
+    },
+  };
+  const { value, errors } = validateSchema(schema, { active: 'true', tags: ['wifi'], extra: 1 });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { limit: 20, active: true, tags: ['wifi'] });
+
+  assert.deepEqual(validateSchema(schema, { limit: '0', tags: [''] }).errors, [
+    { field: 'limit', message: 'must be >= 1' },
+    { field: 'tags.0', message: 'must not be empty' },
+  ]);
+});
+
+test('required fields report once, even when present but empty', () => {
+  const { errors } = validateSchema(createCountrySchema, { name: '', iso2: 'KEN', flag: 'ftp://x' });
+  assert.deepEqual(errors, [
+    { field: 'name', message: 'is required' },
+    { field: 'iso2', message: 'has an invalid format' },
+    { field: 'flag', message: 'must be a valid uri' },
+  ]);
+});
+
+const app = new Hono();
+app.post('/countries/:id', validate({ param: countryIdParams, json: createCountrySchema }), (c) => c.json(c.req.valid('json')));
+
+const post = async (body) => {
+  const res = await app.request('/countries/KE', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body,
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+test('validate hands the cleaned body to the handler', async () => {
+  const { status, body } = await post(JSON.stringify({ name: 'Kenya', iso2: 'KE', admin: true }));
+  assert.equal(status, 200);
+  assert.deepEqual(body, { name: 'Kenya', iso2: 'KE' });
+});
+
+test('validate rejects bad bodies with field-level details', async () => {
+  const invalid = await post('[1, 2]');
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error, 'INVALID_BODY');
+
+  const failed = await post(JSON.stringify({ iso2: 'K' }));
+  assert.equal(failed.status, 400);
+  assert.equal(failed.body.error, 'VALIDATION_FAILED');
+  assert.equal(failed.body.message, 'Request body failed validation.');
+  assert.deepEqual(failed.body.details.map((d) => `${d.in}:${d.field}`), ['json:name', 'json:iso2']);
+  assert.ok(failed.body.traceId);
+});
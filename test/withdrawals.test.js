@@ -0,0 +1,89 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Hono } from 'hono';
+import { applyTransferEvent, getWithdrawal, transitionWithdrawal, withdrawalId } from '../src/services/withdrawals.js';
+import paymentsRoutes from '../src/routes/payments/routes.js';
+
+process.env.PAYSTACK_SECRET_KEY = 'sk_test_withdrawals';
+
+const ceo = { userId: 'CEO1', email: 'ceo@x.co', role: 'ceo' };
+const app = new Hono()
+  .use('*', async (c, next) => { c.set('user', ceo); await next(); })
+  .route('/payments', paymentsRoutes);
+
+const withdraw = async (body, key) => {
+  const res = await app.request('/payments/withdraw', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...(key ? { 'Idempotency-Key': key } : {}) },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json(), replayed: res.headers.get('Idempotent-Replayed') };
+};
+
+const paystackReplies = (t, reply) => t.mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify(reply.body), { status: reply.status ?? 200 }));
+
+const request = { amount: 1200, recipient_code: 'RCP_abc123' };
+
+test('withdrawals need an Idempotency-Key', async () => {
+  const { status, body } = await withdraw(request);
+  assert.equal(status, 400);
+  assert.equal(body.error, 'MISSING_IDEMPOTENCY_KEY');
+});
+
+test('a repeated key replays the stored withdrawal instead of paying twice', async (t) => {
+  const fetch = paystackReplies(t, { body: { data: { status: 'pending', transfer_code: 'TRF_1', id: 7 } } });
+
+  const first = await withdraw(request, 'key-replay-1');
+  assert.equal(first.status, 201);
+  assert.equal(first.body.data.status, 'PENDING');
+  assert.equal(first.body.data.id, withdrawalId('CEO1', 'key-replay-1'));
+  const sent = JSON.parse(fetch.mock.calls[0].arguments[1].body);
+  assert.equal(sent.amount, 120000);
+  assert.equal(sent.reference, first.body.data.id);
+
+  const again = await withdraw(request, 'key-replay-1');
+  assert.equal(again.body.replayed, true);
+  assert.equal(again.replayed, 'true');
+  assert.equal(fetch.mock.callCount(), 1);
+
+  const other = await withdraw({ ...request, amount: 5000 }, 'key-replay-1');
+  assert.equal(other.status, 422);
+  assert.equal(other.body.error, 'IDEMPOTENCY_KEY_REUSED');
+});
+
+test('a rejected transfer fails while an unreachable Paystack leaves it retryable', async (t) => {
+  paystackReplies(t, { status: 400, body: { message: 'Insufficient balance' } });
+  const rejected = await withdraw(request, 'key-rejected');
+  assert.equal(rejected.status, 422);
+  assert.equal(rejected.body.data.status, 'FAILED');
+
+  t.mock.restoreAll();
+  paystackReplies(t, { status: 503, body: {} });
+  const down = await withdraw(request, 'key-down-1');
+  assert.equal(down.status, 502);
+  assert.equal(down.body.data.status, 'REQUESTED');
+
+  t.mock.restoreAll();
+  paystackReplies(t, { body: { data: { status: 'success' } } });
+  const retried = await withdraw(request, 'key-down-1');
+  assert.equal(retried.body.data.status, 'SUCCESS');
+});
+
+test('transfer events follow the allowed transitions', async (t) => {
+  paystackReplies(t, { body: { data: { status: 'otp', transfer_code: 'TRF_2' } } });
+  const { body } = await withdraw(request, 'key-events-1');
+  assert.equal(body.data.status, 'OTP_REQUIRED');
+
+  const success = await applyTransferEvent('transfer.success', { reference: body.data.id, status: 'success' });
+  assert.equal(success.changed, true);
+  const failed = await applyTransferEvent('transfer.failed', { reference: body.data.id });
+  assert.equal(failed.changed, false);
+
+  const stored = await getWithdrawal(body.data.id);
+  assert.equal(stored.status, 'SUCCESS');
+  assert.deepEqual(stored.status_history.map((h) => h.status), ['REQUESTED', 'OTP_REQUIRED', 'SUCCESS']);
+  assert.equal(await applyTransferEvent('transfer.success', { reference: 'wd_unknown' }), null);
+
+  const reversed = await transitionWithdrawal(stored, 'REVERSED', { by: 'paystack' });
+  assert.equal(reversed.withdrawal.status, 'REVERSED');
+});